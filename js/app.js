@@ -192,6 +192,25 @@ export async function saveCurrentOrgChart(name, description = '', isBaseline = t
     
     if (error) throw error;
     
+    // Later card template changes are saved to this chart
+    window.state.currentProjectId = chart.id;
+    
+    // Photos imported before saving are kept with the chart
+    if (window.state.photos && window.storePhotos) {
+      window.storePhotos(chart.id, window.state.photos)
+        .catch(error => console.error('Error storing photos:', error));
+    }
+    
+    // A baseline keeps the scenarios planned against it
+    const scenarios = window.state.scenarios || [];
+    if (isBaseline && scenarios.length > 0) {
+      const { error: scenariosError } = await window.saveChartScenarios(
+        chart.id,
+        scenarios.map(scenario => ({ name: scenario.name, data: scenario.data }))
+      );
+      if (scenariosError) throw scenariosError;
+    }
+    
     return { chart, version };
   } catch (error) {
     console.error('Error saving chart:', error);
@@ -220,19 +239,33 @@ export async function loadOrgChart(chartId) {
     
     if (error) throw error;
     
+    // Open the teams that were open when the chart was saved
+    window.state.expandedNodeIds = Array.isArray(chart.expanded_node_ids) ? chart.expanded_node_ids : null;
+    
     // Update state with loaded data - use window object functions
     
     // Store the data based on chart type
     if (chart.is_baseline) {
       window.setBaselineData(employees);
       window.setCurrentData(employees); // Initially show baseline data
+      
+      // Restore the scenarios planned against this baseline
+      const { scenarios, error: scenariosError } = await window.getChartScenarios(chart.id);
+      if (scenariosError) throw scenariosError;
+      window.setScenarios(scenarios);
     } else if (chart.is_target) {
-      window.setUpdateData(employees);
+      // A saved target is added as a scenario named after the chart
+      window.addScenario(employees, chart.name);
     }
     
     // Always set current data to ensure chart renders
     window.setCurrentData(employees);
     
+    // Show the cards the way they were set up for this chart
+    window.state.currentProjectId = chart.id;
+    if (window.setCardTemplate) window.setCardTemplate(chart.card_template);
+    if (window.restoreStoredPhotos) window.restoreStoredPhotos();
+    
     return { chart, version, employees };
   } catch (error) {
     console.error('Error loading chart:', error);
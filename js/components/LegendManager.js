@@ -1,11 +1,13 @@
 /**
- * Legend Manager - Handles all legend-related functionality
+ * Legend Manager - Handles all legend-related functionality: the comparison legend
+ * and the legend of the attribute the chart is coloured by
  */
 
 class LegendManager {
     constructor() {
         this.legendContainer = null;
         this.isVisible = false;
+        this.colorLegend = null;
         this.init();
     }
 
@@ -31,16 +33,66 @@ class LegendManager {
         this.hide();
     }
     
+    /**
+     * Shows the comparison legend (New/Moved/Exit).
+     */
     show() {
+        this.isVisible = true;
+        this.render();
+    }
+    
+    /**
+     * Hides the comparison legend. The colour legend stays while the chart is coloured by an attribute.
+     */
+    hide() {
+        this.isVisible = false;
+        this.render();
+    }
+    
+    /**
+     * Shows the legend of the attribute the chart is coloured by, or removes it.
+     * @param {?Object} colorLegend - `{title, categories, gradient, activeValue, onSelect}`, where
+     *   `categories` are `{value, label, fill, stroke, count}` and `onSelect(value)` is called when an entry is clicked.
+     */
+    setColorLegend(colorLegend) {
+        this.colorLegend = colorLegend;
+        this.render();
+    }
+    
+    render() {
         if (!this.legendContainer) return;
         
         // Clear existing content
         this.legendContainer.innerHTML = '';
         
+        if (!this.isVisible && !this.colorLegend) {
+            // Hide the legend using multiple methods
+            this.legendContainer.classList.add('hidden');
+            this.legendContainer.style.display = 'none';
+            this.legendContainer.style.visibility = 'hidden';
+            this.legendContainer.setAttribute('aria-hidden', 'true');
+            return;
+        }
+        
+        if (this.isVisible) this.renderChangeItems();
+        if (this.colorLegend) this.renderColorLegend();
+        
+        // Show the legend
+        this.legendContainer.classList.remove('hidden');
+        this.legendContainer.style.display = '';
+        this.legendContainer.style.visibility = '';
+        this.legendContainer.removeAttribute('aria-hidden');
+        
+        // Force reflow to ensure styles are applied
+        void this.legendContainer.offsetHeight;
+    }
+    
+    renderChangeItems() {
         // Create legend items
         const legendItems = [
             { className: 'new', label: 'New' },
             { className: 'moved', label: 'Moved' },
+            { className: 'changed', label: 'Changed' },
             { className: 'exit', label: 'Exit' }
         ];
         
@@ -60,25 +112,51 @@ class LegendManager {
             legendItem.appendChild(label);
             this.legendContainer.appendChild(legendItem);
         });
-        
-        // Show the legend
-        this.legendContainer.classList.remove('hidden');
-        this.isVisible = true;
-        
-        // Force reflow to ensure styles are applied
-        void this.legendContainer.offsetHeight;
     }
     
-    hide() {
-        if (!this.legendContainer) return;
+    renderColorLegend() {
+        const { title, categories, gradient, activeValue, onSelect } = this.colorLegend;
         
-        // Hide the legend using multiple methods
-        this.legendContainer.classList.add('hidden');
-        this.legendContainer.style.display = 'none';
-        this.legendContainer.style.visibility = 'hidden';
-        this.legendContainer.setAttribute('aria-hidden', 'true');
+        const section = document.createElement('div');
+        section.className = 'legend-color-section';
         
-        this.isVisible = false;
+        const heading = document.createElement('span');
+        heading.className = 'legend-color-title';
+        heading.textContent = title;
+        section.appendChild(heading);
+        
+        if (gradient) {
+            const bar = document.createElement('div');
+            bar.className = 'legend-gradient';
+            bar.style.background = `linear-gradient(to right, ${gradient.from}, ${gradient.to})`;
+            section.appendChild(bar);
+        }
+        
+        // Each entry highlights its nodes; the highlighted entry clears the highlight
+        categories.forEach(category => {
+            const legendItem = document.createElement('button');
+            legendItem.type = 'button';
+            legendItem.className = 'legend-item legend-filter';
+            legendItem.classList.toggle('active', category.value === activeValue);
+            legendItem.classList.toggle('muted', activeValue !== null && activeValue !== undefined && category.value !== activeValue);
+            legendItem.title = `${category.count} ${category.count === 1 ? 'node' : 'nodes'} – click to highlight`;
+            legendItem.addEventListener('click', () => onSelect && onSelect(category.value));
+            
+            const colorBox = document.createElement('span');
+            colorBox.className = 'legend-color';
+            colorBox.style.backgroundColor = category.fill;
+            colorBox.style.borderColor = category.stroke;
+            
+            const label = document.createElement('span');
+            label.className = 'legend-label';
+            label.textContent = `${category.label} (${category.count})`;
+            
+            legendItem.appendChild(colorBox);
+            legendItem.appendChild(label);
+            section.appendChild(legendItem);
+        });
+        
+        this.legendContainer.appendChild(section);
     }
     
     toggle() {
@@ -0,0 +1,241 @@
+/**
+ * @file Card template editor: a dialog to choose which fields the chart cards show.
+ * Users start from a preset (standard, HR, executive, facilities) and pick the fields
+ * of each line, the badges and avatars. The template is applied to the chart
+ * and saved with the current project.
+ */
+
+import {
+    CARD_TEMPLATE_PRESETS,
+    CARD_TEMPLATE_LIMITS,
+    DEFAULT_CARD_TEMPLATE_ID,
+    listCardFields,
+    getCardTemplatePreset,
+    normalizeCardTemplate,
+    resolveCardContent
+} from '../utils/cardTemplates.js';
+
+console.log('[OrgChart] cardTemplateEditor loaded');
+
+/* ===========================================
+   DIALOG
+=========================================== */
+
+/**
+ * Opens the card template dialog for the current chart.
+ */
+export function openCardTemplateEditor() {
+    document.getElementById('cardTemplateModal')?.remove();
+
+    const state = window.state || {};
+    const definitions = state.columnMapping?.customAttributes || [];
+    const fields = listCardFields(definitions);
+    const template = state.cardTemplate || getCardTemplatePreset(DEFAULT_CARD_TEMPLATE_ID);
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.id = 'cardTemplateModal';
+    modal.innerHTML = `
+        <div class="modal-content card-template-dialog">
+            <div class="modal-header">
+                <h2>Card Template</h2>
+                <button class="modal-close" type="button">&times;</button>
+            </div>
+            <div class="modal-body">
+                <div class="chart-form">
+                    <div class="form-group">
+                        <label for="cardTemplatePreset">Start from</label>
+                        <select id="cardTemplatePreset">
+                            ${Object.values(CARD_TEMPLATE_PRESETS).map(preset =>
+                                `<option value="${preset.id}">${escapeHtml(preset.name)}</option>`).join('')}
+                            <option value="custom">Custom</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Lines</label>
+                        ${Array.from({ length: CARD_TEMPLATE_LIMITS.lines }, (_, line) => `
+                            <div class="card-template-row" data-line="${line}">
+                                <span class="card-template-row-label">${line === 0 ? 'Heading' : `Line ${line + 1}`}</span>
+                                ${Array.from({ length: CARD_TEMPLATE_LIMITS.fieldsPerLine }, () => renderFieldSelect(fields)).join('')}
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div class="form-group">
+                        <label>Badges</label>
+                        <div class="card-template-row" data-badges>
+                            ${Array.from({ length: CARD_TEMPLATE_LIMITS.badges }, () => renderFieldSelect(fields)).join('')}
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label class="card-template-checkbox">
+                            <input type="checkbox" id="cardTemplateAvatar"> Show avatars (photos or initials)
+                        </label>
+                    </div>
+                    <div class="form-group">
+                        <label>Preview</label>
+                        <div class="card-template-preview" id="cardTemplatePreview"></div>
+                    </div>
+                    <div class="form-error" id="cardTemplateError"></div>
+                    <div class="form-actions">
+                        <button class="btn btn-secondary" type="button" data-action="cancel">Cancel</button>
+                        <button class="btn btn-primary" type="button" data-action="apply">Apply</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    fillTemplateForm(modal, template);
+    updatePreview(modal, definitions);
+
+    const close = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', close);
+    modal.querySelector('[data-action="cancel"]').addEventListener('click', close);
+    modal.querySelector('[data-action="apply"]').addEventListener('click', () => applyTemplateForm(modal));
+
+    modal.querySelector('#cardTemplatePreset').addEventListener('change', event => {
+        if (event.target.value === 'custom') return;
+        fillTemplateForm(modal, getCardTemplatePreset(event.target.value));
+        updatePreview(modal, definitions);
+    });
+
+    // Any edit turns the template into a custom one
+    modal.querySelectorAll('.card-template-row select, #cardTemplateAvatar').forEach(input => {
+        input.addEventListener('change', () => {
+            modal.querySelector('#cardTemplatePreset').value = 'custom';
+            updatePreview(modal, definitions);
+        });
+    });
+}
+
+/**
+ * Builds a field dropdown with an empty first option.
+ * @param {Array<{key: string, label: string}>} fields - The available fields.
+ * @returns {string} The HTML.
+ */
+function renderFieldSelect(fields) {
+    return `
+        <select class="card-template-field">
+            <option value="">—</option>
+            ${fields.map(field => `<option value="${escapeHtml(field.key)}">${escapeHtml(field.label)}</option>`).join('')}
+        </select>
+    `;
+}
+
+/* ===========================================
+   FORM
+=========================================== */
+
+/**
+ * Shows a template in the dialog. Fields of custom attributes that this upload does not
+ * have are added to their dropdown, so saving does not drop them.
+ * @param {HTMLElement} modal - The dialog.
+ * @param {Object} template - The template.
+ */
+function fillTemplateForm(modal, template) {
+    const selectField = (select, key) => {
+        if (key && !Array.from(select.options).some(option => option.value === key)) {
+            select.add(new Option(key, key));
+        }
+        select.value = key || '';
+    };
+
+    modal.querySelectorAll('[data-line]').forEach(row => {
+        const line = template.lines[Number(row.dataset.line)] || [];
+        row.querySelectorAll('select').forEach((select, i) => selectField(select, line[i]));
+    });
+    modal.querySelectorAll('[data-badges] select').forEach((select, i) => selectField(select, template.badges[i]));
+    modal.querySelector('#cardTemplateAvatar').checked = Boolean(template.avatar);
+
+    const preset = modal.querySelector('#cardTemplatePreset');
+    preset.value = CARD_TEMPLATE_PRESETS[template.id] ? template.id : 'custom';
+}
+
+/**
+ * Reads the template from the dialog.
+ * @param {HTMLElement} modal - The dialog.
+ * @returns {Object} The normalized template.
+ */
+function readTemplateForm(modal) {
+    const presetId = modal.querySelector('#cardTemplatePreset').value;
+    const selectedKeys = selects => Array.from(selects).map(select => select.value).filter(Boolean);
+
+    return normalizeCardTemplate({
+        id: presetId,
+        name: CARD_TEMPLATE_PRESETS[presetId]?.name || 'Custom',
+        lines: Array.from(modal.querySelectorAll('[data-line]')).map(row => selectedKeys(row.querySelectorAll('select'))),
+        badges: selectedKeys(modal.querySelectorAll('[data-badges] select')),
+        avatar: modal.querySelector('#cardTemplateAvatar').checked
+    });
+}
+
+/**
+ * Shows the card of the selected node (or the first employee) under the template in the dialog.
+ * @param {HTMLElement} modal - The dialog.
+ * @param {Array<Object>} definitions - The custom attribute definitions.
+ */
+function updatePreview(modal, definitions) {
+    const preview = modal.querySelector('#cardTemplatePreview');
+    const state = window.state || {};
+    const node = state.selectedNode || state.rootNode?.children?.[0] || state.rootNode || (state.currentData || [])[0];
+    if (!node) {
+        preview.textContent = 'Load data to preview the cards.';
+        return;
+    }
+
+    const photos = window.getChartPhotos ? window.getChartPhotos() : null;
+    const content = resolveCardContent(node, readTemplateForm(modal), definitions, photos);
+    preview.innerHTML = `
+        ${content.badges.length ? `<div class="card-template-preview-badges">${content.badges.map(badge =>
+            `<span>${escapeHtml(badge.text)}</span>`).join('')}</div>` : ''}
+        <div class="card-template-preview-body">
+            ${content.photo
+                ? `<img class="card-template-preview-avatar" src="${escapeHtml(content.photo)}" alt="">`
+                : content.initials ? `<span class="card-template-preview-avatar">${escapeHtml(content.initials)}</span>` : ''}
+            <div>
+                <strong>${escapeHtml(content.heading)}</strong>
+                ${content.lines.map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Applies the template from the dialog to the chart and saves it with the current project.
+ * Without a saved project the template is kept until the chart is saved.
+ * @param {HTMLElement} modal - The dialog.
+ */
+async function applyTemplateForm(modal) {
+    const template = readTemplateForm(modal);
+    const errorElement = modal.querySelector('#cardTemplateError');
+    errorElement.textContent = '';
+
+    if (window.setCardTemplate) {
+        window.setCardTemplate(template);
+    } else if (window.state) {
+        window.state.cardTemplate = template;
+    }
+
+    const projectId = window.state?.currentProjectId;
+    if (projectId && window.saveCardTemplate) {
+        const { error } = await window.saveCardTemplate(projectId, template);
+        if (error) {
+            errorElement.textContent = `The template is applied but could not be saved to the project: ${error.message}`;
+            return;
+        }
+    }
+    modal.remove();
+}
+
+function escapeHtml(unsafe) {
+    return String(unsafe ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+// Expose functions to global window object for non-module scripts
+window.openCardTemplateEditor = openCardTemplateEditor;
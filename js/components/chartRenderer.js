@@ -143,6 +143,15 @@ window.renderChartWithData = function(chartData) {
     // Store the original data for later use
     window.state.chartData = chartData;
     
+    // Show the cards the way they were set up for this chart; template changes are saved to it
+    if (chartData.chart) {
+        window.state.currentProjectId = chartData.chart.id;
+        window.state.cardTemplate = window.normalizeCardTemplate
+            ? window.normalizeCardTemplate(chartData.chart.card_template)
+            : chartData.chart.card_template;
+        if (window.restoreStoredPhotos) window.restoreStoredPhotos();
+    }
+    
     // Render the chart
     renderChart(rootNode, '#org-chart');
     
@@ -208,10 +217,18 @@ function initChart(container = '#chart-area') {
         .scaleExtent([0.1, 3])
         .on('zoom', (event) => {
             g.attr('transform', event.transform);
+            scheduleViewportRender();
         });
     
     svg.call(zoom);
     
+    // The canvas renderer has no elements to attach handlers to, so it hit-tests pointer events on the SVG
+    svg.on('click.canvas', handleCanvasClick)
+        // Captured so that it runs before, and can stop, the zoom behaviour's double-click zoom
+        .on('dblclick.canvas', handleCanvasDoubleClick, true)
+        .on('mousemove.canvas', handleCanvasPointerMove)
+        .on('mouseleave.canvas', handleCanvasPointerLeave);
+    
     // Store references in state
     window.state.svg = svg;
     window.state.g = g;
@@ -265,15 +282,17 @@ function buildHierarchy(data) {
 
     // Create lookup map
     const employeeMap = new Map();
+    const virtualRootConfig = getVirtualRootConfig();
     
-    // Add company node first if it doesn't exist in the data
+    // Virtual node grouping all top-level employees (see CONFIG.virtualRoot)
     const companyNode = {
         id: 'company',
-        name: 'The Nunatak Group GmbH',
+        name: virtualRootConfig.name,
         manager: '',
-        title: 'Digital Growth Advisors',
+        title: virtualRootConfig.title,
         children: [],
-        expanded: true
+        expanded: true,
+        _isVirtualRoot: true
     };
     employeeMap.set('company', companyNode);
     
@@ -286,7 +305,7 @@ function buildHierarchy(data) {
             return;
         }
         
-        console.log(`Adding employee to map: ID=${id}, Name=${emp.name}, Manager=${emp.manager}`);
+        console.log(`Adding employee to map: ID=${id}, Name=${emp.name}, Manager=${getManagerId(emp)}`);
         employeeMap.set(id, {
             ...emp,
             id: id, // Ensure ID is consistent
@@ -297,10 +316,7 @@ function buildHierarchy(data) {
 
     console.log('Employee map created with', employeeMap.size, 'entries');
     
-    // Find root and build hierarchy
-    let rootNode = employeeMap.get('company'); // Start with company as root
-    let rootCount = 1;
-    
+    // Every employee without a (known) manager is a top of the forest
     data.forEach(emp => {
         const id = String(emp.id || '');
         if (!id || !employeeMap.has(id)) {
@@ -309,19 +325,18 @@ function buildHierarchy(data) {
         }
         
         const node = employeeMap.get(id);
-        const managerId = String(emp.manager || '');
+        const managerId = getManagerId(emp);
         
         console.log(`Processing employee: ID=${id}, Name=${emp.name}, Manager=${managerId}`);
         
-        if (!managerId || managerId === '' || managerId === id) {
+        if (!managerId || managerId === id) {
             // This is a root node (no manager or self-managed)
             console.log(`Found root node: ${emp.name} (${id})`);
-            // Add to company node
-            employeeMap.get('company').children.push(node);
-        } else if (managerId === 'company' || managerId.toLowerCase() === 'the nunatak group gmbh') {
-            // Add to company node
+            companyNode.children.push(node);
+        } else if (managerId === 'company' || managerId.toLowerCase() === virtualRootConfig.name.toLowerCase()) {
+            // Explicitly reports to the virtual node
             console.log(`Adding ${emp.name} (${id}) as child to company`);
-            employeeMap.get('company').children.push(node);
+            companyNode.children.push(node);
         } else if (employeeMap.has(managerId)) {
             // Add as child to manager
             const managerNode = employeeMap.get(managerId);
@@ -330,19 +345,17 @@ function buildHierarchy(data) {
         } else {
             // Manager not found, add to company
             console.warn(`Manager ${managerId} not found for employee ${id} (${emp.name}). Adding to company.`);
-            employeeMap.get('company').children.push(node);
+            companyNode.children.push(node);
         }
     });
     
-    // Set expansion state for first level children of root
-    if (rootNode && rootNode.children && rootNode.children.length > 0) {
-        // Expand only the first level children of the root
-        rootNode.children.forEach(child => {
-            child.expanded = false; // Keep first level children collapsed initially
-        });
-    }
+    // Keep the top-level employees collapsed initially
+    companyNode.children.forEach(child => {
+        child.expanded = false;
+        child._isForestRoot = true;
+    });
     
-    console.log(`Using company node as root with ${employeeMap.get('company').children.length} direct reports.`);
+    console.log(`Found ${companyNode.children.length} top-level employee(s).`);
 
     // Sort children by name
     const sortChildren = (node) => {
@@ -352,95 +365,497 @@ function buildHierarchy(data) {
         }
     };
     
-    sortChildren(rootNode);
+    sortChildren(companyNode);
+
+    let rootNode = companyNode;
+    if (!virtualRootConfig.enabled) {
+        if (companyNode.children.length === 1) {
+            // A single top is the root itself
+            rootNode = companyNode.children[0];
+            rootNode.expanded = true;
+        } else {
+            // Several tops are laid out side by side under an invisible parent
+            companyNode._isHiddenRoot = true;
+        }
+    }
+
+    // Teams opened or closed earlier stay that way, e.g. when switching to comparison mode
+    applyExpansionState(rootNode);
 
+    console.groupEnd();
     return rootNode;
 }
 
+/**
+ * Reads the virtual root settings, falling back to the defaults for missing values.
+ * @returns {{enabled: boolean, name: string, title: string}}
+ */
+function getVirtualRootConfig() {
+    return {
+        enabled: true,
+        name: 'The Nunatak Group GmbH',
+        title: 'Digital Growth Advisors',
+        ...(window.CONFIG.virtualRoot || {})
+    };
+}
+
+/**
+ * Reads the manager ID of an employee record. Uploaded data uses `managerId`,
+ * older saved charts use `manager`.
+ * @param {Object} emp The employee record.
+ * @returns {string} The trimmed manager ID, or '' for top-level employees.
+ */
+function getManagerId(emp) {
+    return String(emp.managerId ?? emp.manager ?? '').trim();
+}
+
+/**
+ * Returns the node-card class of a position that is not filled, e.g. 'position-vacant'.
+ * @param {Object} node The node.
+ * @returns {string} The class, or '' for filled positions.
+ */
+function getPositionClass(node) {
+    const status = node.positionStatus;
+    return status && status !== 'filled' ? `position-${status}` : '';
+}
+
+/**
+ * Lists the top-level employees of a hierarchy built by `buildHierarchy`.
+ * @param {Object} rootNode The root returned by `buildHierarchy`.
+ * @returns {Array<Object>} The tops below the virtual node, or the root itself.
+ */
+function getForestRoots(rootNode) {
+    if (!rootNode) return [];
+    return rootNode._isVirtualRoot ? rootNode.children || [] : [rootNode];
+}
+
 /* ===========================================
    LAYOUT CALCULATION
 =========================================== */
 
+/** Supported chart orientations: top-down, left-to-right and radial. */
+const ORIENTATIONS = ['vertical', 'horizontal', 'radial'];
+
+/**
+ * Reads the current chart orientation.
+ * @returns {'vertical'|'horizontal'|'radial'}
+ */
+function getOrientation() {
+    return ORIENTATIONS.includes(window.state.orientation) ? window.state.orientation : 'vertical';
+}
+
+/**
+ * Distance between two levels of the hierarchy along the depth axis. Left-to-right
+ * charts step by a card width plus room for the connectors.
+ * @returns {number}
+ */
+function getLevelStep() {
+    const { nodeWidth, horizontalGap, verticalGap } = window.CONFIG;
+    return getOrientation() === 'horizontal' ? nodeWidth + horizontalGap * 2 : verticalGap;
+}
+
+/**
+ * Tidy tree layout (Walker's algorithm in the linear-time form of Buchheim, Jünger
+ * and Leipert). Every visible subtree is packed as close to its left neighbour as its
+ * contours allow, parents are centred over their children and small subtrees between
+ * large ones are spread evenly. Runs in O(n), so charts with thousands of nodes lay
+ * out in a few milliseconds.
+ *
+ * In compact leaves mode, a team made only of individual contributors is stacked
+ * below its manager in rows of `CONFIG.compactLeaves.columns` cards, hanging off a
+ * vertical spine. Each row takes part in the layout as one wide node, so its
+ * neighbours keep clear of the whole stack.
+ */
+
+/**
+ * Reads the compact leaves settings, falling back to the defaults for missing values.
+ * @returns {{columns: number, minTeamSize: number}}
+ */
+function getCompactLeavesConfig() {
+    return {
+        columns: 1,
+        minTeamSize: 4,
+        ...(window.CONFIG.compactLeaves || {})
+    };
+}
+
+/**
+ * Whether the visible team of a node is stacked in compact leaves mode.
+ * @param {Object} node The node.
+ * @returns {boolean}
+ */
+function shouldCompactChildren(node) {
+    // Compact rows are a top-down arrangement
+    if (getOrientation() !== 'vertical') return false;
+    if (!window.state.compactLeaves || node._isVirtualRoot || !node.expanded || !node.children) return false;
+    
+    const { minTeamSize } = getCompactLeavesConfig();
+    return node.children.length >= Math.max(minTeamSize, 1) &&
+        node.children.every(child => !child.children || child.children.length === 0);
+}
+
+/**
+ * Horizontal offsets of the card columns of a compact team from the spine,
+ * left to right. Half of the columns hang left of the spine, the rest right.
+ * @returns {Array<number>}
+ */
+function getCompactColumnOffsets() {
+    const { nodeWidth, horizontalGap } = window.CONFIG;
+    const columns = Math.max(1, Math.floor(getCompactLeavesConfig().columns) || 1);
+    const leftColumns = Math.floor(columns / 2);
+    const firstOffset = horizontalGap + nodeWidth / 2;
+    const step = nodeWidth + horizontalGap;
+
+    return Array.from({ length: columns }, (_, column) => column < leftColumns
+        ? -(firstOffset + (leftColumns - 1 - column) * step)
+        : firstOffset + (column - leftColumns) * step);
+}
+
+/**
+ * Horizontal distance between the centres of two neighbouring nodes, `a` left of `b`.
+ * Nodes of different teams get an extra gap so that teams stay visually apart.
+ * @param {Object} a The left layout node.
+ * @param {Object} b The right layout node.
+ * @returns {number} The distance in pixels.
+ */
+function getLayoutSeparation(a, b) {
+    const { horizontalGap } = window.CONFIG;
+    return a.right + b.left + (a.parent === b.parent ? horizontalGap : horizontalGap * 2);
+}
+
+/**
+ * Wraps the visible part of a hierarchy in layout nodes holding the algorithm's state.
+ * Children of collapsed nodes are not laid out.
+ * @param {Object} node The root node.
+ * @returns {Object} The root layout node.
+ */
+function createLayoutTree(node) {
+    // Extent of a card along the breadth axis: its height when the chart runs left to right
+    const halfWidth = (getOrientation() === 'horizontal' ? window.CONFIG.nodeHeight : window.CONFIG.nodeWidth) / 2;
+    const createLayoutNode = (data, parent, index, depth, left = halfWidth, right = halfWidth) => {
+        const layoutNode = {
+            data,
+            parent,
+            children: null,
+            index,
+            depth,
+            left,           // extent left and right of the centre
+            right,
+            leaves: null,   // cards of a compact team row
+            prelim: 0,      // x relative to the parent, before modifiers
+            mod: 0,         // offset applied to the whole subtree
+            change: 0,
+            shift: 0,
+            thread: null,   // next node on the contour for nodes without children
+            ancestor: null,
+            defaultAncestor: null
+        };
+        layoutNode.ancestor = layoutNode;
+        return layoutNode;
+    };
+
+    const root = createLayoutNode(node, null, 0, 0);
+    const stack = [root];
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        const children = current.data.expanded && current.data.children;
+        if (!children || children.length === 0) continue;
+
+        if (shouldCompactChildren(current.data)) {
+            appendCompactRows(current, children, createLayoutNode);
+            continue;
+        }
+
+        current.children = children.map((child, index) => createLayoutNode(child, current, index, current.depth + 1));
+        stack.push(...current.children);
+    }
+
+    return root;
+}
+
 /**
- * Calculates the total width needed for all children of a node.
- * @param {Object} node The node to calculate children width for.
- * @returns {number} The total width.
+ * Adds a compact team below a layout node as a chain of rows, one level each.
+ * The spine runs through the centre of every row.
  */
-function getTotalChildrenWidth(node) {
-    if (!node.children || node.children.length === 0 || !node.expanded) {
-        return window.CONFIG.nodeWidth;
+function appendCompactRows(layoutNode, leaves, createLayoutNode) {
+    const offsets = getCompactColumnOffsets();
+    const halfWidth = window.CONFIG.nodeWidth / 2;
+    const left = Math.max(0, -offsets[0] + halfWidth);
+    const right = Math.max(0, offsets[offsets.length - 1] + halfWidth);
+
+    let parent = layoutNode;
+    for (let start = 0; start < leaves.length; start += offsets.length) {
+        const row = createLayoutNode(null, parent, 0, parent.depth + 1, left, right);
+        row.leaves = leaves.slice(start, start + offsets.length);
+        parent.children = [row];
+        parent = row;
     }
-    
-    // Sum up the width of all children plus gaps between them
-    let totalWidth = 0;
-    node.children.forEach((child, index) => {
-        totalWidth += getNodeWidth(child);
-        // Add horizontal gap between children (except after the last child)
-        if (index < node.children.length - 1) {
-            totalWidth += window.CONFIG.horizontalGap;
+}
+
+/**
+ * Next node on the left contour of a subtree.
+ */
+function nextLeft(v) {
+    return v.children ? v.children[0] : v.thread;
+}
+
+/**
+ * Next node on the right contour of a subtree.
+ */
+function nextRight(v) {
+    return v.children ? v.children[v.children.length - 1] : v.thread;
+}
+
+/**
+ * Moves the subtree of `wp` right by `shift` and spreads the shift over the
+ * siblings between `wm` and `wp` (applied later by `executeShifts`).
+ */
+function moveSubtree(wm, wp, shift) {
+    const change = shift / (wp.index - wm.index);
+    wp.change -= change;
+    wp.shift += shift;
+    wm.change += change;
+    wp.prelim += shift;
+    wp.mod += shift;
+}
+
+/**
+ * Applies the shifts recorded by `moveSubtree` to the children of a node.
+ */
+function executeShifts(v) {
+    let shift = 0;
+    let change = 0;
+    for (let i = v.children.length - 1; i >= 0; i--) {
+        const w = v.children[i];
+        w.prelim += shift;
+        w.mod += shift;
+        change += w.change;
+        shift += w.shift + change;
+    }
+}
+
+/**
+ * The sibling of `v` whose subtree contains the conflicting contour node `vim`.
+ */
+function nextAncestor(vim, v, ancestor) {
+    return vim.ancestor.parent === v.parent ? vim.ancestor : ancestor;
+}
+
+/**
+ * Pushes the subtree of `v` right until it no longer overlaps the subtrees of its
+ * left siblings, comparing the contours level by level.
+ * @returns {Object} The default ancestor for the next sibling.
+ */
+function apportion(v, w, ancestor) {
+    if (!w) return ancestor;
+
+    let vip = v;
+    let vop = v;
+    let vim = w;
+    let vom = v.parent.children[0];
+    let sip = vip.mod;
+    let sop = vop.mod;
+    let sim = vim.mod;
+    let som = vom.mod;
+
+    // Both contours advance each round; the loop ends when either runs out
+    for (vim = nextRight(vim), vip = nextLeft(vip); vim && vip; vim = nextRight(vim), vip = nextLeft(vip)) {
+        vom = nextLeft(vom);
+        vop = nextRight(vop);
+        vop.ancestor = v;
+
+        const shift = vim.prelim + sim - (vip.prelim + sip) + getLayoutSeparation(vim, vip);
+        if (shift > 0) {
+            moveSubtree(nextAncestor(vim, v, ancestor), v, shift);
+            sip += shift;
+            sop += shift;
         }
-    });
-    
-    return Math.max(window.CONFIG.nodeWidth, totalWidth);
+
+        sim += vim.mod;
+        sip += vip.mod;
+        som += vom.mod;
+        sop += vop.mod;
+    }
+
+    // Thread the shorter contour onto the longer one
+    if (vim && !nextRight(vop)) {
+        vop.thread = vim;
+        vop.mod += sim - sop;
+    }
+    if (vip && !nextLeft(vom)) {
+        vom.thread = vip;
+        vom.mod += sip - som;
+        ancestor = v;
+    }
+
+    return ancestor;
 }
 
 /**
- * Gets the width of a node, considering its children if expanded.
- * @param {Object} node The node to get width for.
- * @returns {number} The node width.
+ * Computes the preliminary x of a node once all of its children are placed.
  */
-function getNodeWidth(node) {
-    if (!node.children || node.children.length === 0 || !node.expanded) {
-        return window.CONFIG.nodeWidth;
+function firstWalk(v) {
+    const siblings = v.parent ? v.parent.children : [v];
+    const w = v.index > 0 ? siblings[v.index - 1] : null;
+
+    if (v.children) {
+        executeShifts(v);
+        const midpoint = (v.children[0].prelim + v.children[v.children.length - 1].prelim) / 2;
+        if (w) {
+            v.prelim = w.prelim + getLayoutSeparation(w, v);
+            v.mod = v.prelim - midpoint;
+        } else {
+            v.prelim = midpoint;
+        }
+    } else if (w) {
+        v.prelim = w.prelim + getLayoutSeparation(w, v);
+    }
+
+    if (v.parent) {
+        v.parent.defaultAncestor = apportion(v, w, v.parent.defaultAncestor || siblings[0]);
     }
-    
-    // For expanded nodes, return the total width of all children
-    return getTotalChildrenWidth(node);
 }
 
 /**
- * Recursively calculates the x and y coordinates for each node in the hierarchy.
+ * Calculates the x and y coordinates for each visible node in the hierarchy.
+ * The root is placed at (x, y); descendants never overlap and each parent is
+ * centred over its visible children. The tidy layout is computed along a breadth
+ * and a depth axis and then projected onto the current orientation.
  * @param {Object} node The current node to calculate layout for.
  * @param {number} x The x-coordinate for the current node.
  * @param {number} y The y-coordinate for the current node.
  */
 function calculateLayout(node, x, y) {
     if (!node) return;
-    
-    // Set node position
-    node.x = x;
-    node.y = y;
-    
-    // If node is not expanded, don't layout children
-    if (!node.expanded) return;
-    
-    // If no children or children are empty array, return
-    if (!node.children || node.children.length === 0) return;
-    
-    // Calculate total width needed for all children
-    const childrenCount = node.children.length;
-    const totalChildrenWidth = childrenCount * window.CONFIG.nodeWidth + (childrenCount - 1) * window.CONFIG.horizontalGap;
-    
-    // Calculate starting x position for first child
-    let startX = x - totalChildrenWidth / 2 + window.CONFIG.nodeWidth / 2;
-    
-    // Position each child
-    node.children.forEach(child => {
-        calculateLayout(child, startX, y + window.CONFIG.verticalGap);
-        startX += window.CONFIG.nodeWidth + window.CONFIG.horizontalGap;
+
+    const root = createLayoutTree(node);
+
+    // Post-order, left to right: children and left siblings are placed first
+    const pending = [root];
+    const postOrder = [];
+    while (pending.length > 0) {
+        const current = pending.pop();
+        postOrder.push(current);
+        if (current.children) pending.push(...current.children);
+    }
+    for (let i = postOrder.length - 1; i >= 0; i--) {
+        firstWalk(postOrder[i]);
+    }
+
+    // Pre-order: sum the modifiers of all ancestors into the final breadth positions
+    const placements = [];
+    const stack = [{ layoutNode: root, modSum: 0 }];
+    const columnOffsets = getCompactColumnOffsets();
+    while (stack.length > 0) {
+        const { layoutNode, modSum } = stack.pop();
+        const breadth = layoutNode.prelim + modSum - root.prelim;
+
+        if (layoutNode.leaves) {
+            // Cards of a compact row hang off the spine at the row's centre
+            layoutNode.leaves.forEach((leaf, column) => {
+                placements.push({ node: leaf, breadth: breadth + columnOffsets[column], depth: layoutNode.depth, spine: breadth });
+            });
+        } else {
+            placements.push({ node: layoutNode.data, breadth, depth: layoutNode.depth, spine: null });
+        }
+
+        if (layoutNode.children) {
+            layoutNode.children.forEach(child => stack.push({ layoutNode: child, modSum: modSum + layoutNode.mod }));
+        }
+    }
+
+    if (getOrientation() === 'radial') {
+        projectRadialLayout(placements, x, y);
+        return;
+    }
+
+    const horizontal = getOrientation() === 'horizontal';
+    const levelStep = getLevelStep();
+    placements.forEach(({ node, breadth, depth, spine }) => {
+        node.x = horizontal ? x + depth * levelStep : x + breadth;
+        node.y = horizontal ? y + breadth : y + depth * levelStep;
+        node._compactSpineX = spine === null ? null : x + spine;
+        node._angle = null;
+    });
+}
+
+/**
+ * Wraps the breadth axis of a tidy layout around the root at (x, y): breadth becomes
+ * the angle and depth the ring. Each ring lies far enough out for its closest
+ * neighbours to clear each other, and at least one card width beyond the ring inside it.
+ * @param {Array<{node: Object, breadth: number, depth: number}>} placements The laid out nodes.
+ * @param {number} x The x-coordinate of the centre.
+ * @param {number} y The y-coordinate of the centre.
+ */
+function projectRadialLayout(placements, x, y) {
+    const minSeparation = window.CONFIG.nodeWidth + window.CONFIG.horizontalGap;
+    const breadths = placements.map(placement => placement.breadth);
+    const minBreadth = Math.min(...breadths);
+    // One extra separation keeps the first and last node of the circle apart
+    const span = Math.max(...breadths) - minBreadth + minSeparation;
+
+    const breadthsByDepth = [];
+    placements.forEach(({ breadth, depth }) => {
+        (breadthsByDepth[depth] = breadthsByDepth[depth] || []).push(breadth);
+    });
+
+    const radii = [0];
+    for (let depth = 1; depth < breadthsByDepth.length; depth++) {
+        const ring = (breadthsByDepth[depth] || []).sort((a, b) => a - b);
+        let closest = span;
+        for (let i = 1; i < ring.length; i++) closest = Math.min(closest, ring[i] - ring[i - 1]);
+
+        const angle = Math.min(Math.PI, (closest / span) * 2 * Math.PI);
+        radii[depth] = Math.max(radii[depth - 1] + minSeparation, minSeparation / (2 * Math.sin(angle / 2)));
+    }
+
+    placements.forEach(({ node, breadth, depth }) => {
+        const angle = ((breadth - minBreadth) / span) * 2 * Math.PI - Math.PI / 2;
+        node.x = x + radii[depth] * Math.cos(angle);
+        node.y = y + radii[depth] * Math.sin(angle);
+        node._angle = depth > 0 ? angle : null;
+        node._compactSpineX = null;
     });
 }
 
+/**
+ * Position of a node's expand/collapse button relative to its centre: on the side
+ * its team branches off.
+ * @param {Object} node The node.
+ * @returns {{x: number, y: number}}
+ */
+function getExpandButtonPosition(node) {
+    const { nodeWidth, nodeHeight } = window.CONFIG;
+    const orientation = getOrientation();
+
+    if (orientation === 'horizontal') {
+        return { x: nodeWidth / 2, y: 0 };
+    }
+    if (orientation === 'radial' && node._angle !== null && node._angle !== undefined) {
+        // Where the ray from the centre leaves the card
+        const cos = Math.cos(node._angle);
+        const sin = Math.sin(node._angle);
+        const scale = Math.min(
+            Math.abs(cos) > 1e-6 ? (nodeWidth / 2) / Math.abs(cos) : Infinity,
+            Math.abs(sin) > 1e-6 ? (nodeHeight / 2) / Math.abs(sin) : Infinity
+        );
+        return { x: cos * scale, y: sin * scale };
+    }
+    return { x: nodeWidth / 2 - 5, y: -nodeHeight / 2 + 5 };
+}
+
 
 /**
  * Gets all visible nodes in the hierarchy based on expanded state.
+ * A hidden virtual root is skipped, its children are still returned.
  * @param {Object} node The root node to start from.
  * @returns {Array} Array of visible nodes.
  */
 function getVisibleNodes(node) {
     if (!node) return [];
     
-    const nodes = [node];
+    const nodes = node._isHiddenRoot ? [] : [node];
     
     if (node.expanded && node.children) {
         node.children.forEach(child => {
@@ -461,7 +876,8 @@ function getVisibleLinks(node) {
         return [];
     }
     
-    const links = node.children.map(child => ({
+    // No connectors from a hidden virtual root to the tops below it
+    const links = node._isHiddenRoot ? [] : node.children.map(child => ({
         source: node,
         target: child,
         changeType: child.changeType
@@ -492,6 +908,25 @@ function handleNodeClick(event, d) {
     
     // Show node statistics
     showNodeStats(d);
+    
+    // Redraw so the selection outline follows the clicked node
+    scheduleViewportRender();
+    
+    // The side-by-side comparison selects the same person in the baseline pane
+    if (window.selectInBaselinePane) window.selectInBaselinePane(d.id);
+}
+
+/**
+ * Handle node double-click event: focuses the chart on a manager's team.
+ * @param {Event} event The mouse event.
+ * @param {Object} d The node data object.
+ */
+function handleNodeDoubleClick(event, d) {
+    event.stopPropagation();
+    // Quick clicks on the expand button only toggle the team
+    if (event.target.closest('.expand-button, .expand-icon')) return;
+    if (!canFocusOnNode(d)) return;
+    focusOnNode(d.id);
 }
 
 /**
@@ -541,7 +976,7 @@ function updateSelectedNodeStatistics(node) {
                 ` : ''}
                 <div class="stat-item">
                     <div class="stat-label">Direct Reports</div>
-                    <div class="stat-value">${node.children ? node.children.length : 0}</div>
+                    <div class="stat-value">${getTeamChildren(node).length}</div>
                 </div>
                 <div class="stat-item">
                     <div class="stat-label">Total Team Size</div>
@@ -560,16 +995,24 @@ function updateSelectedNodeStatistics(node) {
  * @returns {number} The total number of descendants.
  */
 function countTotalDescendants(node) {
-    if (!node.children || !node.children.length) return 0;
-    
-    let count = node.children.length;
-    for (const child of node.children) {
+    const children = getTeamChildren(node);
+    let count = children.length;
+    for (const child of children) {
         count += countTotalDescendants(child);
     }
     
     return count;
 }
 
+/**
+ * Lists the direct reports of a node, without the ghost nodes of employees who leave.
+ * @param {Object} node The node.
+ * @returns {Array<Object>}
+ */
+function getTeamChildren(node) {
+    return (node.children || []).filter(child => !child._isExitGhost);
+}
+
 /**
  * Handles mouse hover events on a chart node.
  * Highlights the ancestor path of the hovered node.
@@ -603,31 +1046,29 @@ function handleNodeUnhover(event, d) {
  * @returns {Array<string>} Array of ancestor node IDs.
  */
 function findAncestors(node) {
-    const ancestors = [];
-    const parentMap = new Map();
-    
-    // Build parent map
-    function buildParentMap(node) {
-        if (node.children) {
-            node.children.forEach(child => {
-                parentMap.set(child.id, node.id);
-                buildParentMap(child);
-            });
-        }
-    }
-    
+    return findAncestorNodes(node).map(ancestor => ancestor.id);
+}
+
+/**
+ * Finds the ancestors of a node in the rendered hierarchy, nearest first. The hierarchy
+ * includes ghost nodes and the virtual root, which the raw employee data does not.
+ * @param {Object} node The node to find ancestors for.
+ * @returns {Array<Object>} The ancestor nodes, from the direct manager up to the root.
+ */
+function findAncestorNodes(node) {
+    const parents = new Map();
     if (window.state.rootNode) {
-        buildParentMap(window.state.rootNode);
+        getHierarchyNodes(window.state.rootNode).forEach(parent => {
+            (parent.children || []).forEach(child => parents.set(child.id, parent));
+        });
     }
-    
-    // Find ancestors
-    let currentId = node.id;
-    while (parentMap.has(currentId)) {
-        const parentId = parentMap.get(currentId);
-        ancestors.push(parentId);
-        currentId = parentId;
+
+    const ancestors = [];
+    let current = parents.get(node.id);
+    while (current && !ancestors.includes(current)) {
+        ancestors.push(current);
+        current = parents.get(current.id);
     }
-    
     return ancestors;
 }
 
@@ -645,7 +1086,8 @@ function setupTooltip() {
 function expandAll() {
     if (!window.state.rootNode) return;
     expandAllNodes(window.state.rootNode);
-    renderChart();
+    recordExpansionState();
+    renderChart(window.state.rootNode);
 }
 
 /**
@@ -666,7 +1108,8 @@ function collapseAll() {
     if (!window.state.rootNode) return;
     collapseAllNodes(window.state.rootNode);
     window.state.rootNode.expanded = true; // Keep root expanded
-    renderChart();
+    recordExpansionState();
+    renderChart(window.state.rootNode);
 }
 
 /**
@@ -688,94 +1131,352 @@ function resetView() {
     
     collapseAllNodes(window.state.rootNode);
     window.state.rootNode.expanded = true;
+    recordExpansionState();
     window.state.selectedNode = window.state.rootNode;
-    renderChart();
+    renderChart(window.state.rootNode);
     updateSelectedNodeStatistics(window.state.rootNode);
     centerChart();
 }
 
 /* ===========================================
-   CHART RENDERING
+   EXPANSION STATE
 =========================================== */
 
+/** Delay before a changed expansion state is saved, so that quick clicks are saved once. */
+const EXPANSION_SAVE_DELAY = 1000;
+
+let expansionSaveTimeout = null;
+
 /**
- * Main rendering function for the chart.
- * It clears the SVG, gets the visible nodes and links, and calls the respective
- * rendering functions for them.
+ * Opens or closes a team and remembers it.
+ * @param {Object} node The node whose team is toggled.
  */
-function renderChart(rootNode, selector) {
-    console.group('renderChart');
-    console.log('Root node:', rootNode);
-    console.log('Selector:', selector);
-    
-    if (!rootNode) {
-        const errorMsg = 'No root node provided to renderChart';
-        console.error(errorMsg);
-        showError('No data available to render the organization chart.');
-        console.groupEnd();
-        return;
-    }
-    
-    // Ensure rootNode has required properties
-    if (!rootNode.id || !rootNode.name) {
-        const errorMsg = `Invalid root node structure - missing required properties. Node: ${JSON.stringify(rootNode, null, 2)}`;
-        console.error(errorMsg);
-        showError('Invalid chart data structure. Please check the data format.');
-        console.groupEnd();
-        return;
-    }
-    
-    // Initialize chart if selector is provided
-    if (selector) {
-        console.log('Initializing chart with selector:', selector);
-        const initResult = initChart(selector);
-        console.log('Chart initialization result:', initResult);
-    }
-    
-    if (!window.state || !window.state.g) {
-        console.error('Chart not initialized properly. state:', window.state);
-        return;
-    }
-    
-    // Set root node in state
-    window.state.rootNode = rootNode;
-    
-    // Calculate layout
-    console.log('Calculating layout...');
-    calculateLayout(window.state.rootNode, window.state.width / 2, 100);
-    
-    // Get only visible nodes and links based on expanded state
-    const nodes = getVisibleNodes(window.state.rootNode);
-    const links = getVisibleLinks(window.state.rootNode);
-    
-    console.log('Visible nodes:', nodes.length, 'Visible links:', links.length);
-
-    // Render connections first (so they appear behind nodes)
-    console.log('Rendering connections...');
-    renderConnections(links);
-    
-    // Render nodes
-    console.log('Rendering nodes...');
-    renderNodes(nodes);
-    
-    // Auto-fit the chart with requestAnimationFrame for better performance
-    console.log('Scheduling fitChartToView...');
-    requestAnimationFrame(() => {
-        console.log('Fitting chart to view...');
-        fitChartToView();
-    });
-    
-    // Setup tooltip
-    setupTooltip();
-    
-    console.log('Chart rendering complete');
+function toggleNodeExpansion(node) {
+    node.expanded = !node.expanded;
+    recordExpansionState();
+    renderChart(window.state.rootNode);
 }
 
 /**
- * Renders the L-shaped SVG paths for the links between nodes.
- * @param {Array<Object>} links The array of visible link objects to render.
+ * Shows the given number of levels below the top, e.g. 2 for the top employees and
+ * their direct reports. The virtual top node is not a level.
+ * @param {number|string} levels The number of levels, or 'all'.
  */
-function renderConnections(links) {
+function showLevels(levels) {
+    if (!window.state.rootNode || levels === '' || levels === null || levels === undefined) return;
+    if (levels === 'all') {
+        expandAll();
+        return;
+    }
+
+    const count = Math.max(1, parseInt(levels, 10) || 1);
+    const expandToLevel = (node, level) => {
+        if (!node.children || node.children.length === 0) return;
+        node.expanded = node._isVirtualRoot || level < count;
+        node.children.forEach(child => expandToLevel(child, level + 1));
+    };
+    const rootNode = window.state.rootNode;
+    expandToLevel(rootNode, rootNode._isVirtualRoot ? 0 : 1);
+
+    recordExpansionState();
+    renderChart(rootNode);
+}
+
+/**
+ * Stores which teams are open, keyed by employee ID, so that the state survives
+ * `buildHierarchy` running again, and saves it with the current project.
+ */
+function recordExpansionState() {
+    if (!window.state.rootNode) return;
+
+    window.state.expandedNodeIds = getHierarchyNodes(window.state.rootNode)
+        .filter(node => node.expanded && !node._isVirtualRoot && node.children && node.children.length > 0)
+        .map(node => normalizeId(node.id));
+
+    const projectId = window.state.currentProjectId;
+    if (!projectId || !window.saveExpansionState) return;
+
+    clearTimeout(expansionSaveTimeout);
+    expansionSaveTimeout = setTimeout(() => {
+        window.saveExpansionState(projectId, window.state.expandedNodeIds);
+    }, EXPANSION_SAVE_DELAY);
+}
+
+/**
+ * Opens the teams of the stored expansion state and closes the others. Without a
+ * stored state the defaults of `buildHierarchy` are kept.
+ * @param {Object} rootNode The root of the hierarchy.
+ */
+function applyExpansionState(rootNode) {
+    const expandedIds = window.state.expandedNodeIds;
+    if (!rootNode || !Array.isArray(expandedIds)) return;
+
+    const expanded = new Set(expandedIds.map(normalizeId));
+    getHierarchyNodes(rootNode).forEach(node => {
+        if (node._isVirtualRoot) return;
+        node.expanded = expanded.has(normalizeId(node.id));
+    });
+}
+
+/* ===========================================
+   FOCUS
+=========================================== */
+
+/** URL query parameter holding the ID of the focused manager, so that a focused view can be bookmarked. */
+const FOCUS_URL_PARAM = 'focus';
+
+/**
+ * Re-roots the chart at a manager: only they and their team are drawn, below a
+ * breadcrumb of their managers to go back up. The focus is added to the URL and the
+ * browser history, so the back button returns to the previous view.
+ * @param {?string} id The manager's ID, or null to show the whole organization.
+ */
+function focusOnNode(id) {
+    const focusId = id ? normalizeId(id) : null;
+    window.state.focusNodeId = focusId;
+    writeFocusToUrl(focusId);
+    if (window.state.rootNode) renderChart(window.state.rootNode);
+}
+
+/**
+ * Shows the whole organization again.
+ */
+function clearFocus() {
+    focusOnNode(null);
+}
+
+/**
+ * Whether a node can be focused on: managers, but not the virtual top node or stubs.
+ * @param {Object} node The node.
+ * @returns {boolean}
+ */
+function canFocusOnNode(node) {
+    return Boolean(node && !node.isStub && !node._isVirtualRoot && !node._isDefaultNode &&
+        node.children && node.children.length > 0);
+}
+
+/**
+ * Finds the node the chart is focused on.
+ * @returns {?Object} The focused node, or null when the whole organization is shown.
+ */
+function getFocusedNode() {
+    const focusId = window.state.focusNodeId;
+    if (!focusId || !window.state.rootNode) return null;
+    return getHierarchyNodes(window.state.rootNode)
+        .find(node => !node._isVirtualRoot && normalizeId(node.id) === focusId) || null;
+}
+
+/**
+ * Whether an employee is drawn in the focused chart, i.e. is the focused manager or in their team.
+ * @param {string} id The employee's ID.
+ * @returns {boolean} Always true when the whole organization is shown.
+ */
+function isNodeInFocus(id) {
+    const focusNode = getFocusedNode();
+    if (!focusNode) return true;
+    const employeeId = normalizeId(id);
+    return getHierarchyNodes(focusNode).some(node => normalizeId(node.id) === employeeId);
+}
+
+/**
+ * Picks the node the chart is drawn from: the focused manager, with their team open,
+ * or the root of the hierarchy. A focus on an employee who is not in the data, e.g.
+ * after switching to a version of the organization without them, is dropped.
+ * @param {Object} rootNode The root of the hierarchy.
+ * @returns {Object} The root of the drawn chart.
+ */
+function getChartRoot(rootNode) {
+    if (!window.state.focusNodeId || rootNode._isDefaultNode) return rootNode;
+
+    const focusNode = getFocusedNode();
+    if (!focusNode) {
+        window.state.focusNodeId = null;
+        writeFocusToUrl(null, true);
+        return rootNode;
+    }
+    if (focusNode.children && focusNode.children.length > 0) focusNode.expanded = true;
+    return focusNode;
+}
+
+/**
+ * Shows the managers above the focused node as a breadcrumb, from the top of the
+ * organization down. Each entry focuses the chart on that manager.
+ * @param {?Object} focusNode The focused node, or null to hide the breadcrumb.
+ */
+function updateFocusBreadcrumb(focusNode) {
+    const breadcrumb = document.getElementById('focusBreadcrumb');
+    if (!breadcrumb) return;
+
+    breadcrumb.replaceChildren();
+    if (!focusNode) {
+        breadcrumb.style.display = 'none';
+        return;
+    }
+
+    const managers = findAncestorNodes(focusNode)
+        .reverse()
+        .filter(node => !node._isVirtualRoot);
+    const entries = [
+        { id: null, label: 'Whole organization' },
+        ...managers.map(node => ({ id: node.id, label: node.name || node.id }))
+    ];
+
+    entries.forEach(entry => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'focus-breadcrumb-item';
+        button.textContent = entry.label;
+        button.addEventListener('click', () => focusOnNode(entry.id));
+
+        const separator = document.createElement('span');
+        separator.className = 'focus-breadcrumb-separator';
+        separator.textContent = '›';
+        breadcrumb.append(button, separator);
+    });
+
+    const current = document.createElement('span');
+    current.className = 'focus-breadcrumb-current';
+    current.textContent = focusNode.name || focusNode.id;
+    breadcrumb.append(current);
+    breadcrumb.style.display = 'flex';
+}
+
+/**
+ * Reads the focused manager's ID from the URL.
+ * @returns {?string}
+ */
+function readFocusFromUrl() {
+    const id = new URLSearchParams(window.location.search).get(FOCUS_URL_PARAM);
+    return id ? normalizeId(id) : null;
+}
+
+/**
+ * Writes the focused manager's ID to the URL, keeping its other parameters.
+ * @param {?string} id The ID, or null to remove it.
+ * @param {boolean} [replace=false] Whether to replace the current history entry instead of adding one.
+ */
+function writeFocusToUrl(id, replace = false) {
+    const url = new URL(window.location.href);
+    if (id) {
+        url.searchParams.set(FOCUS_URL_PARAM, id);
+    } else {
+        url.searchParams.delete(FOCUS_URL_PARAM);
+    }
+    if (url.href === window.location.href) return;
+
+    if (replace) {
+        window.history.replaceState({ focusNodeId: id }, '', url);
+    } else {
+        window.history.pushState({ focusNodeId: id }, '', url);
+    }
+}
+
+// A bookmarked view opens focused, and the back and forward buttons move between focused views
+window.state.focusNodeId = readFocusFromUrl();
+window.addEventListener('popstate', () => {
+    window.state.focusNodeId = readFocusFromUrl();
+    if (window.state.rootNode) renderChart(window.state.rootNode);
+});
+
+/* ===========================================
+   CHART RENDERING
+=========================================== */
+
+/**
+ * Main rendering function for the chart.
+ * It clears the SVG, gets the visible nodes and links, and calls the respective
+ * rendering functions for them.
+ */
+function renderChart(rootNode, selector) {
+    console.group('renderChart');
+    console.log('Root node:', rootNode);
+    console.log('Selector:', selector);
+    
+    if (!rootNode) {
+        const errorMsg = 'No root node provided to renderChart';
+        console.error(errorMsg);
+        showError('No data available to render the organization chart.');
+        console.groupEnd();
+        return;
+    }
+    
+    // Ensure rootNode has required properties
+    if (!rootNode.id || !rootNode.name) {
+        const errorMsg = `Invalid root node structure - missing required properties. Node: ${JSON.stringify(rootNode, null, 2)}`;
+        console.error(errorMsg);
+        showError('Invalid chart data structure. Please check the data format.');
+        console.groupEnd();
+        return;
+    }
+    
+    // Initialize chart if selector is provided
+    if (selector) {
+        console.log('Initializing chart with selector:', selector);
+        const initResult = initChart(selector);
+        console.log('Chart initialization result:', initResult);
+    }
+    
+    if (!window.state || !window.state.g) {
+        console.error('Chart not initialized properly. state:', window.state);
+        return;
+    }
+    
+    // Set root node in state
+    window.state.rootNode = rootNode;
+    
+    // A focused chart is drawn from the focused manager; the full hierarchy stays in state
+    const chartRoot = getChartRoot(rootNode);
+    viewport.root = chartRoot;
+    updateFocusBreadcrumb(chartRoot === rootNode ? null : chartRoot);
+    
+    // Calculate layout
+    console.log('Calculating layout...');
+    calculateLayout(chartRoot, window.state.width / 2, 100);
+    assignTeamSizes(window.state.rootNode);
+    updateColorScale();
+    updateColorLegend();
+    updateColorByControl();
+    
+    // Get only visible nodes and links based on expanded state
+    const nodes = getVisibleNodes(chartRoot);
+    const links = getVisibleLinks(chartRoot);
+    
+    console.log('Visible nodes:', nodes.length, 'Visible links:', links.length);
+
+    // Only the part of the chart inside the viewport is drawn; zooming and panning draw the rest
+    viewport.nodes = nodes;
+    viewport.links = links;
+    viewport.dottedLinks = getDottedLineLinks(nodes);
+    setRenderMode(nodes.length > getRenderingConfig().canvasThreshold ? 'canvas' : 'svg');
+    
+    console.log(`Rendering ${window.state.renderMode === 'canvas' ? 'on canvas' : 'SVG elements'}...`);
+    renderViewport(window.CONFIG.animationDuration);
+    updateDottedLineToggle();
+    updateCompactLeavesToggle();
+    updateOrientationButtons();
+    
+    // Auto-fit the chart with requestAnimationFrame for better performance
+    console.log('Scheduling fitChartToView...');
+    requestAnimationFrame(() => {
+        console.log('Fitting chart to view...');
+        fitChartToView();
+    });
+    
+    // Setup tooltip
+    setupTooltip();
+    
+    // The baseline pane of the side-by-side comparison follows expansion and focus
+    if (window.updateComparisonViews) window.updateComparisonViews();
+    
+    console.log('Chart rendering complete');
+}
+
+/**
+ * Renders the L-shaped SVG paths for the links between nodes.
+ * @param {Array<Object>} links The array of visible link objects to render.
+ * @param {number} [animationDuration] Duration of the enter/update/exit transitions.
+ */
+function renderConnections(links, animationDuration = window.CONFIG.animationDuration) {
     // Create connection lines with a more specific key function
     const connectionLines = window.state.g.selectAll('.connection-line')
         .data(links, d => `${d.source.id}-${d.target.id}`);
@@ -788,20 +1489,20 @@ function renderConnections(links) {
         .attr('fill', 'none')
         .attr('opacity', 0)
         .transition()
-        .duration(window.CONFIG.animationDuration)
+        .duration(animationDuration)
         .attr('opacity', 1);
     
     // Handle update selection with class updates
     connectionLines
         .transition()
-        .duration(window.CONFIG.animationDuration)
+        .duration(animationDuration)
         .attr('d', d => generateLShapedPath(d))
         .attr('class', d => `connection-line ${d.changeType || ''}`);
     
     // Handle exit selection with fade out
     connectionLines.exit()
         .transition()
-        .duration(window.CONFIG.animationDuration)
+        .duration(animationDuration)
         .style('opacity', 0)
         .remove();
     
@@ -812,351 +1513,1583 @@ function renderConnections(links) {
 }
 
 /**
- * Generates a straight path between two nodes.
- * @param {Object} link The link object with source and target nodes.
- * @returns {string} The SVG path string.
+ * Generates a straight path between two nodes.
+ * @param {Object} link The link object with source and target nodes.
+ * @returns {string} The SVG path string.
+ */
+function generateLShapedPath(link) {
+    // Compact team members are reached from the side, off the spine below their manager
+    if (link.target._compactSpineX !== null && link.target._compactSpineX !== undefined) {
+        return generateSpinePath(link);
+    }
+    
+    const orientation = getOrientation();
+    if (orientation === 'radial') {
+        // Straight spokes; the cards cover the ends
+        return `M${link.source.x},${link.source.y} L${link.target.x},${link.target.y}`;
+    }
+    if (orientation === 'horizontal') {
+        const startX = link.source.x + window.CONFIG.nodeWidth / 2;
+        const endX = link.target.x - window.CONFIG.nodeWidth / 2;
+        const midX = startX + (endX - startX) / 2;
+        return `M${startX},${link.source.y} L${midX},${link.source.y} L${midX},${link.target.y} L${endX},${link.target.y}`;
+    }
+    
+    const sourceX = link.source.x;
+    const sourceY = link.source.y + window.CONFIG.nodeHeight / 2;
+    const targetX = link.target.x;
+    const targetY = link.target.y - window.CONFIG.nodeHeight / 2;
+    
+    // Calculate midpoint Y for the vertical segment
+    const midY = sourceY + (targetY - sourceY) / 2;
+    
+    // Create a path with straight lines and right angles
+    return `M${sourceX},${sourceY} L${sourceX},${midY} L${targetX},${midY} L${targetX},${targetY}`;
+}
+
+/**
+ * Generates the side connector of a compact team member: down the spine, then
+ * across to the edge of the card facing it.
+ * @param {Object} link The link object with source and target nodes.
+ * @returns {string} The SVG path string.
+ */
+function generateSpinePath(link) {
+    const spineX = link.target._compactSpineX;
+    const sourceY = link.source.y + window.CONFIG.nodeHeight / 2;
+    const targetY = link.target.y;
+    const edgeX = link.target.x + (link.target.x < spineX ? 1 : -1) * window.CONFIG.nodeWidth / 2;
+    
+    return `M${spineX},${sourceY} L${spineX},${targetY} L${edgeX},${targetY}`;
+}
+
+/**
+ * Gets the dotted-line links between visible nodes. Links to or from collapsed
+ * parts of the chart are not drawn.
+ * @param {Array<Object>} nodes The visible nodes.
+ * @returns {Array<Object>} Links from each dotted-line manager to their report.
+ */
+function getDottedLineLinks(nodes) {
+    if (window.state.showDottedLines === false) return [];
+    
+    const visibleById = new Map(nodes.map(node => [normalizeId(node.id), node]));
+    const links = [];
+    nodes.forEach(node => {
+        (node.dottedLineManagerIds || []).forEach(managerId => {
+            const manager = visibleById.get(normalizeId(managerId));
+            if (manager) {
+                links.push({ source: manager, target: node, changeType: node.dottedLineChange ? 'changed' : '' });
+            }
+        });
+    });
+    
+    return links;
+}
+
+/**
+ * Renders the dashed overlay connectors for dotted-line reporting relationships.
+ * @param {Array<Object>} links The dotted-line links to render.
+ * @param {number} [animationDuration] Duration of the enter/update transitions.
+ */
+function renderDottedLineConnections(links, animationDuration = window.CONFIG.animationDuration) {
+    const dottedLines = window.state.g.selectAll('.dotted-line-connection')
+        .data(links, d => `${d.source.id}~${d.target.id}`);
+    
+    dottedLines.enter()
+        .append('path')
+        .attr('class', d => `dotted-line-connection ${d.changeType}`)
+        .attr('d', d => generateDottedLinePath(d))
+        .attr('fill', 'none')
+        .attr('opacity', 0)
+        .transition()
+        .duration(animationDuration)
+        .attr('opacity', 1);
+    
+    dottedLines
+        .attr('class', d => `dotted-line-connection ${d.changeType}`)
+        .transition()
+        .duration(animationDuration)
+        .attr('d', d => generateDottedLinePath(d));
+    
+    dottedLines.exit().remove();
+    
+    // Keep the overlay above the nodes
+    window.state.g.selectAll('.dotted-line-connection').raise();
+}
+
+/**
+ * Generates a curved path for a dotted-line link, so it stays distinguishable
+ * from the right-angled line-manager connectors.
+ * @param {Object} link The link object with source and target nodes.
+ * @returns {string} The SVG path string.
+ */
+function generateDottedLinePath(link) {
+    const orientation = getOrientation();
+    if (orientation === 'radial') {
+        // Bend towards the centre so the curve does not run along the spokes
+        const center = viewport.root || { x: 0, y: 0 };
+        const midX = (link.source.x + link.target.x) / 2;
+        const midY = (link.source.y + link.target.y) / 2;
+        const controlX = midX + (center.x - midX) * 0.35;
+        const controlY = midY + (center.y - midY) * 0.35;
+        return `M${link.source.x},${link.source.y} Q${controlX},${controlY} ${link.target.x},${link.target.y}`;
+    }
+    if (orientation === 'horizontal') {
+        const startX = link.source.x + window.CONFIG.nodeWidth / 2;
+        const endX = link.target.x - window.CONFIG.nodeWidth / 2;
+        const midX = startX + (endX - startX) / 2;
+        return `M${startX},${link.source.y} C${midX},${link.source.y} ${midX},${link.target.y} ${endX},${link.target.y}`;
+    }
+    
+    const sourceX = link.source.x;
+    const sourceY = link.source.y + window.CONFIG.nodeHeight / 2;
+    const targetX = link.target.x;
+    const targetY = link.target.y - window.CONFIG.nodeHeight / 2;
+    const midY = sourceY + (targetY - sourceY) / 2;
+    
+    return `M${sourceX},${sourceY} C${sourceX},${midY} ${targetX},${midY} ${targetX},${targetY}`;
+}
+
+/**
+ * Shows or hides the dotted-line overlay.
+ */
+function toggleDottedLines() {
+    window.state.showDottedLines = window.state.showDottedLines === false;
+    if (window.state.rootNode && window.state.g) {
+        viewport.dottedLinks = getDottedLineLinks(viewport.nodes);
+        renderViewport();
+    }
+    updateDottedLineToggle();
+}
+
+/**
+ * Switches between the regular layout and compact leaves mode.
+ */
+function toggleCompactLeaves() {
+    window.state.compactLeaves = !window.state.compactLeaves;
+    updateCompactLeavesToggle();
+    if (window.state.rootNode && window.state.g) {
+        renderChart(window.state.rootNode);
+    }
+}
+
+/**
+ * Marks the compact teams button as active while compact leaves mode is on.
+ * Compact teams only apply to the top-down orientation.
+ */
+function updateCompactLeavesToggle() {
+    const button = document.getElementById('compactLeavesBtn');
+    if (!button) return;
+    button.classList.toggle('active', Boolean(window.state.compactLeaves));
+    button.disabled = getOrientation() !== 'vertical';
+}
+
+/**
+ * Switches the chart orientation and redraws it.
+ * @param {'vertical'|'horizontal'|'radial'} orientation The new orientation.
+ */
+function setChartOrientation(orientation) {
+    if (!ORIENTATIONS.includes(orientation)) return;
+    
+    window.state.orientation = orientation;
+    updateOrientationButtons();
+    updateCompactLeavesToggle();
+    if (window.state.rootNode && window.state.g) {
+        renderChart(window.state.rootNode);
+    }
+}
+
+/**
+ * Marks the orientation button of the current orientation as active.
+ */
+function updateOrientationButtons() {
+    document.querySelectorAll('[data-orientation]').forEach(button => {
+        button.classList.toggle('active', button.dataset.orientation === getOrientation());
+    });
+}
+
+/**
+ * Shows the dotted-line toggle button only when the data has dotted-line managers.
+ */
+function updateDottedLineToggle() {
+    const button = document.getElementById('dottedLinesBtn');
+    if (!button) return;
+    
+    const data = [...(window.state.currentData || []), ...(window.state.baselineData || [])];
+    const hasDottedLines = data.some(emp => emp.dottedLineManagerIds && emp.dottedLineManagerIds.length > 0);
+    button.style.display = hasDottedLines ? '' : 'none';
+    button.classList.toggle('active', window.state.showDottedLines !== false);
+}
+
+/**
+ * Renders the SVG groups for each visible node, including the card, text, and expand/collapse button.
+ * It also handles the D3 data join and enter/update/exit selections.
+ * @param {Array<Object>} nodes The array of visible node objects to render.
+ * @param {number} [animationDuration] Duration of the enter/update/exit transitions.
+ */
+function renderNodes(nodes, animationDuration = window.CONFIG.animationDuration) {
+    if (!nodes) return;
+    
+    // Batch DOM reads
+    const nodeWidth = window.CONFIG.nodeWidth;
+    const nodeHeight = window.CONFIG.nodeHeight;
+    const detailLevel = window.state.detailLevel || 'full';
+    
+    // Use D3's data join with key function for better performance
+    const nodeGroups = window.state.g.selectAll('.node-group')
+        .data(nodes, d => d.id);
+    
+    // Handle exit selection - batch removals
+    nodeGroups.exit()
+        .transition()
+        .duration(animationDuration)
+        .style('opacity', 0)
+        .remove();
+    
+    // Handle enter selection - batch additions
+    const nodeEnter = nodeGroups.enter();
+    const enterGroups = nodeEnter.append('g')
+        .attr('class', d => `node node-group ${d._isDefaultNode ? 'default-node' : ''} ${d._isVirtualRoot ? 'virtual-root' : ''}`)
+        .attr('data-id', d => d.id)
+        .attr('transform', d => `translate(${d.x},${d.y})`)
+        .attr('data-tooltip', getNodeTooltip)
+        .on('click', handleNodeClick)
+        .on('mouseover', handleNodeHover)
+        .on('mouseout', handleNodeUnhover);
+    
+    // Cache calculations
+    const halfNodeWidth = nodeWidth / 2;
+    const halfNodeHeight = nodeHeight / 2;
+    
+    // Process moved nodes in a batch
+    const movedNodes = enterGroups.filter(d => detailLevel === 'full' && d.changeType === 'moved');
+    if (!movedNodes.empty()) {
+        movedNodes.append('rect')
+            .attr('class', 'moved-halo')
+            .attr('x', -halfNodeWidth - 4)
+            .attr('y', -halfNodeHeight - 4)
+            .attr('width', nodeWidth + 8)
+            .attr('height', nodeHeight + 8)
+            .attr('rx', 6)
+            .attr('ry', 6);
+    }
+    
+    // Batch node card creation
+    enterGroups.each(function(d) {
+        const group = d3.select(this);
+        
+        // Zoomed far out, the card is a coloured block sized by team headcount
+        if (detailLevel === 'block') {
+            const block = getNodeBlockSize(d);
+            group.append('rect')
+                .attr('class', getNodeCardClass(d))
+                .attr('x', -block.width / 2)
+                .attr('y', -block.height / 2)
+                .attr('width', block.width)
+                .attr('height', block.height)
+                .attr('rx', 2)
+                .attr('ry', 2);
+            return;
+        }
+        
+        // Add main node card
+        group.append('rect')
+            .attr('class', getNodeCardClass(d))
+            .attr('x', -halfNodeWidth)
+            .attr('y', -halfNodeHeight)
+            .attr('width', nodeWidth)
+            .attr('height', nodeHeight)
+            .attr('rx', 4)
+            .attr('ry', 4);
+        
+        // The placeholder card shown before any data is loaded keeps its fixed layout
+        if (d._isDefaultNode) {
+            group.append('text')
+                .attr('class', 'node-name default-node-name')
+                .attr('y', detailLevel === 'name' ? 5 : -25)
+                .attr('text-anchor', 'middle')
+                .text(d.name || 'Unnamed');
+            if (detailLevel === 'name') return;
+            
+            group.append('text')
+                .attr('class', 'node-title default-node-title')
+                .attr('y', 0)
+                .attr('text-anchor', 'middle')
+                .text(d.title || '');
+            if (d.description) {
+                group.append('text')
+                    .attr('class', 'node-description')
+                    .attr('y', 20)
+                    .attr('text-anchor', 'middle')
+                    .text(d.description);
+            }
+            return;
+        }
+        
+        // At medium zoom the name is all there is
+        if (detailLevel === 'name') {
+            group.append('text')
+                .attr('class', 'node-name')
+                .attr('y', 5)
+                .attr('text-anchor', 'middle')
+                .text(d.name || 'Unnamed');
+            return;
+        }
+        
+        // The rest of the card follows the project's card template
+        const content = getCardContent(d);
+        const layout = getCardLayout(d, content);
+        
+        group.append('text')
+            .attr('class', 'node-name')
+            .attr('x', layout.textX)
+            .attr('y', layout.headingY)
+            .attr('text-anchor', 'middle')
+            .text(content.heading);
+        
+        layout.lines.forEach(line => {
+            group.append('text')
+                .attr('class', `node-title ${d.changeType || ''}`)
+                .attr('transform', `translate(${layout.textX},0)`)
+                .attr('text-anchor', 'middle')
+                .each(function() {
+                    wrapSVGText(d3.select(this), line.text, layout.textWidth, line.maxLines, line.y);
+                });
+        });
+        
+        if (content.initials || content.photo) {
+            group.append('circle')
+                .attr('class', 'node-avatar')
+                .attr('cx', layout.avatarX)
+                .attr('cy', 0)
+                .attr('r', AVATAR_RADIUS);
+            if (content.initials) {
+                group.append('text')
+                    .attr('class', 'node-avatar-initials')
+                    .attr('x', layout.avatarX)
+                    .attr('y', 4)
+                    .attr('text-anchor', 'middle')
+                    .text(content.initials);
+            }
+            // The photo covers the initials; if it does not load, the initials show through
+            if (content.photo) {
+                ensureAvatarClipPath();
+                group.append('image')
+                    .attr('class', 'node-avatar-photo')
+                    .attr('href', content.photo)
+                    .attr('x', layout.avatarX - AVATAR_RADIUS)
+                    .attr('y', -AVATAR_RADIUS)
+                    .attr('width', AVATAR_RADIUS * 2)
+                    .attr('height', AVATAR_RADIUS * 2)
+                    .attr('preserveAspectRatio', 'xMidYMid slice')
+                    .attr('clip-path', `url(#${AVATAR_CLIP_PATH_ID})`)
+                    .on('error', function() { d3.select(this).remove(); });
+            }
+        }
+        
+        // Badges in the top left corner; open and closing positions keep their own colour
+        layout.badges.forEach(badge => {
+            group.append('text')
+                .attr('class', `card-badge ${badge.key === 'positionStatus' ? 'position-badge' : ''}`)
+                .attr('x', badge.x)
+                .attr('y', -halfNodeHeight + 11)
+                .attr('text-anchor', 'start')
+                .text(badge.text);
+        });
+        
+        // Add change indicator for moved and changed nodes
+        const changeNote = getChangeNote(d);
+        if (changeNote) {
+            group.append('text')
+                .attr('class', `change-indicator ${d.changeType}`)
+                .attr('y', halfNodeHeight - 5)
+                .attr('text-anchor', 'middle')
+                .text(changeNote);
+        }
+    });
+    
+    // Add event handlers in a single pass
+    enterGroups
+        .on('mouseenter', (event, d) => handleNodeHover(event, d))
+        .on('mouseleave', handleNodeUnhover)
+        .on('click', (event, d) => handleNodeClick(event, d))
+        .on('dblclick', handleNodeDoubleClick);
+    
+    // Merge enter and update selections
+    const allGroups = nodeGroups.merge(enterGroups);
+    
+    // Process nodes with children in a batch
+    const nodesWithChildren = allGroups.filter(d => detailLevel !== 'block' && d.children && d.children.length > 0);
+    
+    if (!nodesWithChildren.empty()) {
+        // Remove existing expand buttons in a batch
+        nodesWithChildren.selectAll('.expand-button, .expand-icon').remove();
+        
+        // Add expand/collapse buttons in a batch
+        nodesWithChildren.each(function(d) {
+            const group = d3.select(this);
+            const isExpanded = d._expanded !== false; // Default to expanded
+            const buttonSize = 10;
+            const { x: buttonX, y: buttonY } = getExpandButtonPosition(d);
+            
+            // Add expand/collapse button
+            group.append('circle')
+                .attr('class', 'expand-button')
+                .attr('cx', buttonX)
+                .attr('cy', buttonY)
+                .attr('r', buttonSize)
+                .attr('fill', '#fff')
+                .attr('stroke', '#666')
+                .attr('stroke-width', 1)
+                .on('click', function(event) {
+                    event.stopPropagation();
+                    toggleNodeExpansion(d);
+                });
+                
+            // Add plus/minus icon
+            group.append('text')
+                .attr('class', 'expand-icon')
+                .attr('x', buttonX)
+                .attr('y', buttonY + 4)
+                .attr('text-anchor', 'middle')
+                .attr('font-size', '12px')
+                .attr('fill', '#666')
+                .attr('dy', '0.35em')
+                .text(isExpanded ? '−' : '+');
+        });
+    }
+    
+    // Animate nodes into position
+    allGroups.transition()
+        .duration(animationDuration)
+        .attr('transform', d => `translate(${d.x}, ${d.y})`)
+        .style('opacity', getNodeOpacity);
+    
+    // Update selected state and change type - use classes instead of inline styles
+    allGroups.select('.node-card')
+        .attr('class', getNodeCardClass)
+        .style('fill', getNodeColor)
+        .style('stroke', getNodeBorderColor);
+
+}
+
+/* ===========================================
+   NODE SELECTION & INTERACTION
+=========================================== */
+
+function selectNode(node) {
+    // Remove previous selection
+    d3.selectAll('.node-group').classed('selected', false);
+    d3.selectAll('.node-card').classed('selected', false);
+    d3.selectAll('.node-title').classed('selected', false);
+    
+    if (node && node.data && node.data.id) {
+        // Add selection to new node
+        const nodeElement = d3.select(`[data-id="${node.data.id}"]`);
+        if (!nodeElement.empty()) {
+            nodeElement.classed('selected', true);
+            nodeElement.select('.node-card').classed('selected', true);
+            nodeElement.select('.node-title').classed('selected', true);
+            
+            // Bring selected node to front
+            nodeElement.raise();
+            
+            // Center the selected node in the view
+            centerOnNode(node);
+        }
+    }
+}
+
+/**
+ * Builds the hover tooltip listing a node's custom attributes and, in comparison mode,
+ * its field changes against the baseline.
+ * @param {Object} node - The node data object.
+ * @returns {string|null} The tooltip HTML, or null so that nodes with nothing to list get no tooltip.
+ */
+function getNodeTooltip(node) {
+    if (node.isStub) return null;
+    const sections = [
+        window.buildAttributeTooltip ? window.buildAttributeTooltip(node, window.state.columnMapping?.customAttributes) : '',
+        window.state.isComparisonMode && window.buildFieldChangeTooltip ? window.buildFieldChangeTooltip(node.fieldChanges) : ''
+    ].filter(Boolean);
+    return sections.join('<br>') || null;
+}
+
+/**
+ * Centers the chart in the viewport without changing the zoom level.
+ */
+function centerOnNode(node) {
+    if (!node || !window.state.svg) return;
+    
+    const svg = d3.select('#chartSvg');
+    const width = parseInt(svg.style('width')) || 1200;
+    const height = parseInt(svg.style('height')) || 800;
+    
+    // Get current transform
+    const currentTransform = d3.zoomTransform(window.state.svg.node());
+    const scale = currentTransform.k || 1;
+    
+    // Calculate the transform to center the node
+    const x = (width / 2) - (node.x * scale);
+    const y = (height / 3) - (node.y * scale); // Position at 1/3 from top for better hierarchy view
+    
+    // Apply the transform with smooth transition
+    window.state.g.transition()
+        .duration(500)
+        .attr('transform', `translate(${x},${y}) scale(${scale})`);
+        
+    // Ensure selected node is visible
+    const nodeElement = d3.select(`[data-id="${node.data.id}"]`);
+    nodeElement.raise();
+}
+
+/**
+ * Shows the statistics for the selected node.
+ * @param {Object} node The node to show statistics for.
+ */
+function showNodeStats(node) {
+    // Store the selected node in state
+    window.state.selectedNode = node;
+    
+    // Use the new node statistics component if available
+    if (window.updateNodeStatistics) {
+        window.updateNodeStatistics(node);
+    } else {
+        console.warn('Node statistics component not loaded');
+    }
+    
+    // Detailed statistics of the selected team, including its change analysis
+    if (window.showSelectedNodeStats) {
+        window.showSelectedNodeStats();
+    }
+    
+    // Initialize tooltips if available
+    if (window.initializeTooltips) {
+        window.initializeTooltips();
+    }
+}
+
+/* ===========================================
+   VIEWPORT CULLING & CANVAS RENDERING
+=========================================== */
+
+/** Visible part of the chart from the last render, and the canvas renderer's state. */
+const viewport = {
+    nodes: [],
+    links: [],
+    dottedLinks: [],
+    maxTeamSize: 1,
+    frame: null,
+    canvas: null,
+    index: null,
+    hoveredNode: null,
+    highlightedIds: null,
+    colorScale: null,
+    root: null
+};
+
+/** Radius of the expand/collapse buttons, also used for hit testing on the canvas. */
+const EXPAND_BUTTON_RADIUS = 10;
+
+/** Canvas colours, mirroring the SVG styles in css/chart.css. */
+const CANVAS_STYLES = {
+    cards: {
+        default: { fill: '#ffffff', stroke: '#cbd5e1', lineWidth: 1.5, dash: [], alpha: 1 },
+        'virtual-root': { fill: '#f8fafc', stroke: '#94a3b8', dash: [6, 3] },
+        'position-vacant': { fill: '#f5f3ff', stroke: '#7c3aed', dash: [5, 3] },
+        'position-tbh': { fill: '#eff6ff', stroke: '#2563eb', dash: [5, 3] },
+        'position-closing': { fill: '#f1f5f9', stroke: '#64748b', dash: [2, 3], alpha: 0.75 },
+        added: { fill: '#dcfce7', stroke: '#16a34a', lineWidth: 2 },
+        exit: { fill: '#fef2f2', stroke: '#dc2626', lineWidth: 2, dash: [4, 4] },
+        moved: { fill: '#fefce8', stroke: '#ca8a04', lineWidth: 2 },
+        changed: { fill: '#ecfeff', stroke: '#0891b2', lineWidth: 2 },
+        'ancestor-highlight': { stroke: '#AACFCB', lineWidth: 2 },
+        hover: { stroke: '#3182ce' },
+        selected: { stroke: '#2563eb', lineWidth: 3 }
+    },
+    blocks: {
+        default: { fill: '#94a3b8', stroke: '#64748b', lineWidth: 1, dash: [], alpha: 1 },
+        'virtual-root': { fill: '#e2e8f0', stroke: '#94a3b8' },
+        'position-vacant': { fill: '#a78bfa', stroke: '#7c3aed' },
+        'position-tbh': { fill: '#60a5fa', stroke: '#2563eb' },
+        'position-closing': { fill: '#cbd5e1', stroke: '#64748b' },
+        added: { fill: '#4ade80', stroke: '#16a34a' },
+        exit: { fill: '#f87171', stroke: '#dc2626' },
+        moved: { fill: '#facc15', stroke: '#ca8a04' },
+        changed: { fill: '#22d3ee', stroke: '#0891b2' }
+    },
+    links: {
+        default: { stroke: '#e2e8f0', lineWidth: 2, dash: [], alpha: 0.8 },
+        added: { stroke: '#059669', lineWidth: 1.5, alpha: 0.7 },
+        moved: { stroke: '#f59e0b', lineWidth: 1.5, dash: [6, 3], alpha: 0.7 },
+        exit: { stroke: '#dc2626', lineWidth: 1.5, dash: [3, 3], alpha: 0.5 }
+    },
+    dottedLines: {
+        default: { stroke: '#7c3aed', lineWidth: 1.5, dash: [2, 4], alpha: 0.75 },
+        changed: { stroke: '#f59e0b', alpha: 0.9 }
+    },
+    font: "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    text: '#1e293b',
+    badge: '#475569',
+    positionBadge: '#7c3aed',
+    changeNotes: { moved: '#a16207', changed: '#0e7490', exit: '#b91c1c' },
+    avatar: { fill: '#e0e7ff', stroke: '#6366f1', text: '#3730a3' }
+};
+
+/**
+ * Reads the large chart settings, falling back to defaults for missing keys.
+ * @returns {{cullMargin: number, canvasThreshold: number}}
+ */
+function getRenderingConfig() {
+    return {
+        cullMargin: 200,
+        canvasThreshold: 1500,
+        ...(window.CONFIG.rendering || {})
+    };
+}
+
+/**
+ * Chooses between SVG elements and the canvas for the current chart.
+ * @param {'svg'|'canvas'} mode The render mode.
+ */
+function setRenderMode(mode) {
+    const previousMode = window.state.renderMode;
+    window.state.renderMode = mode;
+
+    if (mode === 'canvas') {
+        // The canvas draws everything; the SVG only keeps the zoom behaviour
+        if (previousMode !== 'canvas') window.state.g.selectAll('*').remove();
+        getChartCanvas().style.display = '';
+        viewport.index = d3.quadtree(viewport.nodes, node => node.x, node => node.y);
+    } else {
+        if (viewport.canvas) viewport.canvas.style.display = 'none';
+        viewport.index = null;
+        viewport.hoveredNode = null;
+        viewport.highlightedIds = null;
+    }
+}
+
+/**
+ * Size of the SVG as laid out by CSS, which may differ from its width/height attributes.
+ * @returns {{width: number, height: number}}
+ */
+function getViewportSize() {
+    const svgNode = window.state.svg.node();
+    return {
+        width: svgNode.clientWidth || window.state.width,
+        height: svgNode.clientHeight || window.state.height
+    };
+}
+
+/**
+ * The chart area currently on screen, in layout coordinates, widened by the cull margin.
+ * @returns {{x0: number, y0: number, x1: number, y1: number}}
+ */
+function getViewportBounds() {
+    const { width, height } = getViewportSize();
+    const margin = getRenderingConfig().cullMargin;
+    const transform = d3.zoomTransform(window.state.svg.node());
+    const [x0, y0] = transform.invert([-margin, -margin]);
+    const [x1, y1] = transform.invert([width + margin, height + margin]);
+    return { x0, y0, x1, y1 };
+}
+
+/**
+ * Whether the rectangle around two points (each padded by half a card) overlaps the bounds.
+ * A single node is passed as both points.
+ * @param {Object} a A node.
+ * @param {Object} b A node.
+ * @param {{x0: number, y0: number, x1: number, y1: number}} bounds The viewport bounds.
+ * @returns {boolean}
+ */
+function intersectsViewport(a, b, bounds) {
+    const halfWidth = window.CONFIG.nodeWidth / 2 + EXPAND_BUTTON_RADIUS;
+    const halfHeight = window.CONFIG.nodeHeight / 2 + EXPAND_BUTTON_RADIUS;
+    return Math.max(a.x, b.x) + halfWidth >= bounds.x0 &&
+        Math.min(a.x, b.x) - halfWidth <= bounds.x1 &&
+        Math.max(a.y, b.y) + halfHeight >= bounds.y0 &&
+        Math.min(a.y, b.y) - halfHeight <= bounds.y1;
+}
+
+/**
+ * Bounding box of all visible nodes of the last render, including the parts culled from the SVG.
+ * @returns {?{x: number, y: number, width: number, height: number}} Null before the first render.
+ */
+function getLayoutBounds() {
+    if (!viewport.nodes.length) return null;
+
+    const halfWidth = window.CONFIG.nodeWidth / 2 + EXPAND_BUTTON_RADIUS;
+    const halfHeight = window.CONFIG.nodeHeight / 2 + EXPAND_BUTTON_RADIUS;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    viewport.nodes.forEach(node => {
+        minX = Math.min(minX, node.x - halfWidth);
+        maxX = Math.max(maxX, node.x + halfWidth);
+        minY = Math.min(minY, node.y - halfHeight);
+        maxY = Math.max(maxY, node.y + halfHeight);
+    });
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Draws the part of the chart inside the viewport: SVG elements for the nodes on screen,
+ * or the canvas for large charts. Nodes scrolled out of view leave the DOM, and the zoom
+ * scale decides how much of each card is drawn.
+ * @param {number} [animationDuration=0] Duration of the SVG transitions; zooming and panning draw without animation.
+ */
+function renderViewport(animationDuration = 0) {
+    if (!window.state.g || !window.state.svg) return;
+
+    updateDetailLevel();
+    const bounds = getViewportBounds();
+    const nodes = viewport.nodes.filter(node => intersectsViewport(node, node, bounds));
+    const links = viewport.links.filter(link => intersectsViewport(link.source, link.target, bounds));
+    const dottedLinks = viewport.dottedLinks.filter(link => intersectsViewport(link.source, link.target, bounds));
+
+    if (window.state.renderMode === 'canvas') {
+        drawCanvas(nodes, links, dottedLinks);
+        return;
+    }
+
+    // Connections first, so they appear behind the nodes; dotted lines on top as an overlay
+    renderConnections(links, animationDuration);
+    renderNodes(nodes, animationDuration);
+    renderDottedLineConnections(dottedLinks, animationDuration);
+}
+
+/**
+ * Redraws the viewport once per animation frame, however many zoom events arrive.
+ */
+function scheduleViewportRender() {
+    if (viewport.frame !== null) return;
+    viewport.frame = requestAnimationFrame(() => {
+        viewport.frame = null;
+        renderViewport();
+    });
+}
+
+/**
+ * Gets the canvas laid over the SVG, creating it if the chart area was rebuilt.
+ * @returns {HTMLCanvasElement}
+ */
+function getChartCanvas() {
+    if (viewport.canvas && viewport.canvas.isConnected) return viewport.canvas;
+
+    const container = window.state.svg.node().parentNode;
+    if (getComputedStyle(container).position === 'static') {
+        container.style.position = 'relative';
+    }
+    const canvas = document.createElement('canvas');
+    canvas.className = 'chart-canvas';
+    container.appendChild(canvas);
+    viewport.canvas = canvas;
+    return canvas;
+}
+
+/**
+ * Applies a resolved card or line style to the drawing context.
+ * @param {CanvasRenderingContext2D} context The drawing context.
+ * @param {Object} style The resolved style.
+ */
+function applyCanvasStyle(context, style) {
+    if (style.fill) context.fillStyle = style.fill;
+    context.strokeStyle = style.stroke;
+    context.lineWidth = style.lineWidth;
+    context.setLineDash(style.dash);
+    context.globalAlpha = style.alpha;
+}
+
+/**
+ * Resolves the card style of a node the way the CSS classes cascade: position status,
+ * then change type, then hover and selection outlines.
+ * @param {Object} node The node.
+ * @param {Object} [palette] `CANVAS_STYLES.cards`, or `CANVAS_STYLES.blocks` when zoomed far out.
+ * @returns {Object} The card style.
+ */
+function getCanvasCardStyle(node, palette = CANVAS_STYLES.cards) {
+    const cards = CANVAS_STYLES.cards;
+    const layers = [
+        node._isVirtualRoot ? palette['virtual-root'] : null,
+        palette[getPositionClass(node)],
+        palette[node.changeType],
+        getCanvasColorLayer(node),
+        viewport.highlightedIds && viewport.highlightedIds.has(normalizeId(node.id)) ? cards['ancestor-highlight'] : null,
+        viewport.hoveredNode === node ? cards.hover : null,
+        window.state.selectedNode && window.state.selectedNode.id === node.id ? cards.selected : null
+    ];
+    const style = Object.assign({}, palette.default, ...layers.filter(Boolean));
+    style.alpha *= getNodeOpacity(node);
+    return style;
+}
+
+/**
+ * Card colours of a node under the colour scale, like `getNodeColor` and `getNodeBorderColor` for SVG.
+ * @param {Object} node The node.
+ * @returns {?Object} The style layer, or null without a colour scale.
+ */
+function getCanvasColorLayer(node) {
+    const fill = getNodeColor(node);
+    if (!fill) return null;
+    const stroke = getNodeBorderColor(node);
+    return stroke ? { fill, stroke } : { fill };
+}
+
+/**
+ * Shortens a line of text to the given width, ending it with an ellipsis.
+ * @param {CanvasRenderingContext2D} context The drawing context with the font set.
+ * @param {string} text The text.
+ * @param {number} maxWidth The available width.
+ * @returns {string}
+ */
+function fitCanvasText(context, text, maxWidth) {
+    if (context.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && context.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}…`;
+}
+
+/**
+ * Breaks text into lines of the given width, like `wrapSVGText` does for SVG.
+ * @param {CanvasRenderingContext2D} context The drawing context with the font set.
+ * @param {string} text The text.
+ * @param {number} maxWidth The available width.
+ * @param {number} maxLines The maximum number of lines; lines that still do not fit are shortened.
+ * @returns {Array<string>}
+ */
+function wrapCanvasText(context, text, maxWidth, maxLines) {
+    const words = String(text).split(/\s+/).filter(Boolean);
+    const lines = [];
+    let line = '';
+    for (let i = 0; i < words.length; i++) {
+        const candidate = line ? `${line} ${words[i]}` : words[i];
+        if (!line || context.measureText(candidate).width <= maxWidth) {
+            line = candidate;
+            continue;
+        }
+        if (lines.length === maxLines - 1) {
+            // The last line takes the remaining words and is shortened below
+            line = [line, ...words.slice(i)].join(' ');
+            break;
+        }
+        lines.push(line);
+        line = words[i];
+    }
+    if (line) lines.push(line);
+    return lines.map(current => fitCanvasText(context, current, maxWidth));
+}
+
+/**
+ * Paints the given part of the chart onto the canvas with the current zoom transform.
+ * @param {Array<Object>} nodes The nodes inside the viewport.
+ * @param {Array<Object>} links The links inside the viewport.
+ * @param {Array<Object>} dottedLinks The dotted-line links inside the viewport.
+ */
+function drawCanvas(nodes, links, dottedLinks) {
+    const canvas = getChartCanvas();
+    const svgNode = window.state.svg.node();
+    const { width, height } = getViewportSize();
+    const ratio = window.devicePixelRatio || 1;
+
+    // Keep the canvas exactly over the SVG, at the screen's pixel density
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+    }
+    const svgRect = svgNode.getBoundingClientRect();
+    const containerRect = canvas.parentNode.getBoundingClientRect();
+    canvas.style.left = `${svgRect.left - containerRect.left}px`;
+    canvas.style.top = `${svgRect.top - containerRect.top}px`;
+
+    const context = canvas.getContext('2d');
+    const transform = d3.zoomTransform(svgNode);
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.setTransform(ratio * transform.k, 0, 0, ratio * transform.k, ratio * transform.x, ratio * transform.y);
+
+    // The SVG path generators are reused, so connectors match the SVG chart in every orientation
+    links.forEach(link => {
+        applyCanvasStyle(context, { ...CANVAS_STYLES.links.default, ...CANVAS_STYLES.links[link.changeType] });
+        context.stroke(new Path2D(generateLShapedPath(link)));
+    });
+
+    const { nodeWidth, nodeHeight } = window.CONFIG;
+    const detailLevel = window.state.detailLevel || 'full';
+    nodes.forEach(node => {
+        if (detailLevel === 'block') {
+            const block = getNodeBlockSize(node);
+            applyCanvasStyle(context, getCanvasCardStyle(node, CANVAS_STYLES.blocks));
+            context.beginPath();
+            context.roundRect(node.x - block.width / 2, node.y - block.height / 2, block.width, block.height, 2);
+            context.fill();
+            context.stroke();
+            return;
+        }
+        
+        const left = node.x - nodeWidth / 2;
+        const top = node.y - nodeHeight / 2;
+        applyCanvasStyle(context, getCanvasCardStyle(node));
+        context.beginPath();
+        context.roundRect(left, top, nodeWidth, nodeHeight, 4);
+        context.fill();
+        context.stroke();
+        context.globalAlpha = getNodeOpacity(node);
+        context.setLineDash([]);
+
+        drawCanvasCardText(context, node, left, top, detailLevel);
+
+        if (node.children && node.children.length > 0) {
+            const button = getExpandButtonPosition(node);
+            context.fillStyle = '#fff';
+            context.strokeStyle = '#666';
+            context.lineWidth = 1;
+            context.beginPath();
+            context.arc(node.x + button.x, node.y + button.y, EXPAND_BUTTON_RADIUS, 0, 2 * Math.PI);
+            context.fill();
+            context.stroke();
+            context.fillStyle = '#666';
+            context.font = `12px ${CANVAS_STYLES.font}`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(node.expanded ? '−' : '+', node.x + button.x, node.y + button.y);
+        }
+    });
+
+    dottedLinks.forEach(link => {
+        applyCanvasStyle(context, { ...CANVAS_STYLES.dottedLines.default, ...CANVAS_STYLES.dottedLines[link.changeType] });
+        context.stroke(new Path2D(generateDottedLinePath(link)));
+    });
+    context.globalAlpha = 1;
+    context.setLineDash([]);
+}
+
+/**
+ * Draws the template content, avatar, badges and move note of a card on the canvas.
+ * @param {CanvasRenderingContext2D} context The drawing context.
+ * @param {Object} node The node.
+ * @param {number} left The left edge of the card.
+ * @param {number} top The top edge of the card.
+ * @param {'name'|'full'} detailLevel Whether to draw the name only or the whole card.
+ */
+function drawCanvasCardText(context, node, left, top, detailLevel) {
+    const { nodeWidth, nodeHeight } = window.CONFIG;
+    // Text positions are baselines, as in the SVG cards
+    context.fillStyle = CANVAS_STYLES.text;
+    context.textAlign = 'center';
+    context.textBaseline = 'alphabetic';
+    context.font = `600 13px ${CANVAS_STYLES.font}`;
+
+    if (detailLevel === 'name') {
+        context.fillText(fitCanvasText(context, node.name || 'Unnamed', nodeWidth - 20), node.x, node.y + 5);
+        return;
+    }
+
+    const content = getCardContent(node);
+    const layout = getCardLayout(node, content);
+    const textX = node.x + layout.textX;
+    context.fillText(fitCanvasText(context, content.heading, layout.textWidth), textX, node.y + layout.headingY);
+
+    context.font = `12px ${CANVAS_STYLES.font}`;
+    layout.lines.forEach(line => {
+        wrapCanvasText(context, line.text, layout.textWidth, line.maxLines).forEach((text, i) => {
+            context.fillText(text, textX, node.y + line.y + i * CARD_LINE_HEIGHT);
+        });
+    });
+
+    if (content.initials || content.photo) {
+        const avatarX = node.x + layout.avatarX;
+        context.fillStyle = CANVAS_STYLES.avatar.fill;
+        context.strokeStyle = CANVAS_STYLES.avatar.stroke;
+        context.lineWidth = 1;
+        context.beginPath();
+        context.arc(avatarX, node.y, AVATAR_RADIUS, 0, 2 * Math.PI);
+        context.fill();
+        context.stroke();
+
+        const photo = content.photo ? getCanvasPhoto(content.photo) : null;
+        if (photo) {
+            const side = Math.min(photo.naturalWidth, photo.naturalHeight);
+            context.save();
+            context.clip();
+            context.drawImage(photo, (photo.naturalWidth - side) / 2, (photo.naturalHeight - side) / 2, side, side,
+                avatarX - AVATAR_RADIUS, node.y - AVATAR_RADIUS, AVATAR_RADIUS * 2, AVATAR_RADIUS * 2);
+            context.restore();
+        } else if (content.initials) {
+            context.fillStyle = CANVAS_STYLES.avatar.text;
+            context.font = `700 11px ${CANVAS_STYLES.font}`;
+            context.fillText(content.initials, avatarX, node.y + 4);
+        }
+    }
+
+    context.font = `700 8px ${CANVAS_STYLES.font}`;
+    context.textAlign = 'start';
+    layout.badges.forEach(badge => {
+        context.fillStyle = badge.key === 'positionStatus' ? CANVAS_STYLES.positionBadge : CANVAS_STYLES.badge;
+        context.fillText(badge.text, node.x + badge.x, top + 11);
+    });
+
+    const changeNote = getChangeNote(node);
+    if (changeNote) {
+        context.fillStyle = CANVAS_STYLES.changeNotes[node.changeType];
+        context.font = `9px ${CANVAS_STYLES.font}`;
+        context.textAlign = 'center';
+        context.fillText(fitCanvasText(context, changeNote, nodeWidth - 20), node.x, top + nodeHeight - 5);
+    }
+}
+
+/** Photos loaded for the canvas renderer, by URL; photos that failed to load are kept as null. */
+const canvasPhotos = new Map();
+
+/**
+ * Gets a loaded photo for drawing on the canvas. Photos load in the background and the
+ * canvas is redrawn when one arrives; until then the card shows initials.
+ * @param {string} url The photo URL.
+ * @returns {?HTMLImageElement} The photo, or null while it loads or if it failed.
+ */
+function getCanvasPhoto(url) {
+    if (!canvasPhotos.has(url)) {
+        const image = new Image();
+        image.onload = scheduleViewportRender;
+        image.onerror = () => canvasPhotos.set(url, null);
+        image.src = url;
+        canvasPhotos.set(url, image);
+    }
+    const image = canvasPhotos.get(url);
+    return image && image.naturalWidth > 0 ? image : null;
+}
+
+/**
+ * Finds the card or expand button under a point of the canvas chart.
+ * @param {number} x The x-coordinate in layout space.
+ * @param {number} y The y-coordinate in layout space.
+ * @returns {?{node: Object, expandButton: boolean}} The hit, or null for empty space.
+ */
+function hitTestCanvas(x, y) {
+    if (!viewport.index) return null;
+
+    const { nodeWidth, nodeHeight } = window.CONFIG;
+    const reachX = nodeWidth / 2 + EXPAND_BUTTON_RADIUS;
+    const reachY = nodeHeight / 2 + EXPAND_BUTTON_RADIUS;
+    const buttonsShown = window.state.detailLevel !== 'block';
+    let cardHit = null;
+    let buttonHit = null;
+
+    viewport.index.visit((quad, x0, y0, x1, y1) => {
+        if (!quad.length) {
+            for (let leaf = quad; leaf; leaf = leaf.next) {
+                const node = leaf.data;
+                if (buttonsShown && node.children && node.children.length > 0) {
+                    const button = getExpandButtonPosition(node);
+                    if (Math.hypot(node.x + button.x - x, node.y + button.y - y) <= EXPAND_BUTTON_RADIUS) buttonHit = node;
+                }
+                if (Math.abs(node.x - x) <= nodeWidth / 2 && Math.abs(node.y - y) <= nodeHeight / 2) cardHit = node;
+            }
+        }
+        // Skip quadrants that no card or button can reach the point from
+        return Boolean(buttonHit) || x0 > x + reachX || x1 < x - reachX || y0 > y + reachY || y1 < y - reachY;
+    });
+
+    if (buttonHit) return { node: buttonHit, expandButton: true };
+    return cardHit ? { node: cardHit, expandButton: false } : null;
+}
+
+/**
+ * Hit-tests a pointer event of the canvas chart.
+ * @param {Event} event The mouse event on the SVG.
+ * @returns {?{node: Object, expandButton: boolean}}
+ */
+function getCanvasHit(event) {
+    const svgNode = window.state.svg.node();
+    const [x, y] = d3.zoomTransform(svgNode).invert(d3.pointer(event, svgNode));
+    return hitTestCanvas(x, y);
+}
+
+/**
+ * Selects a card or toggles a team when the canvas chart is clicked.
+ * @param {Event} event The mouse event.
+ */
+function handleCanvasClick(event) {
+    if (window.state.renderMode !== 'canvas') return;
+
+    const hit = getCanvasHit(event);
+    if (!hit || hit.node.isStub) return;
+
+    if (hit.expandButton) {
+        event.stopPropagation();
+        toggleNodeExpansion(hit.node);
+        return;
+    }
+    handleNodeClick(event, hit.node);
+}
+
+/**
+ * Focuses the canvas chart on the team of a double-clicked manager.
+ * @param {Event} event The mouse event.
+ */
+function handleCanvasDoubleClick(event) {
+    if (window.state.renderMode !== 'canvas') return;
+
+    const hit = getCanvasHit(event);
+    if (!hit || hit.expandButton || !canFocusOnNode(hit.node)) return;
+
+    event.stopImmediatePropagation();
+    focusOnNode(hit.node.id);
+}
+
+/**
+ * Highlights the hovered card and its ancestors on the canvas and shows its tooltip.
+ * @param {Event} event The mouse event.
+ */
+function handleCanvasPointerMove(event) {
+    if (window.state.renderMode !== 'canvas') return;
+
+    const hit = getCanvasHit(event);
+    const node = hit && !hit.node.isStub ? hit.node : null;
+    window.state.svg.style('cursor', node ? 'pointer' : null);
+
+    if (node !== viewport.hoveredNode) {
+        viewport.hoveredNode = node;
+        viewport.highlightedIds = node ? new Set(findAncestors(node).map(normalizeId)) : null;
+        scheduleViewportRender();
+    }
+
+    const tooltip = document.querySelector('.custom-tooltip');
+    if (!tooltip) return;
+    const tooltipHtml = node ? getNodeTooltip(node) : null;
+    if (tooltipHtml) {
+        tooltip.innerHTML = tooltipHtml;
+        tooltip.style.display = 'block';
+        tooltip.style.left = `${event.clientX + 10}px`;
+        tooltip.style.top = `${event.clientY + 10}px`;
+        tooltip.dataset.canvasTooltip = 'true';
+    } else {
+        hideCanvasTooltip();
+    }
+}
+
+/**
+ * Clears the hover highlight and tooltip when the pointer leaves the canvas chart.
+ */
+function handleCanvasPointerLeave() {
+    if (window.state.renderMode !== 'canvas') return;
+
+    window.state.svg.style('cursor', null);
+    hideCanvasTooltip();
+    if (viewport.hoveredNode) {
+        viewport.hoveredNode = null;
+        viewport.highlightedIds = null;
+        scheduleViewportRender();
+    }
+}
+
+/**
+ * Hides the tooltip if the canvas chart showed it, leaving tooltips of other elements alone.
+ */
+function hideCanvasTooltip() {
+    const tooltip = document.querySelector('.custom-tooltip');
+    if (tooltip && tooltip.dataset.canvasTooltip) {
+        tooltip.style.display = 'none';
+        delete tooltip.dataset.canvasTooltip;
+    }
+}
+
+/* ===========================================
+   CARD TEMPLATES
+=========================================== */
+
+/** Radius of the avatar circle on cards with a photo or initials. */
+const AVATAR_RADIUS = 14;
+
+/** ID of the circle that clips avatar photos, shared by all cards. */
+const AVATAR_CLIP_PATH_ID = 'node-avatar-clip';
+
+/** Distance between the lines below a card's heading. */
+const CARD_LINE_HEIGHT = 14;
+
+/** Approximate width of an uppercase badge character, used to place badges side by side. */
+const BADGE_CHAR_WIDTH = 6;
+
+/** Longest badge text before it is shortened. */
+const MAX_BADGE_LENGTH = 14;
+
+/**
+ * Note along the bottom edge of a changed node's card: where a moved employee came
+ * from, which fields of a changed employee differ from the baseline, or whom a leaving
+ * employee reported to when their manager leaves too.
+ * @param {Object} node The node.
+ * @returns {string} The note, or '' for other nodes.
+ */
+function getChangeNote(node) {
+    if (node.changeType === 'moved' && node.previousManagerName) {
+        return `Moved from: ${node.previousManagerName}`;
+    }
+    if (node.changeType === 'changed' && window.summarizeFieldChanges) {
+        return window.summarizeFieldChanges(node.fieldChanges);
+    }
+    if (node._isExitGhost && node.formerManagerName) {
+        return `Reported to: ${node.formerManagerName}`;
+    }
+    return '';
+}
+
+/**
+ * Works out what a node's card shows under the project's card template.
+ * @param {Object} node The node.
+ * @returns {{heading: string, lines: Array<string>, badges: Array<{key: string, text: string}>, initials: ?string, photo: ?string}}
+ */
+function getCardContent(node) {
+    if (!window.resolveCardContent) {
+        const positionLabel = window.getPositionStatusLabel ? window.getPositionStatusLabel(node.positionStatus) : node.positionStatus;
+        return {
+            heading: node.name || 'Unnamed',
+            lines: node.title ? [node.title] : [],
+            badges: getPositionClass(node) ? [{ key: 'positionStatus', text: positionLabel }] : [],
+            initials: null,
+            photo: null
+        };
+    }
+    return window.resolveCardContent(node, window.state.cardTemplate, window.state.columnMapping?.customAttributes, getChartPhotos());
+}
+
+/**
+ * Photos of the chart: the imported photos, an empty collection if only a photo URL
+ * column is mapped, or null if the chart has no photos and cards only show avatars
+ * when their template asks for them.
+ * @returns {?Object} Photo data URLs by photo key.
+ */
+function getChartPhotos() {
+    if (window.state.photos) return window.state.photos;
+    return window.state.columnMapping?.photoUrl ? {} : null;
+}
+
+/**
+ * Adds the circle that clips avatar photos to the chart's SVG, once. It is part of the
+ * SVG so that exported charts keep round avatars.
+ */
+function ensureAvatarClipPath() {
+    const svg = window.state.svg;
+    if (!svg || !svg.select(`#${AVATAR_CLIP_PATH_ID}`).empty()) return;
+
+    const defs = svg.select('defs').empty() ? svg.insert('defs', ':first-child') : svg.select('defs');
+    defs.append('clipPath')
+        .attr('id', AVATAR_CLIP_PATH_ID)
+        .attr('clipPathUnits', 'objectBoundingBox')
+        .append('circle')
+        .attr('cx', 0.5)
+        .attr('cy', 0.5)
+        .attr('r', 0.5);
+}
+
+/**
+ * Places the content of a card relative to its centre. Lines below the heading take one
+ * row each; the last line may wrap onto a second row if the card has room for it.
+ * Lines and badges that do not fit on the card are left out.
+ * @param {Object} node The node.
+ * @param {Object} content The card content from `getCardContent`.
+ * @returns {{textX: number, textWidth: number, headingY: number, avatarX: number,
+ *     lines: Array<{text: string, y: number, maxLines: number}>, badges: Array<{key: string, text: string, x: number}>}}
+ */
+function getCardLayout(node, content) {
+    const { nodeWidth, nodeHeight } = window.CONFIG;
+    const halfWidth = nodeWidth / 2;
+    const halfHeight = nodeHeight / 2;
+
+    // Text is centred in the space right of the avatar
+    const avatarX = -halfWidth + 8 + AVATAR_RADIUS;
+    const textLeft = content.initials || content.photo ? avatarX + AVATAR_RADIUS + 6 : -halfWidth + 10;
+    const textRight = halfWidth - 10;
+
+    const headingY = -halfHeight + 25;
+    const firstRowY = headingY + 18;
+    const lastRowY = halfHeight - (getChangeNote(node) ? 18 : 8);
+    const rowCount = Math.max(1, Math.floor((lastRowY - firstRowY) / CARD_LINE_HEIGHT) + 1);
+
+    const lines = [];
+    let row = 0;
+    content.lines.forEach((text, i) => {
+        if (row >= rowCount) return;
+        const maxLines = i === content.lines.length - 1 ? Math.min(2, rowCount - row) : 1;
+        lines.push({ text, y: firstRowY + row * CARD_LINE_HEIGHT, maxLines });
+        row += maxLines;
+    });
+
+    // Badges run along the top edge, clear of the expand button in the top right corner
+    const badges = [];
+    let badgeX = -halfWidth + 6;
+    content.badges.forEach(badge => {
+        const upper = String(badge.text).toUpperCase();
+        const text = upper.length > MAX_BADGE_LENGTH ? `${upper.slice(0, MAX_BADGE_LENGTH - 1)}…` : upper;
+        const width = text.length * BADGE_CHAR_WIDTH;
+        if (badgeX + width > halfWidth - 20) return;
+        badges.push({ key: badge.key, text, x: badgeX });
+        badgeX += width + 8;
+    });
+
+    return {
+        textX: (textLeft + textRight) / 2,
+        textWidth: textRight - textLeft,
+        headingY,
+        avatarX,
+        lines,
+        badges
+    };
+}
+
+/**
+ * Switches the card template and redraws the chart.
+ * @param {?Object} template The template; null or an invalid template restores the standard cards.
+ */
+function setCardTemplate(template) {
+    window.state.cardTemplate = window.normalizeCardTemplate ? window.normalizeCardTemplate(template) : template;
+    rebuildNodeCards();
+}
+
+/**
+ * Redraws the cards on screen, e.g. after the card template or the photos changed.
+ */
+function rebuildNodeCards() {
+    if (!window.state.g) return;
+
+    // Card contents are built when a node enters the SVG, so the cards on screen are rebuilt
+    window.state.g.selectAll('.node-group').remove();
+    renderViewport();
+}
+
+/* ===========================================
+   LEVEL OF DETAIL
+=========================================== */
+
+/** Smallest block, as a share of the card size, drawn for a single person. */
+const MIN_BLOCK_SCALE = 0.3;
+
+/**
+ * Reads the semantic zoom thresholds, falling back to defaults for missing keys.
+ * @returns {{blockScale: number, nameScale: number}}
+ */
+function getLevelOfDetailConfig() {
+    return {
+        blockScale: 0.35,
+        nameScale: 0.7,
+        ...(window.CONFIG.levelOfDetail || {})
+    };
+}
+
+/**
+ * How much of a card is drawn at a zoom scale.
+ * @param {number} scale The zoom scale (`k` of the d3 zoom transform).
+ * @returns {'block'|'name'|'full'} Coloured blocks, cards with the name only, or full cards.
+ */
+function getDetailLevel(scale) {
+    const { blockScale, nameScale } = getLevelOfDetailConfig();
+    if (scale < blockScale) return 'block';
+    return scale < nameScale ? 'name' : 'full';
+}
+
+/**
+ * Follows the zoom scale of the chart. Node contents are built when a node enters
+ * the SVG, so the cards of the previous level are removed to be rebuilt.
  */
-function generateLShapedPath(link) {
-    const sourceX = link.source.x;
-    const sourceY = link.source.y + window.CONFIG.nodeHeight / 2;
-    const targetX = link.target.x;
-    const targetY = link.target.y - window.CONFIG.nodeHeight / 2;
-    
-    // Calculate midpoint Y for the vertical segment
-    const midY = sourceY + (targetY - sourceY) / 2;
-    
-    // Create a path with straight lines and right angles
-    return `M${sourceX},${sourceY} L${sourceX},${midY} L${targetX},${midY} L${targetX},${targetY}`;
+function updateDetailLevel() {
+    const detailLevel = getDetailLevel(d3.zoomTransform(window.state.svg.node()).k);
+    if (detailLevel === window.state.detailLevel) return;
+
+    window.state.detailLevel = detailLevel;
+    window.state.g.selectAll('.node-group').remove();
 }
 
 /**
- * Renders the SVG groups for each visible node, including the card, text, and expand/collapse button.
- * It also handles the D3 data join and enter/update/exit selections.
- * @param {Array<Object>} nodes The array of visible node objects to render.
+ * Stores the headcount of each node's whole team, including collapsed parts, in `_teamSize`.
+ * Open positions, the virtual top node and the ghost nodes of employees who leave do not count as people.
+ * @param {Object} rootNode The root of the hierarchy.
  */
-function renderNodes(nodes) {
-    if (!nodes || !nodes.length) return;
-    
-    // Batch DOM reads
-    const nodeWidth = window.CONFIG.nodeWidth;
-    const nodeHeight = window.CONFIG.nodeHeight;
-    const animationDuration = window.CONFIG.animationDuration;
-    
-    // Use D3's data join with key function for better performance
-    const nodeGroups = window.state.g.selectAll('.node-group')
-        .data(nodes, d => d.id);
-    
-    // Handle exit selection - batch removals
-    nodeGroups.exit()
-        .transition()
-        .duration(animationDuration)
-        .style('opacity', 0)
-        .remove();
-    
-    // Handle enter selection - batch additions
-    const nodeEnter = nodeGroups.enter();
-    const nodeGroup = nodeEnter.append('g')
-        .attr('class', d => `node ${d._isDefaultNode ? 'default-node' : ''}`)
-        .attr('transform', d => `translate(${d.x},${d.y})`)
-        .on('click', handleNodeClick)
-        .on('mouseover', handleNodeHover)
-        .on('mouseout', handleNodeUnhover);
-    
-    // Cache calculations
-    const halfNodeWidth = nodeWidth / 2;
-    const halfNodeHeight = nodeHeight / 2;
-    const textWidth = nodeWidth - 20;
-    
-    // Process moved nodes in a batch
-    const movedNodes = enterGroups.filter(d => d.changeType === 'moved');
-    if (!movedNodes.empty()) {
-        movedNodes.append('rect')
-            .attr('class', 'moved-halo')
-            .attr('x', -halfNodeWidth - 4)
-            .attr('y', -halfNodeHeight - 4)
-            .attr('width', nodeWidth + 8)
-            .attr('height', nodeHeight + 8)
-            .attr('rx', 6)
-            .attr('ry', 6);
-    }
-    
-    // Batch node card creation
-    enterGroups.each(function(d) {
-        const group = d3.select(this);
-        
-        // Add main node card
-        group.append('rect')
-            .attr('class', `node-card ${d.changeType || ''}`)
-            .attr('x', -halfNodeWidth)
-            .attr('y', -halfNodeHeight)
-            .attr('width', nodeWidth)
-            .attr('height', nodeHeight)
-            .attr('rx', 4)
-            .attr('ry', 4);
-        
-        // Add name with different styling for default node
-        const nameText = group.append('text')
-            .attr('class', d => `node-name ${d._isDefaultNode ? 'default-node-name' : ''}`)
-            .attr('y', d => d._isDefaultNode ? -25 : -15)
-            .attr('text-anchor', 'middle')
-            .text(d => d.name || 'Unnamed');
+function assignTeamSizes(rootNode) {
+    const order = getHierarchyNodes(rootNode);
 
-        // Add title with different styling for default node
-        const titleText = group.append('text')
-            .attr('class', d => `node-title ${d._isDefaultNode ? 'default-node-title' : ''}`)
-            .attr('y', d => d._isDefaultNode ? 0 : 0)
-            .attr('text-anchor', 'middle')
-            .text(d => d.title || '');
-        
-        // Add description for default node
-        if (d._isDefaultNode && d.description) {
-            group.append('text')
-                .attr('class', 'node-description')
-                .attr('y', 20)
-                .attr('text-anchor', 'middle')
-                .text(d.description);
-        }
-        
-        // Add wrapped title for regular nodes
-        if (!d._isDefaultNode) {
-            group.append('text')
-                .attr('class', `node-title ${d.changeType || ''}`)
-                .attr('y', 15)
-                .attr('text-anchor', 'middle')
-                .each(function() {
-                    wrapSVGText(d3.select(this), d.title, textWidth, 2, 15);
-                });
-        }
-        
-        // Add change indicator for moved nodes
-        if (d.changeType === 'moved' && d.previousManagerName) {
-            group.append('text')
-                .attr('class', 'change-indicator')
-                .attr('y', halfNodeHeight - 5)
-                .attr('text-anchor', 'middle')
-                .text(`Moved from: ${d.previousManagerName}`);
-        }
-    });
-    
-    // Add event handlers in a single pass
-    enterGroups
-        .on('mouseenter', (event, d) => handleNodeHover(event, d))
-        .on('mouseleave', handleNodeUnhover)
-        .on('click', (event, d) => handleNodeClick(event, d));
-    
-    // Merge enter and update selections
-    const allGroups = nodeGroups.merge(enterGroups);
-    
-    // Process nodes with children in a batch
-    const nodesWithChildren = allGroups.filter(d => d.children && d.children.length > 0);
-    
-    if (!nodesWithChildren.empty()) {
-        // Remove existing expand buttons in a batch
-        nodesWithChildren.selectAll('.expand-button, .expand-icon').remove();
-        
-        // Add expand/collapse buttons in a batch
-        nodesWithChildren.each(function(d) {
-            const group = d3.select(this);
-            const isExpanded = d._expanded !== false; // Default to expanded
-            const buttonSize = 10;
-            const buttonX = nodeWidth / 2 - 5;
-            const buttonY = -nodeHeight / 2 + 5;
-            
-            // Add expand/collapse button
-            group.append('circle')
-                .attr('class', 'expand-button')
-                .attr('cx', buttonX)
-                .attr('cy', buttonY)
-                .attr('r', buttonSize)
-                .attr('fill', '#fff')
-                .attr('stroke', '#666')
-                .attr('stroke-width', 1)
-                .on('click', function(event) {
-                    event.stopPropagation();
-                    d.expanded = !d.expanded;
-                    renderChart(window.state.rootNode);
-                });
-                
-            // Add plus/minus icon
-            group.append('text')
-                .attr('class', 'expand-icon')
-                .attr('x', buttonX)
-                .attr('y', buttonY + 4)
-                .attr('text-anchor', 'middle')
-                .attr('font-size', '12px')
-                .attr('fill', '#666')
-                .attr('dy', '0.35em')
-                .text(isExpanded ? '−' : '+');
-        });
-    
-    // Animate nodes into position
-    allGroups.transition()
-        .duration(window.CONFIG.animationDuration)
-        .attr('transform', d => `translate(${d.x}, ${d.y})`)
-        .style('opacity', 1);
-    
-    // Update selected state and change type - use classes instead of inline styles
-    allGroups.select('.node-card')
-        .attr('class', d => `node-card ${d.changeType || ''} ${window.state.selectedNode && window.state.selectedNode.id === d.id ? 'selected' : ''}`);
+    // Children come after their parent in `order`, so walking it backwards sums teams bottom-up
+    let maxTeamSize = 1;
+    for (let i = order.length - 1; i >= 0; i--) {
+        const node = order[i];
+        const isPerson = !node._isVirtualRoot && !node._isExitGhost && !(window.isOpenPosition && window.isOpenPosition(node));
+        node._teamSize = (isPerson ? 1 : 0) + (node.children || []).reduce((sum, child) => sum + child._teamSize, 0);
+        if (!node._isVirtualRoot) maxTeamSize = Math.max(maxTeamSize, node._teamSize);
+    }
+    viewport.maxTeamSize = maxTeamSize;
+}
 
+/**
+ * Lists every node of the hierarchy, including collapsed parts, each parent before its children.
+ * @param {Object} rootNode The root of the hierarchy.
+ * @returns {Array<Object>}
+ */
+function getHierarchyNodes(rootNode) {
+    const order = [];
+    const stack = [rootNode];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        order.push(node);
+        if (node.children) stack.push(...node.children);
+    }
+    return order;
 }
 
-// These functions are no longer needed as we're using CSS classes for styling
-// Keeping them as stubs for backward compatibility
-function getNodeColor(node) {
-    console.log('getNodeColor called for node:', node.id, 'changeType:', node.changeType, 'isComparisonMode:', window.state.isComparisonMode);
-    // Return null to let CSS handle the styling
-    return null;
+/**
+ * Size of a node's block when zoomed far out. Blocks grow with team headcount on a log
+ * scale, so large departments stand out without the top of the chart dwarfing the rest.
+ * @param {Object} node The node.
+ * @returns {{width: number, height: number}}
+ */
+function getNodeBlockSize(node) {
+    const { nodeWidth, nodeHeight } = window.CONFIG;
+    const teamSize = Math.max(1, node._teamSize || 1);
+    const share = viewport.maxTeamSize > 1 ? Math.log(teamSize) / Math.log(viewport.maxTeamSize) : 0;
+    const scale = MIN_BLOCK_SCALE + (1 - MIN_BLOCK_SCALE) * Math.min(1, share);
+    return { width: nodeWidth * scale, height: nodeHeight * scale };
 }
 
-function getNodeBorderColor(node) {
-    console.log('getNodeBorderColor called for node:', node.id, 'changeType:', node.changeType);
-    // Return null to let CSS handle the styling
-    return null;
+/**
+ * Class of a node's card: block or card, change type, position status and selection.
+ * @param {Object} node The node.
+ * @returns {string}
+ */
+function getNodeCardClass(node) {
+    const isSelected = window.state.selectedNode && window.state.selectedNode.id === node.id;
+    return [
+        'node-card',
+        window.state.detailLevel === 'block' ? 'node-block' : '',
+        node.changeType || '',
+        getPositionClass(node),
+        node._isExitGhost ? 'exit-ghost' : '',
+        isSelected ? 'selected' : ''
+    ].filter(Boolean).join(' ');
 }
 
 /* ===========================================
-   NODE SELECTION & INTERACTION
+   COLOUR BY ATTRIBUTE
 =========================================== */
 
-function selectNode(node) {
-    // Remove previous selection
-    d3.selectAll('.node-group').classed('selected', false);
-    d3.selectAll('.node-card').classed('selected', false);
-    d3.selectAll('.node-title').classed('selected', false);
-    
-    if (node && node.data && node.data.id) {
-        // Add selection to new node
-        const nodeElement = d3.select(`[data-id="${node.data.id}"]`);
-        if (!nodeElement.empty()) {
-            nodeElement.classed('selected', true);
-            nodeElement.select('.node-card').classed('selected', true);
-            nodeElement.select('.node-title').classed('selected', true);
-            
-            // Bring selected node to front
-            nodeElement.raise();
-            
-            // Center the selected node in the view
-            centerOnNode(node);
-        }
+/** Opacity of the nodes outside the highlighted legend entry, on SVG and canvas. */
+const LEGEND_DIMMED_OPACITY = 0.2;
+
+/**
+ * Colours the cards by an attribute and shows its legend.
+ * @param {?string} key The attribute key, e.g. `location` or `attr:grade`; empty to use the default colours.
+ */
+function setColorBy(key) {
+    window.state.colorBy = key || null;
+    window.state.legendFilter = null;
+    updateColorScale();
+    updateColorLegend();
+    updateColorByControl();
+    if (window.state.rootNode) renderViewport();
+}
+
+/**
+ * Highlights the nodes of one legend entry and dims the rest. Choosing the highlighted entry again clears it.
+ * @param {?string} value The legend value, or null to clear.
+ */
+function setLegendFilter(value) {
+    window.state.legendFilter = value === null || value === window.state.legendFilter ? null : value;
+    updateColorLegend();
+    if (window.state.rootNode) renderViewport();
+}
+
+/**
+ * Rebuilds the colour scale over all nodes of the chart, so that colours stay the same
+ * when teams are expanded or collapsed.
+ */
+function updateColorScale() {
+    const key = window.state.colorBy;
+    if (!key || !window.state.rootNode || !window.buildColorScale) {
+        viewport.colorScale = null;
+        return;
+    }
+
+    const definitions = window.state.columnMapping?.customAttributes || [];
+    viewport.colorScale = window.buildColorScale(getHierarchyNodes(window.state.rootNode), key, definitions);
+
+    // The attribute is not in this data, e.g. a custom attribute of another upload
+    if (!viewport.colorScale) window.state.colorBy = null;
+    const filter = window.state.legendFilter;
+    if (filter !== null && !(viewport.colorScale?.categories || []).some(category => category.value === filter)) {
+        window.state.legendFilter = null;
     }
 }
 
 /**
- * Handles node hover event - highlights ancestors
- * @param {Event} event - The mouse event
- * @param {Object} node - The node being hovered
+ * Shows the legend of the colour scale, or removes it.
  */
-function handleNodeHover(event, node) {
-    if (node.isStub) return;
-    
-    // Find ancestors of the hovered node
-    const ancestors = findAncestors(node);
-    
-    // Highlight the node and its ancestors
-    window.state.g.selectAll('.node-card')
-        .classed('ancestor-highlight', d => ancestors.includes(d.id));
-    
-    // Also highlight the hovered node
-    window.state.g.selectAll('.node-card')
-        .filter(d => d.id === node.id)
-        .classed('hover', true);
+function updateColorLegend() {
+    if (!window.legendManager) return;
+
+    const scale = viewport.colorScale;
+    window.legendManager.setColorLegend(scale ? {
+        title: scale.label,
+        categories: scale.categories,
+        gradient: scale.gradient || null,
+        activeValue: window.state.legendFilter,
+        onSelect: setLegendFilter
+    } : null);
 }
 
 /**
- * Handles node unhover event - removes all highlights
+ * Fills the "colour by" dropdown with the attributes of the current data.
  */
-function handleNodeUnhover() {
-    // Remove all highlights
-    window.state.g.selectAll('.node-card')
-        .classed('ancestor-highlight', false)
-        .classed('hover', false);
+function updateColorByControl() {
+    const select = document.getElementById('colorBySelect');
+    if (!select || !window.listColorAttributes) return;
+
+    const definitions = window.state.columnMapping?.customAttributes || [];
+    const options = window.listColorAttributes(definitions);
+    select.innerHTML = '';
+    select.add(new Option('🎨 Colour by…', ''));
+    options.forEach(option => select.add(new Option(option.label, option.key)));
+    select.value = window.state.colorBy || '';
 }
 
 /**
- * Normalizes an ID to ensure consistent string format
- * @param {string|number} id - The ID to normalize
- * @returns {string} - The normalized ID
+ * Fill of a node's card under the colour scale.
+ * @param {Object} node The node.
+ * @returns {?string} The colour, or null to keep the default style.
  */
-function normalizeId(id) {
-    return id ? String(id).trim() : '';
+function getNodeColor(node) {
+    if (!viewport.colorScale || node._isVirtualRoot) return null;
+    return viewport.colorScale.getColors(node).fill;
 }
 
 /**
- * Finds all ancestors of a node
- * @param {Object} node - The node to find ancestors for
- * @returns {Array} - Array of ancestor node IDs
+ * Border of a node's card under the colour scale. Changed nodes keep their comparison
+ * border, so changes stay visible while colouring by an attribute.
+ * @param {Object} node The node.
+ * @returns {?string} The colour, or null to keep the default style.
  */
-function findAncestors(node) {
-    const ancestors = [];
-    const parentMap = new Map();
-    
-    // Create a map of child ID to parent ID
-    const data = window.state.currentData || [];
-    data.forEach(emp => {
-        if (emp.manager) {
-            parentMap.set(normalizeId(emp.id), normalizeId(emp.manager));
-        }
-    });
-    
-    // Traverse up the hierarchy to find all ancestors
-    let currentId = normalizeId(node.id);
-    while (parentMap.has(currentId)) {
-        const parentId = parentMap.get(currentId);
-        ancestors.push(parentId);
-        currentId = parentId;
-    }
-    
-    return ancestors;
+function getNodeBorderColor(node) {
+    if (!viewport.colorScale || node._isVirtualRoot || node.changeType) return null;
+    return viewport.colorScale.getColors(node).stroke;
 }
 
 /**
- * Centers the chart in the viewport without changing the zoom level.
+ * Whether a node is dimmed because another legend entry is highlighted.
+ * @param {Object} node The node.
+ * @returns {boolean}
  */
-function centerOnNode(node) {
-    if (!node || !window.state.svg) return;
-    
-    const svg = d3.select('#chartSvg');
-    const width = parseInt(svg.style('width')) || 1200;
-    const height = parseInt(svg.style('height')) || 800;
-    
-    // Get current transform
-    const currentTransform = d3.zoomTransform(window.state.svg.node());
-    const scale = currentTransform.k || 1;
-    
-    // Calculate the transform to center the node
-    const x = (width / 2) - (node.x * scale);
-    const y = (height / 3) - (node.y * scale); // Position at 1/3 from top for better hierarchy view
-    
-    // Apply the transform with smooth transition
-    window.state.g.transition()
-        .duration(500)
-        .attr('transform', `translate(${x},${y}) scale(${scale})`);
-        
-    // Ensure selected node is visible
-    const nodeElement = d3.select(`[data-id="${node.data.id}"]`);
-    nodeElement.raise();
+function isDimmedByLegend(node) {
+    const filter = window.state.legendFilter;
+    if (filter === null || filter === undefined || !viewport.colorScale || node._isVirtualRoot) return false;
+    return viewport.colorScale.getCategory(node) !== filter;
 }
 
+/** Opacity of the ghost nodes of employees who leave, shown in the target chart. */
+const EXIT_GHOST_OPACITY = 0.45;
+
 /**
- * Shows the statistics for the selected node.
- * @param {Object} node The node to show statistics for.
+ * Opacity of a node, on SVG and canvas: exit ghosts are faded and nodes outside the
+ * highlighted legend entry dimmed.
+ * @param {Object} node The node.
+ * @returns {number}
  */
-function showNodeStats(node) {
-    // Store the selected node in state
-    window.state.selectedNode = node;
-    
-    // Use the new node statistics component if available
-    if (window.updateNodeStatistics) {
-        window.updateNodeStatistics(node);
-    } else {
-        console.warn('Node statistics component not loaded');
-    }
-    
-    // Initialize tooltips if available
-    if (window.initializeTooltips) {
-        window.initializeTooltips();
-    }
+function getNodeOpacity(node) {
+    return (node._isExitGhost ? EXIT_GHOST_OPACITY : 1) * (isDimmedByLegend(node) ? LEGEND_DIMMED_OPACITY : 1);
 }
 
 /* ===========================================
@@ -1173,7 +3106,7 @@ function centerChart() {
         const gNode = window.state.g.node();
         if (!gNode) return;
         
-        const bounds = gNode.getBBox();
+        const bounds = getLayoutBounds() || gNode.getBBox();
         if (bounds.width === 0 || bounds.height === 0) return;
         
         const fullWidth = window.state.width;
@@ -1228,8 +3161,9 @@ function fitChartToView() {
         }
         console.log('gNode obtained:', gNode);
         
+        // The SVG only holds the culled part of the chart (or nothing on canvas), so fit the layout itself
         console.log('Getting bounding box...');
-        const bounds = gNode.getBBox();
+        const bounds = getLayoutBounds() || gNode.getBBox();
         console.log('Bounding box:', bounds);
         
         if (bounds.width === 0 || bounds.height === 0) {
@@ -1275,6 +3209,23 @@ function fitChartToView() {
     }
 }
 
+/**
+ * Takes over the size CSS gives the SVG, e.g. after the chart area was split for the
+ * side-by-side comparison, and re-fits the chart.
+ */
+function resizeChart() {
+    if (!window.state.svg) return;
+    
+    const svgNode = window.state.svg.node();
+    const width = svgNode.clientWidth || window.state.width;
+    const height = svgNode.clientHeight || window.state.height;
+    window.state.svg.attr('width', width).attr('height', height);
+    window.state.width = width;
+    window.state.height = height;
+    renderViewport();
+    fitChartToView();
+}
+
 /**
  * Handles window resize events by updating the SVG dimensions and re-fitting the chart.
  */
@@ -1289,6 +3240,7 @@ function handleResize() {
         window.state.svg.attr('width', newWidth).attr('height', newHeight);
         window.state.width = newWidth;
         window.state.height = newHeight;
+        renderViewport();
         fitChartToView();
     }
 }
@@ -1331,8 +3283,10 @@ function initChartRenderer() {
 // Export functions to global window object
 window.initChart = initChart;
 window.buildHierarchy = buildHierarchy;
+window.getForestRoots = getForestRoots;
 window.expandAll = expandAll;
 window.collapseAll = collapseAll;
+window.showLevels = showLevels;
 window.resetView = resetView;
 window.centerChart = centerChart;
 window.fitChartToView = fitChartToView;
@@ -1340,7 +3294,25 @@ window.selectNode = selectNode;
 window.renderChart = renderChart;
 window.initChartRenderer = initChartRenderer;
 window.showNodeStats = showNodeStats;
+window.toggleDottedLines = toggleDottedLines;
+window.toggleCompactLeaves = toggleCompactLeaves;
+window.setChartOrientation = setChartOrientation;
+window.setCardTemplate = setCardTemplate;
+window.rebuildNodeCards = rebuildNodeCards;
+window.getChartPhotos = getChartPhotos;
+window.setColorBy = setColorBy;
+window.setLegendFilter = setLegendFilter;
+window.focusOnNode = focusOnNode;
+window.clearFocus = clearFocus;
+window.getFocusedNode = getFocusedNode;
+window.isNodeInFocus = isNodeInFocus;
+window.getChartOrientation = getOrientation;
+window.calculateLayout = calculateLayout;
+window.getVisibleNodes = getVisibleNodes;
+window.getVisibleLinks = getVisibleLinks;
+window.generateLShapedPath = generateLShapedPath;
+window.renderViewport = renderViewport;
+window.resizeChart = resizeChart;
 
 // Log that chart renderer is loaded
 console.log('[ChartRenderer] Chart renderer loaded with all exports');
-} // Add missing closing brace for the module
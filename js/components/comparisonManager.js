@@ -2,6 +2,13 @@
  * @file Comparison Manager component for handling baseline and target view toggling
  */
 
+import { diffEmployeeFields } from '../utils/fieldChanges.js';
+import { applyIdentityMatches } from '../utils/identityMatching.js';
+import { setComparisonView, updateComparisonViewControls } from './comparisonViews.js';
+import { reviewIdentityMatches } from './identityMatchReview.js';
+import { replaceActiveScenarioData } from './scenarioManager.js';
+import { showToast } from '../utils/helpers.js';
+
 // LegendManager is loaded separately and exposed to window
 console.log('[OrgChart] comparisonManager loaded');
 
@@ -33,6 +40,16 @@ function initComparisonManager() {
 function toggleComparisonMode() {
     const state = window.state || {};
     
+    // Before new data is compared, employees whose IDs differ between the versions are matched
+    if (!state.isComparisonMode && !isIdentityReviewDone()) {
+        reviewIdentityMatches(state.baselineData, state.updateData).catch(handleIdentityReviewError).then(matches => {
+            if (matches === null) return;
+            applyReviewedMatches(matches);
+            toggleComparisonMode();
+        });
+        return;
+    }
+    
     console.log('Toggle comparison mode called. Current state:', { 
         isComparisonMode: state.isComparisonMode,
         hasTargetData: !!state.targetData,
@@ -46,6 +63,8 @@ function toggleComparisonMode() {
     // Get UI elements
     const toggleViewBtn = document.getElementById('toggleViewBtn');
     const chartContainer = document.getElementById('org-chart');
+    const modeIndicator = document.getElementById('modeIndicator');
+    const comparisonControls = document.querySelector('.comparison-controls');
     
     if (state.isComparisonMode) {
         console.log('Entering comparison mode');
@@ -65,24 +84,27 @@ function toggleComparisonMode() {
         }
         
         // Update mode indicator
-        const modeIndicator = document.getElementById('modeIndicator');
         if (modeIndicator) {
             modeIndicator.textContent = 'Target View';
             modeIndicator.className = 'mode-indicator target';
         }
         
         // Show comparison controls and legend
-        const comparisonControls = document.querySelector('.comparison-controls');
         if (comparisonControls) comparisonControls.style.display = 'block';
+        updateExitGhostToggle();
+        updateComparisonViewControls();
+        
+        // Set current data to target data
+        state.currentData = state.updateData;
+        if (window.setCurrentData) {
+            window.setCurrentData(state.updateData);
+        }
         
         // Analyze changes between baseline and target
         analyzeChanges();
         
-        // Rebuild hierarchy with target data
-        const rootNode = buildHierarchy(state.currentData);
-        
-        // Apply change types to nodes in the hierarchy
-        applyChangeTypesToNodes(rootNode);
+        // Rebuild hierarchy with target data, marked with the changes
+        const rootNode = buildTargetHierarchy();
         
         // Update state with new root node
         state.rootNode = rootNode;
@@ -93,6 +115,13 @@ function toggleComparisonMode() {
             window.buildComparisonMaps();
         }
         
+        // Show the changes in the overall statistics
+        const summaryStatsBtn = document.getElementById('summaryStatsBtn');
+        if (summaryStatsBtn) summaryStatsBtn.style.display = 'inline-flex';
+        if (window.updateOverallStatistics) {
+            window.updateOverallStatistics();
+        }
+        
         console.log('Switched to target view. Root node:', rootNode);
         console.log('Change analysis:', state.changeAnalysis);
     } else {
@@ -119,6 +148,11 @@ function toggleComparisonMode() {
             console.warn('comparisonControls element not found');
         }
         
+        updateExitGhostToggle();
+        
+        // The baseline view is a single chart
+        setComparisonView('single');
+        
         // Hide the legend using LegendManager
         if (window.legendManager) {
             console.log('Hiding legend via LegendManager');
@@ -137,6 +171,12 @@ function toggleComparisonMode() {
         state.changeAnalysis = null;
         window.setChangeAnalysis(null);
         
+        // Without changes there is no overall statistics panel to show
+        const summaryStatsBtn = document.getElementById('summaryStatsBtn');
+        if (summaryStatsBtn) summaryStatsBtn.style.display = 'none';
+        const overallStats = document.getElementById('overallStatsDisplay');
+        if (overallStats?.classList.contains('visible')) window.toggleSummaryStatistics();
+        
         // Rebuild hierarchy with baseline data
         const rootNode = buildHierarchy(state.currentData);
         
@@ -159,6 +199,62 @@ function toggleComparisonMode() {
     }
 }
 
+/**
+ * Compares the baseline and target data again after either was replaced, e.g. when
+ * another scenario is chosen, and redraws the target chart. A new pair of versions is
+ * reviewed for identity matches first; cancelling the review compares it by ID, since
+ * the chart already shows a comparison.
+ */
+function refreshComparison() {
+    const state = window.state || {};
+    if (!state.isComparisonMode) return;
+    
+    if (!isIdentityReviewDone()) {
+        reviewIdentityMatches(state.baselineData, state.updateData).catch(handleIdentityReviewError).then(matches => {
+            applyReviewedMatches(matches || []);
+            refreshComparison();
+        });
+        return;
+    }
+    
+    state.currentData = state.updateData;
+    window.setCurrentData(state.updateData);
+    analyzeChanges();
+    
+    const rootNode = buildTargetHierarchy();
+    state.rootNode = rootNode;
+    window.setRootNode(rootNode);
+    if (window.buildComparisonMaps) {
+        window.buildComparisonMaps();
+    }
+    if (window.renderChart) {
+        window.renderChart(rootNode);
+    }
+}
+
+/**
+ * Handles a failed identity review: the versions are then compared by ID only.
+ * @param {Error} error - The error of the review.
+ * @returns {Array} No matches.
+ */
+function handleIdentityReviewError(error) {
+    console.error('Error reviewing identity matches:', error);
+    showToast('Could not match renamed employees; comparing by ID.');
+    return [];
+}
+
+/**
+ * Gives the matched target employees their baseline IDs and notes that the pair was reviewed.
+ * @param {Array<{baselineId: string, targetId: string}>} matches - The accepted matches.
+ */
+function applyReviewedMatches(matches) {
+    const state = window.state || {};
+    const targetData = applyIdentityMatches(state.updateData, matches);
+    window.setUpdateData(targetData);
+    replaceActiveScenarioData(targetData);
+    state.identityReview = { baselineData: state.baselineData, updateData: targetData };
+}
+
 /**
  * Analyze changes between baseline and target data
  */
@@ -181,21 +277,64 @@ function analyzeChanges() {
     
     updateMap.forEach(emp => {
         const baselineEmp = baselineMap.get(normalizeId(emp.id));
-        if (baselineEmp && normalizeId(baselineEmp.manager) !== normalizeId(emp.manager)) {
+        if (baselineEmp && normalizeId(getManagerId(baselineEmp)) !== normalizeId(getManagerId(emp))) {
             moved.push({
                 ...emp, 
                 changeType: 'moved', 
-                previousManager: baselineEmp.manager,
-                previousManagerName: baselineMap.get(normalizeId(baselineEmp.manager))?.name || 'Unknown'
+                previousManager: getManagerId(baselineEmp),
+                // Top-level employees have no previous manager (they sat directly under the virtual root)
+                previousManagerName: getManagerId(baselineEmp)
+                    ? baselineMap.get(normalizeId(getManagerId(baselineEmp)))?.name || 'Unknown'
+                    : 'Top level'
+            });
+        }
+    });
+    
+    // Dotted-line (matrix) managers gained or lost by employees present in both versions
+    const dottedLineChanged = [];
+    
+    updateMap.forEach(emp => {
+        const baselineEmp = baselineMap.get(normalizeId(emp.id));
+        if (!baselineEmp) return;
+        
+        const before = getDottedLineManagerIds(baselineEmp);
+        const after = getDottedLineManagerIds(emp);
+        const addedManagers = after.filter(id => !before.includes(id));
+        const removedManagers = before.filter(id => !after.includes(id));
+        
+        if (addedManagers.length > 0 || removedManagers.length > 0) {
+            const nameOf = id => updateMap.get(id)?.name || baselineMap.get(id)?.name || id;
+            dottedLineChanged.push({
+                ...emp,
+                addedDottedLineManagers: addedManagers,
+                removedDottedLineManagers: removedManagers,
+                addedDottedLineManagerNames: addedManagers.map(nameOf),
+                removedDottedLineManagerNames: removedManagers.map(nameOf)
             });
         }
     });
     
+    // Title, FTE, location and other field changes of employees present in both versions
+    const changed = [];
+    const customAttributes = state.columnMapping?.customAttributes || [];
+    
+    updateMap.forEach(emp => {
+        const baselineEmp = baselineMap.get(normalizeId(emp.id));
+        if (!baselineEmp) return;
+        
+        const fieldChanges = diffEmployeeFields(baselineEmp, emp, customAttributes);
+        if (fieldChanges.length > 0) {
+            changed.push({ ...emp, changeType: 'changed', fieldChanges });
+        }
+    });
+    
     const changeAnalysis = {
         added,
         removed,
         moved,
-        totalDirectChanges: added.length + removed.length + moved.length
+        changed,
+        dottedLineChanged,
+        totalDirectChanges: added.length + removed.length + moved.length + changed.length + dottedLineChanged.length
     };
     
     // Store change analysis in state
@@ -235,6 +374,8 @@ function applyChangeTypesToNodes(node) {
     // Create maps for quick lookup
     const addedMap = new Map();
     const movedMap = new Map();
+    const changedMap = new Map();
+    const dottedLineMap = new Map();
     
     if (state.changeAnalysis.added) {
         state.changeAnalysis.added.forEach(emp => addedMap.set(normalizeId(emp.id), true));
@@ -244,12 +385,35 @@ function applyChangeTypesToNodes(node) {
         state.changeAnalysis.moved.forEach(emp => movedMap.set(normalizeId(emp.id), true));
     }
     
+    if (state.changeAnalysis.changed) {
+        state.changeAnalysis.changed.forEach(emp => changedMap.set(normalizeId(emp.id), emp.fieldChanges));
+    }
+    
+    if (state.changeAnalysis.dottedLineChanged) {
+        state.changeAnalysis.dottedLineChanged.forEach(emp => dottedLineMap.set(normalizeId(emp.id), {
+            added: emp.addedDottedLineManagers,
+            removed: emp.removedDottedLineManagers,
+            addedNames: emp.addedDottedLineManagerNames,
+            removedNames: emp.removedDottedLineManagerNames
+        }));
+    }
+    
     // Recursively apply change types to the hierarchy
     function markNode(node) {
         if (!node) return;
         
         const nodeId = normalizeId(node.id);
         
+        // Dotted-line changes are independent of the line-manager change type
+        if (dottedLineMap.has(nodeId)) {
+            node.dottedLineChange = dottedLineMap.get(nodeId);
+        }
+        
+        // So are field changes: a moved employee may also have a new title
+        if (changedMap.has(nodeId)) {
+            node.fieldChanges = changedMap.get(nodeId);
+        }
+        
         if (addedMap.has(nodeId)) {
             node.changeType = 'added';
         } else if (movedMap.has(nodeId)) {
@@ -263,6 +427,8 @@ function applyChangeTypesToNodes(node) {
                     node.previousManagerName = movedNodeDetails.previousManagerName;
                 }
             }
+        } else if (changedMap.has(nodeId)) {
+            node.changeType = 'changed';
         }
         
         // Sort children by change status (changed nodes on the left)
@@ -281,6 +447,126 @@ function applyChangeTypesToNodes(node) {
     console.log('Applied change types to hierarchy nodes');
 }
 
+/**
+ * Builds the hierarchy of the target data with the change types applied and, unless
+ * they are switched off, the employees who leave as ghost nodes.
+ * @returns {Object} The root node of the hierarchy
+ */
+function buildTargetHierarchy() {
+    const state = window.state || {};
+    const rootNode = buildHierarchy(state.currentData);
+    
+    // Apply change types to nodes in the hierarchy
+    applyChangeTypesToNodes(rootNode);
+    
+    if (state.showExitGhosts !== false) {
+        addExitGhosts(rootNode);
+    }
+    
+    return rootNode;
+}
+
+/**
+ * Adds the employees who leave to the target hierarchy as ghost nodes, so reviewers see
+ * where attrition happens. A ghost sits under its baseline manager or, if the manager
+ * leaves too, under the nearest baseline ancestor who stays. Ghosts without such an
+ * ancestor are added to the top of the chart.
+ * @param {Object} rootNode - The root node of the target hierarchy
+ */
+function addExitGhosts(rootNode) {
+    const state = window.state || {};
+    const removed = state.changeAnalysis ? state.changeAnalysis.removed || [] : [];
+    if (!rootNode || removed.length === 0 || rootNode._isDefaultNode) return;
+    
+    // Nodes of the target hierarchy by ID, including collapsed parts
+    const targetNodes = new Map();
+    const stack = [rootNode];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (!node._isVirtualRoot) targetNodes.set(normalizeId(node.id), node);
+        if (node.children) stack.push(...node.children);
+    }
+    
+    const baselineMap = new Map((state.baselineData || []).map(emp => [normalizeId(emp.id), emp]));
+    
+    removed.forEach(emp => {
+        const managerId = normalizeId(getManagerId(emp));
+        
+        // Walk up the baseline managers to the first one still in the target
+        let parent = null;
+        let ancestorId = managerId;
+        const visited = new Set();
+        while (ancestorId && !visited.has(ancestorId)) {
+            visited.add(ancestorId);
+            if (targetNodes.has(ancestorId)) {
+                parent = targetNodes.get(ancestorId);
+                break;
+            }
+            const ancestor = baselineMap.get(ancestorId);
+            ancestorId = ancestor ? normalizeId(getManagerId(ancestor)) : '';
+        }
+        parent = parent || rootNode;
+        
+        const formerManager = baselineMap.get(managerId);
+        parent.children = parent.children || [];
+        parent.children.push({
+            ...emp,
+            id: normalizeId(emp.id),
+            children: [],
+            expanded: false,
+            changeType: 'exit',
+            _isExitGhost: true,
+            // Ghosts placed under someone else note whom they reported to
+            formerManagerName: formerManager && normalizeId(parent.id) !== managerId ? formerManager.name : null
+        });
+    });
+    
+    console.log(`Added ${removed.length} exit ghost node(s)`);
+}
+
+/**
+ * Shows or hides the ghost nodes of the employees who leave and redraws the target chart.
+ */
+function toggleExitGhosts() {
+    const state = window.state || {};
+    state.showExitGhosts = state.showExitGhosts === false;
+    updateExitGhostToggle();
+    
+    if (!state.isComparisonMode) return;
+    
+    const rootNode = buildTargetHierarchy();
+    state.rootNode = rootNode;
+    window.setRootNode(rootNode);
+    if (window.renderChart) {
+        window.renderChart(rootNode);
+    }
+}
+
+/**
+ * Shows the exit ghost toggle button in comparison mode and marks it active while ghosts are shown.
+ */
+function updateExitGhostToggle() {
+    const state = window.state || {};
+    const button = document.getElementById('exitGhostsBtn');
+    if (!button) return;
+    
+    button.style.display = state.isComparisonMode ? '' : 'none';
+    button.classList.toggle('active', state.showExitGhosts !== false);
+}
+
+/**
+ * Whether the identity matches of the loaded baseline and target have been reviewed.
+ * New uploads replace the data arrays, so they are reviewed again.
+ * @returns {boolean} True as well when there is nothing to compare.
+ */
+function isIdentityReviewDone() {
+    const state = window.state || {};
+    if (!state.baselineData || !state.baselineData.length || !state.updateData || !state.updateData.length) return true;
+    
+    const review = state.identityReview;
+    return Boolean(review && review.baselineData === state.baselineData && review.updateData === state.updateData);
+}
+
 /**
  * Normalize ID values for consistent comparison
  * @param {*} id - The ID to normalize
@@ -291,6 +577,24 @@ function normalizeId(id) {
     return id.toString().trim();
 }
 
+/**
+ * Read the manager ID of an employee record (`managerId` from uploads, `manager` in older data)
+ * @param {Object} emp - The employee record
+ * @returns {string} - The manager ID, or '' for top-level employees
+ */
+function getManagerId(emp) {
+    return emp.managerId ?? emp.manager ?? '';
+}
+
+/**
+ * Read the normalized dotted-line manager IDs of an employee record
+ * @param {Object} emp - The employee record
+ * @returns {Array<string>} - The dotted-line manager IDs
+ */
+function getDottedLineManagerIds(emp) {
+    return (emp.dottedLineManagerIds || []).map(normalizeId).filter(Boolean);
+}
+
 // Export functions to global window object
 const comparisonManager = {
     init: initComparisonManager,
@@ -298,6 +602,9 @@ const comparisonManager = {
     analyzeChanges,
     sortChildrenByChangeStatus,
     applyChangeTypesToNodes,
+    buildTargetHierarchy,
+    toggleExitGhosts,
+    refreshComparison,
     normalizeId
 };
 
@@ -307,6 +614,9 @@ window.toggleComparisonMode = toggleComparisonMode;
 window.analyzeChanges = analyzeChanges;
 window.sortChildrenByChangeStatus = sortChildrenByChangeStatus;
 window.applyChangeTypesToNodes = applyChangeTypesToNodes;
+window.buildTargetHierarchy = buildTargetHierarchy;
+window.toggleExitGhosts = toggleExitGhosts;
+window.refreshComparison = refreshComparison;
 window.normalizeId = normalizeId;
 
 export default comparisonManager;
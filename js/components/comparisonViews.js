@@ -0,0 +1,394 @@
+/**
+ * @file Comparison views: the baseline and the target side by side, and an overlay that
+ * animates the target chart from the baseline positions. The side-by-side view draws
+ * the baseline in a pane left of the chart, with zoom, pan and selection linked between
+ * the two.
+ */
+
+import { getComparedScenarioNames } from './scenarioManager.js';
+import { showToast } from '../utils/helpers.js';
+
+console.log('[OrgChart] comparisonViews loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** ID of the pane holding the baseline chart in the side-by-side view. */
+const BASELINE_PANE_ID = 'baselinePane';
+
+/** Name of the zoom listener that mirrors the chart's zoom and pan onto the baseline pane. */
+const ZOOM_LINK_EVENT = 'zoom.comparisonViews';
+
+/** Duration of the overlay animation, in milliseconds. */
+const OVERLAY_DURATION = 1500;
+
+/** Zoom behaviour of the baseline pane, and whether a zoom is being mirrored between the panes. */
+let baselineZoom = null;
+let isMirroringZoom = false;
+
+/** Timer of the running overlay animation. */
+let overlayTimer = null;
+
+/* ===========================================
+   SIDE BY SIDE
+=========================================== */
+
+/**
+ * Switches between the target chart alone and the baseline and target side by side.
+ */
+export function toggleSplitView() {
+    const state = window.state || {};
+    setComparisonView(state.comparisonView === 'split' ? 'single' : 'split');
+}
+
+/**
+ * Shows the target chart alone or next to the baseline.
+ * @param {'single'|'split'} view The comparison view.
+ */
+export function setComparisonView(view) {
+    const state = window.state || {};
+    if (!state.svg) return;
+
+    const split = view === 'split' && state.isComparisonMode;
+    state.comparisonView = split ? 'split' : 'single';
+
+    const chartArea = state.svg.node().parentNode;
+    chartArea.classList.toggle('split-view', split);
+    if (split) {
+        createBaselinePane(chartArea);
+    } else {
+        removeBaselinePane();
+    }
+
+    updateComparisonViewControls();
+    if (window.resizeChart) window.resizeChart();
+    renderBaselinePane();
+}
+
+/**
+ * Adds the baseline pane to the chart area, with its own SVG and zoom behaviour.
+ * @param {HTMLElement} chartArea The element holding the chart's SVG.
+ */
+function createBaselinePane(chartArea) {
+    if (document.getElementById(BASELINE_PANE_ID)) return;
+
+    const pane = document.createElement('div');
+    pane.id = BASELINE_PANE_ID;
+    pane.className = 'baseline-pane';
+    chartArea.appendChild(pane);
+
+    const svg = d3.select(pane).append('svg').attr('class', 'baseline-svg');
+    const g = svg.append('g').attr('class', 'chart-content');
+    svg.on('click', () => selectInBaselinePane(null));
+
+    ['baseline', 'target'].forEach(role => {
+        const tag = document.createElement('div');
+        tag.className = `split-pane-label ${role}`;
+        (role === 'baseline' ? pane : chartArea).appendChild(tag);
+    });
+    updateSplitPaneLabels();
+
+    baselineZoom = d3.zoom()
+        .scaleExtent([0.1, 3])
+        .on('zoom', event => {
+            g.attr('transform', event.transform);
+            // Zooming and panning the baseline moves the target chart along
+            if (isMirroringZoom || !event.sourceEvent || !window.state.svg) return;
+            isMirroringZoom = true;
+            window.state.svg.call(window.state.zoom.transform, event.transform);
+            isMirroringZoom = false;
+        });
+    svg.call(baselineZoom);
+}
+
+/**
+ * Removes the baseline pane and stops mirroring the chart's zoom onto it.
+ */
+function removeBaselinePane() {
+    const state = window.state || {};
+    document.getElementById(BASELINE_PANE_ID)?.remove();
+    document.querySelectorAll('.split-pane-label').forEach(label => label.remove());
+    if (state.zoom) state.zoom.on(ZOOM_LINK_EVENT, null);
+    baselineZoom = null;
+}
+
+/**
+ * Draws the baseline in its pane, laid out like the target chart: with the same teams
+ * open, focused on the same manager and at the same zoom. Employees who leave, move or
+ * change are marked as in the target chart.
+ */
+export function renderBaselinePane() {
+    const state = window.state || {};
+    const pane = document.getElementById(BASELINE_PANE_ID);
+    if (state.comparisonView !== 'split' || !pane || !baselineZoom) return;
+
+    const svg = d3.select(pane).select('svg');
+    const g = svg.select('.chart-content');
+
+    // The target chart's zoom and pan are mirrored onto the pane, starting from the current view
+    state.zoom.on(ZOOM_LINK_EVENT, event => {
+        if (isMirroringZoom) return;
+        isMirroringZoom = true;
+        svg.call(baselineZoom.transform, event.transform);
+        isMirroringZoom = false;
+    });
+    isMirroringZoom = true;
+    svg.call(baselineZoom.transform, d3.zoomTransform(state.svg.node()));
+    isMirroringZoom = false;
+
+    const chartRoot = buildBaselineChartRoot();
+    if (!chartRoot) {
+        g.selectAll('*').remove();
+        return;
+    }
+    window.calculateLayout(chartRoot, state.width / 2, 100);
+    const nodes = window.getVisibleNodes(chartRoot);
+    const links = window.getVisibleLinks(chartRoot);
+
+    g.selectAll('.connection-line')
+        .data(links, d => d.target.id)
+        .join('path')
+        .attr('class', d => `connection-line ${d.changeType || ''}`)
+        .attr('d', window.generateLShapedPath);
+
+    const { nodeWidth, nodeHeight } = window.CONFIG;
+    g.selectAll('.baseline-node')
+        .data(nodes, d => d.id)
+        .join(enter => {
+            const group = enter.append('g')
+                .attr('class', d => `baseline-node ${d._isVirtualRoot ? 'virtual-root' : ''}`)
+                .on('click', handleBaselineNodeClick);
+            group.append('rect')
+                .attr('x', -nodeWidth / 2)
+                .attr('y', -nodeHeight / 2)
+                .attr('width', nodeWidth)
+                .attr('height', nodeHeight)
+                .attr('rx', 4)
+                .attr('ry', 4);
+            group.append('text')
+                .attr('class', 'node-name')
+                .attr('y', -6)
+                .attr('text-anchor', 'middle');
+            group.append('text')
+                .attr('class', 'node-title')
+                .attr('y', 14)
+                .attr('text-anchor', 'middle');
+            return group;
+        })
+        .attr('transform', d => `translate(${d.x},${d.y})`)
+        .each(function(d) {
+            const group = d3.select(this);
+            group.select('rect').attr('class', ['node-card', d.changeType].filter(Boolean).join(' '));
+            group.select('.node-name').text(d.name || 'Unnamed');
+            group.select('.node-title').text(d.title || '');
+        });
+
+    selectInBaselinePane(state.selectedNode ? state.selectedNode.id : null);
+}
+
+/**
+ * Builds the baseline hierarchy for the pane, marked with the changes found by the
+ * comparison, and picks the node it is drawn from.
+ * @returns {?Object} The focused manager in the baseline, or else its root.
+ */
+function buildBaselineChartRoot() {
+    const state = window.state || {};
+    if (!state.baselineData || !state.baselineData.length || !window.buildHierarchy) return null;
+
+    const rootNode = window.buildHierarchy(state.baselineData);
+    const changes = state.changeAnalysis || {};
+    const changeTypes = new Map();
+    [['removed', 'exit'], ['changed', 'changed'], ['moved', 'moved']].forEach(([list, changeType]) => {
+        (changes[list] || []).forEach(emp => changeTypes.set(normalizeId(emp.id), changeType));
+    });
+
+    const focusId = state.focusNodeId ? normalizeId(state.focusNodeId) : null;
+    let focusNode = null;
+    const stack = [rootNode];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        const id = normalizeId(node.id);
+        if (!node._isVirtualRoot && changeTypes.has(id)) node.changeType = changeTypes.get(id);
+        if (focusId && !node._isVirtualRoot && id === focusId) focusNode = node;
+        if (node.children) stack.push(...node.children);
+    }
+
+    // The baseline is focused on the same manager as the target, if they are in it
+    if (focusNode) {
+        focusNode.expanded = true;
+        return focusNode;
+    }
+    return rootNode;
+}
+
+/**
+ * Selects an employee clicked in the baseline pane in the target chart as well.
+ * Employees not drawn in the target chart, e.g. those who leave while exits are hidden,
+ * are only selected in the baseline.
+ * @param {Event} event The mouse event.
+ * @param {Object} d The baseline node.
+ */
+function handleBaselineNodeClick(event, d) {
+    event.stopPropagation();
+    if (d._isVirtualRoot) return;
+
+    const state = window.state || {};
+    const targetNode = findTargetNode(d.id);
+    if (targetNode) {
+        if (window.showNodeStats) window.showNodeStats(targetNode);
+        if (window.renderViewport) window.renderViewport();
+    } else {
+        state.selectedNode = null;
+        if (window.renderViewport) window.renderViewport();
+        const stays = (state.currentData || []).some(emp => normalizeId(emp.id) === normalizeId(d.id));
+        showToast(stays
+            ? `${d.name || 'This employee'} is in a closed team of the target chart.`
+            : `${d.name || 'This employee'} is not in the target organization.`);
+    }
+    selectInBaselinePane(d.id);
+}
+
+/**
+ * Highlights an employee in the baseline pane.
+ * @param {?string} id The employee's ID, or null to clear the highlight.
+ */
+export function selectInBaselinePane(id) {
+    const pane = document.getElementById(BASELINE_PANE_ID);
+    if (!pane) return;
+
+    const selectedId = id === null || id === undefined ? null : normalizeId(id);
+    d3.select(pane).selectAll('.baseline-node')
+        .classed('selected', d => selectedId !== null && normalizeId(d.id) === selectedId)
+        .select('rect')
+        .classed('selected', d => selectedId !== null && normalizeId(d.id) === selectedId);
+}
+
+/**
+ * Finds an employee among the nodes drawn in the target chart.
+ * @param {string} id The employee's ID.
+ * @returns {?Object} The node, or null if the employee is not drawn.
+ */
+function findTargetNode(id) {
+    const state = window.state || {};
+    if (!state.rootNode || !window.getVisibleNodes) return null;
+
+    const chartRoot = (window.getFocusedNode && window.getFocusedNode()) || state.rootNode;
+    const employeeId = normalizeId(id);
+    return window.getVisibleNodes(chartRoot)
+        .find(node => !node._isVirtualRoot && normalizeId(node.id) === employeeId) || null;
+}
+
+/* ===========================================
+   OVERLAY
+=========================================== */
+
+/**
+ * Animates the target chart from the baseline: every card starts where the employee
+ * sat in the baseline and moves to their place in the target. New employees grow out
+ * of their manager's baseline position.
+ */
+export function playOverlayAnimation() {
+    const state = window.state || {};
+    if (!state.isComparisonMode || !state.rootNode || !window.getVisibleNodes) return;
+
+    stopOverlayAnimation();
+
+    const baselineRoot = buildBaselineChartRoot();
+    if (!baselineRoot) return;
+    window.calculateLayout(baselineRoot, state.width / 2, 100);
+    const baselinePositions = new Map(window.getVisibleNodes(baselineRoot)
+        .filter(node => !node._isVirtualRoot)
+        .map(node => [normalizeId(node.id), { x: node.x, y: node.y }]));
+
+    const chartRoot = (window.getFocusedNode && window.getFocusedNode()) || state.rootNode;
+    const moves = [];
+    const collect = (node, parentStart) => {
+        const target = { x: node.x, y: node.y, spine: node._compactSpineX };
+        const start = baselinePositions.get(normalizeId(node.id)) || parentStart || target;
+        moves.push({ node, start, target });
+        if (node.expanded && node.children) node.children.forEach(child => collect(child, start));
+    };
+    collect(chartRoot, null);
+
+    overlayTimer = d3.timer(elapsed => {
+        const progress = Math.min(1, elapsed / OVERLAY_DURATION);
+        const t = d3.easeCubicInOut(progress);
+        moves.forEach(({ node, start, target }) => {
+            node.x = start.x + (target.x - start.x) * t;
+            node.y = start.y + (target.y - start.y) * t;
+            // Compact team connectors keep their place beside the moving card
+            if (target.spine !== null && target.spine !== undefined) {
+                node._compactSpineX = target.spine + (node.x - target.x);
+            }
+        });
+        window.renderViewport();
+        if (progress === 1) stopOverlayAnimation();
+    });
+}
+
+/**
+ * Stops a running overlay animation, leaving the cards at their target positions.
+ */
+function stopOverlayAnimation() {
+    if (!overlayTimer) return;
+    overlayTimer.stop();
+    overlayTimer = null;
+}
+
+/* ===========================================
+   CONTROLS
+=========================================== */
+
+/**
+ * Follows a new render of the target chart: a running overlay animation is cut short
+ * and the baseline pane is redrawn with the same teams open.
+ */
+export function updateComparisonViews() {
+    stopOverlayAnimation();
+    updateSplitPaneLabels();
+    renderBaselinePane();
+}
+
+/**
+ * Names the panes of the side-by-side view after the compared versions, e.g. two scenarios.
+ */
+export function updateSplitPaneLabels() {
+    const names = getComparedScenarioNames();
+    document.querySelectorAll('.split-pane-label').forEach(label => {
+        label.textContent = label.classList.contains('baseline') ? names.baseline : names.target;
+    });
+}
+
+/**
+ * Shows the side-by-side and overlay buttons in comparison mode and marks the side-by-side view active.
+ */
+export function updateComparisonViewControls() {
+    const state = window.state || {};
+    const splitButton = document.getElementById('splitViewBtn');
+    if (splitButton) {
+        splitButton.style.display = state.isComparisonMode ? '' : 'none';
+        splitButton.classList.toggle('active', state.comparisonView === 'split');
+    }
+    const overlayButton = document.getElementById('overlayBtn');
+    if (overlayButton) overlayButton.style.display = state.isComparisonMode ? '' : 'none';
+}
+
+/* ===========================================
+   HELPERS
+=========================================== */
+
+function normalizeId(id) {
+    if (id === null || id === undefined) return '';
+    return String(id).trim().toLowerCase();
+}
+
+// Expose functions to global window object for non-module scripts
+window.toggleSplitView = toggleSplitView;
+window.setComparisonView = setComparisonView;
+window.renderBaselinePane = renderBaselinePane;
+window.selectInBaselinePane = selectInBaselinePane;
+window.playOverlayAnimation = playOverlayAnimation;
+window.updateComparisonViews = updateComparisonViews;
+window.updateComparisonViewControls = updateComparisonViewControls;
+window.updateSplitPaneLabels = updateSplitPaneLabels;
@@ -1,18 +1,30 @@
 /**
- * @file Handles all aspects of file processing: uploading, parsing Excel data,
+ * @file Handles all aspects of file processing: uploading, parsing Excel/CSV data,
  * managing the column mapping flow, and kicking off data validation.
  */
 
 import { 
     state, 
-    setBaselineData, setUpdateData, setCurrentData, setColumnMapping, 
+    setBaselineData, setCurrentData, setColumnMapping, 
     setValidationErrors, setCurrentValidationData, setCurrentFileData, 
-    setCurrentFileHeaders, setCurrentFileType 
+    setCurrentFileHeaders, setCurrentFileType, setCurrentFileName 
 } from '../main.js';
 import { buildHierarchy, renderChart } from './chartRenderer.js';
 import { updateSearchVisibility } from './uiManager.js';
-import { validateRelations } from './validation.js';
-import { isBlankOrEmpty } from '../utils/helpers.js';
+import { addScenario, clearScenarioBase, getScenarioNameFromFile } from './scenarioManager.js';
+import { validateOrgData, formatValidationIssue, SEVERITY, ROW_NUMBER_KEY } from '../utils/validation.js';
+import { RESOLVED_MANAGER_KEY, RESOLVED_DOTTED_LINE_KEY, splitManagerReferences } from '../utils/managerResolver.js';
+import { isBlankOrEmpty, showToast } from '../utils/helpers.js';
+import {
+    parsePositionStatus, isOpenPosition, getOpenPositionName, summarizePositions
+} from '../utils/positions.js';
+import {
+    addCustomAttributeRow, renderCustomAttributeEditor, readCustomAttributeEditor, extractCustomAttributes
+} from '../utils/customAttributes.js';
+import {
+    readSpreadsheetFile, pickDefaultSheetIndex, describeSheet, renderSheetPreview,
+    populateHeaderRowSelect, detectHeaderRowIndex, detectTrailingSummaryRows, extractTable
+} from '../utils/spreadsheetReader.js';
 
 console.log('[OrgChart] fileHandler loaded');
 
@@ -20,12 +32,17 @@ console.log('[OrgChart] fileHandler loaded');
    FILE UPLOAD HANDLING
 =========================================== */
 
+/** Spreadsheet row number of the first data row of the current file; issues refer to these row numbers. */
+let firstDataRowNumber = 2;
+
 /**
  * Handles the 'change' event for file input elements.
- * Reads the selected Excel file, parses it into JSON, and initiates the column mapping dialog.
+ * Reads the selected Excel, CSV or TSV file, detects the header row and trailing summary
+ * rows, lets the user review the worksheet and rows to import when there is anything to
+ * confirm, and initiates the column mapping dialog.
  * @param {Event} event - The file input change event.
  */
-export function handleFileUpload(event) {
+export async function handleFileUpload(event) {
     const file = event.target.files[0];
     if (!file) {
         return;
@@ -36,39 +53,144 @@ export function handleFileUpload(event) {
     const statusEl = document.getElementById(isBaseline ? 'baselineStatus' : 'updateStatus');
     statusEl.textContent = `Reading ${file.name}...`;
 
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            const data = new Uint8Array(e.target.result);
-            const workbook = XLSX.read(data, {type: 'array'});
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-            const jsonData = XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: ""});
-            
-            const headers = jsonData[0];
-            const rows = jsonData.slice(1).map(row => {
-                const obj = {};
-                headers.forEach((header, i) => {
-                    obj[header] = row[i];
-                });
-                return obj;
+    try {
+        const { sheets } = await readSpreadsheetFile(file);
+        const nonEmptySheets = sheets.filter(sheet => sheet.rows.length > 0);
+
+        if (!nonEmptySheets.length) {
+            throw new Error('The file does not contain any data.');
+        }
+
+        // Only ask the user when there is a choice to make or something to confirm
+        const selection = getDefaultImportSelection(nonEmptySheets);
+        const needsReview = nonEmptySheets.length > 1 || selection.headerRowIndex > 0 || selection.trailingRows > 0;
+        const confirmed = needsReview ? await showSheetPicker(nonEmptySheets) : selection;
+
+        if (!confirmed) {
+            event.target.value = '';
+            statusEl.textContent = '';
+            return;
+        }
+
+        const { headers, dataRows } = extractTable(confirmed.sheet.rows, confirmed);
+        firstDataRowNumber = confirmed.headerRowIndex + 2;
+        const rows = dataRows.map(row => {
+            const obj = {};
+            headers.forEach((header, i) => {
+                obj[header] = row[i];
             });
+            return obj;
+        });
 
-            // Store file data in central state
-            setCurrentFileData(rows);
-            setCurrentFileHeaders(headers);
-            setCurrentFileType(isBaseline ? 'baseline' : 'update');
-            
-            // Show column mapping dialog
-            showColumnMappingDialog(headers);
-            
-        } catch (error) {
-            console.error('Error processing file:', error);
-            alert('There was an error processing the file. Please ensure it is a valid Excel file.');
-            statusEl.textContent = 'Error processing file';
+        // Store file data in central state
+        setCurrentFileData(rows);
+        setCurrentFileHeaders(headers);
+        setCurrentFileType(isBaseline ? 'baseline' : 'update');
+        setCurrentFileName(file.name);
+        
+        // Show column mapping dialog
+        showColumnMappingDialog(headers);
+        
+    } catch (error) {
+        console.error('Error processing file:', error);
+        alert(`There was an error processing the file. ${error.message || 'Please ensure it is a valid Excel, CSV or TSV file.'}`);
+        statusEl.textContent = 'Error processing file';
+    }
+}
+
+/* ===========================================
+   SHEET PICKER
+=========================================== */
+
+/**
+ * Suggests the worksheet, header row and trailing summary rows to import.
+ * @param {Array<{name: string, rows: Array<Array<*>>}>} sheets - The non-empty sheets of the file.
+ * @param {number} [sheetIndex] - The sheet to use; defaults to the largest one.
+ * @returns {{sheet: Object, headerRowIndex: number, trailingRows: number}} The suggested selection.
+ */
+function getDefaultImportSelection(sheets, sheetIndex = pickDefaultSheetIndex(sheets)) {
+    const sheet = sheets[sheetIndex];
+    const headerRowIndex = detectHeaderRowIndex(sheet.rows);
+    const trailingRows = detectTrailingSummaryRows(sheet.rows, headerRowIndex);
+    return { sheet, headerRowIndex, trailingRows };
+}
+
+/**
+ * Displays the sheet picker modal so the user can choose which worksheet holds the roster
+ * and confirm or override the detected header row and trailing summary rows.
+ * A preview of the selected sheet highlights the header and greys out skipped rows.
+ * @param {Array<{name: string, rows: Array<Array<*>>}>} sheets - The non-empty sheets of the file.
+ * @returns {Promise<Object|null>} The chosen `{sheet, headerRowIndex, trailingRows}`, or null if the user cancelled.
+ */
+export function showSheetPicker(sheets) {
+    const modal = document.getElementById('sheetPickerModal');
+    const select = document.getElementById('sheetSelect');
+    const info = document.getElementById('sheetInfo');
+    const headerSelect = document.getElementById('headerRowSelect');
+    const headerInfo = document.getElementById('headerRowInfo');
+    const trailingInput = document.getElementById('trailingRowsInput');
+    const trailingInfo = document.getElementById('trailingRowsInfo');
+    const preview = document.getElementById('sheetPreview');
+
+    if (!modal || !select || !headerSelect || !trailingInput) {
+        console.warn('[FileHandler] Sheet picker not found, using detected defaults');
+        return Promise.resolve(getDefaultImportSelection(sheets));
+    }
+
+    select.innerHTML = '';
+    sheets.forEach((sheet, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = sheet.name;
+        select.appendChild(option);
+    });
+
+    const getSelection = () => ({
+        sheet: sheets[select.value],
+        headerRowIndex: parseInt(headerSelect.value, 10) || 0,
+        trailingRows: Math.max(0, parseInt(trailingInput.value, 10) || 0)
+    });
+
+    const updatePreview = () => {
+        const selection = getSelection();
+        renderSheetPreview(preview, selection.sheet.rows, selection);
+    };
+
+    // Selecting a sheet re-runs detection; header/trailing changes only refresh the preview
+    const selectSheet = () => {
+        const detected = getDefaultImportSelection(sheets, Number(select.value));
+        if (info) info.textContent = describeSheet(detected.sheet);
+
+        populateHeaderRowSelect(headerSelect, detected.sheet.rows);
+        headerSelect.value = detected.headerRowIndex;
+        trailingInput.value = detected.trailingRows;
+        trailingInput.max = detected.sheet.rows.length - 1;
+
+        if (headerInfo) headerInfo.textContent = `Auto-detected: Row ${detected.headerRowIndex + 1}`;
+        if (trailingInfo) {
+            trailingInfo.textContent = detected.trailingRows
+                ? `Auto-detected: ${detected.trailingRows} summary row(s)`
+                : '';
         }
+        updatePreview();
     };
-    reader.readAsArrayBuffer(file);
+
+    select.value = pickDefaultSheetIndex(sheets);
+    select.onchange = selectSheet;
+    headerSelect.onchange = updatePreview;
+    trailingInput.oninput = updatePreview;
+    selectSheet();
+
+    modal.style.display = 'flex';
+
+    return new Promise(resolve => {
+        const close = (result) => {
+            modal.style.display = 'none';
+            resolve(result);
+        };
+        document.getElementById('confirmSheetBtn').onclick = () => close(getSelection());
+        document.getElementById('cancelSheetBtn').onclick = () => close(null);
+    });
 }
 
 /* ===========================================
@@ -84,9 +206,10 @@ export function showColumnMappingDialog(headers) {
     const modal = document.getElementById('columnMappingModal');
     
     // Populate dropdowns with headers
-    const dropdowns = ['employeeNameMapping', 'managerMapping', 'jobTitleMapping', 'fteMapping', 'locationMapping', 'jobFamilyMapping', 'managementLevelMapping'];
+    const dropdowns = ['employeeIdMapping', 'employeeNameMapping', 'employeeEmailMapping', 'managerMapping', 'dottedLineManagerMapping', 'jobTitleMapping', 'fteMapping', 'positionStatusMapping', 'locationMapping', 'jobFamilyMapping', 'managementLevelMapping', 'photoUrlMapping'];
     dropdowns.forEach(dropdownId => {
         const dropdown = document.getElementById(dropdownId);
+        if (!dropdown) return;
         dropdown.innerHTML = '<option value="">Select column...</option>';
         headers.forEach(header => {
             const option = document.createElement('option');
@@ -96,49 +219,140 @@ export function showColumnMappingDialog(headers) {
         });
     });
 
+    const referenceTypeSelect = document.getElementById('managerReferenceType');
+    if (referenceTypeSelect) referenceTypeSelect.value = 'auto';
+
+    // Start with no custom attributes; each added row lists the file's columns
+    const attributeContainer = document.getElementById('customAttributeList');
+    const attributeOptions = { rows: state.currentFileData || [] };
+    renderCustomAttributeEditor(attributeContainer, headers, [], attributeOptions);
+    const addAttributeBtn = document.getElementById('addCustomAttributeBtn');
+    if (addAttributeBtn) {
+        addAttributeBtn.onclick = () => addCustomAttributeRow(attributeContainer, headers, {}, attributeOptions);
+    }
+
     // Auto-detect mappings
     autoDetectMappings(headers);
-    // Also auto-detect a stable employeeId (no dropdown exists yet)
-    try {
-        const idKeywords = ['id', 'employee id', 'worker', 'worker id', 'person id', 'employee number', 'emp id'];
-        const headersLower = headers.map(h => (h || '').toString().toLowerCase());
-        let bestIdHeader = null;
-        let bestScore = 0;
-        headers.forEach((header, i) => {
-            const hl = headersLower[i];
-            idKeywords.forEach(k => {
-                if (hl.includes(k)) {
-                    const s = k.length / Math.max(hl.length, 1);
-                    if (s > bestScore) { bestScore = s; bestIdHeader = header; }
-                }
-            });
-        });
-        if (bestIdHeader) {
-            setColumnMapping({ ...state.columnMapping, employeeId: bestIdHeader });
-        }
-    } catch(e) { console.warn('ID auto-detect failed', e); }
+
+    // Offer a saved mapping profile if one matches these headers
+    offerMappingProfile(headers);
     
     // Show the modal
     modal.style.display = 'flex';
 }
 
+/* ===========================================
+   MAPPING PROFILES
+=========================================== */
+
+/**
+ * Looks up a saved mapping profile matching the file's headers and, if found,
+ * shows a banner in the mapping dialog offering to apply it.
+ * @param {Array<string>} headers - The column headers from the uploaded file.
+ */
+async function offerMappingProfile(headers) {
+    const banner = document.getElementById('mappingProfileBanner');
+    const message = document.getElementById('mappingProfileMessage');
+    const applyBtn = document.getElementById('applyMappingProfileBtn');
+    const nameInput = document.getElementById('mappingProfileName');
+
+    if (nameInput) nameInput.value = '';
+    if (!banner || !window.findMappingProfile) return;
+    banner.style.display = 'none';
+
+    const { profile, error } = await window.findMappingProfile(headers);
+    if (error || !profile) return;
+
+    message.textContent = `Your saved mapping profile "${profile.name}" matches this file's columns.`;
+    applyBtn.onclick = () => {
+        applyMappingProfile(profile, headers);
+        banner.style.display = 'none';
+    };
+    banner.style.display = 'flex';
+}
+
+/**
+ * Applies a saved mapping profile to the mapping dialog dropdowns.
+ * Columns that no longer exist in the file are left untouched.
+ * @param {Object} profile - The mapping profile record.
+ * @param {Array<string>} headers - The column headers from the uploaded file.
+ */
+function applyMappingProfile(profile, headers) {
+    const mapping = profile.column_mapping || {};
+    // Profiles match case- and whitespace-insensitively, so their columns are looked up the same way
+    const findHeader = header => headers[window.findHeaderIndex(headers, header)];
+
+    Object.entries(mapping).forEach(([field, header]) => {
+        if (field === 'managerReferenceType') {
+            const referenceTypeSelect = document.getElementById('managerReferenceType');
+            if (referenceTypeSelect && header) referenceTypeSelect.value = header;
+            return;
+        }
+
+        if (field === 'customAttributes') {
+            const attributes = (header || [])
+                .map(attribute => ({ ...attribute, column: findHeader(attribute.column) }))
+                .filter(attribute => attribute.column !== undefined);
+            renderCustomAttributeEditor(document.getElementById('customAttributeList'), headers, attributes, { rows: state.currentFileData || [] });
+            return;
+        }
+
+        const column = findHeader(header);
+        if (column === undefined) return;
+
+        const dropdown = document.getElementById(`${field}Mapping`);
+        if (!dropdown) return;
+
+        dropdown.value = column;
+        const detectedInfo = dropdown.parentElement.querySelector('.detected-info');
+        if (detectedInfo) {
+            detectedInfo.textContent = `From profile: ${profile.name}`;
+        }
+    });
+
+    const nameInput = document.getElementById('mappingProfileName');
+    if (nameInput) nameInput.value = profile.name;
+
+    window.markMappingProfileUsed?.(profile.id);
+    showToast(`Applied mapping profile "${profile.name}"`);
+}
+
+/**
+ * Saves the confirmed mapping as a named profile if the user entered a profile name.
+ * @param {Object} mappings - Field → column header name.
+ */
+async function saveMappingProfileIfRequested(mappings) {
+    const nameInput = document.getElementById('mappingProfileName');
+    const name = nameInput?.value.trim();
+    if (!name || !window.saveMappingProfile) return;
+
+    const { error } = await window.saveMappingProfile(name, state.currentFileHeaders, mappings);
+    showToast(error ? `Could not save mapping profile: ${error.message}` : `Mapping profile "${name}" saved`);
+}
+
 /**
  * Automatically detects and selects the most likely column mappings based on keyword matching.
  * @param {Array<string>} headers - The column headers from the Excel file.
  */
 export function autoDetectMappings(headers) {
     const mappings = {
+        employeeIdMapping: ['id', 'employee id', 'worker id', 'person id', 'employee number', 'emp id', 'personnel number'],
         employeeNameMapping: ['name', 'employee name', 'full name', 'worker name', 'employee', 'person', 'worker'],
+        employeeEmailMapping: ['email', 'e-mail', 'mail', 'email address', 'work email'],
         managerMapping: ['manager', 'manager name', 'supervisor', 'boss', 'reports to', 'manager id'],
+        dottedLineManagerMapping: ['dotted line', 'dotted-line', 'functional manager', 'matrix manager', 'secondary manager', 'indirect manager'],
         jobTitleMapping: ['title', 'job title', 'position', 'role', 'job', 'position title'],
         fteMapping: ['fte', 'full time equivalent', 'employment type', 'hours', 'workload'],
+        positionStatusMapping: ['position status', 'status', 'vacancy', 'vacant', 'requisition', 'seat status'],
         locationMapping: ['location', 'office', 'site', 'city', 'country', 'workplace'],
         jobFamilyMapping: ['job family', 'department', 'function', 'team', 'division', 'group'],
-        managementLevelMapping: ['level', 'management level', 'grade', 'band', 'tier', 'hierarchy level']
+        managementLevelMapping: ['level', 'management level', 'grade', 'band', 'tier', 'hierarchy level'],
+        photoUrlMapping: ['photo', 'picture', 'image', 'avatar', 'headshot', 'portrait']
     };
 
     Object.keys(mappings).forEach(dropdownId => {
         const dropdown = document.getElementById(dropdownId);
+        if (!dropdown) return;
         const keywords = mappings[dropdownId];
         
         // Find best match
@@ -147,6 +361,14 @@ export function autoDetectMappings(headers) {
         
         headers.forEach(header => {
             const headerLower = header.toLowerCase();
+            // Manager columns ("Manager ID", "Supervisor Email") must not be picked for the employee's own fields,
+            // and dotted-line manager columns not for the line manager
+            const isDottedLineHeader = /dotted|functional manager|matrix|secondary manager|indirect manager/.test(headerLower);
+            if (dropdownId === 'managerMapping' && isDottedLineHeader) return;
+            if (dropdownId === 'dottedLineManagerMapping' && !isDottedLineHeader) return;
+            if (dropdownId !== 'managerMapping' && dropdownId !== 'dottedLineManagerMapping' && /manager|supervisor|reports to/.test(headerLower)) return;
+            // Employment and contract statuses describe the person, not the seat
+            if (dropdownId === 'positionStatusMapping' && /employment|contract|marital/.test(headerLower)) return;
             keywords.forEach(keyword => {
                 if (headerLower.includes(keyword)) {
                     const score = keyword.length / headerLower.length;
@@ -170,47 +392,101 @@ export function autoDetectMappings(headers) {
 }
 
 /**
- * Confirms the user's column mapping selections, validates the data,
- * and processes it into the application's data structures.
+ * Confirms the user's column mapping selections, resolves manager references to
+ * employee IDs, validates the data, and processes it into the application's data structures.
+ * Data with errors is handed to the validation modal, where the affected rows can be fixed in place.
  */
 export function confirmColumnMapping() {
     // Get mappings from dropdowns
     const mappings = {
+        employeeId: document.getElementById('employeeIdMapping').value,
         employeeName: document.getElementById('employeeNameMapping').value,
+        employeeEmail: document.getElementById('employeeEmailMapping').value,
         manager: document.getElementById('managerMapping').value,
+        managerReferenceType: document.getElementById('managerReferenceType').value,
+        dottedLineManager: document.getElementById('dottedLineManagerMapping')?.value || '',
         jobTitle: document.getElementById('jobTitleMapping').value,
         fte: document.getElementById('fteMapping').value,
+        positionStatus: document.getElementById('positionStatusMapping')?.value || '',
         location: document.getElementById('locationMapping').value,
         jobFamily: document.getElementById('jobFamilyMapping').value,
-        managementLevel: document.getElementById('managementLevelMapping').value
+        managementLevel: document.getElementById('managementLevelMapping').value,
+        photoUrl: document.getElementById('photoUrlMapping')?.value || '',
+        customAttributes: readCustomAttributeEditor(document.getElementById('customAttributeList'))
     };
-    
-    // Prefer a detected stable employeeId if available
-    if (state.columnMapping?.employeeId) {
-        mappings.employeeId = state.columnMapping.employeeId;
-    }
 
     // Validate required fields
     if (!mappings.employeeName || !mappings.manager) {
         alert('Employee Name and Manager are required fields.');
         return;
     }
+    if (mappings.managerReferenceType === 'email' && !mappings.employeeEmail) {
+        alert('Please map the Employee Email column to resolve managers by email address.');
+        return;
+    }
+
+    // Validate the data; manager names/emails are resolved to employee IDs on the way
+    const validation = validateOrgData(state.currentFileData, getValidationMapping(mappings), { firstRowNumber: firstDataRowNumber });
+    mappings.managerReferenceType = validation.referenceType;
+    console.log('[FileHandler] Resolved managers by', validation.referenceType);
 
     // Store mappings in central state
     setColumnMapping(mappings);
+    saveMappingProfileIfRequested(mappings);
     
-    // Validate data relationships
-    const errors = validateRelations(state.currentFileData, mappings.employeeName, mappings.manager);
-    
-    if (errors.length > 0) {
-        setValidationErrors(errors);
-        setCurrentValidationData(state.currentFileData);
-        showValidationErrors(errors);
+    if (validation.errors.length > 0) {
+        // Errors are fixed in the validation modal on an editable copy of the rows
+        setValidationErrors(validation.issues);
+        // Each row keeps its spreadsheet row number, even when rows above it are removed
+        setCurrentValidationData(state.currentFileData.map((row, index) => ({
+            ...row,
+            [ROW_NUMBER_KEY]: index + firstDataRowNumber
+        })));
+        showValidationErrors(validation.issues);
         return;
     }
 
+    importValidatedRows(state.currentFileData, validation);
+}
+
+/**
+ * Builds the `validateOrgData` mapping from the column mapping.
+ * @param {Object} mappings - The column mapping.
+ * @returns {Object}
+ */
+function getValidationMapping(mappings) {
+    return {
+        id: mappings.employeeId || mappings.employeeName,
+        name: mappings.employeeName,
+        email: mappings.employeeEmail,
+        manager: mappings.manager,
+        managerReferenceType: mappings.managerReferenceType,
+        dottedLineManager: mappings.dottedLineManager,
+        fte: mappings.fte,
+        positionStatus: mappings.positionStatus
+    };
+}
+
+/**
+ * Transforms rows that passed validation and loads them as baseline or update data.
+ * @param {Array<Object>} data - The data rows.
+ * @param {Object} validation - The result of `validateOrgData` for these rows.
+ */
+function importValidatedRows(data, validation) {
+    // Keep the resolved manager IDs on each row for the transformation
+    const rows = data.map((row, index) => ({
+        ...row,
+        [RESOLVED_MANAGER_KEY]: validation.resolutions[index].managerId,
+        [RESOLVED_DOTTED_LINE_KEY]: validation.dottedLineResolutions[index].managerIds
+    }));
+
+    if (validation.warnings.length > 0) {
+        console.warn('[FileHandler] Validation warnings:', validation.warnings);
+        showToast(`${validation.warnings.length} warning(s): ${formatValidationIssue(validation.warnings[0])}`);
+    }
+
     // Process the data
-    const transformedData = transformDataToOrgStructure(state.currentFileData);
+    const transformedData = transformDataToOrgStructure(rows);
     if (!transformedData?.length) {
         console.warn('[FileHandler] Transformed data is empty. Check column mapping (employeeId/employeeName).');
         alert('No rows could be read from this file with the selected columns. Please review the column mapping.');
@@ -245,12 +521,14 @@ export function cancelColumnMapping() {
 
 /* ===========================================
    DATA VALIDATION
-   Delegated to validation.js for clarity and reuse
+   Delegated to utils/validation.js, shared with the upload stepper and import summary
 =========================================== */
 
 /**
- * Displays the validation error modal with a list of all detected errors.
- * @param {Array<Object>} errors - An array of error objects from `validateRelations`.
+ * Displays the validation error modal with a list of all detected issues and
+ * an editable grid of the affected rows.
+ * Warnings are listed after the errors that block the import.
+ * @param {Array<Object>} errors - The issues from `validateOrgData`.
  */
 export function showValidationErrors(errors) {
     const modal = document.getElementById('validationModal');
@@ -262,17 +540,285 @@ export function showValidationErrors(errors) {
         return;
     }
     
-    errorCount.textContent = errors.length;
+    renderIssueList(errors);
+    fixUpRowIndices = [];
+    renderFixUpGrid(errors);
     
-    errorList.innerHTML = errors.map(error => `
-        <li class="error-item">
-            <div class="error-type">${escapeHtml(error.type)}</div>
+    modal.style.display = 'flex';
+}
+
+/**
+ * Renders the issue count and list of the validation modal.
+ * @param {Array<Object>} errors - The issues from `validateOrgData`.
+ */
+function renderIssueList(errors) {
+    const errorList = document.getElementById('errorList');
+    const errorCount = document.getElementById('errorCount');
+    const blocking = errors.filter(error => error.severity !== SEVERITY.warning).length;
+
+    errorCount.textContent = blocking;
+    
+    const sorted = [...errors].sort((a, b) => (a.severity === SEVERITY.warning) - (b.severity === SEVERITY.warning));
+    errorList.innerHTML = sorted.map(error => `
+        <li class="error-item ${error.severity === SEVERITY.warning ? 'warning' : ''}">
+            <div class="error-type">${escapeHtml(error.type)}${error.column ? ` <span class="error-column">· ${escapeHtml(error.column)}</span>` : ''}</div>
             <div class="error-message">${escapeHtml(error.message)}</div>
             <div class="error-details">${escapeHtml(error.details)}</div>
         </li>
     `).join('');
-    
-    modal.style.display = 'flex';
+
+    const continueBtn = document.getElementById('continueImportBtn');
+    if (continueBtn) continueBtn.disabled = blocking > 0;
+    document.getElementById('validationModal')?.classList.toggle('resolved', blocking === 0);
+}
+
+/* ===========================================
+   VALIDATION FIX-UP GRID
+   Lets users correct the rows behind validation errors without leaving the app
+=========================================== */
+
+/** Indices into `state.currentValidationData` of the rows shown in the grid, in display order. */
+let fixUpRowIndices = [];
+let revalidateTimeout;
+const REVALIDATE_DELAY = 200;
+
+/**
+ * Maps the spreadsheet rows referenced by issues to indices into the validated data.
+ * @param {Array<Object>} issues - The issues from `validateOrgData`.
+ * @returns {Map<number, Array<Object>>} Row index -> blocking issues on that row.
+ */
+function getIssuesByRowIndex(issues) {
+    const indexByRowNumber = new Map(
+        (state.currentValidationData || []).map((row, index) => [row[ROW_NUMBER_KEY], index])
+    );
+    const byRow = new Map();
+    issues
+        .filter(issue => issue.severity === SEVERITY.error)
+        .forEach(issue => {
+            issue.rows.forEach(rowNumber => {
+                const index = indexByRowNumber.get(rowNumber);
+                if (index === undefined) return;
+                if (!byRow.has(index)) byRow.set(index, []);
+                byRow.get(index).push(issue);
+            });
+        });
+    return byRow;
+}
+
+/**
+ * Reads the value a manager cell uses to reference the employee in the given row.
+ * @param {Object} row - A data row.
+ * @returns {string}
+ */
+function getManagerReferenceValue(row) {
+    const cm = state.columnMapping;
+    const column = {
+        id: cm.employeeId || cm.employeeName,
+        name: cm.employeeName,
+        email: cm.employeeEmail
+    }[cm.managerReferenceType] || cm.employeeId || cm.employeeName;
+    return String(row[column] ?? '').trim();
+}
+
+/**
+ * Renders the editable grid of rows affected by blocking issues.
+ * Rows stay in the grid once shown, so fixing one problem never hides the row being edited.
+ * @param {Array<Object>} issues - The issues from `validateOrgData`.
+ */
+function renderFixUpGrid(issues) {
+    const table = document.getElementById('fixUpTable');
+    if (!table) return;
+
+    const cm = state.columnMapping;
+    const data = state.currentValidationData || [];
+    const hasIdColumn = cm.employeeId && cm.employeeId !== cm.employeeName;
+    const byRow = getIssuesByRowIndex(issues);
+
+    byRow.forEach((_, index) => {
+        if (index >= 0 && index < data.length && !fixUpRowIndices.includes(index)) fixUpRowIndices.push(index);
+    });
+
+    const cell = (index, field, column) => `
+        <td><input type="text" class="fixup-input" data-row-index="${index}" data-field="${field}"
+            value="${escapeHtml(String(data[index][column] ?? ''))}"
+            ${field === 'manager' ? 'list="fixUpManagerOptions" placeholder="(top of the organization)"' : ''}></td>`;
+
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>Row</th>
+                ${hasIdColumn ? `<th>${escapeHtml(String(cm.employeeId))}</th>` : ''}
+                <th>${escapeHtml(String(cm.employeeName))}</th>
+                <th>${escapeHtml(String(cm.manager))}</th>
+                <th>Problems</th>
+                <th></th>
+            </tr>
+        </thead>
+        <tbody>
+            ${fixUpRowIndices.map(index => `
+                <tr data-row-index="${index}">
+                    <td class="fixup-row-number">${data[index][ROW_NUMBER_KEY]}</td>
+                    ${hasIdColumn ? cell(index, 'id', cm.employeeId) : ''}
+                    ${cell(index, 'name', cm.employeeName)}
+                    ${cell(index, 'manager', cm.manager)}
+                    <td class="fixup-problems"></td>
+                    <td class="fixup-actions">
+                        <button type="button" class="fixup-btn" data-action="make-root" title="Make this employee the single top-level person; other employees without a manager will report to them">Make CEO</button>
+                        <button type="button" class="fixup-btn remove" data-action="remove" title="Remove this row from the import">Remove</button>
+                    </td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+
+    updateFixUpProblems(byRow);
+    renderManagerOptions();
+}
+
+/**
+ * Refreshes the problems column and error highlighting of the grid.
+ * @param {Map<number, Array<Object>>} byRow - Blocking issues per row index.
+ */
+function updateFixUpProblems(byRow) {
+    document.querySelectorAll('#fixUpTable tbody tr').forEach(tr => {
+        const rowIssues = byRow.get(Number(tr.dataset.rowIndex)) || [];
+        tr.classList.toggle('has-error', rowIssues.length > 0);
+        tr.querySelector('.fixup-problems').innerHTML = rowIssues.length
+            ? rowIssues.map(issue => `<span class="fixup-problem" title="${escapeHtml(issue.message)}">${escapeHtml(issue.type)}</span>`).join('')
+            : '<span class="fixup-ok">✓ OK</span>';
+    });
+}
+
+/**
+ * Fills the manager suggestions with the reference value of every employee.
+ */
+function renderManagerOptions() {
+    const datalist = document.getElementById('fixUpManagerOptions');
+    if (!datalist) return;
+
+    const cm = state.columnMapping;
+    datalist.innerHTML = (state.currentValidationData || [])
+        .map(row => ({ value: getManagerReferenceValue(row), label: String(row[cm.employeeName] ?? '') }))
+        .filter(option => option.value)
+        .map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`)
+        .join('');
+}
+
+/**
+ * Re-runs validation on the edited rows and updates the modal.
+ * Newly affected rows are added to the grid without re-rendering the rows being edited.
+ */
+function revalidateFixUpData() {
+    const validation = validateOrgData(state.currentValidationData, getValidationMapping(state.columnMapping), { firstRowNumber: firstDataRowNumber });
+    setValidationErrors(validation.issues);
+    renderIssueList(validation.issues);
+
+    const byRow = getIssuesByRowIndex(validation.issues);
+    const hasNewRows = [...byRow.keys()].some(index => !fixUpRowIndices.includes(index));
+    if (hasNewRows) {
+        renderFixUpGrid(validation.issues);
+    } else {
+        updateFixUpProblems(byRow);
+    }
+    return validation;
+}
+
+/**
+ * Writes an edited grid cell back to the data and schedules re-validation.
+ * @param {Event} event - The input event.
+ */
+function handleFixUpInput(event) {
+    const input = event.target.closest('.fixup-input');
+    if (!input) return;
+
+    const cm = state.columnMapping;
+    const column = { id: cm.employeeId, name: cm.employeeName, manager: cm.manager }[input.dataset.field];
+    state.currentValidationData[Number(input.dataset.rowIndex)][column] = input.value;
+
+    clearTimeout(revalidateTimeout);
+    revalidateTimeout = setTimeout(() => {
+        revalidateFixUpData();
+        if (input.dataset.field !== 'manager') renderManagerOptions();
+    }, REVALIDATE_DELAY);
+}
+
+/**
+ * Handles the row actions of the grid.
+ * @param {Event} event - The click event.
+ */
+function handleFixUpAction(event) {
+    const button = event.target.closest('.fixup-btn');
+    if (!button) return;
+
+    const index = Number(button.closest('tr').dataset.rowIndex);
+    if (button.dataset.action === 'make-root') {
+        makeRootEmployee(index);
+    } else if (button.dataset.action === 'remove') {
+        removeFixUpRow(index);
+    }
+}
+
+/**
+ * Makes the employee in the given row the single top-level person: their manager is
+ * cleared and every other employee without a manager now reports to them.
+ * @param {number} index - Index of the row in the validated data.
+ */
+function makeRootEmployee(index) {
+    const data = state.currentValidationData;
+    const managerColumn = state.columnMapping.manager;
+    const reference = getManagerReferenceValue(data[index]);
+
+    if (!reference) {
+        showToast('Enter a value for this employee before making them the CEO.');
+        return;
+    }
+
+    data[index][managerColumn] = '';
+    data.forEach((row, rowIndex) => {
+        if (rowIndex !== index && isBlankOrEmpty(row[managerColumn])) {
+            row[managerColumn] = reference;
+            if (!fixUpRowIndices.includes(rowIndex)) fixUpRowIndices.push(rowIndex);
+        }
+    });
+
+    renderFixUpGrid(revalidateFixUpData().issues);
+}
+
+/**
+ * Removes a row from the data to import, e.g. a duplicated employee.
+ * @param {number} index - Index of the row in the validated data.
+ */
+function removeFixUpRow(index) {
+    state.currentValidationData.splice(index, 1);
+    // Later rows move up by one
+    fixUpRowIndices = fixUpRowIndices
+        .filter(rowIndex => rowIndex !== index)
+        .map(rowIndex => (rowIndex > index ? rowIndex - 1 : rowIndex));
+
+    renderFixUpGrid(revalidateFixUpData().issues);
+}
+
+/**
+ * Imports the corrected rows once no blocking errors remain.
+ */
+export function continueImport() {
+    const data = state.currentValidationData;
+    if (!data) return;
+
+    clearTimeout(revalidateTimeout);
+    const validation = validateOrgData(data, getValidationMapping(state.columnMapping), { firstRowNumber: firstDataRowNumber });
+    if (validation.errors.length > 0) {
+        renderIssueList(validation.issues);
+        showToast('Please fix the remaining errors before continuing.');
+        return;
+    }
+
+    setCurrentFileData(data);
+    setValidationErrors([]);
+    setCurrentValidationData(null);
+    document.getElementById('validationModal').style.display = 'none';
+
+    importValidatedRows(data, validation);
 }
 
 /**
@@ -295,6 +841,7 @@ function escapeHtml(unsafe) {
 /**
  * Transforms the raw, row-based JSON data from the Excel file into the
  * structured format required by the rest of the application.
+ * Mapped custom attributes are parsed by type into each employee's `additionalData`.
  * @param {Array<Object>} data - The raw data array from the parsed Excel file.
  * @returns {Array<Object>} The transformed data array.
  */
@@ -303,11 +850,15 @@ export function transformDataToOrgStructure(data) {
     
     const cm = state.columnMapping || {};
     return data
-        .map(row => {
+        .map((row, index) => {
             if (!row) return null;
             
-            const idVal = row[cm.employeeId] ?? row[cm.employeeName];
-            const nameVal = row[cm.employeeName] ?? idVal;
+            const positionStatus = parsePositionStatus(row[cm.positionStatus]) || 'filled';
+            const title = String(row[cm.jobTitle] ?? '').trim();
+            const isOpen = isOpenPosition({ positionStatus });
+            // Open positions may have neither ID nor name: generate the ID from the row number
+            const idVal = row[cm.employeeId] || row[cm.employeeName] || (isOpen ? `position_${index + 2}` : '');
+            const nameVal = row[cm.employeeName] || (isOpen ? getOpenPositionName(positionStatus, title) : idVal);
             
             // Skip if we don't have a valid identifier
             if (!idVal && !nameVal) return null;
@@ -315,18 +866,32 @@ export function transformDataToOrgStructure(data) {
             return {
                 id: String(idVal || '').trim(),
                 name: String(nameVal || '').trim(),
-                managerId: String(row[cm.manager] ?? '').trim(),
-                title: String(row[cm.jobTitle] ?? '').trim(),
+                managerId: String(row[RESOLVED_MANAGER_KEY] ?? row[cm.manager] ?? '').trim(),
+                dottedLineManagerIds: row[RESOLVED_DOTTED_LINE_KEY] ?? splitManagerReferences(row[cm.dottedLineManager]),
+                title,
                 fte: String(row[cm.fte] ?? '').trim(),
+                positionStatus,
                 location: String(row[cm.location] ?? '').trim(),
                 jobFamily: String(row[cm.jobFamily] ?? '').trim(),
-                managementLevel: String(row[cm.managementLevel] ?? '').trim()
+                managementLevel: String(row[cm.managementLevel] ?? '').trim(),
+                photoUrl: String(row[cm.photoUrl] ?? '').trim(),
+                additionalData: extractCustomAttributes(row, cm.customAttributes)
             };
         })
         .filter(Boolean) // Remove any null entries
         .filter(emp => emp.id || emp.name); // Ensure we have at least an ID or name
 }
 
+/**
+ * Describes loaded records, e.g. "12 employees, 3 open positions".
+ * @param {Array<Object>} data - The transformed data.
+ * @returns {string}
+ */
+function describeLoadedRecords(data) {
+    const { headcount, open } = summarizePositions(data);
+    return open > 0 ? `${headcount} employees, ${open} open positions` : `${data.length} employees`;
+}
+
 /**
  * Processes the transformed data as the baseline dataset.
  * @param {Array<Object>} data - The transformed baseline data.
@@ -339,14 +904,15 @@ export function processBaselineData(data) {
     
     console.log('[FileHandler] Processing baseline data:', data.length, 'employees');
     
-    // Update state
+    // Update state; the scenarios are compared with the new baseline
     setBaselineData([...data]);
     setCurrentData([...data]);
+    clearScenarioBase();
     
     // Update UI
     const statusEl = document.getElementById('baselineStatus');
     if (statusEl) {
-        statusEl.textContent = `✓ ${data.length} employees loaded`;
+        statusEl.textContent = `✓ ${describeLoadedRecords(data)} loaded`;
         statusEl.classList.add('loaded');
     }
     
@@ -358,7 +924,8 @@ export function processBaselineData(data) {
 }
 
 /**
- * Processes the transformed data as the update dataset.
+ * Processes the transformed data as the update dataset: a scenario named after the
+ * file, which is compared with the baseline.
  * @param {Array<Object>} data - The transformed update data.
  */
 export function processUpdateData(data) {
@@ -370,12 +937,12 @@ export function processUpdateData(data) {
     console.log('[FileHandler] Processing update data:', data.length, 'employees');
     
     // Update state
-    setUpdateData([...data]);
+    const scenario = addScenario([...data], getScenarioNameFromFile(state.currentFileName));
     
     // Update UI
     const statusEl = document.getElementById('updateStatus');
     if (statusEl) {
-        statusEl.textContent = `✓ ${data.length} employees loaded`;
+        statusEl.textContent = `✓ ${describeLoadedRecords(data)} loaded as "${scenario.name}"`;
         statusEl.classList.add('loaded');
     }
     
@@ -397,38 +964,8 @@ export function processUpdateData(data) {
    UTILITY FUNCTIONS
 =========================================== */
 
-/**
- * Displays a short-lived toast notification at the bottom of the screen.
- * @param {string} message - The message to display in the toast.
- */
-export function showToast(message) {
-    if (!message) return;
-    
-    // Remove any existing toasts
-    document.querySelectorAll('.toast').forEach(el => el.remove());
-    
-    const toast = document.createElement('div');
-    toast.className = 'toast';
-    toast.textContent = message;
-    document.body.appendChild(toast);
-    
-    // Trigger show animation
-    requestAnimationFrame(() => {
-        requestAnimationFrame(() => {
-            toast.classList.add('show');
-        });
-    });
-    
-    // Auto-remove after delay
-    setTimeout(() => {
-        toast.classList.remove('show');
-        setTimeout(() => {
-            if (toast.parentNode) {
-                document.body.removeChild(toast);
-            }
-        }, 300);
-    }, 3000);
-}
+// The toast lives in utils/helpers.js, so other modules can show one without loading this one
+export { showToast };
 
 /**
  * Closes the validation error modal.
@@ -440,8 +977,10 @@ export function closeValidationModal() {
     }
     
     // Clear validation errors
+    clearTimeout(revalidateTimeout);
     setValidationErrors([]);
     setCurrentValidationData(null);
+    fixUpRowIndices = [];
     
     // Reset file inputs
     const fileInputs = document.querySelectorAll('input[type="file"]');
@@ -465,15 +1004,13 @@ export function downloadValidationErrors() {
     }
     
     try {
-        const headers = ['Type', 'Message', 'Details'];
+        const headers = ['Severity', 'Code', 'Row', 'Column', 'Type', 'Message', 'Details'];
         const csvRows = [
             headers.join(','),
             ...state.validationErrors.map(err => 
-                [
-                    `"${(err.type || '').replace(/"/g, '""')}"`,
-                    `"${(err.message || '').replace(/"/g, '""')}"`,
-                    `"${(err.details || '').replace(/"/g, '""')}"`
-                ].join(',')
+                [err.severity, err.code, err.row, err.column, err.type, err.message, err.details]
+                    .map(value => `"${String(value ?? '').replace(/"/g, '""')}"`)
+                    .join(',')
             )
         ];
         
@@ -539,12 +1076,20 @@ export function initFileHandler() {
     setupButton('cancelMappingBtn', cancelColumnMapping);
     setupButton('closeValidationBtn', closeValidationModal);
     setupButton('downloadErrorsBtn', downloadValidationErrors);
+    setupButton('continueImportBtn', continueImport);
+
+    const fixUpTable = document.getElementById('fixUpTable');
+    if (fixUpTable) {
+        fixUpTable.addEventListener('input', handleFixUpInput);
+        fixUpTable.addEventListener('click', handleFixUpAction);
+    }
     
     // Make functions globally available for HTML onclick handlers
     window.confirmColumnMapping = confirmColumnMapping;
     window.cancelColumnMapping = cancelColumnMapping;
     window.closeValidationModal = closeValidationModal;
     window.downloadValidationErrors = downloadValidationErrors;
+    window.continueImport = continueImport;
     
     console.log('[FileHandler] File handler initialized');
 }
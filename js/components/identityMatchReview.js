@@ -0,0 +1,122 @@
+/**
+ * @file Identity match review: a dialog listing the proposed matches between baseline
+ * and target employees whose IDs differ. Users accept, change or reject each match
+ * before the comparison runs; matched employees are compared as the same person.
+ */
+
+import { proposeIdentityMatches, MATCH_THRESHOLD } from '../utils/identityMatching.js';
+import { escapeHtml } from '../utils/customAttributes.js';
+
+console.log('[OrgChart] identityMatchReview loaded');
+
+/* ===========================================
+   DIALOG
+=========================================== */
+
+/**
+ * Asks the user to review the matches proposed for employees whose IDs are only found in
+ * one version. Without any proposal no dialog is shown.
+ * @param {Array<Object>} baselineData - The baseline records.
+ * @param {Array<Object>} targetData - The target records.
+ * @returns {Promise<?Array<{baselineId: string, targetId: string}>>} The accepted matches,
+ *   an empty array to compare by ID only, or null if the user cancelled.
+ */
+export function reviewIdentityMatches(baselineData, targetData) {
+    const rows = proposeIdentityMatches(baselineData, targetData);
+    if (!rows.length) return Promise.resolve([]);
+
+    document.getElementById('identityMatchModal')?.remove();
+
+    const proposed = rows.filter(row => row.proposedId !== null).length;
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.id = 'identityMatchModal';
+    modal.innerHTML = `
+        <div class="modal-content identity-match-dialog">
+            <div class="modal-header">
+                <h2>Match Employees</h2>
+                <button class="modal-close" type="button">&times;</button>
+            </div>
+            <div class="modal-body">
+                <p class="identity-match-intro">
+                    ${rows.length} baseline employee(s) have no matching ID in the target, but similar
+                    employees were found by name, title, manager, location and job family.
+                    ${proposed} match(es) scoring at least ${Math.round(MATCH_THRESHOLD * 100)}% are proposed.
+                    Matched employees are compared as the same person; the others count as exits and new hires.
+                </p>
+                <table class="identity-match-table">
+                    <thead>
+                        <tr><th>Baseline</th><th>Target</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map((row, index) => `
+                            <tr>
+                                <td>${describeEmployee(row.baseline)}</td>
+                                <td>
+                                    <select class="identity-match-select" data-row="${index}">
+                                        <option value="">No match</option>
+                                        ${row.candidates.map(candidate => `
+                                            <option value="${escapeHtml(candidate.record.id)}">
+                                                ${escapeHtml(candidate.record.name)}${candidate.record.title ? ` · ${escapeHtml(candidate.record.title)}` : ''}
+                                                (${escapeHtml(candidate.record.id)}) – ${Math.round(candidate.score * 100)}%
+                                            </option>
+                                        `).join('')}
+                                    </select>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="form-actions">
+                    <button class="btn btn-secondary" type="button" data-action="cancel">Cancel</button>
+                    <button class="btn btn-secondary" type="button" data-action="ids" title="Compare by employee ID only">Compare by ID Only</button>
+                    <button class="btn btn-primary" type="button" data-action="apply">Apply Matches and Compare</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const selects = Array.from(modal.querySelectorAll('.identity-match-select'));
+    selects.forEach(select => {
+        select.value = rows[Number(select.dataset.row)].proposedId ?? '';
+
+        // A target employee can be matched to one baseline employee only
+        select.addEventListener('change', () => {
+            if (!select.value) return;
+            selects
+                .filter(other => other !== select && other.value === select.value)
+                .forEach(other => { other.value = ''; });
+        });
+    });
+
+    return new Promise(resolve => {
+        const close = matches => {
+            modal.remove();
+            resolve(matches);
+        };
+        modal.querySelector('.modal-close').addEventListener('click', () => close(null));
+        modal.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+        modal.querySelector('[data-action="ids"]').addEventListener('click', () => close([]));
+        modal.querySelector('[data-action="apply"]').addEventListener('click', () => {
+            close(selects
+                .filter(select => select.value)
+                .map(select => ({ baselineId: String(rows[Number(select.dataset.row)].baseline.id).trim(), targetId: select.value })));
+        });
+    });
+}
+
+/**
+ * Describes an employee in the table: name, title and ID.
+ * @param {Object} emp - The employee record.
+ * @returns {string} Escaped HTML.
+ */
+function describeEmployee(emp) {
+    return `
+        <strong>${escapeHtml(emp.name)}</strong>
+        <div class="identity-match-details">${[emp.title, emp.id].filter(Boolean).map(escapeHtml).join(' · ')}</div>
+    `;
+}
+
+// Expose functions to global window object for non-module scripts
+window.reviewIdentityMatches = reviewIdentityMatches;
@@ -0,0 +1,112 @@
+/**
+ * @file Image export: saves the chart as shown on screen as a PNG, SVG or PDF file.
+ * The export utilities embed the avatar photos, so the files do not depend on links.
+ */
+
+import { exportToSVG, exportToPNG, exportToPDF, downloadFile } from '../utils/export.js';
+import { showToast } from '../utils/helpers.js';
+
+console.log('[OrgChart] imageExport loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** Computed styles copied onto the exported elements, which lose the page's style sheets. */
+const EXPORTED_STYLES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity',
+    'opacity', 'display', 'visibility', 'font-family', 'font-size', 'font-weight', 'text-anchor'
+];
+
+/* ===========================================
+   EXPORT
+=========================================== */
+
+/**
+ * Exports the chart as shown on screen.
+ * @param {'png'|'svg'|'pdf'} format - The file format.
+ * @returns {Promise<void>}
+ */
+export async function exportChartImage(format) {
+    if (!format) return;
+
+    const svg = document.getElementById('chartSvg');
+    if (!svg || !window.state?.rootNode) {
+        showToast('Load a chart before exporting it.');
+        return;
+    }
+
+    const name = window.state.chartData?.chart?.name || 'Org Chart';
+    try {
+        const content = serializeChart(svg);
+        if (format === 'pdf') {
+            await exportToPDF(content, { name });
+            return;
+        }
+        const blob = format === 'svg' ? await exportToSVG(content) : await exportToPNG(content);
+        downloadFile(blob, `${getFileName(name)}.${format}`);
+    } catch (error) {
+        console.error('Error exporting the chart:', error);
+        showToast(`Could not export the chart: ${error.message || 'unknown error'}`);
+    }
+}
+
+/**
+ * Serializes the chart SVG with its styles inlined. When zoomed far out the cards are drawn
+ * on the canvas laid over the SVG; the canvas is then added as an image.
+ * @param {SVGSVGElement} svg - The chart SVG.
+ * @returns {string} The SVG markup.
+ */
+function serializeChart(svg) {
+    const width = svg.clientWidth;
+    const height = svg.clientHeight;
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    inlineStyles(svg, clone);
+
+    const canvas = svg.parentNode.querySelector('canvas.chart-canvas');
+    if (canvas && canvas.width > 0 && getComputedStyle(canvas).display !== 'none') {
+        try {
+            const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+            image.setAttribute('href', canvas.toDataURL('image/png'));
+            image.setAttribute('width', width);
+            image.setAttribute('height', height);
+            clone.appendChild(image);
+        } catch (error) {
+            // Photos from other hosts taint the canvas, which can then not be read
+            console.warn('Could not add the canvas to the export:', error);
+        }
+    }
+
+    return new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * Copies the computed styles of the chart's elements onto their copies.
+ * @param {Element} source - An element of the chart.
+ * @param {Element} target - Its copy.
+ */
+function inlineStyles(source, target) {
+    const computed = getComputedStyle(source);
+    target.setAttribute('style', EXPORTED_STYLES
+        .map(property => `${property}:${computed.getPropertyValue(property)}`)
+        .join(';'));
+
+    for (let i = 0; i < source.children.length; i++) {
+        inlineStyles(source.children[i], target.children[i]);
+    }
+}
+
+/**
+ * Turns the chart name into a file name, e.g. "Sales 2025" -> "sales_2025".
+ * @param {string} name - The chart name.
+ * @returns {string}
+ */
+function getFileName(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'org_chart';
+}
+
+// Expose functions to global window object for non-module scripts
+window.exportChartImage = exportChartImage;
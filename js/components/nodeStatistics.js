@@ -174,7 +174,7 @@ function calculateNodeStatistics(node) {
         name: node.data.name || 'Unknown',
         title: node.data.title || '',
         fte: node.data.fte || 1,
-        directReports: node.children ? node.children.length : 0,
+        directReports: getTeamChildren(node).length,
         totalReports: countTotalDescendants(node),
         totalFte: calculateTotalFte(node),
         location: node.data.location || '',
@@ -198,7 +198,7 @@ function calculateNodeStatistics(node) {
         // Direct reports changes
         if (directReportsMap.has(node.data.id)) {
             const baselineDirectReports = directReportsMap.get(node.data.id);
-            const currentDirectReports = node.children ? node.children.map(child => child.data.id) : [];
+            const currentDirectReports = getTeamChildren(node).map(child => child.data.id);
             
             // Find added direct reports
             stats.directReportsAdded = currentDirectReports
@@ -247,19 +247,29 @@ function findEmployeeById(id, data) {
  * @returns {number} The total number of descendants
  */
 function countTotalDescendants(node) {
-    if (!node || !node.children || node.children.length === 0) {
+    if (!node) {
         return 0;
     }
     
-    let count = node.children.length;
+    const children = getTeamChildren(node);
+    let count = children.length;
     
-    for (const child of node.children) {
+    for (const child of children) {
         count += countTotalDescendants(child);
     }
     
     return count;
 }
 
+/**
+ * List the children of a hierarchy node, without the ghost nodes of employees who leave
+ * @param {Object} node - The hierarchy node
+ * @returns {Array<Object>} The children that are part of the team
+ */
+function getTeamChildren(node) {
+    return (node.children || []).filter(child => !(child.data && child.data._isExitGhost));
+}
+
 /**
  * Calculate the total FTE for a node and its descendants
  * @param {Object} node - The node to calculate FTE for
@@ -272,13 +282,14 @@ function calculateTotalFte(node) {
     
     const nodeFte = node.data && node.data.fte ? parseFloat(node.data.fte) : 1;
     
-    if (!node.children || node.children.length === 0) {
+    const children = getTeamChildren(node);
+    if (children.length === 0) {
         return nodeFte;
     }
     
     let totalFte = nodeFte;
     
-    for (const child of node.children) {
+    for (const child of children) {
         totalFte += calculateTotalFte(child);
     }
     
@@ -308,6 +319,9 @@ function renderNodeStatistics(stats) {
         } else if (stats.changeType === 'moved') {
             changeTypeBadge.textContent = '↔ Moved';
             changeTypeBadge.className = 'change-badge moved';
+        } else if (stats.changeType === 'changed') {
+            changeTypeBadge.textContent = '✎ Changed';
+            changeTypeBadge.className = 'change-badge changed';
         } else {
             changeTypeBadge.style.display = 'none';
         }
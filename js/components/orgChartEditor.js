@@ -3,6 +3,7 @@
  * Provides editing capabilities with undo/redo and auto-save
  */
 import { saveEmployeeData } from '../utils/persistence.js';
+import { POSITION_STATUSES, isOpenPosition, getOpenPositionName } from '../utils/positions.js';
 
 export class OrgChartEditor {
   /**
@@ -36,6 +37,8 @@ export class OrgChartEditor {
     // Bind methods
     this.updateEmployee = this.updateEmployee.bind(this);
     this.addEmployee = this.addEmployee.bind(this);
+    this.addPosition = this.addPosition.bind(this);
+    this.fillPosition = this.fillPosition.bind(this);
     this.deleteEmployee = this.deleteEmployee.bind(this);
     this.undo = this.undo.bind(this);
     this.redo = this.redo.bind(this);
@@ -141,6 +144,7 @@ export class OrgChartEditor {
       department: employee.department || '',
       location: employee.location || '',
       fte: employee.fte || 1,
+      positionStatus: 'filled',
       ...employee
     };
     
@@ -158,6 +162,40 @@ export class OrgChartEditor {
     return id;
   }
   
+  /**
+   * Add an open position (vacant seat, TBH requisition or position being closed)
+   * @param {Object} position - Position data; `positionStatus` defaults to 'vacant'
+   * @returns {string} New position ID
+   */
+  addPosition(position = {}) {
+    const positionStatus = POSITION_STATUSES[position.positionStatus] ? position.positionStatus : 'vacant';
+    
+    return this.addEmployee({
+      id: `pos_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      name: getOpenPositionName(positionStatus, position.title),
+      ...position,
+      positionStatus
+    });
+  }
+  
+  /**
+   * Fill an open position with a person. The position keeps its ID, so its
+   * manager and reports stay attached.
+   * @param {string} positionId - Position ID
+   * @param {Object} person - Person data, e.g. name and location
+   * @returns {boolean} Success
+   */
+  fillPosition(positionId, person) {
+    const position = this.data.find(emp => emp.id === positionId);
+    if (!position || !isOpenPosition(position)) return false;
+    
+    const { id, managerId, ...details } = person;
+    return this.updateEmployee(positionId, {
+      ...details,
+      positionStatus: 'filled'
+    });
+  }
+  
   /**
    * Delete an employee
    * @param {string} employeeId - Employee ID
@@ -0,0 +1,121 @@
+/**
+ * @file Photo manager: imports a zip archive of employee photos for the node cards.
+ * Photos are matched to employees by file name (their employee ID), stored in the
+ * browser with the current project and restored when the project is opened again.
+ */
+
+import { readPhotoArchive, storePhotos, loadStoredPhotos, clearStoredPhotos } from '../utils/photos.js';
+import { showToast } from '../utils/helpers.js';
+
+console.log('[OrgChart] photoManager loaded');
+
+/* ===========================================
+   IMPORT
+=========================================== */
+
+/**
+ * Opens the file picker for a photo archive.
+ */
+export function openPhotoImport() {
+    document.getElementById('photoArchiveInput')?.click();
+}
+
+/**
+ * Imports the photos of a zip archive, adds them to the chart and stores them in the browser.
+ * @param {File} file - The zip archive chosen by the user.
+ * @returns {Promise<void>}
+ */
+export async function importPhotoArchive(file) {
+    if (!file) return;
+
+    try {
+        const { photos, skipped } = await readPhotoArchive(file);
+        const count = Object.keys(photos).length;
+        if (count === 0) {
+            showToast('The archive contains no photos. Name each image by employee ID, e.g. E1042.jpg.');
+            return;
+        }
+
+        setPhotos({ ...(window.state?.photos || {}), ...photos });
+
+        const matched = countMatchedPhotos(photos);
+        showToast(`${count} photos imported, ${matched} matched to employees` +
+            (skipped.length ? `; ${skipped.length} other files skipped` : ''));
+
+        const projectId = window.state?.currentProjectId;
+        if (!projectId) {
+            showToast('Save the chart to keep the photos after a reload.');
+            return;
+        }
+        try {
+            await storePhotos(projectId, photos);
+        } catch (error) {
+            console.error('Error storing photos:', error);
+            showToast('The photos are shown but could not be stored in this browser.');
+        }
+    } catch (error) {
+        console.error('Error importing photo archive:', error);
+        showToast(`Could not read the photo archive: ${error.message}`);
+    }
+}
+
+/**
+ * Removes the imported photos from the chart and from the browser's store.
+ * Photos from a mapped photo URL column stay.
+ * @returns {Promise<void>}
+ */
+export async function clearPhotos() {
+    if (!window.state?.photos) return;
+    if (!confirm('Remove the imported photos of this chart?')) return;
+
+    setPhotos(null);
+    const projectId = window.state.currentProjectId;
+    if (!projectId) return;
+    try {
+        await clearStoredPhotos(projectId);
+        showToast('Photos removed.');
+    } catch (error) {
+        console.error('Error clearing photos:', error);
+        showToast('The photos are removed from the chart but could not be removed from this browser.');
+    }
+}
+
+/**
+ * Counts the photos named by the ID of an employee in the loaded data.
+ * @param {Object<string, string>} photos - Photos by photo key.
+ * @returns {number}
+ */
+function countMatchedPhotos(photos) {
+    const state = window.state || {};
+    const ids = new Set([...(state.currentData || []), ...(state.baselineData || [])]
+        .map(employee => String(employee.id ?? '').trim().toLowerCase()));
+    return Object.keys(photos).filter(key => ids.has(key)).length;
+}
+
+/**
+ * Replaces the chart's photos and redraws the cards.
+ * @param {?Object<string, string>} photos - Photos by photo key; null or empty for none.
+ */
+function setPhotos(photos) {
+    if (!window.state) return;
+    window.state.photos = photos && Object.keys(photos).length > 0 ? photos : null;
+    const clearButton = document.getElementById('clearPhotosBtn');
+    if (clearButton) clearButton.style.display = window.state.photos ? '' : 'none';
+    if (window.rebuildNodeCards) window.rebuildNodeCards();
+}
+
+/**
+ * Shows the photos stored in the browser for the current project, replacing the photos
+ * of a previously opened project. Called when a saved chart is opened.
+ * @returns {Promise<void>}
+ */
+export async function restoreStoredPhotos() {
+    const photos = await loadStoredPhotos(window.state?.currentProjectId);
+    setPhotos(photos);
+}
+
+// Expose functions to global window object for non-module scripts
+window.openPhotoImport = openPhotoImport;
+window.importPhotoArchive = importPhotoArchive;
+window.clearPhotos = clearPhotos;
+window.restoreStoredPhotos = restoreStoredPhotos;
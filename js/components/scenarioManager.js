@@ -0,0 +1,461 @@
+/**
+ * @file Scenario manager: any number of named target scenarios compared with the same
+ * baseline. Each uploaded target file becomes a scenario; the switcher in the header
+ * chooses the one shown in comparison mode, and the comparison matrix lists the key
+ * figures of all scenarios and compares any two of them with each other.
+ *
+ * The compared pair stays in `state.baselineData` and `state.updateData`, so the
+ * comparison views work unchanged. While a scenario is compared with another scenario
+ * instead of the baseline, `state.scenarioBase` keeps the baseline aside.
+ */
+
+import {
+    BASELINE_SCENARIO_ID, SCENARIO_METRICS, buildScenarioMatrix, formatScenarioMetric
+} from '../utils/scenarios.js';
+import { escapeHtml } from '../utils/customAttributes.js';
+import { showToast } from '../utils/helpers.js';
+
+console.log('[OrgChart] scenarioManager loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** ID of the comparison matrix dialog. */
+const MATRIX_MODAL_ID = 'scenarioMatrixModal';
+
+/** Number of the next scenario ID. */
+let nextScenarioNumber = 1;
+
+/* ===========================================
+   SCENARIOS
+=========================================== */
+
+/**
+ * Adds a target as a scenario and compares it with the baseline.
+ * A scenario with the same name is replaced, so a revised file updates its scenario.
+ * @param {Array<Object>} data - The target records.
+ * @param {string} [name] - The scenario's name; without one the scenarios are lettered:
+ *   Scenario A, Scenario B and so on.
+ * @returns {{id: string, name: string, data: Array<Object>}} The scenario.
+ */
+export function addScenario(data, name) {
+    const state = window.state || {};
+    state.scenarios = state.scenarios || [];
+
+    const scenarioName = String(name ?? '').trim() || getLetteredScenarioName(state.scenarios);
+    let scenario = findScenarioByName(scenarioName);
+    if (scenario) {
+        scenario.data = data;
+    } else {
+        scenario = { id: createScenarioId(), name: scenarioName, data };
+        state.scenarios.push(scenario);
+    }
+
+    compareScenarios(BASELINE_SCENARIO_ID, scenario.id);
+    return scenario;
+}
+
+/**
+ * Replaces all scenarios, e.g. with the ones saved with a chart, and compares the first
+ * one with the baseline.
+ * @param {Array<{name: string, data: Array<Object>}>} scenarios - The scenarios in display order.
+ */
+export function setScenarios(scenarios) {
+    const state = window.state || {};
+    restoreBaseline();
+    state.scenarios = (scenarios || []).map(scenario => ({
+        id: createScenarioId(),
+        name: scenario.name,
+        data: Array.isArray(scenario.data) ? scenario.data : []
+    }));
+
+    if (state.scenarios.length) {
+        compareScenarios(BASELINE_SCENARIO_ID, state.scenarios[0].id);
+    } else {
+        state.activeScenarioId = null;
+        window.setUpdateData([]);
+        updateScenarioControls();
+    }
+}
+
+/**
+ * Stores data derived from the active scenario, such as its records with the reviewed
+ * identity matches applied, so the scenario is not reviewed again. Only done while the
+ * scenario is compared with the baseline, whose IDs the matches refer to.
+ * @param {Array<Object>} data - The scenario's records.
+ */
+export function replaceActiveScenarioData(data) {
+    const state = window.state || {};
+    const scenario = findScenario(state.activeScenarioId);
+    if (scenario && !state.scenarioBase) scenario.data = data;
+}
+
+/**
+ * Names a scenario after the file it was uploaded from, without the extension.
+ * @param {?string} fileName - The file name.
+ * @returns {string} The name, or '' without a file name.
+ */
+export function getScenarioNameFromFile(fileName) {
+    return String(fileName ?? '').replace(/\.[^.]+$/, '').trim();
+}
+
+/**
+ * Compares the baseline with another scenario; used by the switcher in the header.
+ * @param {string} scenarioId - The scenario's ID.
+ */
+export function switchScenario(scenarioId) {
+    compareScenarios(BASELINE_SCENARIO_ID, scenarioId);
+}
+
+/**
+ * Compares two versions: the baseline or a scenario with another scenario. The chart is
+ * redrawn with the new pair, in comparison mode as well as in the baseline view.
+ * @param {string} fromId - `BASELINE_SCENARIO_ID` or the ID of the scenario compared from.
+ * @param {string} toId - The ID of the scenario compared to.
+ * @returns {boolean} False if the pair cannot be compared.
+ */
+export function compareScenarios(fromId, toId) {
+    const state = window.state || {};
+    const to = findScenario(toId);
+    const from = fromId === BASELINE_SCENARIO_ID ? null : findScenario(fromId);
+    if (!to || (fromId !== BASELINE_SCENARIO_ID && !from) || from === to) return false;
+
+    const previousBaselineData = state.baselineData;
+    const baselineData = getBaselineData();
+    state.scenarioBase = from ? { scenarioId: from.id, baselineData } : null;
+    window.setBaselineData(from ? from.data : baselineData);
+    state.activeScenarioId = to.id;
+    window.setUpdateData(to.data);
+    updateScenarioControls();
+
+    if (state.isComparisonMode) {
+        if (window.refreshComparison) window.refreshComparison();
+    } else if (state.baselineData !== previousBaselineData) {
+        showBaselineView();
+    }
+    return true;
+}
+
+/**
+ * Compares the active scenario with the baseline again after a new baseline was
+ * loaded, which replaces the scenario compared from.
+ */
+export function clearScenarioBase() {
+    const state = window.state || {};
+    state.scenarioBase = null;
+    updateScenarioControls();
+}
+
+/**
+ * Asks for a new name for a scenario.
+ * @param {string} scenarioId - The scenario's ID.
+ */
+export function renameScenario(scenarioId) {
+    const scenario = findScenario(scenarioId);
+    if (!scenario) return;
+
+    const name = prompt('Enter a name for this scenario:', scenario.name)?.trim();
+    if (!name || name === scenario.name) return;
+    const existing = findScenarioByName(name);
+    if (existing && existing !== scenario) {
+        alert(`There is already a scenario named "${name}".`);
+        return;
+    }
+
+    scenario.name = name;
+    updateScenarioControls();
+    if (window.updateSplitPaneLabels) window.updateSplitPaneLabels();
+}
+
+/**
+ * Removes a scenario after asking for confirmation. The next scenario takes the place
+ * of an active one; without scenarios left comparison mode is ended.
+ * @param {string} scenarioId - The scenario's ID.
+ */
+export function removeScenario(scenarioId) {
+    const state = window.state || {};
+    const scenario = findScenario(scenarioId);
+    if (!scenario || !confirm(`Remove the scenario "${scenario.name}"?`)) return;
+
+    const index = state.scenarios.indexOf(scenario);
+    const wasCompared = scenario.id === state.activeScenarioId || scenario.id === state.scenarioBase?.scenarioId;
+    state.scenarios.splice(index, 1);
+
+    if (!state.scenarios.length) {
+        const previousBaselineData = state.baselineData;
+        restoreBaseline();
+        state.activeScenarioId = null;
+        window.setUpdateData([]);
+        updateScenarioControls();
+        if (state.isComparisonMode && window.toggleComparisonMode) {
+            window.toggleComparisonMode();
+        } else if (state.baselineData !== previousBaselineData) {
+            showBaselineView();
+        }
+        return;
+    }
+
+    if (wasCompared) {
+        const next = findScenario(state.activeScenarioId) || state.scenarios[Math.min(index, state.scenarios.length - 1)];
+        compareScenarios(BASELINE_SCENARIO_ID, next.id);
+    } else {
+        updateScenarioControls();
+    }
+}
+
+/**
+ * Names the two versions being compared, for labels.
+ * @returns {{baseline: string, target: string}}
+ */
+export function getComparedScenarioNames() {
+    const state = window.state || {};
+    const from = state.scenarioBase ? findScenario(state.scenarioBase.scenarioId) : null;
+    const to = findScenario(state.activeScenarioId);
+    return {
+        baseline: from ? from.name : 'Baseline',
+        target: to ? to.name : 'Target'
+    };
+}
+
+/* ===========================================
+   COMPARISON MATRIX
+=========================================== */
+
+/**
+ * Opens the comparison matrix: the key figures of the baseline and every scenario, with
+ * the differences from the baseline, and a picker to compare any two scenarios.
+ */
+export function openScenarioMatrix() {
+    const state = window.state || {};
+    const scenarios = state.scenarios || [];
+    if (!scenarios.length) {
+        showToast('Upload a target file to add a scenario.');
+        return;
+    }
+
+    document.getElementById(MATRIX_MODAL_ID)?.remove();
+
+    const columns = buildScenarioMatrix(getBaselineData(), scenarios);
+    const fromId = state.scenarioBase ? state.scenarioBase.scenarioId : BASELINE_SCENARIO_ID;
+    const option = (column, selectedId) =>
+        `<option value="${escapeHtml(column.id)}"${column.id === selectedId ? ' selected' : ''}>${escapeHtml(column.name)}</option>`;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.id = MATRIX_MODAL_ID;
+    modal.innerHTML = `
+        <div class="modal-content scenario-matrix-dialog">
+            <div class="modal-header">
+                <h2>Scenarios</h2>
+                <button class="modal-close" type="button">&times;</button>
+            </div>
+            <div class="modal-body">
+                <p class="scenario-matrix-intro">
+                    Key figures of each scenario, with the difference from the baseline.
+                    Every uploaded target file is added as a scenario.
+                </p>
+                <div class="scenario-matrix-scroll">
+                    <table class="scenario-matrix-table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                ${columns.map(column => renderColumnHeader(column, state)).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${Object.entries(SCENARIO_METRICS).map(([key, metric]) => `
+                                <tr>
+                                    <th scope="row">${metric.label}</th>
+                                    ${columns.map(column => renderMetricCell(key, metric, column)).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="scenario-diff-picker">
+                    <label>Compare
+                        <select data-role="from">${columns.map(column => option(column, fromId)).join('')}</select>
+                    </label>
+                    <label>with
+                        <select data-role="to">${columns.slice(1).map(column => option(column, state.activeScenarioId)).join('')}</select>
+                    </label>
+                </div>
+                <div class="form-actions">
+                    <button class="btn btn-secondary" type="button" data-action="close">Close</button>
+                    <button class="btn btn-primary" type="button" data-action="compare">Show Differences</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', close);
+    modal.querySelector('[data-action="close"]').addEventListener('click', close);
+    modal.querySelectorAll('[data-action="rename"]').forEach(button => {
+        button.addEventListener('click', () => {
+            renameScenario(button.dataset.id);
+            openScenarioMatrix();
+        });
+    });
+    modal.querySelectorAll('[data-action="remove"]').forEach(button => {
+        button.addEventListener('click', () => {
+            removeScenario(button.dataset.id);
+            if (state.scenarios.length) openScenarioMatrix(); else close();
+        });
+    });
+    modal.querySelector('[data-action="compare"]').addEventListener('click', () => {
+        const from = modal.querySelector('[data-role="from"]').value;
+        const to = modal.querySelector('[data-role="to"]').value;
+        if (from === to) {
+            showToast('Choose two different scenarios to compare.');
+            return;
+        }
+
+        compareScenarios(from, to);
+        close();
+        if (!state.isComparisonMode && window.toggleComparisonMode) window.toggleComparisonMode();
+    });
+}
+
+/**
+ * Renders the header cell of a matrix column: the name, with rename and remove buttons
+ * for scenarios.
+ */
+function renderColumnHeader(column, state) {
+    if (column.id === BASELINE_SCENARIO_ID) {
+        return `<th class="scenario-column baseline">${escapeHtml(column.name)}</th>`;
+    }
+
+    const compared = column.id === state.activeScenarioId || column.id === state.scenarioBase?.scenarioId;
+    return `
+        <th class="scenario-column${compared ? ' compared' : ''}">
+            <span class="scenario-name">${escapeHtml(column.name)}</span>
+            <span class="scenario-actions">
+                <button class="scenario-action" type="button" data-action="rename" data-id="${escapeHtml(column.id)}" title="Rename">✎</button>
+                <button class="scenario-action" type="button" data-action="remove" data-id="${escapeHtml(column.id)}" title="Remove">✕</button>
+            </span>
+        </th>
+    `;
+}
+
+/**
+ * Renders a figure of a matrix column, with its difference from the baseline.
+ * Changes such as moves are counted against the baseline and have no baseline value.
+ */
+function renderMetricCell(key, metric, column) {
+    if (metric.changes && !column.deltas) return '<td class="scenario-metric empty">—</td>';
+
+    const value = formatScenarioMetric(key, column.metrics[key]);
+    const delta = column.deltas && !metric.changes ? Number(column.deltas[key].toFixed(metric.digits)) : 0;
+    return `
+        <td class="scenario-metric">
+            ${value}
+            ${delta !== 0 ? `<span class="stat-delta ${delta > 0 ? 'positive' : 'negative'}">${delta > 0 ? '+' : '−'}${formatScenarioMetric(key, Math.abs(delta))}</span>` : ''}
+        </td>
+    `;
+}
+
+/* ===========================================
+   CONTROLS
+=========================================== */
+
+/**
+ * Fills the scenario switcher and shows it and the matrix button once there is a
+ * scenario. The compare button is enabled while there is a scenario to compare.
+ */
+export function updateScenarioControls() {
+    const state = window.state || {};
+    const scenarios = state.scenarios || [];
+
+    const select = document.getElementById('scenarioSelect');
+    if (select) {
+        select.innerHTML = scenarios
+            .map(scenario => `<option value="${escapeHtml(scenario.id)}">${escapeHtml(scenario.name)}</option>`)
+            .join('');
+        select.value = state.activeScenarioId || '';
+        select.style.display = scenarios.length ? '' : 'none';
+        const { baseline } = getComparedScenarioNames();
+        select.title = `Choose the scenario compared with the ${state.scenarioBase ? `scenario "${baseline}"` : 'baseline'}`;
+    }
+
+    const matrixButton = document.getElementById('scenarioMatrixBtn');
+    if (matrixButton) matrixButton.style.display = scenarios.length ? '' : 'none';
+
+    const compareBtn = document.getElementById('compareBtn');
+    if (compareBtn) {
+        compareBtn.toggleAttribute('disabled', !scenarios.length);
+        if (scenarios.length) compareBtn.style.display = 'inline-block';
+    }
+}
+
+/* ===========================================
+   HELPERS
+=========================================== */
+
+/**
+ * The baseline, also while a scenario is compared from in its place.
+ */
+function getBaselineData() {
+    const state = window.state || {};
+    return state.scenarioBase ? state.scenarioBase.baselineData : state.baselineData;
+}
+
+/**
+ * Puts the baseline back in place of a scenario compared from.
+ */
+function restoreBaseline() {
+    const state = window.state || {};
+    if (!state.scenarioBase) return;
+    window.setBaselineData(state.scenarioBase.baselineData);
+    state.scenarioBase = null;
+}
+
+/**
+ * Redraws the baseline view after the version compared from changed.
+ */
+function showBaselineView() {
+    const state = window.state || {};
+    if (!window.buildHierarchy || !window.renderChart || !state.baselineData?.length) return;
+
+    window.setCurrentData(state.baselineData);
+    const rootNode = window.buildHierarchy(state.baselineData);
+    window.setRootNode(rootNode);
+    window.renderChart(rootNode);
+}
+
+function findScenario(id) {
+    const state = window.state || {};
+    return (state.scenarios || []).find(scenario => scenario.id === id) || null;
+}
+
+function findScenarioByName(name) {
+    const state = window.state || {};
+    const key = String(name).trim().toLowerCase();
+    return (state.scenarios || []).find(scenario => scenario.name.trim().toLowerCase() === key) || null;
+}
+
+function createScenarioId() {
+    return `scenario-${nextScenarioNumber++}`;
+}
+
+/**
+ * The first free name of Scenario A, Scenario B and so on, after the existing scenarios.
+ */
+function getLetteredScenarioName(scenarios) {
+    for (let index = scenarios.length; ; index++) {
+        const name = `Scenario ${index < 26 ? String.fromCharCode(65 + index) : index + 1}`;
+        if (!findScenarioByName(name)) return name;
+    }
+}
+
+// Expose functions to global window object for non-module scripts
+window.addScenario = addScenario;
+window.setScenarios = setScenarios;
+window.switchScenario = switchScenario;
+window.compareScenarios = compareScenarios;
+window.renameScenario = renameScenario;
+window.removeScenario = removeScenario;
+window.openScenarioMatrix = openScenarioMatrix;
+window.updateScenarioControls = updateScenarioControls;
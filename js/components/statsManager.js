@@ -3,6 +3,9 @@
  * like the overall stats overlay, the selected node panel, and the changelog.
  */
 
+import { describeCustomAttributes, summarizeCustomAttributes, formatAttributeValue, escapeHtml, parseDecimal } from '../utils/customAttributes.js';
+import { isOpenPosition, summarizePositions, formatPositionSummary, getPositionStatusLabel } from '../utils/positions.js';
+
 console.log('[OrgChart] statsManager loaded');
 
 /* ===========================================
@@ -17,13 +20,16 @@ console.log('[OrgChart] statsManager loaded');
  */
 function calculateOverallStatistics() {
     const state = window.state || {};
-    const currentData = state.currentData || [];
-    const baselineData = state.baselineData || [];
-    
-    const totalEmployees = currentData.length;
-    const maxTreeDepth = state.rootNode ? calculateMaxDepth(state.rootNode) : 0;
+    const scope = getStatisticsScope();
+    const { currentData, baselineData } = scope;
+    
+    // Open positions are seats, not people: they count apart from headcount and FTE
+    const positions = summarizePositions(currentData);
+    const totalEmployees = positions.headcount;
+    const maxTreeDepth = calculateForestDepth(scope.rootNode);
+    const topLevelUnits = getForestRoots(scope.rootNode).length;
     const uniqueTitles = new Set(currentData.map(emp => emp.title)).size;
-    const totalFTE = currentData.reduce((sum, emp) => sum + (emp.fte || 1.0), 0);
+    const totalFTE = calculateFilledFTE(currentData);
     
     let deltas = null;
     if (state.isComparisonMode && baselineData.length > 0) {
@@ -32,23 +38,63 @@ function calculateOverallStatistics() {
             totalEmployees: totalEmployees - baselineStats.totalEmployees,
             maxTreeDepth: maxTreeDepth - baselineStats.maxTreeDepth,
             uniqueTitles: uniqueTitles - baselineStats.uniqueTitles,
-            totalFTE: totalFTE - baselineStats.totalFTE
+            totalFTE: totalFTE - baselineStats.totalFTE,
+            openPositions: positions.open - baselineStats.openPositions
         };
     }
     
-    return { totalEmployees, maxTreeDepth, uniqueTitles, totalFTE, deltas };
+    return { totalEmployees, maxTreeDepth, topLevelUnits, uniqueTitles, totalFTE, positions, deltas, focusNode: scope.focusNode };
+}
+
+/**
+ * Limits the overall statistics to the team the chart is focused on, if any.
+ * The baseline is limited to the focused manager's team in the baseline data, so
+ * deltas compare the same team before and after.
+ * @returns {{focusNode: ?Object, rootNode: ?Object, currentData: Array, baselineData: Array, includes: Function}}
+ *   `includes(employee)` tells whether an employee of either version is in scope.
+ */
+function getStatisticsScope() {
+    const state = window.state || {};
+    const currentData = state.currentData || [];
+    const baselineData = state.baselineData || [];
+    const focusNode = window.getFocusedNode ? window.getFocusedNode() : null;
+    
+    if (!focusNode) {
+        return { focusNode: null, rootNode: state.rootNode, currentData, baselineData, includes: () => true };
+    }
+    
+    const currentIds = new Set([focusNode, ...collectAllDescendants(focusNode)].map(node => normalizeId(node.id)));
+    const baselineIds = new Set([focusNode.id, ...findAllSubordinates(focusNode.id, baselineData).map(emp => emp.id)]
+        .map(normalizeId));
+    
+    return {
+        focusNode,
+        rootNode: focusNode,
+        currentData: currentData.filter(emp => currentIds.has(normalizeId(emp.id))),
+        baselineData: baselineData.filter(emp => baselineIds.has(normalizeId(emp.id))),
+        includes: emp => currentIds.has(normalizeId(emp.id)) || baselineIds.has(normalizeId(emp.id))
+    };
 }
 
 function calculateStatsForData(data) {
     const tempRoot = buildTempHierarchy(data);
+    const positions = summarizePositions(data);
     return {
-        totalEmployees: data.length,
-        maxTreeDepth: tempRoot ? calculateMaxDepth(tempRoot) : 0,
+        totalEmployees: positions.headcount,
+        maxTreeDepth: calculateForestDepth(tempRoot),
         uniqueTitles: new Set(data.map(emp => emp.title)).size,
-        totalFTE: data.reduce((sum, emp) => sum + (emp.fte || 1.0), 0)
+        totalFTE: calculateFilledFTE(data),
+        openPositions: positions.open
     };
 }
 
+/**
+ * Sums the FTE of all records held by a person, leaving out open positions.
+ */
+function calculateFilledFTE(data) {
+    return data.filter(emp => !isOpenPosition(emp)).reduce((sum, emp) => sum + getCurrentFTE(emp), 0);
+}
+
 function updateOverallStatistics() {
     const state = window.state || {};
     const changes = state.changeAnalysis;
@@ -60,12 +106,17 @@ function updateOverallStatistics() {
     
     // Get comprehensive statistics
     const stats = calculateOverallStatistics();
-    const addedCount = changes.added ? changes.added.length : 0;
-    const removedCount = changes.removed ? changes.removed.length : 0;
-    const movedCount = changes.changed ? changes.changed.length : 0;
+    const { includes } = getStatisticsScope();
+    const addedCount = changes.added ? changes.added.filter(includes).length : 0;
+    const removedCount = changes.removed ? changes.removed.filter(includes).length : 0;
+    const movedCount = changes.moved ? changes.moved.filter(includes).length : 0;
+    const changedCount = changes.changed ? changes.changed.filter(includes).length : 0;
     
     // Render the statistics with change indicators
     statsContainer.innerHTML = `
+        ${stats.focusNode ? `
+            <div class="stats-scope">Team of ${stats.focusNode.name}</div>
+        ` : ''}
         <div class="stats-overview">
             <div class="stat-item">
                 <div class="stat-label">Total Employees</div>
@@ -103,6 +154,17 @@ function updateOverallStatistics() {
                     </div>
                 ` : ''}
             </div>
+            ${stats.positions.open + stats.positions.closing > 0 ? `
+                <div class="stat-item">
+                    <div class="stat-label">Positions</div>
+                    <div class="stat-value position-summary">${formatPositionSummary(stats.positions)}</div>
+                    ${stats.deltas && stats.deltas.openPositions ? `
+                        <div class="stat-delta ${stats.deltas.openPositions > 0 ? 'positive' : 'negative'}">
+                            ${stats.deltas.openPositions > 0 ? '+' : ''}${stats.deltas.openPositions} open
+                        </div>
+                    ` : ''}
+                </div>
+            ` : ''}
         </div>
         <div class="change-summary">
             <div class="change-item added">
@@ -117,6 +179,10 @@ function updateOverallStatistics() {
                 <div class="change-count">${movedCount}</div>
                 <div class="change-label">Moved</div>
             </div>
+            <div class="change-item changed">
+                <div class="change-count">${changedCount}</div>
+                <div class="change-label">Changed</div>
+            </div>
         </div>
     `;
 }
@@ -126,9 +192,9 @@ function updateOverallStatistics() {
  */
 function calculateSelectedNodeStatistics(node) {
     const state = window.state || {};
-    const directReports = node.children ? node.children.length : 0;
+    const directReports = getTeamChildren(node).length;
     const totalReports = countAllDescendants(node);
-    const subtreeDepth = calculateMaxDepth(node);
+    const subtreeDepth = node._isVirtualRoot ? calculateForestDepth(node) : calculateMaxDepth(node);
     let deltas = null;
     let previousManagerName = null;
     let reportingChanges = null;
@@ -149,7 +215,7 @@ function calculateSelectedNodeStatistics(node) {
         totalReportsChanges = calculateTotalReportsChanges(node.id);
         
         if (node.changeType === 'moved' && state.changeAnalysis) {
-            const movedInfo = state.changeAnalysis.changed.find(m => 
+            const movedInfo = state.changeAnalysis.moved.find(m => 
                 normalizeId(m.id) === normalizeId(node.id));
             if (movedInfo) {
                 previousManagerName = movedInfo.previousManagerName;
@@ -263,6 +329,7 @@ function updateSelectedNodeStats() {
         `<div class="change-type-indicator ${stats.changeType}">
             ${stats.changeType === 'added' ? '➕ Added' : 
               stats.changeType === 'moved' ? '↔ Moved' : 
+              stats.changeType === 'changed' ? '✎ Changed' : 
               stats.changeType === 'exit' ? '➖ Exit' : ''}
         </div>` : '';
     
@@ -274,8 +341,20 @@ function updateSelectedNodeStats() {
     const currentFTE = getCurrentFTE(selectedNode);
     const totalTeamFTE = calculateTotalFTE(selectedNode);
     
+    // Filled versus open seats in the selected team
+    const teamMembers = selectedNode._isVirtualRoot
+        ? collectAllDescendants(selectedNode)
+        : [selectedNode, ...collectAllDescendants(selectedNode)];
+    const teamPositions = summarizePositions(teamMembers);
+    
     // Prepare optional additional fields
     const additionalFields = [];
+    if (selectedNode.positionStatus && selectedNode.positionStatus !== 'filled') {
+        additionalFields.push(`<div class="additional-field"><strong>Position Status:</strong> ${getPositionStatusLabel(selectedNode.positionStatus)}</div>`);
+    }
+    if (teamPositions.open + teamPositions.closing > 0) {
+        additionalFields.push(`<div class="additional-field"><strong>Team Positions:</strong> ${formatPositionSummary(teamPositions)}</div>`);
+    }
     if (selectedNode.location) {
         additionalFields.push(`<div class="additional-field"><strong>Location:</strong> ${selectedNode.location}</div>`);
     }
@@ -286,9 +365,52 @@ function updateSelectedNodeStats() {
         additionalFields.push(`<div class="additional-field"><strong>Management Level:</strong> ${selectedNode.managementLevel}</div>`);
     }
     
+    // Dotted-line (matrix) managers of the selected employee
+    const dottedLine = calculateDottedLineStatistics(selectedNode);
+    if (dottedLine.managers.length > 0) {
+        additionalFields.push(`<div class="additional-field"><strong>Dotted-Line Managers:</strong> ${dottedLine.managers.join(', ')}</div>`);
+    }
+    if (state.isComparisonMode && selectedNode.dottedLineChange) {
+        const { addedNames, removedNames } = selectedNode.dottedLineChange;
+        const parts = [
+            ...addedNames.map(name => `<span class="dotted-line-added">+ ${name}</span>`),
+            ...removedNames.map(name => `<span class="dotted-line-removed">− ${name}</span>`)
+        ];
+        additionalFields.push(`<div class="additional-field"><strong>Dotted-Line Changes:</strong> ${parts.join(', ')}</div>`);
+    }
+    
+    // Field-by-field changes against the baseline, e.g. a promotion or a reduced FTE
+    if (state.isComparisonMode && selectedNode.fieldChanges) {
+        selectedNode.fieldChanges.forEach(change => {
+            additionalFields.push(`<div class="additional-field field-change"><strong>${escapeHtml(change.label)}:</strong> ` +
+                `<span class="field-change-before">${escapeHtml(change.before || '—')}</span> → ` +
+                `<span class="field-change-after">${escapeHtml(change.after || '—')}</span></div>`);
+        });
+    }
+    
+    // Custom attributes mapped during upload
+    const customAttributes = state.columnMapping?.customAttributes || [];
+    describeCustomAttributes(selectedNode, customAttributes).forEach(attribute => {
+        additionalFields.push(`<div class="additional-field"><strong>${escapeHtml(attribute.label)}:</strong> ${escapeHtml(attribute.display)}</div>`);
+    });
+    
     const additionalFieldsHtml = additionalFields.length > 0 ? 
         `<div class="additional-fields">${additionalFields.join('')}</div>` : '';
     
+    // Custom attribute breakdown across the whole team below the selected node
+    const teamAttributeSummaries = summarizeCustomAttributes(collectAllDescendants(selectedNode), customAttributes);
+    const teamAttributesHtml = teamAttributeSummaries.length > 0 ?
+        `<div class="additional-fields team-attributes">
+            <div class="stat-label">Team Attributes</div>
+            ${teamAttributeSummaries.map(summary => 
+                `<div class="additional-field"><strong>${escapeHtml(summary.label)}:</strong> ${escapeHtml(formatAttributeSummary(summary))}</div>`
+            ).join('')}
+        </div>` : '';
+    
+    // The virtual top node stands for the whole forest: break it down per top-level unit
+    const forestRootsHtml = selectedNode._isVirtualRoot ?
+        renderForestRootStatistics(calculateForestRootStatistics(selectedNode)) : '';
+    
     // Render the statistics panel
     statsContainer.innerHTML = `
         <div class="selected-node-header">
@@ -312,8 +434,12 @@ function updateSelectedNodeStats() {
             ${renderStatWithBreakdown('Direct Reports', stats.directReports, stats.reportingChanges)}
             ${renderStatWithBreakdown('Total Reports', stats.totalReports, stats.totalReportsChanges)}
             ${renderSimpleStat('Team Depth', stats.subtreeDepth, stats.deltas ? stats.deltas.subtreeDepth : null)}
+            ${dottedLine.reports.length > 0 || (dottedLine.changes && dottedLine.changes.removed > 0)
+                ? renderStatWithBreakdown('Dotted-Line Reports', dottedLine.reports.length, dottedLine.changes) : ''}
             
             ${additionalFieldsHtml}
+            ${teamAttributesHtml}
+            ${forestRootsHtml}
         </div>
     `;
     
@@ -365,7 +491,42 @@ function hideTooltip() {
 }
 
 /**
- * Helper function to create a temporary hierarchy for calculations
+ * Collects the dotted-line (matrix) relationships of a node: the employees reporting to it
+ * on a dotted line, the names of its own dotted-line managers and, in comparison mode,
+ * the dotted-line reports gained and lost against the baseline.
+ */
+function calculateDottedLineStatistics(node) {
+    const state = window.state || {};
+    const nodeId = normalizeId(node.id);
+    const reportsIn = data => (data || []).filter(emp =>
+        (emp.dottedLineManagerIds || []).some(managerId => normalizeId(managerId) === nodeId));
+    
+    const reports = reportsIn(state.currentData);
+    const nameById = new Map((state.currentData || []).map(emp => [normalizeId(emp.id), emp.name]));
+    const managers = (node.dottedLineManagerIds || []).map(managerId => nameById.get(normalizeId(managerId)) || managerId);
+    
+    let changes = null;
+    if (state.isComparisonMode && state.baselineData && state.baselineData.length > 0) {
+        const baselineReports = reportsIn(state.baselineData);
+        const baselineIds = new Set(baselineReports.map(emp => normalizeId(emp.id)));
+        const currentIds = new Set(reports.map(emp => normalizeId(emp.id)));
+        const added = reports.filter(emp => !baselineIds.has(normalizeId(emp.id)));
+        const removed = baselineReports.filter(emp => !currentIds.has(normalizeId(emp.id)));
+        changes = {
+            added: added.length,
+            removed: removed.length,
+            netChange: added.length - removed.length,
+            addedNames: added.map(emp => emp.name),
+            removedNames: removed.map(emp => emp.name)
+        };
+    }
+    
+    return { reports, managers, changes };
+}
+
+/**
+ * Helper function to create a temporary hierarchy for calculations.
+ * Like the chart, all top-level employees are grouped under a virtual root.
  */
 function buildTempHierarchy(data) {
     if (!data || !data.length) return null;
@@ -391,18 +552,117 @@ function buildTempHierarchy(data) {
         }
     });
     
-    // For simplicity, just return the first root node
-    return rootNodes.length > 0 ? rootNodes[0] : null;
+    if (rootNodes.length === 0) return null;
+    return { id: 'company', name: 'All top-level units', children: rootNodes, _isVirtualRoot: true };
+}
+
+/**
+ * Lists the top-level employees of a hierarchy: the children of a virtual root,
+ * or the root itself.
+ */
+function getForestRoots(node) {
+    if (!node) return [];
+    return node._isVirtualRoot ? getTeamChildren(node) : [node];
+}
+
+/**
+ * Lists the direct reports of a node, without the ghost nodes of employees who leave
+ */
+function getTeamChildren(node) {
+    return (node.children || []).filter(child => !child._isExitGhost);
+}
+
+/**
+ * Calculates the depth of a forest, not counting the virtual root
+ */
+function calculateForestDepth(node) {
+    return getForestRoots(node).reduce((max, root) => Math.max(max, calculateMaxDepth(root)), 0);
+}
+
+/**
+ * Calculates headcount and FTE of every top-level unit below a virtual root and,
+ * in comparison mode, the headcount delta and changes against the baseline.
+ */
+function calculateForestRootStatistics(forestRoot) {
+    const state = window.state || {};
+    const changes = state.changeAnalysis;
+    const compare = state.isComparisonMode && state.baselineData && state.baselineData.length > 0;
+    const baselineRoots = compare ? getForestRoots(buildTempHierarchy(state.baselineData)) : [];
+    const idsOf = nodes => new Set(nodes.map(node => normalizeId(node.id)));
+    const countIn = (list, ids) => (list || []).filter(emp => ids.has(normalizeId(emp.id))).length;
+
+    return getForestRoots(forestRoot).map(root => {
+        const members = [root, ...collectAllDescendants(root)];
+        const positions = summarizePositions(members);
+        const rootStats = {
+            id: root.id,
+            name: root.name,
+            title: root.title,
+            headcount: positions.headcount,
+            openPositions: positions.open,
+            fte: calculateTotalFTE(root),
+            headcountDelta: null,
+            changes: null
+        };
+
+        if (compare) {
+            const baselineRoot = baselineRoots.find(candidate => normalizeId(candidate.id) === normalizeId(root.id));
+            const baselineMembers = baselineRoot ? [baselineRoot, ...collectAllDescendants(baselineRoot)] : [];
+            rootStats.headcountDelta = positions.headcount - summarizePositions(baselineMembers).headcount;
+
+            if (changes) {
+                const memberIds = idsOf(members);
+                rootStats.changes = {
+                    added: countIn(changes.added, memberIds),
+                    removed: countIn(changes.removed, idsOf(baselineMembers)),
+                    moved: countIn(changes.moved, memberIds),
+                    changed: countIn(changes.changed, memberIds)
+                };
+            }
+        }
+
+        return rootStats;
+    });
+}
+
+/**
+ * Renders the per-unit breakdown shown when the virtual root is selected
+ */
+function renderForestRootStatistics(rootStats) {
+    if (rootStats.length === 0) return '';
+
+    return `
+        <div class="additional-fields forest-roots">
+            <div class="stat-label">Top-Level Units (${rootStats.length})</div>
+            ${rootStats.map(root => `
+                <div class="forest-root-item">
+                    <div class="forest-root-name">${escapeHtml(root.name)}${root.title ? ` <span class="forest-root-title">${escapeHtml(root.title)}</span>` : ''}</div>
+                    <div class="forest-root-stats">
+                        ${root.headcount} employees · ${root.fte.toFixed(1)} FTE${root.openPositions ? ` · ${root.openPositions} open` : ''}
+                        ${root.headcountDelta ? `<span class="stat-delta ${root.headcountDelta > 0 ? 'positive' : 'negative'}">${root.headcountDelta > 0 ? '+' : ''}${root.headcountDelta}</span>` : ''}
+                    </div>
+                    ${root.changes ? `
+                        <div class="forest-root-changes">
+                            <span class="added">+${root.changes.added} added</span>
+                            <span class="removed">−${root.changes.removed} exits</span>
+                            <span class="moved">↔ ${root.changes.moved} moved</span>
+                            <span class="changed">✎ ${root.changes.changed} changed</span>
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
 }
 
 /**
  * Calculates the maximum depth of a node hierarchy
  */
 function calculateMaxDepth(node) {
-    if (!node || !node.children || node.children.length === 0) return 1;
+    if (!node || getTeamChildren(node).length === 0) return 1;
     
     let maxChildDepth = 0;
-    for (const child of node.children) {
+    for (const child of getTeamChildren(node)) {
         const childDepth = calculateMaxDepth(child);
         if (childDepth > maxChildDepth) {
             maxChildDepth = childDepth;
@@ -412,14 +672,42 @@ function calculateMaxDepth(node) {
     return 1 + maxChildDepth;
 }
 
+/**
+ * Formats a custom attribute summary as one line of text, e.g. "Sales (12), IT (4)"
+ * for categories, "Σ 150 · Ø 75 (50–100)" for numbers or "01/01/2019 – 01/01/2020" for dates.
+ */
+function formatAttributeSummary(summary) {
+    if (summary.type === 'number') {
+        const format = value => formatAttributeValue(value, 'number');
+        if (summary.min === null) return 'No numeric values';
+        return `Σ ${format(summary.sum)} · Ø ${format(summary.average)} (${format(summary.min)}–${format(summary.max)})`;
+    }
+    if (summary.type === 'date') {
+        return `${formatAttributeValue(summary.earliest, 'date')} – ${formatAttributeValue(summary.latest, 'date')}`;
+    }
+    const values = summary.values.map(entry => `${entry.value} (${entry.count})`).join(', ');
+    const more = summary.distinct - summary.values.length;
+    return more > 0 ? `${values}, +${more} more` : values;
+}
+
+/**
+ * Collects all descendants of a node
+ */
+function collectAllDescendants(node) {
+    if (!node) return [];
+    
+    return getTeamChildren(node).flatMap(child => [child, ...collectAllDescendants(child)]);
+}
+
 /**
  * Counts all descendants of a node
  */
 function countAllDescendants(node) {
-    if (!node || !node.children || node.children.length === 0) return 0;
+    if (!node) return 0;
     
-    let count = node.children.length;
-    for (const child of node.children) {
+    const children = getTeamChildren(node);
+    let count = children.length;
+    for (const child of children) {
         count += countAllDescendants(child);
     }
     
@@ -437,8 +725,8 @@ function calculateBaselineNodeStats(nodeId) {
         return { directReports: 0, totalReports: 0, subtreeDepth: 0 };
     }
     
-    // Find the matching node in baseline data
-    const baselineNode = baselineData.find(n => n.id === nodeId);
+    // Find the matching node in baseline data (the virtual root exists in both)
+    const baselineNode = nodeId === 'company' || baselineData.find(n => n.id === nodeId);
     if (!baselineNode) {
         return { directReports: 0, totalReports: 0, subtreeDepth: 0 };
     }
@@ -469,7 +757,7 @@ function calculateBaselineNodeStats(nodeId) {
     // Calculate statistics for the node
     const directReports = nodeInHierarchy.children ? nodeInHierarchy.children.length : 0;
     const totalReports = countAllDescendants(nodeInHierarchy);
-    const subtreeDepth = calculateMaxDepth(nodeInHierarchy);
+    const subtreeDepth = nodeInHierarchy._isVirtualRoot ? calculateForestDepth(nodeInHierarchy) : calculateMaxDepth(nodeInHierarchy);
     
     return { directReports, totalReports, subtreeDepth };
 }
@@ -504,10 +792,9 @@ export {
  * @returns {number} The total number of descendants.
  */
 function countTotalDescendants(node) {
-    if (!node.children || !node.children.length) return 0;
-    
-    let count = node.children.length;
-    for (const child of node.children) {
+    const children = getTeamChildren(node);
+    let count = children.length;
+    for (const child of children) {
         count += countTotalDescendants(child);
     }
     
@@ -516,6 +803,7 @@ function countTotalDescendants(node) {
 
 /**
  * Calculates the total FTE for a node and all its descendants.
+ * Open positions are not staffed and add no FTE, and employees who leave are not counted.
  * @param {Object} node The node to calculate FTE for.
  * @returns {number} The total FTE.
  */
@@ -523,14 +811,12 @@ function calculateTotalFTE(node) {
     if (!node) return 0;
     
     // Start with the node's own FTE
-    let totalFTE = getCurrentFTE(node);
+    let totalFTE = isOpenPosition(node) ? 0 : getCurrentFTE(node);
     
     // Add FTE from all direct and indirect reports
-    if (node.children && node.children.length > 0) {
-        totalFTE += node.children.reduce((sum, child) => {
-            return sum + calculateTotalFTE(child);
-        }, 0);
-    }
+    totalFTE += getTeamChildren(node).reduce((sum, child) => {
+        return sum + calculateTotalFTE(child);
+    }, 0);
     
     return totalFTE;
 }
@@ -541,7 +827,11 @@ function calculateTotalFTE(node) {
  * @returns {number} The node's FTE.
  */
 function getCurrentFTE(node) {
-    return node ? (node.fte || 1.0) : 1.0;
+    if (!node) return 1.0;
+    if (node._isVirtualRoot) return 0;
+    
+    const fte = parseDecimal(node.fte);
+    return fte === null ? 1.0 : fte;
 }
 
 /**
@@ -671,7 +961,6 @@ function calculateTotalReportsChanges(nodeId) {
         addedNames: addedNames,
         removedNames: removedNames,
         total: currentSubordinates.length
-    }
     };
 }
 
@@ -710,6 +999,27 @@ function findAllSubordinates(nodeId, data) {
     return result;
 }
 
-// Note: All functions are now properly exported via ES modules
-// and can be imported where needed. Global window assignments
-// have been removed in favor of ES module imports.
+/**
+ * Shows the statistics of the node stored as `state.selectedNode` in the floating panel.
+ */
+function showSelectedNodeStats() {
+    updateSelectedNodeStats();
+    const panel = document.getElementById('selectedStatsDisplay');
+    if (panel && window.state?.selectedNode) panel.style.display = 'block';
+}
+
+/**
+ * Hides the floating panel of the selected node.
+ */
+function hideSelectedNodeStats() {
+    const panel = document.getElementById('selectedStatsDisplay');
+    if (panel) panel.style.display = 'none';
+}
+
+// Expose functions to global window object for non-module scripts
+window.updateOverallStatistics = updateOverallStatistics;
+window.updateSelectedNodeStats = updateSelectedNodeStats;
+window.showSelectedNodeStats = showSelectedNodeStats;
+window.hideSelectedNodeStats = hideSelectedNodeStats;
+window.toggleSummaryStatistics = toggleSummaryStatistics;
+window.initStatsManager = initStatsManager;
@@ -9,6 +9,7 @@ import {
 } from '../main.js';
 import { handleFileUpload } from './fileHandler.js';
 import { buildHierarchy, renderChart, calculateLayout } from './chartRenderer.js';
+import { matchesCustomAttributes } from '../utils/customAttributes.js';
 
 console.log('[OrgChart] uiManager loaded');
 
@@ -120,6 +121,7 @@ export function proceedFromUpload() {
 
 /**
  * Filters the current dataset to find employees matching a search query.
+ * Matches name, title, ID and the values of any mapped custom attributes.
  * @param {string} query - The search term.
  * @returns {Array<Object>} An array of matching employees, limited to 10 results.
  */
@@ -127,10 +129,12 @@ export function searchEmployees(query) {
     if (!state.currentData || state.currentData.length === 0) return [];
     
     const queryLower = query.toLowerCase();
+    const customAttributes = state.columnMapping?.customAttributes || [];
     return state.currentData.filter(emp => 
         (emp.name && emp.name.toLowerCase().includes(queryLower)) ||
         (emp.title && emp.title.toLowerCase().includes(queryLower)) ||
-        (emp.id && emp.id.toString().toLowerCase().includes(queryLower))
+        (emp.id && emp.id.toString().toLowerCase().includes(queryLower)) ||
+        matchesCustomAttributes(emp, queryLower, customAttributes)
     ).slice(0, 10); // Limit to 10 results
 }
 
@@ -290,13 +294,19 @@ export function toggleChangeSection(type) {
 
 /**
  * A high-level function to focus the chart on a specific employee.
- * It expands the path to the employee and then centers the view on them.
+ * It expands the path to the employee and then centers the view on them. A chart focused
+ * on a team the employee is not in goes back to the whole organization.
  * @param {string} employeeId - The ID of the employee to focus on.
  */
 export function focusOnEmployee(employeeId) {
     const employee = state.currentData.find(emp => emp.id.toString() === employeeId.toString());
     if (!employee) return;
 
+    // Employees outside the focused team are only drawn in the whole organization
+    if (window.isNodeInFocus && !window.isNodeInFocus(employee.id)) {
+        window.clearFocus();
+    }
+
     // Expand path to employee
     expandPathToEmployee(employee);
     
@@ -370,9 +380,16 @@ export function centerOnEmployee(employee) {
             if (right > maxX) maxX = right;
             if (bottom > maxY) maxY = bottom;
         });
-        // If there are direct reports, expand bbox downward slightly toward next row
+        // If there are direct reports, expand bbox slightly toward the next level:
+        // down in top-down charts, right in left-to-right charts. Radial charts
+        // have the reports around the employee, already inside the bbox.
         if (employee.children && employee.children.length) {
-            maxY += Math.min(vgap * 0.6, 120);
+            const orientation = state.orientation || 'vertical';
+            if (orientation === 'horizontal') {
+                maxX += Math.min(nw * 0.6, 120);
+            } else if (orientation === 'vertical') {
+                maxY += Math.min(vgap * 0.6, 120);
+            }
         }
         // Add padding around the bbox
         const padX = 80;
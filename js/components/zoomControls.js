@@ -67,12 +67,47 @@ function initZoomControls() {
     zoomControlsContainer.appendChild(fullscreenBtn);
     zoomControlsContainer.appendChild(centerBtn);
     
+    // Add one button per chart orientation
+    zoomControlsContainer.appendChild(createOrientationButtons());
+    
     // Add styles for zoom controls
     addZoomControlStyles();
     
     console.log('Zoom controls initialized');
 }
 
+/**
+ * Create the buttons switching between top-down, left-to-right and radial charts
+ * @returns {HTMLElement} The button group
+ */
+function createOrientationButtons() {
+    const orientations = [
+        { value: 'vertical', icon: 'fa-sitemap', title: 'Top-Down Layout' },
+        { value: 'horizontal', icon: 'fa-sitemap fa-rotate-270', title: 'Left-to-Right Layout' },
+        { value: 'radial', icon: 'fa-circle-notch', title: 'Radial Layout' }
+    ];
+    const current = window.getChartOrientation ? window.getChartOrientation() : 'vertical';
+    
+    const group = document.createElement('div');
+    group.className = 'orientation-controls';
+    
+    orientations.forEach(({ value, icon, title }) => {
+        const button = document.createElement('button');
+        button.className = `zoom-btn orientation control-button${value === current ? ' active' : ''}`;
+        button.dataset.orientation = value;
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        button.title = title;
+        button.addEventListener('click', () => {
+            if (window.setChartOrientation) {
+                window.setChartOrientation(value);
+            }
+        });
+        group.appendChild(button);
+    });
+    
+    return group;
+}
+
 /**
  * Toggle fullscreen mode for the chart area
  */
@@ -149,6 +184,23 @@ function addZoomControlStyles() {
             color: #555;
             font-size: 16px;
         }
+        
+        .orientation-controls {
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+            padding-top: 10px;
+            border-top: 1px solid #e5e7eb;
+        }
+        
+        .zoom-btn.orientation.active {
+            background-color: #eff6ff;
+            border-color: #3b82f6;
+        }
+        
+        .zoom-btn.orientation.active i {
+            color: #2563eb;
+        }
     `;
     
     document.head.appendChild(styleEl);
@@ -0,0 +1,5 @@
+-- Add card_template column to org_charts
+-- Stores which fields the node cards of a chart show (lines, badges, avatar
+-- initials), see js/utils/cardTemplates.js. NULL shows the standard cards.
+ALTER TABLE public.org_charts
+    ADD COLUMN IF NOT EXISTS card_template JSONB;
@@ -0,0 +1,53 @@
+-- Add chart_scenarios table for named target scenarios
+-- A baseline chart can have any number of planned scenarios (e.g. Scenario A, B and C),
+-- each a complete set of employee records compared with the same baseline.
+CREATE TABLE IF NOT EXISTS public.chart_scenarios (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chart_id UUID REFERENCES public.org_charts ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    data JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (chart_id, name)
+);
+
+DROP TRIGGER IF EXISTS update_chart_scenarios_timestamp ON public.chart_scenarios;
+CREATE TRIGGER update_chart_scenarios_timestamp
+    BEFORE UPDATE ON public.chart_scenarios
+    FOR EACH ROW EXECUTE FUNCTION public.update_timestamp();
+
+ALTER TABLE public.chart_scenarios ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own chart scenarios" ON public.chart_scenarios;
+DROP POLICY IF EXISTS "Users can create their own chart scenarios" ON public.chart_scenarios;
+DROP POLICY IF EXISTS "Users can update their own chart scenarios" ON public.chart_scenarios;
+DROP POLICY IF EXISTS "Users can delete their own chart scenarios" ON public.chart_scenarios;
+
+CREATE POLICY "Users can view their own chart scenarios"
+    ON public.chart_scenarios FOR SELECT
+    USING (chart_id IN (
+        SELECT id FROM public.org_charts 
+        WHERE owner_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can create their own chart scenarios"
+    ON public.chart_scenarios FOR INSERT
+    WITH CHECK (chart_id IN (
+        SELECT id FROM public.org_charts 
+        WHERE owner_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can update their own chart scenarios"
+    ON public.chart_scenarios FOR UPDATE
+    USING (chart_id IN (
+        SELECT id FROM public.org_charts 
+        WHERE owner_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can delete their own chart scenarios"
+    ON public.chart_scenarios FOR DELETE
+    USING (chart_id IN (
+        SELECT id FROM public.org_charts 
+        WHERE owner_id = auth.uid()
+    ));
@@ -0,0 +1,5 @@
+-- Add dotted-line (matrix) managers to employees
+-- Stores the employee IDs of an employee's functional managers in addition to
+-- the line manager in manager_id.
+ALTER TABLE public.employees
+    ADD COLUMN IF NOT EXISTS dotted_line_manager_ids JSONB NOT NULL DEFAULT '[]'::jsonb;
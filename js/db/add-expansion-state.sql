@@ -0,0 +1,5 @@
+-- Add expanded_node_ids column to org_charts
+-- Stores the employee IDs whose teams are open in the chart, so a chart prepared
+-- for a presentation opens the same way. NULL opens the top level only.
+ALTER TABLE public.org_charts
+    ADD COLUMN IF NOT EXISTS expanded_node_ids JSONB;
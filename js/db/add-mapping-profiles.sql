@@ -0,0 +1,46 @@
+-- Add mapping_profiles table for reusable column mappings
+-- A profile stores the column mapping for one export format together with a
+-- fingerprint of its headers so it can be offered again on the next upload.
+CREATE TABLE IF NOT EXISTS public.mapping_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID REFERENCES public.profiles ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    header_fingerprint TEXT NOT NULL,
+    headers JSONB NOT NULL DEFAULT '[]'::jsonb,
+    column_mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (owner_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS mapping_profiles_fingerprint_idx
+    ON public.mapping_profiles (owner_id, header_fingerprint);
+
+DROP TRIGGER IF EXISTS update_mapping_profiles_timestamp ON public.mapping_profiles;
+CREATE TRIGGER update_mapping_profiles_timestamp
+    BEFORE UPDATE ON public.mapping_profiles
+    FOR EACH ROW EXECUTE FUNCTION public.update_timestamp();
+
+ALTER TABLE public.mapping_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own mapping profiles" ON public.mapping_profiles;
+DROP POLICY IF EXISTS "Users can create their own mapping profiles" ON public.mapping_profiles;
+DROP POLICY IF EXISTS "Users can update their own mapping profiles" ON public.mapping_profiles;
+DROP POLICY IF EXISTS "Users can delete their own mapping profiles" ON public.mapping_profiles;
+
+CREATE POLICY "Users can view their own mapping profiles"
+    ON public.mapping_profiles FOR SELECT
+    USING (owner_id = auth.uid());
+
+CREATE POLICY "Users can create their own mapping profiles"
+    ON public.mapping_profiles FOR INSERT
+    WITH CHECK (owner_id = auth.uid());
+
+CREATE POLICY "Users can update their own mapping profiles"
+    ON public.mapping_profiles FOR UPDATE
+    USING (owner_id = auth.uid());
+
+CREATE POLICY "Users can delete their own mapping profiles"
+    ON public.mapping_profiles FOR DELETE
+    USING (owner_id = auth.uid());
@@ -0,0 +1,5 @@
+-- Add photo URLs to employees
+-- Links to employee photos, shown as round avatars on the node cards. Photos imported
+-- from a zip archive are kept in the browser and are not stored here.
+ALTER TABLE public.employees
+    ADD COLUMN IF NOT EXISTS photo_url TEXT;
@@ -0,0 +1,6 @@
+-- Add position status to employees
+-- Marks a record as a filled seat or as an open position: vacant, to be hired (TBH)
+-- or being closed. Open positions have no person and are counted apart from headcount.
+ALTER TABLE public.employees
+    ADD COLUMN IF NOT EXISTS position_status TEXT NOT NULL DEFAULT 'filled'
+    CHECK (position_status IN ('filled', 'vacant', 'tbh', 'closing'));
@@ -35,6 +35,8 @@ CREATE TABLE IF NOT EXISTS public.org_charts (
     is_baseline BOOLEAN DEFAULT false,
     is_target BOOLEAN DEFAULT false,
     status TEXT DEFAULT 'draft',
+    card_template JSONB,
+    expanded_node_ids JSONB,
     created_by UUID REFERENCES public.profiles,
     deleted_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
@@ -64,11 +66,14 @@ CREATE TABLE IF NOT EXISTS public.employees (
     employee_id TEXT NOT NULL,
     name TEXT NOT NULL,
     manager_id TEXT,
+    dotted_line_manager_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
     title TEXT,
     fte NUMERIC,
+    position_status TEXT NOT NULL DEFAULT 'filled' CHECK (position_status IN ('filled', 'vacant', 'tbh', 'closing')),
     location TEXT,
     job_family TEXT,
     management_level TEXT,
+    photo_url TEXT,
     additional_data JSONB,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
@@ -83,6 +88,35 @@ CREATE TABLE IF NOT EXISTS public.chart_snapshots (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
 );
 
+-- Create mapping_profiles table if it doesn't exist
+CREATE TABLE IF NOT EXISTS public.mapping_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID REFERENCES public.profiles ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    header_fingerprint TEXT NOT NULL,
+    headers JSONB NOT NULL DEFAULT '[]'::jsonb,
+    column_mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (owner_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS mapping_profiles_fingerprint_idx
+    ON public.mapping_profiles (owner_id, header_fingerprint);
+
+-- Create chart_scenarios table if it doesn't exist
+CREATE TABLE IF NOT EXISTS public.chart_scenarios (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chart_id UUID REFERENCES public.org_charts ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    data JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (chart_id, name)
+);
+
 -- =========================================================
 -- FUNCTIONS AND TRIGGERS
 -- =========================================================
@@ -140,6 +174,16 @@ CREATE TRIGGER update_chart_versions_timestamp
     BEFORE UPDATE ON public.chart_versions
     FOR EACH ROW EXECUTE FUNCTION public.update_timestamp();
 
+DROP TRIGGER IF EXISTS update_mapping_profiles_timestamp ON public.mapping_profiles;
+CREATE TRIGGER update_mapping_profiles_timestamp
+    BEFORE UPDATE ON public.mapping_profiles
+    FOR EACH ROW EXECUTE FUNCTION public.update_timestamp();
+
+DROP TRIGGER IF EXISTS update_chart_scenarios_timestamp ON public.chart_scenarios;
+CREATE TRIGGER update_chart_scenarios_timestamp
+    BEFORE UPDATE ON public.chart_scenarios
+    FOR EACH ROW EXECUTE FUNCTION public.update_timestamp();
+
 -- =========================================================
 -- ROW LEVEL SECURITY POLICIES
 -- =========================================================
@@ -150,6 +194,8 @@ ALTER TABLE public.org_charts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.chart_versions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.employees ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.chart_snapshots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.mapping_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.chart_scenarios ENABLE ROW LEVEL SECURITY;
 
 -- Drop existing policies (if any)
 DROP POLICY IF EXISTS "Users can view their own profile" ON public.profiles;
@@ -174,6 +220,16 @@ DROP POLICY IF EXISTS "Users can view their own chart snapshots" ON public.chart
 DROP POLICY IF EXISTS "Users can create their own chart snapshots" ON public.chart_snapshots;
 DROP POLICY IF EXISTS "Users can delete their own chart snapshots" ON public.chart_snapshots;
 
+DROP POLICY IF EXISTS "Users can view their own mapping profiles" ON public.mapping_profiles;
+DROP POLICY IF EXISTS "Users can create their own mapping profiles" ON public.mapping_profiles;
+DROP POLICY IF EXISTS "Users can update their own mapping profiles" ON public.mapping_profiles;
+DROP POLICY IF EXISTS "Users can delete their own mapping profiles" ON public.mapping_profiles;
+
+DROP POLICY IF EXISTS "Users can view their own chart scenarios" ON public.chart_scenarios;
+DROP POLICY IF EXISTS "Users can create their own chart scenarios" ON public.chart_scenarios;
+DROP POLICY IF EXISTS "Users can update their own chart scenarios" ON public.chart_scenarios;
+DROP POLICY IF EXISTS "Users can delete their own chart scenarios" ON public.chart_scenarios;
+
 -- Create new policies based on user ownership
 
 -- Profile policies
@@ -279,6 +335,52 @@ CREATE POLICY "Users can delete their own chart snapshots"
         WHERE owner_id = auth.uid()
     ));
 
+-- Mapping Profiles policies
+CREATE POLICY "Users can view their own mapping profiles"
+    ON public.mapping_profiles FOR SELECT
+    USING (owner_id = auth.uid());
+
+CREATE POLICY "Users can create their own mapping profiles"
+    ON public.mapping_profiles FOR INSERT
+    WITH CHECK (owner_id = auth.uid());
+
+CREATE POLICY "Users can update their own mapping profiles"
+    ON public.mapping_profiles FOR UPDATE
+    USING (owner_id = auth.uid());
+
+CREATE POLICY "Users can delete their own mapping profiles"
+    ON public.mapping_profiles FOR DELETE
+    USING (owner_id = auth.uid());
+
+-- Chart Scenarios policies
+CREATE POLICY "Users can view their own chart scenarios"
+    ON public.chart_scenarios FOR SELECT
+    USING (chart_id IN (
+        SELECT id FROM public.org_charts 
+        WHERE owner_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can create their own chart scenarios"
+    ON public.chart_scenarios FOR INSERT
+    WITH CHECK (chart_id IN (
+        SELECT id FROM public.org_charts 
+        WHERE owner_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can update their own chart scenarios"
+    ON public.chart_scenarios FOR UPDATE
+    USING (chart_id IN (
+        SELECT id FROM public.org_charts 
+        WHERE owner_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can delete their own chart scenarios"
+    ON public.chart_scenarios FOR DELETE
+    USING (chart_id IN (
+        SELECT id FROM public.org_charts 
+        WHERE owner_id = auth.uid()
+    ));
+
 -- =========================================================
 -- DATA MIGRATION
 -- =========================================================
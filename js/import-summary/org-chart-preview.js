@@ -1,6 +1,11 @@
 // js/import-summary/org-chart-preview.js
 import { getProject } from '../projectService.js';
 import { AdvancedOrgChart } from '../components/advancedOrgChart.js';
+import { extractCustomAttributes } from '../utils/customAttributes.js';
+import {
+  detectManagerReferenceType, resolveManagerReferences, resolveManagerReferenceList
+} from '../utils/managerResolver.js';
+import { parsePositionStatus } from '../utils/positions.js';
 
 export async function renderOrgChartPreview(projectId) {
   try {
@@ -78,18 +83,38 @@ function transformDataForChart(rawData, columnMapping) {
   
   const employees = [];
 
+  // Manager cells may reference managers by name or e-mail; translate them to employee IDs
+  const accessors = {
+    getId: row => getValueFromRow(row, columnMapping.id ?? columnMapping.name),
+    getName: row => getValueFromRow(row, columnMapping.name),
+    getEmail: columnMapping.email ? row => getValueFromRow(row, columnMapping.email) : null,
+    getManager: row => getValueFromRow(row, columnMapping.managerId)
+  };
+  const referenceType = columnMapping.managerReferenceType && columnMapping.managerReferenceType !== 'auto'
+    ? columnMapping.managerReferenceType
+    : detectManagerReferenceType(rawData, accessors);
+  const { resolutions } = resolveManagerReferences(rawData, accessors, referenceType);
+  const dottedLineResolutions = resolveManagerReferenceList(
+    rawData, accessors, referenceType, row => getValueFromRow(row, columnMapping.dottedLineManager)
+  );
+
   // Build employee hierarchy
   rawData.forEach((row, index) => {
     const employee = {
-      id: getValueFromRow(row, columnMapping.id) || `emp_${index}`,
+      // Same ID as the manager references resolve to
+      id: String(accessors.getId(row) ?? '').trim() || `emp_${index}`,
       name: getValueFromRow(row, columnMapping.name) || 'Unknown',
-      managerId: getValueFromRow(row, columnMapping.managerId) || null,
+      managerId: resolutions[index].managerId || null,
+      dottedLineManagerIds: dottedLineResolutions[index].managerIds,
       title: getValueFromRow(row, columnMapping.title) || '',
       department: getValueFromRow(row, columnMapping.department) || '',
       location: getValueFromRow(row, columnMapping.location) || '',
       fte: getValueFromRow(row, columnMapping.fte) || null,
+      positionStatus: parsePositionStatus(getValueFromRow(row, columnMapping.positionStatus)) || 'filled',
       jobFamily: getValueFromRow(row, columnMapping.jobFamily) || '',
       managementLevel: getValueFromRow(row, columnMapping.managementLevel) || '',
+      photoUrl: getValueFromRow(row, columnMapping.photoUrl) || '',
+      additionalData: extractCustomAttributes(row, columnMapping.customAttributes),
       children: []
     };
 
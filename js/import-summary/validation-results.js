@@ -1,5 +1,6 @@
 // js/import-summary/validation-results.js
 import { getProject } from '../projectService.js';
+import { validateOrgData, ROW_NUMBER_KEY } from '../utils/validation.js';
 
 export async function renderValidationResults(projectId) {
   try {
@@ -7,9 +8,11 @@ export async function renderValidationResults(projectId) {
     if (error) throw error;
 
     const latestVersion = project.chart_versions[0];
-    const validationResults = validateOrgChartData(
+    const validationResults = validateImportedData(
       latestVersion.raw_data,
-      latestVersion.column_mapping
+      latestVersion.column_mapping,
+      latestVersion.raw_headers,
+      latestVersion.row_numbers
     );
 
     const resultsEl = document.getElementById('validationResults');
@@ -30,165 +33,38 @@ export async function renderValidationResults(projectId) {
   }
 }
 
-function validateOrgChartData(rawData, columnMapping) {
-  const results = {
-    totalRows: 0,
-    validRows: 0,
-    errors: [],
-    warnings: [],
-    stats: {}
-  };
-
-  if (!rawData || !Array.isArray(rawData)) {
-    results.errors.push('No data found to validate');
-    return results;
-  }
-
-  results.totalRows = rawData.length;
-
-  // Track unique IDs and managers
-  const uniqueIds = new Set();
-  const uniqueManagers = new Set();
-  const orphanedEmployees = [];
-  const circularRefs = [];
-  const employeeMap = new Map();
-
-  // Process each row
-  rawData.forEach((row, index) => {
-    const employee = parseEmployeeFromRow(row, columnMapping, index + 1);
-
-    // Check for duplicate IDs
-    if (employee.id) {
-      if (uniqueIds.has(employee.id)) {
-        results.errors.push(`Duplicate employee ID "${employee.id}" found in row ${employee.rowNumber}`);
-      } else {
-        uniqueIds.add(employee.id);
-        employeeMap.set(employee.id, employee);
-      }
-    } else {
-      results.errors.push(`Missing employee ID in row ${employee.rowNumber}`);
-    }
-
-    // Check for missing name
-    if (!employee.name || employee.name.trim() === '') {
-      results.errors.push(`Missing employee name in row ${employee.rowNumber}`);
-    }
-
-    // Check for self-referencing manager
-    if (employee.id && employee.managerId && employee.id === employee.managerId) {
-      results.errors.push(`Employee "${employee.name}" (${employee.id}) reports to themselves in row ${employee.rowNumber}`);
-    }
-
-    // Track manager IDs
-    if (employee.managerId) {
-      uniqueManagers.add(employee.managerId);
-    }
-
-    // Validate FTE if present
-    if (employee.fte !== undefined && employee.fte !== null) {
-      const fte = parseFloat(employee.fte);
-      if (isNaN(fte) || fte < 0 || fte > 2) {
-        results.warnings.push(`Invalid FTE value "${employee.fte}" in row ${employee.rowNumber} (should be 0-2)`);
-      }
-    }
-
-    // Count valid rows
-    if (employee.id && employee.name) {
-      results.validRows++;
-    }
-  });
-
-  // Check for orphaned employees (managers that don't exist as employees)
-  uniqueManagers.forEach(managerId => {
-    if (!uniqueIds.has(managerId)) {
-      orphanedEmployees.push(managerId);
-    }
-  });
-
-  if (orphanedEmployees.length > 0) {
-    results.warnings.push(`Found ${orphanedEmployees.length} manager IDs that don't exist as employees: ${orphanedEmployees.slice(0, 5).join(', ')}${orphanedEmployees.length > 5 ? '...' : ''}`);
-  }
-
-  // Calculate stats
-  results.stats = {
-    totalEmployees: uniqueIds.size,
-    uniqueManagers: uniqueManagers.size,
-    hierarchyLevels: calculateHierarchyLevels(employeeMap),
-    orphanedManagers: orphanedEmployees.length,
-    averageTeamSize: calculateAverageTeamSize(employeeMap)
-  };
-
-  return results;
-}
-
-function parseEmployeeFromRow(row, columnMapping, rowNumber) {
-  const employee = {
-    rowNumber,
-    id: null,
-    name: null,
-    managerId: null,
-    title: null,
-    department: null,
-    location: null,
-    fte: null,
-    costCenter: null,
-    jobFamily: null,
-    managementLevel: null
-  };
-
-  // Map columns based on mapping config
-  Object.entries(columnMapping).forEach(([field, columnName]) => {
-    if (columnName && row.hasOwnProperty(columnName)) {
-      employee[field] = row[columnName];
-    }
+function validateImportedData(rawData, columnMapping, rawHeaders, rowNumbers) {
+  const mapping = columnMapping || {};
+  // Rows lose their spreadsheet row numbers when saved; versions store them alongside
+  const rows = (rawData || []).map((row, index) => {
+    const rowNumber = rowNumbers?.[index];
+    return rowNumber ? Object.assign(Array.isArray(row) ? [...row] : { ...row }, { [ROW_NUMBER_KEY]: rowNumber }) : row;
   });
-
-  return employee;
+  return validateOrgData(rows, {
+    id: mapping.id ?? mapping.name,
+    name: mapping.name,
+    email: mapping.email,
+    manager: mapping.managerId,
+    managerReferenceType: mapping.managerReferenceType,
+    dottedLineManager: mapping.dottedLineManager,
+    fte: mapping.fte,
+    positionStatus: mapping.positionStatus
+  }, { headers: rawHeaders });
 }
 
-function calculateHierarchyLevels(employeeMap) {
-  let maxLevel = 0;
-
-  employeeMap.forEach(employee => {
-    const level = calculateEmployeeLevel(employee, employeeMap);
-    maxLevel = Math.max(maxLevel, level);
-  });
-
-  return maxLevel;
+function renderIssue(issue) {
+  const column = issue.column ? ` <span class="issue-column">(${escapeHtml(issue.column)})</span>` : '';
+  return `<li><strong>${escapeHtml(issue.type)}</strong>${column}: ${escapeHtml(issue.message)}
+    ${issue.details ? `<div class="issue-details">${escapeHtml(issue.details)}</div>` : ''}</li>`;
 }
 
-function calculateEmployeeLevel(employee, employeeMap, visited = new Set()) {
-  if (!employee.managerId || visited.has(employee.id)) {
-    return 0;
-  }
-
-  if (visited.has(employee.id)) {
-    return 0; // Circular reference
-  }
-
-  visited.add(employee.id);
-  const manager = employeeMap.get(employee.managerId);
-
-  if (!manager) {
-    return 0; // Manager not found
-  }
-
-  return calculateEmployeeLevel(manager, employeeMap, visited) + 1;
-}
-
-function calculateAverageTeamSize(employeeMap) {
-  const managerCounts = new Map();
-
-  employeeMap.forEach(employee => {
-    if (employee.managerId) {
-      managerCounts.set(employee.managerId, (managerCounts.get(employee.managerId) || 0) + 1);
-    }
-  });
-
-  if (managerCounts.size === 0) return 0;
-
-  const totalDirectReports = Array.from(managerCounts.values()).reduce((sum, count) => sum + count, 0);
-  return Math.round((totalDirectReports / managerCounts.size) * 10) / 10;
+function escapeHtml(unsafe) {
+  return String(unsafe ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
 }
 
 function renderValidationHTML(results) {
@@ -222,7 +98,7 @@ function renderValidationHTML(results) {
       <div class="validation-errors">
         <h3><i class="fas fa-exclamation-triangle"></i> Errors (${results.errors.length})</h3>
         <ul>
-          ${results.errors.slice(0, 10).map(error => `<li>${error}</li>`).join('')}
+          ${results.errors.slice(0, 10).map(renderIssue).join('')}
           ${results.errors.length > 10 ? `<li>...and ${results.errors.length - 10} more errors</li>` : ''}
         </ul>
       </div>
@@ -235,7 +111,7 @@ function renderValidationHTML(results) {
       <div class="validation-warnings">
         <h3><i class="fas fa-exclamation-circle"></i> Warnings (${results.warnings.length})</h3>
         <ul>
-          ${results.warnings.slice(0, 10).map(warning => `<li>${warning}</li>`).join('')}
+          ${results.warnings.slice(0, 10).map(renderIssue).join('')}
           ${results.warnings.length > 10 ? `<li>...and ${results.warnings.length - 10} more warnings</li>` : ''}
         </ul>
       </div>
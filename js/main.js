@@ -19,7 +19,38 @@ const CONFIG = {
     nodeHeight: 80,
     horizontalGap: 25,
     verticalGap: 100,
-    animationDuration: 300
+    animationDuration: 300,
+    // Virtual node above the top-level employees. Organizations with several tops
+    // (holdings, boards, contractor pools) are drawn side by side underneath it.
+    // With `enabled: false` a single top is the chart root and several tops are
+    // laid out next to each other without a visible parent.
+    virtualRoot: {
+        enabled: true,
+        name: 'The Nunatak Group GmbH',
+        title: 'Digital Growth Advisors'
+    },
+    // Compact leaves mode (toggled with "Compact Teams"): teams made only of
+    // individual contributors are stacked below their manager instead of
+    // spreading into one wide row. `columns: 1` stacks them vertically, 2 or
+    // more lays them out in a grid around the connector spine.
+    compactLeaves: {
+        columns: 1,
+        minTeamSize: 4
+    },
+    // Large charts: only cards within `cullMargin` screen pixels of the viewport
+    // are kept in the SVG, the rest are added while zooming and panning. Above
+    // `canvasThreshold` visible nodes the chart is painted on a canvas instead.
+    rendering: {
+        cullMargin: 200,
+        canvasThreshold: 1500
+    },
+    // Semantic zoom: below `blockScale` cards become coloured blocks sized by
+    // team headcount, below `nameScale` they show the name only. Titles and
+    // change indicators appear from `nameScale` upwards.
+    levelOfDetail: {
+        blockScale: 0.35,
+        nameScale: 0.7
+    }
 };
 
 // --- GLOBAL STATE ---
@@ -35,20 +66,43 @@ const state = {
     width: 1200,
     height: 800,
     isComparisonMode: false,
+    showDottedLines: true,
+    showExitGhosts: true, // whether employees who leave are shown as faded nodes in the target chart
+    comparisonView: 'single', // 'single' or 'split' (baseline and target side by side) in comparison mode
+    identityReview: null, // baseline and target data whose identity matches were reviewed, see js/utils/identityMatching.js
+    scenarios: [], // named target scenarios `{id, name, data}`, see js/utils/scenarios.js; updateData holds the active one's data
+    activeScenarioId: null, // ID of the scenario compared in comparison mode
+    scenarioBase: null, // `{scenarioId, baselineData}` while a scenario is compared with another scenario, which is then in baselineData; null when compared with the baseline
+    compactLeaves: false,
+    orientation: 'vertical', // 'vertical', 'horizontal' (left to right) or 'radial'
+    renderMode: 'svg', // 'svg' or 'canvas', chosen from the number of visible nodes
+    detailLevel: 'full', // 'block', 'name' or 'full', following the zoom scale
+    cardTemplate: null, // fields shown on the cards, see js/utils/cardTemplates.js; null for the standard cards
+    currentProjectId: null, // saved chart the card template belongs to
+    colorBy: null, // attribute key the cards are coloured by, see js/utils/colorScales.js
+    legendFilter: null, // legend entry whose nodes are highlighted
+    photos: null, // imported photo data URLs by lowercase employee ID, see js/utils/photos.js
+    expandedNodeIds: null, // IDs of the employees whose teams are open; null for the default expansion
+    focusNodeId: null, // ID of the manager the chart is re-rooted at, also kept in the URL; null for the whole organization
     changeAnalysis: null,
     changelogOpen: false,
     sidebarMinimized: false,
     currentFileData: null,
     currentFileType: null,
+    currentFileName: null,
     currentFileHeaders: null,
     columnMapping: {
         employeeName: null,
         manager: null,
+        dottedLineManager: null,
         jobTitle: null,
         fte: null,
+        positionStatus: null,
         location: null,
         jobFamily: null,
-        managementLevel: null
+        managementLevel: null,
+        photoUrl: null,
+        customAttributes: []
     },
     validationErrors: [],
     currentValidationData: null
@@ -70,6 +124,7 @@ function setColumnMapping(mapping) { state.columnMapping = { ...state.columnMapp
 function setCurrentFileData(data) { state.currentFileData = data; }
 function setCurrentFileHeaders(headers) { state.currentFileHeaders = headers; }
 function setCurrentFileType(fileType) { state.currentFileType = fileType; }
+function setCurrentFileName(fileName) { state.currentFileName = fileName; }
 function setValidationErrors(errors) { state.validationErrors = errors; }
 function setCurrentValidationData(data) { state.currentValidationData = data; }
 
@@ -160,6 +215,7 @@ window.setColumnMapping = setColumnMapping;
 window.setCurrentFileData = setCurrentFileData;
 window.setCurrentFileHeaders = setCurrentFileHeaders;
 window.setCurrentFileType = setCurrentFileType;
+window.setCurrentFileName = setCurrentFileName;
 window.setValidationErrors = setValidationErrors;
 window.setCurrentValidationData = setCurrentValidationData;
 window.initializeApplication = initializeApplication;
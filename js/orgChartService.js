@@ -31,7 +31,9 @@ async function saveOrgChart(name, description, chartData, isBaseline = false, is
         description,
         owner_id: user.id,
         is_baseline: isBaseline,
-        is_target: isTarget
+        is_target: isTarget,
+        card_template: window.state?.cardTemplate || null,
+        expanded_node_ids: window.state?.expandedNodeIds || null
       }])
       .select()
       .single();
@@ -61,11 +63,14 @@ async function saveOrgChart(name, description, chartData, isBaseline = false, is
           employee_id: employee.id,
           name: employee.name,
           manager_id: employee.manager_id,
+          dotted_line_manager_ids: employee.dottedLineManagerIds || [],
           title: employee.title,
           fte: employee.fte,
+          position_status: employee.positionStatus || 'filled',
           location: employee.location,
           job_family: employee.job_family,
           management_level: employee.management_level,
+          photo_url: employee.photoUrl || null,
           additional_data: employee.additional_data || {}
         }));
         
@@ -288,11 +293,14 @@ async function updateOrgChart(chartId, chartData, updates = {}) {
           employee_id: employee.id,
           name: employee.name,
           manager_id: employee.manager_id,
+          dotted_line_manager_ids: employee.dottedLineManagerIds || [],
           title: employee.title,
           fte: employee.fte,
+          position_status: employee.positionStatus || 'filled',
           location: employee.location,
           job_family: employee.job_family,
           management_level: employee.management_level,
+          photo_url: employee.photoUrl || null,
           additional_data: employee.additional_data || {}
         }));
         
@@ -386,9 +394,11 @@ async function exportToExcel(chartId) {
       'Manager ID': employee.manager_id,
       'Title': employee.title,
       'FTE': employee.fte,
+      'Position Status': employee.position_status,
       'Location': employee.location,
       'Job Family': employee.job_family,
-      'Management Level': employee.management_level
+      'Management Level': employee.management_level,
+      'Photo URL': employee.photo_url || ''
     }));
     
     // Generate filename
@@ -453,6 +463,88 @@ async function getOrgChartVersionById(versionId) {
   }
 }
 
+/**
+ * Get the named target scenarios of a baseline chart
+ * @param {string} chartId - The chart ID
+ * @returns {Promise<{scenarios, error}>} - The scenarios as {name, data}, in their saved order, or error
+ */
+async function getChartScenarios(chartId) {
+  try {
+    const { data: scenarios, error } = await supabase
+      .from('chart_scenarios')
+      .select('name, data')
+      .eq('chart_id', chartId)
+      .order('position', { ascending: true });
+    
+    if (error) throw error;
+    
+    return { scenarios: scenarios || [], error: null };
+  } catch (error) {
+    console.error('Error getting chart scenarios:', error);
+    return { scenarios: [], error };
+  }
+}
+
+/**
+ * Save the named target scenarios of a baseline chart, replacing the ones saved before
+ * @param {string} chartId - The chart ID
+ * @param {Array<{name: string, data: Array}>} scenarios - The scenarios in their display order
+ * @returns {Promise<{success, error}>} - Success status or error
+ */
+async function saveChartScenarios(chartId, scenarios) {
+  try {
+    const { error: deleteError } = await supabase
+      .from('chart_scenarios')
+      .delete()
+      .eq('chart_id', chartId);
+    
+    if (deleteError) throw deleteError;
+    
+    if (scenarios.length > 0) {
+      const { error: insertError } = await supabase
+        .from('chart_scenarios')
+        .insert(scenarios.map((scenario, index) => ({
+          chart_id: chartId,
+          name: scenario.name,
+          position: index,
+          data: scenario.data
+        })));
+      
+      if (insertError) throw insertError;
+    }
+    
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error saving chart scenarios:', error);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Save the card template of a chart, which picks the fields shown on its cards
+ * @param {string} chartId - The chart ID
+ * @param {Object} template - The card template
+ * @returns {Promise<{success, error}>} - Success status or error
+ */
+async function saveCardTemplate(chartId, template) {
+  try {
+    const { error } = await supabase
+      .from('org_charts')
+      .update({
+        card_template: template,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', chartId);
+    
+    if (error) throw error;
+    
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error saving card template:', error);
+    return { success: false, error };
+  }
+}
+
 // Make functions available globally
 window.saveOrgChart = saveOrgChart;
 window.getOrgCharts = getOrgCharts;
@@ -462,3 +554,6 @@ window.getOrgChartVersionById = getOrgChartVersionById;
 window.deleteOrgChart = deleteOrgChart;
 window.updateOrgChart = updateOrgChart;
 window.exportToExcel = exportToExcel;
+window.getChartScenarios = getChartScenarios;
+window.saveChartScenarios = saveChartScenarios;
+window.saveCardTemplate = saveCardTemplate;
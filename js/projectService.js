@@ -9,6 +9,8 @@ const supabase = window.supabaseClient;
  * Create a draft project with the uploaded data
  * @param {Array} parsedData - The parsed Excel data
  * @param {Object} projectInfo - Project metadata
+ * @param {Array<number>} [projectInfo.rowNumbers] - Spreadsheet row number of each data row,
+ *   saved so that validation issues keep the row numbers of the uploaded file
  * @param {string} [existingProjectId] - Optional existing project ID for updates
  * @returns {Promise<{project, version, error}>} - The created project or error
  */
@@ -85,6 +87,7 @@ async function createDraftProject(parsedData, projectInfo, existingProjectId = n
       data: {
         raw_data: dataRows || [],
         raw_headers: headers || [],
+        row_numbers: projectInfo.rowNumbers || [],
         file_name: projectInfo.fileName || '',
         file_size: projectInfo.fileSize || 0,
         column_mapping: projectInfo.columnMapping || {}
@@ -192,6 +195,7 @@ async function updateExistingProject(projectId, headers, dataRows, projectInfo,
         data: {
           raw_data: dataRows || [],
           raw_headers: headers || [],
+          row_numbers: projectInfo.rowNumbers || [],
           file_name: projectInfo.fileName || '',
           file_size: projectInfo.fileSize || 0,
           column_mapping: projectInfo.columnMapping || {}
@@ -309,11 +313,14 @@ async function getProject(projectId) {
           employee_id,
           name,
           manager_id,
+          dotted_line_manager_ids,
           title,
           fte,
+          position_status,
           location,
           job_family,
-          management_level
+          management_level,
+          photo_url
         )
       `)
       .eq('id', projectId)
@@ -436,6 +443,56 @@ async function saveColumnMapping(projectId, mapping) {
   }
 }
 
+/**
+ * Save the card template of a project, which picks the fields shown on its chart cards
+ * @param {string} projectId - The project ID
+ * @param {Object} template - The card template
+ * @returns {Promise<{success, error}>} - Success status or error
+ */
+async function saveCardTemplate(projectId, template) {
+  try {
+    const { error } = await supabase
+      .from('org_charts')
+      .update({
+        card_template: template,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', projectId);
+    
+    if (error) throw error;
+    
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error saving card template:', error);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Save which teams of a project's chart are open, so the chart opens as it was prepared
+ * @param {string} projectId - The project ID
+ * @param {Array<string>} expandedNodeIds - IDs of the employees whose teams are open
+ * @returns {Promise<{success, error}>} - Success status or error
+ */
+async function saveExpansionState(projectId, expandedNodeIds) {
+  try {
+    const { error } = await supabase
+      .from('org_charts')
+      .update({
+        expanded_node_ids: expandedNodeIds,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', projectId);
+    
+    if (error) throw error;
+    
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error saving expansion state:', error);
+    return { success: false, error };
+  }
+}
+
 /**
  * Save validated employee data
  * @param {string} projectId - The project ID
@@ -458,11 +515,15 @@ async function saveEmployeeData(projectId, employees) {
       employee_id: emp.id,
       name: emp.name,
       manager_id: emp.managerId,
+      dotted_line_manager_ids: emp.dottedLineManagerIds || [],
       title: emp.title,
       fte: emp.fte,
+      position_status: emp.positionStatus || 'filled',
       location: emp.location,
       job_family: emp.jobFamily,
-      management_level: emp.managementLevel
+      management_level: emp.managementLevel,
+      photo_url: emp.photoUrl || null,
+      additional_data: emp.additionalData || {}
     }));
     
     const { error: insertError } = await supabase
@@ -528,6 +589,193 @@ async function finalizeProject(projectId) {
   }
 }
 
+/**
+ * Build a fingerprint of a file's column headers. Header order and case are
+ * ignored so a re-ordered export of the same format still matches.
+ * @param {Array<string>} headers - The column headers of the uploaded file
+ * @returns {string} - The header fingerprint
+ */
+function getHeaderFingerprint(headers) {
+  return (headers || [])
+    .map(normalizeHeader)
+    .filter(header => header !== '')
+    .sort()
+    .join('|');
+}
+
+/**
+ * Find the column of an uploaded file that a mapping profile refers to. Headers are
+ * compared the way the fingerprint compares them, so a re-cased export still maps.
+ * @param {Array<string>} headers - The column headers of the uploaded file
+ * @param {string} header - The header saved in the mapping profile
+ * @returns {number} - The column index, or -1 if the file has no such column
+ */
+function findHeaderIndex(headers, header) {
+  const key = normalizeHeader(header);
+  if (key === '') return -1;
+  return (headers || []).findIndex(candidate => normalizeHeader(candidate) === key);
+}
+
+function normalizeHeader(header) {
+  return String(header ?? '').trim().toLowerCase();
+}
+
+/**
+ * Get all mapping profiles of the current user
+ * @returns {Promise<{profiles, error}>} - The mapping profiles or error
+ */
+async function getMappingProfiles() {
+  try {
+    const { user, error: userError } = await window.getCurrentUser();
+    if (userError || !user) throw new Error('User not authenticated');
+    
+    const { data, error } = await supabase
+      .from('mapping_profiles')
+      .select('*')
+      .eq('owner_id', user.id)
+      .order('name', { ascending: true });
+    
+    if (error) throw error;
+    
+    return { profiles: data || [], error: null };
+  } catch (error) {
+    console.error('Error getting mapping profiles:', error);
+    return { profiles: [], error };
+  }
+}
+
+/**
+ * Find the saved mapping profile whose header fingerprint matches a file's headers.
+ * The most recently used profile wins if several match.
+ * @param {Array<string>} headers - The column headers of the uploaded file
+ * @returns {Promise<{profile, error}>} - The matching profile (or null) or error
+ */
+async function findMappingProfile(headers) {
+  try {
+    const { user, error: userError } = await window.getCurrentUser();
+    if (userError || !user) throw new Error('User not authenticated');
+    
+    const { data, error } = await supabase
+      .from('mapping_profiles')
+      .select('*')
+      .eq('owner_id', user.id)
+      .eq('header_fingerprint', getHeaderFingerprint(headers))
+      .order('last_used_at', { ascending: false, nullsFirst: false })
+      .limit(1);
+    
+    if (error) throw error;
+    
+    return { profile: data?.[0] || null, error: null };
+  } catch (error) {
+    console.error('Error finding mapping profile:', error);
+    return { profile: null, error };
+  }
+}
+
+/**
+ * Save a named mapping profile. Saving under an existing name overwrites that profile.
+ * @param {string} name - The profile name
+ * @param {Array<string>} headers - The column headers of the file the mapping was made for
+ * @param {Object} mapping - Field → column header name
+ * @returns {Promise<{profile, error}>} - The saved profile or error
+ */
+async function saveMappingProfile(name, headers, mapping) {
+  try {
+    const { user, error: userError } = await window.getCurrentUser();
+    if (userError || !user) throw new Error('User not authenticated');
+    
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) throw new Error('Profile name is required');
+    
+    const { data, error } = await supabase
+      .from('mapping_profiles')
+      .upsert({
+        owner_id: user.id,
+        name: trimmedName,
+        header_fingerprint: getHeaderFingerprint(headers),
+        headers: headers || [],
+        column_mapping: mapping || {},
+        last_used_at: new Date().toISOString()
+      }, { onConflict: 'owner_id,name' })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    return { profile: data, error: null };
+  } catch (error) {
+    console.error('Error saving mapping profile:', error);
+    return { profile: null, error };
+  }
+}
+
+/**
+ * Rename a mapping profile
+ * @param {string} profileId - The profile ID
+ * @param {string} name - The new name
+ * @returns {Promise<{success, error}>} - Success status or error
+ */
+async function renameMappingProfile(profileId, name) {
+  try {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) throw new Error('Profile name is required');
+    
+    const { error } = await supabase
+      .from('mapping_profiles')
+      .update({ name: trimmedName })
+      .eq('id', profileId);
+    
+    if (error) throw error;
+    
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error renaming mapping profile:', error);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Record that a mapping profile was applied to an upload
+ * @param {string} profileId - The profile ID
+ * @returns {Promise<{success, error}>} - Success status or error
+ */
+async function markMappingProfileUsed(profileId) {
+  try {
+    const { error } = await supabase
+      .from('mapping_profiles')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', profileId);
+    
+    if (error) throw error;
+    
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error updating mapping profile:', error);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Delete a mapping profile
+ * @param {string} profileId - The profile ID
+ * @returns {Promise<{success, error}>} - Success status or error
+ */
+async function deleteMappingProfile(profileId) {
+  try {
+    const { error } = await supabase
+      .from('mapping_profiles')
+      .delete()
+      .eq('id', profileId);
+    
+    if (error) throw error;
+    
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error deleting mapping profile:', error);
+    return { success: false, error };
+  }
+}
+
 // Make functions available globally
 window.createDraftProject = createDraftProject;
 window.getProjects = getProjects;
@@ -535,5 +783,15 @@ window.getProject = getProject;
 window.updateProjectTimestamp = updateProjectTimestamp;
 window.deleteProject = deleteProject;
 window.saveColumnMapping = saveColumnMapping;
+window.saveCardTemplate = saveCardTemplate;
+window.saveExpansionState = saveExpansionState;
 window.saveEmployeeData = saveEmployeeData;
 window.finalizeProject = finalizeProject;
+window.getHeaderFingerprint = getHeaderFingerprint;
+window.findHeaderIndex = findHeaderIndex;
+window.getMappingProfiles = getMappingProfiles;
+window.findMappingProfile = findMappingProfile;
+window.saveMappingProfile = saveMappingProfile;
+window.renameMappingProfile = renameMappingProfile;
+window.markMappingProfileUsed = markMappingProfileUsed;
+window.deleteMappingProfile = deleteMappingProfile;
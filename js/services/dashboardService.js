@@ -338,30 +338,30 @@ function buildHierarchy(data) {
       }
     });
     
-    // Build hierarchy
-    let rootNode = null;
+    // Build hierarchy; every employee without a known manager is a top of the forest
+    const rootNodes = [];
     
     employees.forEach(emp => {
       const id = String(emp.id || emp.name || '');
       if (!id) return;
       
       const node = employeeMap.get(id);
-      const managerId = String(emp.manager || '');
+      const managerId = String(emp.managerId ?? emp.manager ?? '');
       
-      if (!managerId || managerId === '' || managerId === id) {
-        // This is a root node
-        rootNode = node;
-      } else if (employeeMap.has(managerId)) {
+      if (managerId && managerId !== id && employeeMap.has(managerId)) {
         // Add as child to manager
         const managerNode = employeeMap.get(managerId);
         managerNode.children.push(node);
-      } else if (!rootNode) {
-        // Manager not found, treat as root if no root yet
-        rootNode = node;
+      } else {
+        // No manager, self-managed or manager not found
+        rootNodes.push(node);
       }
     });
     
-    return rootNode;
+    if (rootNodes.length <= 1) return rootNodes[0] || null;
+    
+    // Several tops are grouped under a virtual node that is not counted in the metrics
+    return { id: 'company', name: 'Organization', children: rootNodes, _isVirtualRoot: true };
   } catch (error) {
     console.error('Error building hierarchy:', error);
     return null;
@@ -409,8 +409,12 @@ function calculateHierarchyMetrics(node) {
     }
   }
   
-  // Start traversal from root
-  traverse(node, 0);
+  // Start traversal from root; the tops below a virtual root are level 0
+  if (node && node._isVirtualRoot) {
+    node.children.forEach(child => traverse(child, 0));
+  } else {
+    traverse(node, 0);
+  }
   
   // Calculate averages
   const avgDepth = nodeCount > 0 ? totalDepth / nodeCount : 0;
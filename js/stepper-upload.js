@@ -39,14 +39,23 @@ let targetData = null;
 let currentFileData = null;
 let currentFileType = null;
 let currentFileHeaders = null;
+// Spreadsheet row number of the first data row, so issues name the rows users see in their file
+let currentFirstRowNumber = 2;
 let columnMapping = {
+  employeeId: null,
   employeeName: null,
+  employeeEmail: null,
   manager: null,
+  managerReferenceType: 'auto',
+  dottedLineManager: null,
   jobTitle: null,
   fte: null,
+  positionStatus: null,
   location: null,
   jobFamily: null,
-  managementLevel: null
+  managementLevel: null,
+  photoUrl: null,
+  customAttributes: []
 };
 
 // DOM Elements
@@ -119,8 +128,19 @@ const targetFileName = document.getElementById('targetFileName');
 const targetFileSize = document.getElementById('targetFileSize');
 const targetRemoveBtn = document.getElementById('targetRemoveBtn');
 const columnMappingModal = document.getElementById('columnMappingModal');
+const sheetPickerModal = document.getElementById('sheetPickerModal');
+const sheetSelect = document.getElementById('sheetSelect');
+const sheetInfo = document.getElementById('sheetInfo');
+const sheetPreview = document.getElementById('sheetPreview');
+const headerRowSelect = document.getElementById('headerRowSelect');
+const headerRowInfo = document.getElementById('headerRowInfo');
+const trailingRowsInput = document.getElementById('trailingRowsInput');
+const trailingRowsInfo = document.getElementById('trailingRowsInfo');
 const validationErrorsModal = document.getElementById('validationErrorsModal');
 const validationErrorsList = document.getElementById('validationErrorsList');
+const fixUpTable = document.getElementById('fixUpTable');
+const fixUpManagerOptions = document.getElementById('fixUpManagerOptions');
+const continueWithFixesBtn = document.getElementById('continueWithFixesBtn');
 const toast = document.getElementById('toast');
 const toastMessage = document.getElementById('toastMessage');
 const loadingOverlay = document.getElementById('loadingOverlay');
@@ -242,6 +262,15 @@ function setupEventListeners() {
     removeFile('target');
   });
   
+  // Sheet picker preview
+  sheetSelect.addEventListener('change', selectSheet);
+  headerRowSelect.addEventListener('change', updateSheetPreview);
+  trailingRowsInput.addEventListener('input', updateSheetPreview);
+  
+  // Validation fix-up grid
+  fixUpTable.addEventListener('input', handleFixUpInput);
+  fixUpTable.addEventListener('click', handleFixUpAction);
+  
   // Project form
   projectForm.addEventListener('input', () => {
     projectData.name = projectNameInput.value;
@@ -276,79 +305,174 @@ function validateStep1() {
 function handleFileSelect(file, fileType) {
   if (!file) return;
   
-  if (file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' || 
-      file.type === 'application/vnd.ms-excel') {
+  if (window.getSpreadsheetFileKind(file)) {
     processFile(file, fileType);
   } else {
-    showToast('Please upload an Excel file (.xlsx or .xls)');
+    showToast('Please upload an Excel, CSV or TSV file');
   }
 }
 
 // Process file
-function processFile(file, fileType) {
+async function processFile(file, fileType) {
   showLoading('Processing file...');
   
-  const reader = new FileReader();
-  
-  reader.onload = async (e) => {
-    try {
-      const data = new Uint8Array(e.target.result);
-      const workbook = XLSX.read(data, { type: 'array' });
-      
-      // Get first sheet
-      const firstSheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[firstSheetName];
+  try {
+    const { sheets } = await window.readSpreadsheetFile(file);
+    const nonEmptySheets = sheets.filter(sheet => sheet.rows.length > 0);
+    
+    if (nonEmptySheets.length === 0) {
+      throw new Error('The file does not contain any data');
+    }
+    
+    // Detect the header row and trailing summary rows; ask the user to review
+    // them when the workbook has several sheets or the table doesn't start at row 1
+    let selection = getDefaultImportSelection(nonEmptySheets);
+    if (nonEmptySheets.length > 1 || selection.headerRowIndex > 0 || selection.trailingRows > 0) {
+      hideLoading();
+      selection = await chooseSheet(nonEmptySheets);
+      if (!selection) {
+        resetFileInput(fileType);
+        return;
+      }
+    }
+    
+    // Keep the header as the first row so downstream code can rely on jsonData[0]
+    const { headers, dataRows } = window.extractTable(selection.sheet.rows, selection);
+    const jsonData = [headers, ...dataRows];
+    currentFirstRowNumber = selection.headerRowIndex + 2;
+    // Each row keeps its spreadsheet row number, even when rows above it are removed during fix-up
+    dataRows.forEach((row, index) => {
+      row[window.ROW_NUMBER_KEY] = index + currentFirstRowNumber;
+    });
+    
+    // Store file and data
+    if (fileType === 'statusQuo') {
+      statusQuoFile = file;
+      statusQuoData = jsonData;
+      statusQuoFileName.textContent = file.name;
+      statusQuoFileSize.textContent = formatFileSize(file.size);
+      statusQuoFileInfo.style.display = 'flex';
+      statusQuoUpload.style.display = 'none';
       
-      // Convert to JSON
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+      // Enable next button if file is uploaded
+      step2NextBtn.disabled = false;
       
-      // Store file and data
-      if (fileType === 'statusQuo') {
-        statusQuoFile = file;
-        statusQuoData = jsonData;
-        statusQuoFileName.textContent = file.name;
-        statusQuoFileSize.textContent = formatFileSize(file.size);
-        statusQuoFileInfo.style.display = 'flex';
-        statusQuoUpload.style.display = 'none';
-        
-        // Enable next button if file is uploaded
-        step2NextBtn.disabled = false;
-        
-        // Show column mapping modal for status quo
-        currentFileData = jsonData;
-        currentFileType = 'statusQuo';
-        currentFileHeaders = jsonData[0];
-        showColumnMappingModal();
-      } else {
-        targetFile = file;
-        targetData = jsonData;
-        targetFileName.textContent = file.name;
-        targetFileSize.textContent = formatFileSize(file.size);
-        targetFileInfo.style.display = 'flex';
-        targetUpload.style.display = 'none';
-        
-        // Show column mapping modal for target file
-        currentFileData = jsonData;
-        currentFileType = 'target';
-        currentFileHeaders = jsonData[0];
-        showColumnMappingModal();
-      }
+      // Show column mapping modal for status quo
+      currentFileData = jsonData;
+      currentFileType = 'statusQuo';
+      currentFileHeaders = jsonData[0];
+      showColumnMappingModal();
+    } else {
+      targetFile = file;
+      targetData = jsonData;
+      targetFileName.textContent = file.name;
+      targetFileSize.textContent = formatFileSize(file.size);
+      targetFileInfo.style.display = 'flex';
+      targetUpload.style.display = 'none';
       
-      hideLoading();
-    } catch (error) {
-      console.error('Error processing file:', error);
-      showToast('Error processing file: ' + error.message);
-      hideLoading();
+      // Show column mapping modal for target file
+      currentFileData = jsonData;
+      currentFileType = 'target';
+      currentFileHeaders = jsonData[0];
+      showColumnMappingModal();
     }
-  };
-  
-  reader.onerror = () => {
-    console.error('Error reading file');
-    showToast('Error reading file');
+    
+    hideLoading();
+  } catch (error) {
+    console.error('Error processing file:', error);
+    showToast('Error processing file: ' + error.message);
+    resetFileInput(fileType);
     hideLoading();
+  }
+}
+
+// Clear the file input so the same file can be selected again
+function resetFileInput(fileType) {
+  const input = fileType === 'statusQuo' ? statusQuoFileInput : targetFileInput;
+  if (input) input.value = '';
+}
+
+// Suggest the sheet, header row and summary rows to import
+function getDefaultImportSelection(sheets, sheetIndex = window.pickDefaultSheetIndex(sheets)) {
+  const sheet = sheets[sheetIndex];
+  const headerRowIndex = window.detectHeaderRowIndex(sheet.rows);
+  const trailingRows = window.detectTrailingSummaryRows(sheet.rows, headerRowIndex);
+  return { sheet, headerRowIndex, trailingRows };
+}
+
+// Sheet picker
+let resolveSheetSelection = null;
+let pickerSheets = [];
+
+function chooseSheet(sheets) {
+  pickerSheets = sheets;
+  
+  sheetSelect.innerHTML = '';
+  sheets.forEach((sheet, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = sheet.name;
+    sheetSelect.appendChild(option);
+  });
+  
+  sheetSelect.value = window.pickDefaultSheetIndex(sheets);
+  selectSheet();
+  
+  sheetPickerModal.classList.add('show');
+  
+  return new Promise(resolve => {
+    resolveSheetSelection = resolve;
+  });
+}
+
+// Re-run detection for the selected sheet
+function selectSheet() {
+  const detected = getDefaultImportSelection(pickerSheets, Number(sheetSelect.value));
+  sheetInfo.textContent = window.describeSheet(detected.sheet);
+  
+  window.populateHeaderRowSelect(headerRowSelect, detected.sheet.rows);
+  headerRowSelect.value = detected.headerRowIndex;
+  trailingRowsInput.value = detected.trailingRows;
+  trailingRowsInput.max = detected.sheet.rows.length - 1;
+  
+  headerRowInfo.textContent = `Auto-detected: Row ${detected.headerRowIndex + 1}`;
+  trailingRowsInfo.textContent = detected.trailingRows
+    ? `Auto-detected: ${detected.trailingRows} summary row(s)`
+    : '';
+  
+  updateSheetPreview();
+}
+
+function getSheetSelection() {
+  return {
+    sheet: pickerSheets[sheetSelect.value],
+    headerRowIndex: parseInt(headerRowSelect.value, 10) || 0,
+    trailingRows: Math.max(0, parseInt(trailingRowsInput.value, 10) || 0)
   };
+}
+
+function updateSheetPreview() {
+  const selection = getSheetSelection();
+  if (!selection.sheet) return;
+  
+  window.renderSheetPreview(sheetPreview, selection.sheet.rows, selection);
+}
+
+function closeSheetPicker(selection) {
+  sheetPickerModal.classList.remove('show');
   
-  reader.readAsArrayBuffer(file);
+  if (resolveSheetSelection) {
+    resolveSheetSelection(selection);
+    resolveSheetSelection = null;
+  }
+}
+
+function confirmSheetSelection() {
+  closeSheetPicker(getSheetSelection());
+}
+
+function cancelSheetSelection() {
+  closeSheetPicker(null);
 }
 
 // Remove file
@@ -379,24 +503,34 @@ function showColumnMappingModal() {
   // Populate column mapping dropdowns
   const headers = currentFileHeaders;
   const dropdowns = [
+    'employeeIdMapping',
     'employeeNameMapping',
+    'employeeEmailMapping',
     'managerMapping',
+    'dottedLineManagerMapping',
     'jobTitleMapping',
     'fteMapping',
+    'positionStatusMapping',
     'locationMapping',
     'jobFamilyMapping',
-    'managementLevelMapping'
+    'managementLevelMapping',
+    'photoUrlMapping'
   ];
   
   // Try to auto-detect columns
   const columnGuesses = {
-    employeeName: ['name', 'employee', 'employee name', 'person', 'employee id', 'id'],
+    employeeId: ['id', 'employee id', 'worker id', 'person id', 'employee number', 'emp id', 'personnel number'],
+    employeeName: ['name', 'employee', 'employee name', 'person', 'full name', 'worker'],
+    employeeEmail: ['email', 'e-mail', 'email address', 'work email'],
     manager: ['manager', 'reports to', 'supervisor', 'boss', 'manager id', 'manager name'],
+    dottedLineManager: ['dotted line manager', 'dotted-line manager', 'functional manager', 'matrix manager', 'secondary manager'],
     jobTitle: ['title', 'job title', 'position', 'role'],
     fte: ['fte', 'full time equivalent', 'hours', 'time'],
+    positionStatus: ['position status', 'status', 'vacancy', 'requisition', 'seat status'],
     location: ['location', 'office', 'site', 'country', 'city'],
     jobFamily: ['job family', 'family', 'department', 'function', 'group'],
-    managementLevel: ['level', 'management level', 'grade', 'seniority']
+    managementLevel: ['level', 'management level', 'grade', 'seniority'],
+    photoUrl: ['photo', 'picture', 'image', 'avatar', 'headshot']
   };
   
   dropdowns.forEach(dropdown => {
@@ -422,10 +556,103 @@ function showColumnMappingModal() {
     });
   });
   
+  document.getElementById('managerReferenceType').value = 'auto';
+  
+  // Custom attributes are addressed by column index, like the fixed fields
+  window.renderCustomAttributeEditor(document.getElementById('customAttributeList'), headers, [], getCustomAttributeOptions());
+  
+  // Offer a saved mapping profile if one matches these headers
+  offerMappingProfile(headers);
+  
   // Show modal
   columnMappingModal.classList.add('show');
 }
 
+// Custom attributes
+function getCustomAttributeOptions() {
+  return { useColumnIndex: true, rows: currentFileData ? currentFileData.slice(1) : [] };
+}
+
+function addCustomAttribute() {
+  window.addCustomAttributeRow(document.getElementById('customAttributeList'), currentFileHeaders, {}, getCustomAttributeOptions());
+}
+
+// Mapping profiles
+let suggestedMappingProfile = null;
+
+async function offerMappingProfile(headers) {
+  const banner = document.getElementById('mappingProfileBanner');
+  const message = document.getElementById('mappingProfileMessage');
+  document.getElementById('mappingProfileName').value = '';
+  banner.style.display = 'none';
+  suggestedMappingProfile = null;
+  
+  const { profile, error } = await window.findMappingProfile(headers);
+  if (error || !profile) return;
+  
+  suggestedMappingProfile = profile;
+  message.textContent = `Your saved mapping profile "${profile.name}" matches this file's columns.`;
+  banner.style.display = 'flex';
+}
+
+function applySuggestedMappingProfile() {
+  const profile = suggestedMappingProfile;
+  if (!profile) return;
+  
+  // Headers are compared the way the profile was matched, ignoring case and surrounding spaces
+  const headers = currentFileHeaders.map(header => String(header ?? ''));
+  Object.entries(profile.column_mapping || {}).forEach(([field, header]) => {
+    if (field === 'managerReferenceType') {
+      if (header) document.getElementById('managerReferenceType').value = header;
+      return;
+    }
+    
+    if (field === 'customAttributes') {
+      const attributes = (header || [])
+        .map(attribute => ({ ...attribute, column: window.findHeaderIndex(headers, attribute.column) }))
+        .filter(attribute => attribute.column !== -1);
+      window.renderCustomAttributeEditor(document.getElementById('customAttributeList'), currentFileHeaders, attributes, getCustomAttributeOptions());
+      return;
+    }
+    
+    const select = document.getElementById(`${field}Mapping`);
+    const index = window.findHeaderIndex(headers, header);
+    if (!select || index === -1) return;
+    
+    select.value = index;
+    const info = document.getElementById(`${field}Info`);
+    if (info) info.textContent = `From profile: ${profile.name}`;
+  });
+  
+  document.getElementById('mappingProfileName').value = profile.name;
+  document.getElementById('mappingProfileBanner').style.display = 'none';
+  window.markMappingProfileUsed(profile.id);
+  showToast(`Applied mapping profile "${profile.name}"`);
+}
+
+// Save the confirmed mapping as a profile, stored by header name so column order doesn't matter
+async function saveMappingProfileIfRequested(mapping) {
+  const name = document.getElementById('mappingProfileName').value.trim();
+  if (!name) return;
+  
+  const headerMapping = {};
+  Object.entries(mapping).forEach(([field, index]) => {
+    if (field === 'managerReferenceType') {
+      headerMapping[field] = index;
+    } else if (field === 'customAttributes') {
+      headerMapping[field] = index.map(attribute => ({
+        ...attribute,
+        column: String(currentFileHeaders[parseInt(attribute.column)] ?? '')
+      }));
+    } else if (index !== '' && index !== null) {
+      headerMapping[field] = String(currentFileHeaders[parseInt(index)] ?? '');
+    }
+  });
+  
+  const { error } = await window.saveMappingProfile(name, currentFileHeaders, headerMapping);
+  showToast(error ? `Could not save mapping profile: ${error.message}` : `Mapping profile "${name}" saved`);
+}
+
 // Cancel column mapping
 function cancelColumnMapping() {
   columnMappingModal.classList.remove('show');
@@ -441,13 +668,20 @@ function cancelColumnMapping() {
 // Confirm column mapping
 function confirmColumnMapping() {
   const mapping = {
+    employeeId: document.getElementById('employeeIdMapping').value,
     employeeName: document.getElementById('employeeNameMapping').value,
+    employeeEmail: document.getElementById('employeeEmailMapping').value,
     manager: document.getElementById('managerMapping').value,
+    managerReferenceType: document.getElementById('managerReferenceType').value,
+    dottedLineManager: document.getElementById('dottedLineManagerMapping').value,
     jobTitle: document.getElementById('jobTitleMapping').value,
     fte: document.getElementById('fteMapping').value,
+    positionStatus: document.getElementById('positionStatusMapping').value,
     location: document.getElementById('locationMapping').value,
     jobFamily: document.getElementById('jobFamilyMapping').value,
-    managementLevel: document.getElementById('managementLevelMapping').value
+    managementLevel: document.getElementById('managementLevelMapping').value,
+    photoUrl: document.getElementById('photoUrlMapping').value,
+    customAttributes: window.readCustomAttributeEditor(document.getElementById('customAttributeList'))
   };
   
   // Validate required fields
@@ -456,8 +690,14 @@ function confirmColumnMapping() {
     return;
   }
   
+  if (mapping.managerReferenceType === 'email' && !mapping.employeeEmail) {
+    showToast('Map the Employee Email column to resolve managers by email');
+    return;
+  }
+  
   // Store mapping
   columnMapping = mapping;
+  saveMappingProfileIfRequested(mapping);
   
   // Hide modal
   columnMappingModal.classList.remove('show');
@@ -466,111 +706,325 @@ function confirmColumnMapping() {
   validateData();
 }
 
-// Validate data
+// Validate data with the shared rule pipeline, which also resolves manager names/emails to IDs
 function validateData() {
-  if (!statusQuoData) return;
+  if (!currentFileData) return;
   
-  const errors = [];
-  const data = statusQuoData.slice(1); // Skip header row
-  const employeeCol = parseInt(columnMapping.employeeName);
-  const managerCol = parseInt(columnMapping.manager);
+  const validation = runValidation();
   
-  // Check for empty values
-  data.forEach((row, index) => {
-    if (!row[employeeCol]) {
-      errors.push(`Row ${index + 2}: Missing employee name`);
-    }
+  // Show validation errors if any; warnings alone don't block the upload
+  if (validation.errors.length > 0) {
+    fixUpRowIndices = [];
+    showValidationErrors(validation.issues);
+  } else if (validation.warnings.length > 0) {
+    showToast(`${validation.warnings.length} warning(s): ${window.formatValidationIssue(validation.warnings[0])}`);
+  }
+}
+
+function runValidation() {
+  const validation = window.validateOrgData(currentFileData.slice(1), {
+    id: columnMapping.employeeId !== '' ? columnMapping.employeeId : columnMapping.employeeName,
+    name: columnMapping.employeeName,
+    email: columnMapping.employeeEmail,
+    manager: columnMapping.manager,
+    managerReferenceType: columnMapping.managerReferenceType,
+    dottedLineManager: columnMapping.dottedLineManager,
+    fte: columnMapping.fte,
+    positionStatus: columnMapping.positionStatus
+  }, { headers: currentFileHeaders, firstRowNumber: currentFirstRowNumber });
+  
+  columnMapping.managerReferenceType = validation.referenceType;
+  return validation;
+}
+
+// Show validation errors, followed by any warnings, and the grid to fix the affected rows
+function showValidationErrors(issues) {
+  renderIssueList(issues);
+  renderFixUpGrid(issues);
+  
+  // Show modal
+  validationErrorsModal.classList.add('show');
+}
+
+function renderIssueList(issues) {
+  // Clear existing errors
+  validationErrorsList.innerHTML = '';
+  
+  const sorted = [...issues].sort((a, b) => (a.severity === 'warning') - (b.severity === 'warning'));
+  sorted.forEach(issue => {
+    const item = document.createElement('div');
+    item.className = `validation-error ${issue.severity}`;
+    
+    const type = document.createElement('div');
+    type.className = 'validation-error-type';
+    type.textContent = issue.column ? `${issue.type} · ${issue.column}` : issue.type;
+    
+    const message = document.createElement('div');
+    message.className = 'validation-error-message';
+    message.textContent = issue.message;
+    
+    const details = document.createElement('div');
+    details.className = 'validation-error-details';
+    details.textContent = issue.details;
+    
+    item.append(type, message, details);
+    validationErrorsList.appendChild(item);
+  });
+  
+  continueWithFixesBtn.disabled = issues.some(issue => issue.severity === 'error');
+}
+
+// Close validation errors
+function closeValidationErrors() {
+  validationErrorsModal.classList.remove('show');
+}
+
+// Validation fix-up grid: lets users correct the rows behind validation errors instead of re-uploading
+
+// Indices into the data rows (without the header row) shown in the grid, in display order
+let fixUpRowIndices = [];
+let revalidateTimeout;
+const REVALIDATE_DELAY = 200;
+
+// Maps the spreadsheet rows referenced by blocking issues to indices into the data rows
+function getIssuesByRowIndex(issues) {
+  const indexByRowNumber = new Map(
+    currentFileData.slice(1).map((row, index) => [row[window.ROW_NUMBER_KEY], index])
+  );
+  const byRow = new Map();
+  issues
+    .filter(issue => issue.severity === 'error')
+    .forEach(issue => {
+      issue.rows.forEach(rowNumber => {
+        const index = indexByRowNumber.get(rowNumber);
+        if (index === undefined) return;
+        if (!byRow.has(index)) byRow.set(index, []);
+        byRow.get(index).push(issue);
+      });
+    });
+  return byRow;
+}
+
+// Column of the value manager cells use to reference an employee
+function getManagerReferenceColumn() {
+  const column = {
+    id: columnMapping.employeeId || columnMapping.employeeName,
+    name: columnMapping.employeeName,
+    email: columnMapping.employeeEmail
+  }[columnMapping.managerReferenceType];
+  return column || columnMapping.employeeId || columnMapping.employeeName;
+}
+
+function getDataRow(index) {
+  return currentFileData[index + 1];
+}
+
+// Rows stay in the grid once shown, so fixing one problem never hides the row being edited
+function renderFixUpGrid(issues) {
+  const byRow = getIssuesByRowIndex(issues);
+  byRow.forEach((_, index) => {
+    if (!fixUpRowIndices.includes(index)) fixUpRowIndices.push(index);
   });
   
-  // Check for cycles in reporting structure
-  const adjList = new Map();
-  const employees = new Set();
+  const hasIdColumn = columnMapping.employeeId !== '' && columnMapping.employeeId !== columnMapping.employeeName;
+  const fields = [
+    ...(hasIdColumn ? [{ field: 'id', column: columnMapping.employeeId }] : []),
+    { field: 'name', column: columnMapping.employeeName },
+    { field: 'manager', column: columnMapping.manager }
+  ];
+  
+  fixUpTable.innerHTML = '';
+  
+  const headRow = fixUpTable.createTHead().insertRow();
+  ['Row', ...fields.map(({ column }) => String(currentFileHeaders[column] ?? '')), 'Problems', ''].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
   
-  // Build adjacency list and employee set
-  data.forEach(row => {
-    const employee = row[employeeCol]?.toString();
-    const manager = row[managerCol]?.toString();
+  const body = fixUpTable.createTBody();
+  fixUpRowIndices.forEach(index => {
+    const row = getDataRow(index);
+    const tr = body.insertRow();
+    tr.dataset.rowIndex = index;
     
-    if (employee) {
-      employees.add(employee);
-      
-      if (manager && manager !== employee) {
-        if (!adjList.has(employee)) {
-          adjList.set(employee, []);
-        }
-        adjList.get(employee).push(manager);
+    const rowNumber = tr.insertCell();
+    rowNumber.className = 'fixup-row-number';
+    rowNumber.textContent = row[window.ROW_NUMBER_KEY];
+    
+    fields.forEach(({ field, column }) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'fixup-input';
+      input.dataset.field = field;
+      input.value = String(row[column] ?? '');
+      if (field === 'manager') {
+        input.setAttribute('list', 'fixUpManagerOptions');
+        input.placeholder = '(top of the organization)';
       }
-    }
+      tr.insertCell().appendChild(input);
+    });
+    
+    tr.insertCell().className = 'fixup-problems';
+    
+    const actions = tr.insertCell();
+    actions.className = 'fixup-actions';
+    actions.append(
+      createFixUpButton('make-root', 'Make CEO', 'Make this employee the single top-level person; other employees without a manager will report to them'),
+      createFixUpButton('remove', 'Remove', 'Remove this row from the import')
+    );
   });
   
-  // Find cycles
-  const cycles = [];
-  const visited = new Set();
-  const recursionStack = new Set();
-  
-  employees.forEach(employee => {
-    if (!visited.has(employee)) {
-      const path = [];
-      findCycle(employee, visited, recursionStack, path, adjList, cycles);
+  updateFixUpProblems(byRow);
+  renderManagerOptions();
+}
+
+function createFixUpButton(action, label, title) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = action === 'remove' ? 'fixup-btn remove' : 'fixup-btn';
+  button.dataset.action = action;
+  button.textContent = label;
+  button.title = title;
+  return button;
+}
+
+// Refreshes the problems column and error highlighting of the grid
+function updateFixUpProblems(byRow) {
+  fixUpTable.querySelectorAll('tbody tr').forEach(tr => {
+    const rowIssues = byRow.get(Number(tr.dataset.rowIndex)) || [];
+    const cell = tr.querySelector('.fixup-problems');
+    tr.classList.toggle('has-error', rowIssues.length > 0);
+    cell.innerHTML = '';
+    
+    if (!rowIssues.length) {
+      const ok = document.createElement('span');
+      ok.className = 'fixup-ok';
+      ok.textContent = '✓ OK';
+      cell.appendChild(ok);
+      return;
     }
+    rowIssues.forEach(issue => {
+      const problem = document.createElement('span');
+      problem.className = 'fixup-problem';
+      problem.title = issue.message;
+      problem.textContent = issue.type;
+      cell.appendChild(problem);
+    });
   });
-  
-  // Add cycle errors
-  cycles.forEach(cycle => {
-    errors.push(`Reporting cycle detected: ${cycle.join(' -> ')}`);
+}
+
+// Fills the manager suggestions with the reference value of every employee
+function renderManagerOptions() {
+  const referenceColumn = getManagerReferenceColumn();
+  fixUpManagerOptions.innerHTML = '';
+  currentFileData.slice(1).forEach(row => {
+    const value = String(row[referenceColumn] ?? '').trim();
+    if (!value) return;
+    const option = document.createElement('option');
+    option.value = value;
+    option.label = String(row[columnMapping.employeeName] ?? '');
+    fixUpManagerOptions.appendChild(option);
   });
+}
+
+// Re-runs validation on the edited rows; newly affected rows are added to the grid
+// without re-rendering the rows being edited
+function revalidateFixUpData() {
+  const validation = runValidation();
+  renderIssueList(validation.issues);
   
-  // Show validation errors if any
-  if (errors.length > 0) {
-    showValidationErrors(errors);
+  const byRow = getIssuesByRowIndex(validation.issues);
+  if ([...byRow.keys()].some(index => !fixUpRowIndices.includes(index))) {
+    renderFixUpGrid(validation.issues);
+  } else {
+    updateFixUpProblems(byRow);
   }
+  return validation;
 }
 
-// Find cycle in graph
-function findCycle(node, visited, recursionStack, path, adjList, cycles) {
-  visited.add(node);
-  recursionStack.add(node);
-  path.push(node);
+function handleFixUpInput(event) {
+  const input = event.target.closest('.fixup-input');
+  if (!input) return;
   
-  const neighbors = adjList.get(node) || [];
+  const column = {
+    id: columnMapping.employeeId,
+    name: columnMapping.employeeName,
+    manager: columnMapping.manager
+  }[input.dataset.field];
+  getDataRow(Number(input.closest('tr').dataset.rowIndex))[column] = input.value;
   
-  for (const neighbor of neighbors) {
-    if (!visited.has(neighbor)) {
-      if (findCycle(neighbor, visited, recursionStack, path, adjList, cycles)) {
-        return true;
-      }
-    } else if (recursionStack.has(neighbor)) {
-      // Cycle found
-      const cycleStart = path.indexOf(neighbor);
-      cycles.push(path.slice(cycleStart).concat(neighbor));
-      return true;
-    }
-  }
+  clearTimeout(revalidateTimeout);
+  revalidateTimeout = setTimeout(() => {
+    revalidateFixUpData();
+    if (input.dataset.field !== 'manager') renderManagerOptions();
+  }, REVALIDATE_DELAY);
+}
+
+function handleFixUpAction(event) {
+  const button = event.target.closest('.fixup-btn');
+  if (!button) return;
   
-  recursionStack.delete(node);
-  path.pop();
-  return false;
+  const index = Number(button.closest('tr').dataset.rowIndex);
+  if (button.dataset.action === 'make-root') {
+    makeRootEmployee(index);
+  } else if (button.dataset.action === 'remove') {
+    removeFixUpRow(index);
+  }
 }
 
-// Show validation errors
-function showValidationErrors(errors) {
-  // Clear existing errors
-  validationErrorsList.innerHTML = '';
+// Clears the employee's manager; every other employee without a manager now reports to them
+function makeRootEmployee(index) {
+  const managerColumn = columnMapping.manager;
+  const reference = String(getDataRow(index)[getManagerReferenceColumn()] ?? '').trim();
+  
+  if (!reference) {
+    showToast('Enter a value for this employee before making them the CEO');
+    return;
+  }
   
-  // Add errors
-  errors.forEach(error => {
-    const li = document.createElement('li');
-    li.textContent = error;
-    validationErrorsList.appendChild(li);
+  currentFileData.slice(1).forEach((row, rowIndex) => {
+    if (rowIndex === index) {
+      row[managerColumn] = '';
+    } else if (window.isBlankOrEmpty(row[managerColumn])) {
+      row[managerColumn] = reference;
+      if (!fixUpRowIndices.includes(rowIndex)) fixUpRowIndices.push(rowIndex);
+    }
   });
   
-  // Show modal
-  validationErrorsModal.classList.add('show');
+  renderFixUpGrid(revalidateFixUpData().issues);
 }
 
-// Close validation errors
-function closeValidationErrors() {
-  validationErrorsModal.classList.remove('show');
+// Removes a row from the data to import, e.g. a duplicated employee
+function removeFixUpRow(index) {
+  currentFileData.splice(index + 1, 1);
+  // Later rows move up by one; their row numbers stay on the rows
+  fixUpRowIndices = fixUpRowIndices
+    .filter(rowIndex => rowIndex !== index)
+    .map(rowIndex => (rowIndex > index ? rowIndex - 1 : rowIndex));
+  
+  renderFixUpGrid(revalidateFixUpData().issues);
+}
+
+// Keeps the corrected rows once no blocking errors remain
+function continueWithFixes() {
+  clearTimeout(revalidateTimeout);
+  const validation = runValidation();
+  if (validation.errors.length > 0) {
+    renderIssueList(validation.issues);
+    showToast('Please fix the remaining errors before continuing');
+    return;
+  }
+  
+  closeValidationErrors();
+  showToast('✓ All rows fixed');
+}
+
+// Drops the file instead of fixing it, e.g. to upload a corrected version
+function removeInvalidFile() {
+  clearTimeout(revalidateTimeout);
+  closeValidationErrors();
+  removeFile(currentFileType);
 }
 
 // Create project
@@ -593,16 +1047,23 @@ async function createProject() {
         isTarget: false,
         fileName: statusQuoFile.name,
         fileSize: statusQuoFile.size,
+        rowNumbers: getRowNumbers(statusQuoData),
         // Pass column mapping for Status Quo
         columnMapping: {
-          id: columnMapping.employeeName,
+          id: columnMapping.employeeId || columnMapping.employeeName,
           name: columnMapping.employeeName,
+          email: columnMapping.employeeEmail,
           managerId: columnMapping.manager,
+          managerReferenceType: columnMapping.managerReferenceType,
+          dottedLineManager: columnMapping.dottedLineManager,
           title: columnMapping.jobTitle,
           fte: columnMapping.fte,
+          positionStatus: columnMapping.positionStatus,
           location: columnMapping.location,
           jobFamily: columnMapping.jobFamily,
-          managementLevel: columnMapping.managementLevel
+          managementLevel: columnMapping.managementLevel,
+          photoUrl: columnMapping.photoUrl,
+          customAttributes: columnMapping.customAttributes
         }
       }
     );
@@ -625,16 +1086,23 @@ async function createProject() {
           isTarget: true,
           fileName: targetFile.name,
           fileSize: targetFile.size,
+          rowNumbers: getRowNumbers(targetData),
           // Pass column mapping for Target
           columnMapping: {
-            id: columnMapping.employeeName,
+            id: columnMapping.employeeId || columnMapping.employeeName,
             name: columnMapping.employeeName,
+            email: columnMapping.employeeEmail,
             managerId: columnMapping.manager,
+            managerReferenceType: columnMapping.managerReferenceType,
+            dottedLineManager: columnMapping.dottedLineManager,
             title: columnMapping.jobTitle,
             fte: columnMapping.fte,
+            positionStatus: columnMapping.positionStatus,
             location: columnMapping.location,
             jobFamily: columnMapping.jobFamily,
-            managementLevel: columnMapping.managementLevel
+            managementLevel: columnMapping.managementLevel,
+            photoUrl: columnMapping.photoUrl,
+            customAttributes: columnMapping.customAttributes
           }
         }
       );
@@ -658,6 +1126,12 @@ async function createProject() {
   }
 }
 
+// Spreadsheet row numbers of the data rows, saved with the version so the import summary
+// numbers issues like this page does, also after rows were removed during fix-up
+function getRowNumbers(fileData) {
+  return fileData.slice(1).map(row => row[window.ROW_NUMBER_KEY]);
+}
+
 function markStepCompleted(step) {
   stepElements[step].classList.add('completed');
 }
@@ -666,3 +1140,9 @@ function markStepCompleted(step) {
 window.cancelColumnMapping = cancelColumnMapping;
 window.confirmColumnMapping = confirmColumnMapping;
 window.closeValidationErrors = closeValidationErrors;
+window.continueWithFixes = continueWithFixes;
+window.removeInvalidFile = removeInvalidFile;
+window.confirmSheetSelection = confirmSheetSelection;
+window.cancelSheetSelection = cancelSheetSelection;
+window.applySuggestedMappingProfile = applySuggestedMappingProfile;
+window.addCustomAttribute = addCustomAttribute;
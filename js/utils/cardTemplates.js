@@ -0,0 +1,281 @@
+/**
+ * @file Card templates: which fields the node cards of the chart show.
+ * Different audiences read the chart for different things: HR looks for grade and FTE,
+ * executives for span of control and headcount, facilities for location. A template
+ * lists the fields on each line of a card, the badges in its corner and whether the
+ * card shows an avatar. Templates are saved with the project.
+ *
+ * A template has the shape `{id, name, lines, badges, avatar}`. `lines` holds one array
+ * of field keys per line, the first line being the card's heading; `badges` is an array
+ * of field keys. Custom attributes are addressed as `attr:<key>`.
+ */
+
+import { describeCustomAttributes } from './customAttributes.js';
+import { getPositionStatusLabel, isOpenPosition } from './positions.js';
+import { getPhotoUrl } from './photos.js';
+
+console.log('[OrgChart] cardTemplates loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** Prefix of field keys that address a custom attribute. */
+export const ATTRIBUTE_FIELD_PREFIX = 'attr:';
+
+/** Largest number of lines, fields per line and badges a template may have. */
+export const CARD_TEMPLATE_LIMITS = { lines: 4, fieldsPerLine: 3, badges: 3 };
+
+/** Labels of the comparison change types, as shown in badges. */
+const CHANGE_LABELS = {
+    added: 'New',
+    moved: 'Moved',
+    changed: 'Changed',
+    exit: 'Leaving'
+};
+
+/** Built-in fields: their names in the editor and how a node's value is displayed. */
+export const CARD_FIELDS = {
+    name: { label: 'Name', value: node => node.name || 'Unnamed' },
+    title: { label: 'Job Title', value: node => node.title },
+    fte: { label: 'FTE', value: node => hasValue(node.fte) ? `${node.fte} FTE` : '' },
+    location: { label: 'Location', value: node => node.location },
+    jobFamily: { label: 'Job Family', value: node => node.jobFamily },
+    managementLevel: { label: 'Management Level', value: node => hasValue(node.managementLevel) ? `Level ${node.managementLevel}` : '' },
+    positionStatus: {
+        label: 'Position Status',
+        value: node => node.positionStatus && node.positionStatus !== 'filled' ? getPositionStatusLabel(node.positionStatus) : ''
+    },
+    spanOfControl: {
+        label: 'Span of Control',
+        value: node => {
+            const directs = countDirectReports(node);
+            return directs ? `${directs} direct` : '';
+        }
+    },
+    headcount: {
+        label: 'Total Headcount',
+        value: node => {
+            const headcount = countTeamHeadcount(node);
+            return headcount ? `${headcount.toLocaleString()} total` : '';
+        }
+    },
+    changeType: { label: 'Change', value: node => CHANGE_LABELS[node.changeType] || '' }
+};
+
+/** Ready-made templates for common audiences. */
+export const CARD_TEMPLATE_PRESETS = {
+    default: {
+        id: 'default',
+        name: 'Standard',
+        lines: [['name'], ['title']],
+        badges: ['positionStatus'],
+        avatar: false
+    },
+    hr: {
+        id: 'hr',
+        name: 'HR',
+        lines: [['name'], ['title'], ['attr:grade', 'fte']],
+        badges: ['positionStatus', 'changeType'],
+        avatar: false
+    },
+    executive: {
+        id: 'executive',
+        name: 'Executive',
+        lines: [['name'], ['title'], ['spanOfControl', 'headcount']],
+        badges: ['positionStatus'],
+        avatar: true
+    },
+    facilities: {
+        id: 'facilities',
+        name: 'Facilities',
+        lines: [['name'], ['location'], ['title']],
+        badges: ['positionStatus'],
+        avatar: false
+    }
+};
+
+/** Template used when a project has none saved. */
+export const DEFAULT_CARD_TEMPLATE_ID = 'default';
+
+/* ===========================================
+   TEMPLATES
+=========================================== */
+
+/**
+ * Lists the fields a template can use: the built-in fields followed by the custom attributes.
+ * @param {Array<Object>} [definitions] - The custom attribute definitions.
+ * @returns {Array<{key: string, label: string}>}
+ */
+export function listCardFields(definitions = []) {
+    return [
+        ...Object.entries(CARD_FIELDS).map(([key, field]) => ({ key, label: field.label })),
+        ...definitions.map(definition => ({ key: `${ATTRIBUTE_FIELD_PREFIX}${definition.key}`, label: definition.label }))
+    ];
+}
+
+/**
+ * Gets a copy of a preset template.
+ * @param {string} [id] - The preset id.
+ * @returns {Object} The preset, or the default preset for unknown ids.
+ */
+export function getCardTemplatePreset(id = DEFAULT_CARD_TEMPLATE_ID) {
+    const preset = CARD_TEMPLATE_PRESETS[id] || CARD_TEMPLATE_PRESETS[DEFAULT_CARD_TEMPLATE_ID];
+    return normalizeCardTemplate(preset);
+}
+
+/**
+ * Checks a template, e.g. one loaded from storage, and returns a clean copy within the limits.
+ * Unknown built-in fields and empty lines are dropped.
+ * @param {Object} template - The template.
+ * @returns {Object} The template, or the default preset if it has no lines left.
+ */
+export function normalizeCardTemplate(template) {
+    const isFieldKey = key => typeof key === 'string' &&
+        (Boolean(CARD_FIELDS[key]) || (key.startsWith(ATTRIBUTE_FIELD_PREFIX) && key.length > ATTRIBUTE_FIELD_PREFIX.length));
+
+    const lines = (Array.isArray(template?.lines) ? template.lines : [])
+        .map(line => (Array.isArray(line) ? line : []).filter(isFieldKey).slice(0, CARD_TEMPLATE_LIMITS.fieldsPerLine))
+        .filter(line => line.length > 0)
+        .slice(0, CARD_TEMPLATE_LIMITS.lines);
+
+    if (!lines.length) return getCardTemplatePreset(DEFAULT_CARD_TEMPLATE_ID);
+
+    return {
+        id: typeof template.id === 'string' && template.id ? template.id : 'custom',
+        name: typeof template.name === 'string' && template.name.trim() ? template.name.trim() : 'Custom',
+        lines,
+        badges: (Array.isArray(template.badges) ? template.badges : []).filter(isFieldKey).slice(0, CARD_TEMPLATE_LIMITS.badges),
+        avatar: Boolean(template.avatar)
+    };
+}
+
+/* ===========================================
+   CARD CONTENT
+=========================================== */
+
+/**
+ * Displays one field of a node.
+ * Custom attributes are prefixed with their label on lines ("Grade: B3") and shown bare in badges.
+ * @param {Object} node - The chart node.
+ * @param {string} key - The field key.
+ * @param {Array<Object>} [definitions] - The custom attribute definitions.
+ * @param {boolean} [asBadge=false] - Whether the value is shown in a badge.
+ * @returns {string} The display text, or '' if the node has no value.
+ */
+export function resolveCardField(node, key, definitions = [], asBadge = false) {
+    if (key.startsWith(ATTRIBUTE_FIELD_PREFIX)) {
+        const attributeKey = key.slice(ATTRIBUTE_FIELD_PREFIX.length);
+        const attribute = describeCustomAttributes(node, definitions).find(candidate => candidate.key === attributeKey);
+        if (!attribute || !attribute.display) return '';
+        return asBadge ? attribute.display : `${attribute.label}: ${attribute.display}`;
+    }
+
+    const field = CARD_FIELDS[key];
+    const value = field ? field.value(node) : '';
+    return hasValue(value) ? String(value) : '';
+}
+
+/**
+ * Works out what a card shows for a node under a template.
+ * Lines without any value are left out, so cards do not show gaps. Cards show an avatar
+ * when the template asks for one or the chart has photos; people without a photo get
+ * their initials.
+ * @param {Object} node - The chart node.
+ * @param {Object} template - The card template.
+ * @param {Array<Object>} [definitions] - The custom attribute definitions.
+ * @param {?Object} [photos] - Imported photos by photo key, see js/utils/photos.js; null if the chart has no photos.
+ * @returns {{heading: string, lines: Array<string>, badges: Array<{key: string, text: string}>, initials: ?string, photo: ?string}}
+ */
+export function resolveCardContent(node, template, definitions = [], photos = null) {
+    const card = template || getCardTemplatePreset();
+    const renderLine = fields => fields
+        .map(key => resolveCardField(node, key, definitions))
+        .filter(Boolean)
+        .join(' · ');
+
+    const [headingFields, ...lineFields] = card.lines;
+    const showAvatar = (card.avatar || photos !== null) && !isOpenPosition(node);
+    return {
+        heading: renderLine(headingFields) || node.name || 'Unnamed',
+        lines: lineFields.map(renderLine).filter(Boolean),
+        badges: card.badges
+            .map(key => ({ key, text: resolveCardField(node, key, definitions, true) }))
+            .filter(badge => badge.text),
+        initials: showAvatar ? getAvatarInitials(node.name) : null,
+        photo: showAvatar ? getPhotoUrl(node, photos) : null
+    };
+}
+
+/**
+ * Initials for an avatar, e.g. "JS" for "John Smith" or "Smith, John".
+ * @param {string} name - The person's name.
+ * @returns {?string} Up to two letters, or null without a name.
+ */
+export function getAvatarInitials(name) {
+    const text = String(name ?? '').trim();
+    if (!text) return null;
+
+    // "Last, First" lists the given name second
+    const parts = text.includes(',')
+        ? text.split(',').map(part => part.trim()).reverse()
+        : text.split(/\s+/);
+    const words = parts.join(' ').split(/\s+/).filter(word => /\p{L}/u.test(word));
+    if (!words.length) return null;
+
+    const first = words[0].match(/\p{L}/u)[0];
+    const last = words.length > 1 ? words[words.length - 1].match(/\p{L}/u)[0] : '';
+    return `${first}${last}`.toUpperCase();
+}
+
+/* ===========================================
+   HELPERS
+=========================================== */
+
+function hasValue(value) {
+    return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+/**
+ * Counts a node's direct reports. Ghost nodes of employees who leave do not count.
+ * @param {Object} node - The chart node.
+ * @returns {number}
+ */
+export function countDirectReports(node) {
+    return (node.children || []).filter(child => !child._isExitGhost).length;
+}
+
+/**
+ * Counts the people below a node, across collapsed parts of the chart. Open positions and
+ * ghost nodes of employees who leave do not count.
+ * Uses the team sizes stored by the chart renderer when they are available.
+ * @param {Object} node - The chart node.
+ * @returns {number}
+ */
+export function countTeamHeadcount(node) {
+    if (typeof node._teamSize === 'number') {
+        return node._teamSize - (node._isVirtualRoot || isOpenPosition(node) ? 0 : 1);
+    }
+
+    let headcount = 0;
+    const stack = [...(node.children || [])];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current._isExitGhost) continue;
+        if (!isOpenPosition(current)) headcount++;
+        if (current.children) stack.push(...current.children);
+    }
+    return headcount;
+}
+
+// Expose functions to global window object for non-module scripts
+window.CARD_FIELDS = CARD_FIELDS;
+window.CARD_TEMPLATE_PRESETS = CARD_TEMPLATE_PRESETS;
+window.listCardFields = listCardFields;
+window.getCardTemplatePreset = getCardTemplatePreset;
+window.normalizeCardTemplate = normalizeCardTemplate;
+window.resolveCardField = resolveCardField;
+window.resolveCardContent = resolveCardContent;
+window.getAvatarInitials = getAvatarInitials;
+window.countDirectReports = countDirectReports;
+window.countTeamHeadcount = countTeamHeadcount;
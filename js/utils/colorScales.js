@@ -0,0 +1,272 @@
+/**
+ * @file Colour scales for colouring the chart by an attribute.
+ * Categorical attributes (job family, location, management level, category and text
+ * custom attributes) get one colour per value; numeric attributes (FTE, span of control,
+ * team size, number custom attributes) get a gradient from their smallest to their
+ * largest value, split into ranges for the legend.
+ *
+ * A scale has the shape `{key, label, kind, categories, getCategory, getColors}`.
+ * `categories` lists the legend entries as `{value, label, fill, stroke, count}`;
+ * `getCategory(node)` returns the entry a node belongs to and `getColors(node)` its
+ * `{fill, stroke}`.
+ */
+
+import { ATTRIBUTE_FIELD_PREFIX, countDirectReports, countTeamHeadcount } from './cardTemplates.js';
+import { getPositionStatusLabel } from './positions.js';
+import { parseNumber, parseDecimal } from './customAttributes.js';
+
+console.log('[OrgChart] colorScales loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** Fills and borders of the categories, light enough for the card text to stay readable. */
+export const CATEGORY_PALETTE = [
+    { fill: '#dbeafe', stroke: '#2563eb' },
+    { fill: '#dcfce7', stroke: '#16a34a' },
+    { fill: '#fef3c7', stroke: '#d97706' },
+    { fill: '#fce7f3', stroke: '#db2777' },
+    { fill: '#ede9fe', stroke: '#7c3aed' },
+    { fill: '#cffafe', stroke: '#0891b2' },
+    { fill: '#fee2e2', stroke: '#dc2626' },
+    { fill: '#ecfccb', stroke: '#65a30d' },
+    { fill: '#ffedd5', stroke: '#ea580c' },
+    { fill: '#e0e7ff', stroke: '#4f46e5' }
+];
+
+/** Colours of values beyond the palette and of nodes without a value. */
+const OTHER_COLORS = { fill: '#f1f5f9', stroke: '#94a3b8' };
+const NOT_SET_COLORS = { fill: '#ffffff', stroke: '#cbd5e1' };
+
+/** Legend values of the catch-all categories. */
+export const OTHER_CATEGORY = '__other__';
+export const NOT_SET_CATEGORY = '__not_set__';
+
+/** Ends of the gradient of numeric attributes. */
+const GRADIENT = { from: '#f0f9ff', to: '#38bdf8', stroke: '#0369a1' };
+
+/** Number of ranges a numeric attribute is split into in the legend. */
+const NUMERIC_RANGES = 5;
+
+/** Built-in attributes the chart can be coloured by and how a node's value is read. */
+export const COLOR_ATTRIBUTES = {
+    jobFamily: { label: 'Job Family', kind: 'category', value: node => node.jobFamily },
+    location: { label: 'Location', kind: 'category', value: node => node.location },
+    managementLevel: { label: 'Management Level', kind: 'category', value: node => node.managementLevel },
+    positionStatus: { label: 'Position Status', kind: 'category', value: node => getPositionStatusLabel(node.positionStatus || 'filled') },
+    fte: { label: 'FTE', kind: 'number', value: node => parseDecimal(node.fte) },
+    spanOfControl: { label: 'Span of Control', kind: 'number', value: node => countDirectReports(node) },
+    teamSize: { label: 'Team Size', kind: 'number', value: node => countTeamHeadcount(node) }
+};
+
+/* ===========================================
+   ATTRIBUTES
+=========================================== */
+
+/**
+ * Lists the attributes the chart can be coloured by: the built-in ones followed by the
+ * custom attributes. Date attributes are left out.
+ * @param {Array<Object>} [definitions] - The custom attribute definitions.
+ * @returns {Array<{key: string, label: string, kind: string}>}
+ */
+export function listColorAttributes(definitions = []) {
+    return [
+        ...Object.entries(COLOR_ATTRIBUTES).map(([key, attribute]) => ({ key, label: attribute.label, kind: attribute.kind })),
+        ...definitions
+            .filter(definition => definition.type !== 'date')
+            .map(definition => ({
+                key: `${ATTRIBUTE_FIELD_PREFIX}${definition.key}`,
+                label: definition.label,
+                kind: definition.type === 'number' ? 'number' : 'category'
+            }))
+    ];
+}
+
+/**
+ * Finds an attribute by key, with a function that reads a node's value.
+ * @param {string} key - The attribute key, e.g. `location` or `attr:grade`.
+ * @param {Array<Object>} [definitions] - The custom attribute definitions.
+ * @returns {?{key: string, label: string, kind: string, value: Function}}
+ */
+function getColorAttribute(key, definitions = []) {
+    if (COLOR_ATTRIBUTES[key]) return { key, ...COLOR_ATTRIBUTES[key] };
+    if (typeof key !== 'string' || !key.startsWith(ATTRIBUTE_FIELD_PREFIX)) return null;
+
+    const attributeKey = key.slice(ATTRIBUTE_FIELD_PREFIX.length);
+    const definition = definitions.find(candidate => candidate.key === attributeKey);
+    if (!definition || definition.type === 'date') return null;
+
+    const isNumber = definition.type === 'number';
+    return {
+        key,
+        label: definition.label,
+        kind: isNumber ? 'number' : 'category',
+        value: node => {
+            const value = node.additionalData ? node.additionalData[attributeKey] : undefined;
+            return isNumber ? parseNumber(value) : value;
+        }
+    };
+}
+
+/* ===========================================
+   SCALES
+=========================================== */
+
+/**
+ * Builds the colour scale of an attribute over the given nodes.
+ * Ghost nodes of employees who leave are coloured but not counted.
+ * @param {Array<Object>} nodes - All nodes of the chart, including collapsed ones, so colours do not change when expanding.
+ * @param {string} key - The attribute key.
+ * @param {Array<Object>} [definitions] - The custom attribute definitions.
+ * @returns {?Object} The scale, or null for unknown attributes.
+ */
+export function buildColorScale(nodes, key, definitions = []) {
+    const attribute = getColorAttribute(key, definitions);
+    if (!attribute) return null;
+
+    const people = nodes.filter(node => !node._isVirtualRoot && !node._isExitGhost);
+    return attribute.kind === 'number'
+        ? buildNumericScale(people, attribute)
+        : buildCategoryScale(people, attribute);
+}
+
+/**
+ * One colour per value. The most common values get a palette colour, the rest share "Other".
+ * Values that are all numbers (e.g. management levels) are listed in ascending order.
+ */
+function buildCategoryScale(nodes, attribute) {
+    const readValue = node => {
+        const value = attribute.value(node);
+        return value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim();
+    };
+
+    const counts = new Map();
+    let notSet = 0;
+    nodes.forEach(node => {
+        const value = readValue(node);
+        if (value === null) {
+            notSet++;
+        } else {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+    });
+
+    const values = Array.from(counts.keys());
+    const isNumeric = values.length > 0 && values.every(value => !isNaN(Number(value)));
+    const byCount = [...values].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    const colored = new Set(byCount.slice(0, CATEGORY_PALETTE.length));
+    const listed = isNumeric
+        ? values.filter(value => colored.has(value)).sort((a, b) => Number(a) - Number(b))
+        : byCount.filter(value => colored.has(value));
+
+    const colors = new Map(listed.map((value, i) => [value, CATEGORY_PALETTE[i]]));
+    const categories = listed.map(value => ({ value, label: value, ...colors.get(value), count: counts.get(value) }));
+
+    const otherCount = byCount.slice(CATEGORY_PALETTE.length).reduce((sum, value) => sum + counts.get(value), 0);
+    if (otherCount > 0) categories.push({ value: OTHER_CATEGORY, label: 'Other', ...OTHER_COLORS, count: otherCount });
+    if (notSet > 0) categories.push({ value: NOT_SET_CATEGORY, label: 'Not set', ...NOT_SET_COLORS, count: notSet });
+
+    const getCategory = node => {
+        const value = readValue(node);
+        if (value === null) return NOT_SET_CATEGORY;
+        return colors.has(value) ? value : OTHER_CATEGORY;
+    };
+
+    return {
+        key: attribute.key,
+        label: attribute.label,
+        kind: 'category',
+        categories,
+        getCategory,
+        getColors: node => {
+            const category = getCategory(node);
+            if (category === NOT_SET_CATEGORY) return NOT_SET_COLORS;
+            return colors.get(category) || OTHER_COLORS;
+        }
+    };
+}
+
+/**
+ * A gradient from the smallest to the largest value. The legend splits the values into
+ * equal ranges; cards are coloured by their exact value.
+ */
+function buildNumericScale(nodes, attribute) {
+    const readValue = node => {
+        const value = attribute.value(node);
+        return typeof value === 'number' && isFinite(value) ? value : null;
+    };
+
+    const numbers = nodes.map(readValue).filter(value => value !== null);
+    const min = numbers.length ? Math.min(...numbers) : 0;
+    const max = numbers.length ? Math.max(...numbers) : 0;
+    const span = max - min;
+    const rangeCount = span === 0 ? 1 : Math.min(NUMERIC_RANGES, new Set(numbers).size);
+
+    // Nodes outside the scale, e.g. exit ghosts, are clamped to its ends
+    const getShare = value => span === 0 ? 1 : Math.max(0, Math.min(1, (value - min) / span));
+    const getRange = value => Math.min(rangeCount - 1, Math.floor(getShare(value) * rangeCount));
+
+    const categories = numbers.length
+        ? Array.from({ length: rangeCount }, (_, i) => {
+            const from = min + span * i / rangeCount;
+            const to = min + span * (i + 1) / rangeCount;
+            return {
+                value: String(i),
+                label: span === 0 ? formatNumber(min) : `${formatNumber(from)} – ${formatNumber(to)}`,
+                fill: interpolateColor(GRADIENT.from, GRADIENT.to, getShare((from + to) / 2)),
+                stroke: GRADIENT.stroke,
+                count: 0
+            };
+        })
+        : [];
+    numbers.forEach(value => { categories[getRange(value)].count++; });
+
+    const notSet = nodes.length - numbers.length;
+    if (notSet > 0) categories.push({ value: NOT_SET_CATEGORY, label: 'Not set', ...NOT_SET_COLORS, count: notSet });
+
+    return {
+        key: attribute.key,
+        label: attribute.label,
+        kind: 'number',
+        min,
+        max,
+        gradient: { from: GRADIENT.from, to: GRADIENT.to },
+        categories,
+        getCategory: node => {
+            const value = readValue(node);
+            return value === null ? NOT_SET_CATEGORY : String(getRange(value));
+        },
+        getColors: node => {
+            const value = readValue(node);
+            if (value === null) return NOT_SET_COLORS;
+            return { fill: interpolateColor(GRADIENT.from, GRADIENT.to, getShare(value)), stroke: GRADIENT.stroke };
+        }
+    };
+}
+
+/* ===========================================
+   HELPERS
+=========================================== */
+
+function formatNumber(value) {
+    return Number.isInteger(value) ? value.toLocaleString() : value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+/**
+ * Mixes two hex colours.
+ * @param {string} from - The colour at share 0, e.g. `#f0f9ff`.
+ * @param {string} to - The colour at share 1.
+ * @param {number} share - Between 0 and 1.
+ * @returns {string} The hex colour.
+ */
+function interpolateColor(from, to, share) {
+    const channels = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const [a, b] = [channels(from), channels(to)];
+    return `#${a.map((channel, i) => Math.round(channel + (b[i] - channel) * share).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Expose functions to global window object for non-module scripts
+window.COLOR_ATTRIBUTES = COLOR_ATTRIBUTES;
+window.listColorAttributes = listColorAttributes;
+window.buildColorScale = buildColorScale;
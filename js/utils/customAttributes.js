@@ -0,0 +1,478 @@
+/**
+ * @file Custom attributes mapped from columns beyond the fixed org chart fields.
+ * Users declare any number of extra columns (cost center, hire date, grade, ...)
+ * with a type. This module parses their values into an employee's `additionalData`,
+ * formats them for tooltips and panels, summarizes them for statistics, and renders
+ * the "Custom Attributes" editor shared by both column mapping dialogs.
+ *
+ * An attribute definition has the shape `{key, label, type, column}`, where `column`
+ * is whatever the dialog uses to address a cell: a header name for object rows or a
+ * column index for array rows.
+ */
+
+console.log('[OrgChart] customAttributes loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** Supported attribute types and their display names. */
+export const ATTRIBUTE_TYPES = {
+    text: 'Text',
+    number: 'Number',
+    date: 'Date',
+    category: 'Category'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+/* ===========================================
+   KEYS
+=========================================== */
+
+/**
+ * Turns a label into a camelCase key that is unique among `existingKeys`.
+ * @param {string} label - The attribute label, e.g. "Cost Center".
+ * @param {Array<string>} [existingKeys] - Keys already in use.
+ * @returns {string} The key, e.g. "costCenter" or "costCenter2".
+ */
+export function createAttributeKey(label, existingKeys = []) {
+    const words = String(label ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean);
+
+    let key = words
+        .map((word, index) => index === 0
+            ? word.toLowerCase()
+            : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('') || 'attribute';
+    if (/^\d/.test(key)) key = `attr${key}`;
+
+    let uniqueKey = key;
+    let suffix = 2;
+    while (existingKeys.includes(uniqueKey)) {
+        uniqueKey = `${key}${suffix++}`;
+    }
+    return uniqueKey;
+}
+
+/* ===========================================
+   PARSING
+=========================================== */
+
+/**
+ * Parses a number written with either "." or "," as the decimal separator.
+ * A comma followed by groups of exactly three digits, as in "50,000" or "1,234.5", is
+ * read as a thousands separator; other commas, as in "12,5", are decimal separators.
+ * Dots are only read as thousands separators when the value cannot be a decimal, as in
+ * "1.234,5" or "1.234.567"; a single dot, as in "1.500" or "0.500", is always a decimal point.
+ * @param {*} raw - The raw cell value.
+ * @returns {number|null} The number, or null if the value is not numeric.
+ */
+export function parseNumber(raw) {
+    if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+
+    let text = String(raw).trim().replace(/[\s\u00a0']/g, '');
+    if (/^-?[1-9]\d{0,2}(,\d{3})+(\.\d+)?$/.test(text)) {
+        // English style thousands: 50,000 or 1,234.5
+        text = text.replace(/,/g, '');
+    } else if (/^-?[1-9]\d{0,2}((\.\d{3})+,\d+|(\.\d{3}){2,})$/.test(text) || /^-?\d+,\d+$/.test(text)) {
+        // German style: 1.234,5, 1.234.567 or 12,5
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+        text = text.replace(/,/g, '');
+    }
+
+    if (!/^-?(\d+\.?\d*|\.\d+)$/.test(text)) return null;
+    return Number(text);
+}
+
+/**
+ * Parses a decimal number such as an FTE, written with "." or "," as the decimal
+ * separator: "0.500", "0,5" and "1.000" are all read as decimals. Unlike
+ * `parseNumber`, no separator is ever read as a thousands separator.
+ * @param {*} raw - The raw cell value.
+ * @returns {number|null} The number, or null if the value is not numeric.
+ */
+export function parseDecimal(raw) {
+    if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+
+    const text = String(raw ?? '').trim().replace(',', '.');
+    if (!/^-?(\d+\.?\d*|\.\d+)$/.test(text)) return null;
+    return Number(text);
+}
+
+/**
+ * Parses a date from an Excel serial number, a Date, or a common date string.
+ * @param {*} raw - The raw cell value.
+ * @returns {string|null} The date as `YYYY-MM-DD`, or null if it is not a date.
+ */
+function parseDate(raw) {
+    let date = null;
+
+    if (raw instanceof Date) {
+        date = new Date(Date.UTC(raw.getFullYear(), raw.getMonth(), raw.getDate()));
+    } else if (typeof raw === 'number') {
+        date = new Date(EXCEL_EPOCH + Math.floor(raw) * MS_PER_DAY);
+    } else {
+        const text = String(raw).trim();
+        let match;
+        if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+            date = new Date(Date.UTC(+match[1], match[2] - 1, +match[3]));
+        } else if ((match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/))) {
+            date = new Date(Date.UTC(+match[3], match[2] - 1, +match[1]));
+        } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+            // Month first unless the first part can only be a day
+            const [first, second] = [+match[1], +match[2]];
+            date = first > 12
+                ? new Date(Date.UTC(+match[3], second - 1, first))
+                : new Date(Date.UTC(+match[3], first - 1, second));
+        } else if (/[a-z]/i.test(text) && !Number.isNaN(Date.parse(text))) {
+            const parsed = new Date(Date.parse(text));
+            date = new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+        }
+    }
+
+    if (!date || Number.isNaN(date.getTime())) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses a raw cell value according to the attribute type.
+ * @param {*} raw - The raw cell value.
+ * @param {string} type - One of the keys of `ATTRIBUTE_TYPES`.
+ * @returns {string|number|null} The parsed value, or null if blank or invalid.
+ */
+export function parseAttributeValue(raw, type) {
+    if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+
+    switch (type) {
+        case 'number':
+            return parseNumber(raw);
+        case 'date':
+            return parseDate(raw);
+        default:
+            return String(raw).trim();
+    }
+}
+
+/**
+ * Guesses the type of a column from its values.
+ * @param {Array} values - The raw cell values of the column.
+ * @returns {string} One of the keys of `ATTRIBUTE_TYPES`.
+ */
+export function guessAttributeType(values) {
+    const filled = values.filter(value => value !== null && value !== undefined && String(value).trim() !== '');
+    if (!filled.length) return 'text';
+
+    if (filled.every(value => parseNumber(value) !== null)) return 'number';
+    if (filled.every(value => typeof value === 'string' && parseDate(value) !== null)) return 'date';
+
+    const distinct = new Set(filled.map(value => String(value).trim().toLowerCase())).size;
+    return distinct <= Math.max(10, filled.length * 0.2) ? 'category' : 'text';
+}
+
+/**
+ * Reads and parses all custom attributes of a row.
+ * @param {Object|Array} row - A data row (object keyed by header or array of cells).
+ * @param {Array<Object>} definitions - The attribute definitions.
+ * @returns {Object} The `additionalData` object, keyed by attribute key. Blank values are omitted.
+ */
+export function extractCustomAttributes(row, definitions = []) {
+    const additionalData = {};
+    if (!row) return additionalData;
+
+    definitions.forEach(definition => {
+        const value = parseAttributeValue(row[definition.column], definition.type);
+        if (value !== null) additionalData[definition.key] = value;
+    });
+
+    return additionalData;
+}
+
+/* ===========================================
+   FORMATTING
+=========================================== */
+
+/**
+ * Formats a parsed attribute value for display.
+ * @param {*} value - The parsed value.
+ * @param {string} type - The attribute type.
+ * @returns {string} The display text.
+ */
+export function formatAttributeValue(value, type) {
+    if (value === null || value === undefined || value === '') return '';
+
+    if (type === 'number' && typeof value === 'number') {
+        return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+    if (type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return new Date(`${value}T00:00:00`).toLocaleDateString();
+    }
+    return String(value);
+}
+
+/**
+ * Lists an employee's custom attributes with labels and display values.
+ * Without definitions (e.g. data loaded from storage), the keys of `additionalData` are used as labels.
+ * @param {Object} employee - An employee or chart node with `additionalData`.
+ * @param {Array<Object>} [definitions] - The attribute definitions.
+ * @returns {Array<{key: string, label: string, type: string, value: *, display: string}>}
+ */
+export function describeCustomAttributes(employee, definitions = []) {
+    const additionalData = employee?.additionalData || {};
+    const known = definitions.length
+        ? definitions
+        : Object.keys(additionalData).map(key => ({ key, label: key, type: 'text' }));
+
+    return known
+        .filter(definition => additionalData[definition.key] !== undefined && additionalData[definition.key] !== null)
+        .map(definition => ({
+            key: definition.key,
+            label: definition.label,
+            type: definition.type,
+            value: additionalData[definition.key],
+            display: formatAttributeValue(additionalData[definition.key], definition.type)
+        }));
+}
+
+/**
+ * Builds the HTML for an employee's custom attribute tooltip.
+ * @param {Object} employee - An employee or chart node with `additionalData`.
+ * @param {Array<Object>} [definitions] - The attribute definitions.
+ * @returns {string} Escaped HTML, or an empty string if the employee has no custom attributes.
+ */
+export function buildAttributeTooltip(employee, definitions = []) {
+    const attributes = describeCustomAttributes(employee, definitions);
+    if (!attributes.length) return '';
+
+    const lines = attributes.map(attribute =>
+        `<strong>${escapeHtml(attribute.label)}:</strong> ${escapeHtml(attribute.display)}`);
+    return [`<strong>${escapeHtml(employee.name || employee.id || '')}</strong>`, ...lines].join('<br>');
+}
+
+/**
+ * Checks whether any of an employee's custom attribute values contains the search text.
+ * @param {Object} employee - An employee with `additionalData`.
+ * @param {string} queryLower - The lowercased search text.
+ * @param {Array<Object>} [definitions] - The attribute definitions.
+ * @returns {boolean}
+ */
+export function matchesCustomAttributes(employee, queryLower, definitions = []) {
+    return describeCustomAttributes(employee, definitions).some(attribute =>
+        String(attribute.value).toLowerCase().includes(queryLower) ||
+        attribute.display.toLowerCase().includes(queryLower));
+}
+
+/**
+ * Escapes text for use in HTML, e.g. in tooltips.
+ * @param {*} unsafe - The text.
+ * @returns {string}
+ */
+export function escapeHtml(unsafe) {
+    return String(unsafe ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+/* ===========================================
+   STATISTICS
+=========================================== */
+
+/**
+ * Summarizes one custom attribute across a set of employees.
+ *  - number:        `sum`, `average`, `min`, `max`
+ *  - date:          `earliest`, `latest`
+ *  - category/text: `distinct` and the most common `values` as `{value, count}`
+ *
+ * @param {Array<Object>} employees - Employees or chart nodes with `additionalData`.
+ * @param {Object} definition - The attribute definition.
+ * @param {number} [topValues=5] - How many category values to list.
+ * @returns {Object} The summary, always including `key`, `label`, `type`, `count` and `missing`.
+ */
+export function summarizeCustomAttribute(employees, definition, topValues = 5) {
+    const values = employees
+        .map(employee => employee?.additionalData?.[definition.key])
+        .filter(value => value !== undefined && value !== null && value !== '');
+
+    const summary = {
+        key: definition.key,
+        label: definition.label,
+        type: definition.type,
+        count: values.length,
+        missing: employees.length - values.length
+    };
+
+    if (!values.length) return summary;
+
+    if (definition.type === 'number') {
+        const numbers = values.filter(value => typeof value === 'number');
+        summary.sum = numbers.reduce((total, value) => total + value, 0);
+        // Without numeric values there is no average or range to report
+        summary.average = numbers.length ? summary.sum / numbers.length : null;
+        summary.min = numbers.length ? Math.min(...numbers) : null;
+        summary.max = numbers.length ? Math.max(...numbers) : null;
+    } else if (definition.type === 'date') {
+        const dates = [...values].sort();
+        summary.earliest = dates[0];
+        summary.latest = dates[dates.length - 1];
+    } else {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        summary.distinct = counts.size;
+        summary.values = [...counts.entries()]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+            .slice(0, topValues);
+    }
+
+    return summary;
+}
+
+/**
+ * Summarizes all custom attributes across a set of employees.
+ * @param {Array<Object>} employees - Employees or chart nodes with `additionalData`.
+ * @param {Array<Object>} definitions - The attribute definitions.
+ * @returns {Array<Object>} One summary per definition that has at least one value.
+ */
+export function summarizeCustomAttributes(employees, definitions = []) {
+    return definitions
+        .map(definition => summarizeCustomAttribute(employees, definition))
+        .filter(summary => summary.count > 0);
+}
+
+/* ===========================================
+   MAPPING DIALOG EDITOR
+=========================================== */
+
+/**
+ * Adds one attribute row (column, label, type, remove button) to the editor.
+ * Picking a column fills in its header as the label and guesses the type from the data.
+ * @param {HTMLElement} container - The editor's row container.
+ * @param {Array<string>} headers - The file's column headers.
+ * @param {Object} [attribute] - An existing definition to show.
+ * @param {Object} [options]
+ * @param {boolean} [options.useColumnIndex=false] - Use column indexes instead of header names as option values.
+ * @param {Array} [options.rows] - Data rows used to guess the type of a picked column.
+ */
+export function addCustomAttributeRow(container, headers, attribute = {}, options = {}) {
+    const { useColumnIndex = false, rows = [] } = options;
+
+    const row = document.createElement('div');
+    row.className = 'custom-attribute-row';
+
+    const columnSelect = document.createElement('select');
+    columnSelect.className = 'mapping-select custom-attribute-column';
+    columnSelect.innerHTML = '<option value="">Select column...</option>';
+    headers.forEach((header, index) => {
+        const option = document.createElement('option');
+        option.value = useColumnIndex ? index : header;
+        option.textContent = header;
+        columnSelect.appendChild(option);
+    });
+
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'mapping-select custom-attribute-label';
+    labelInput.placeholder = 'Label';
+
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'mapping-select custom-attribute-type';
+    Object.entries(ATTRIBUTE_TYPES).forEach(([type, name]) => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = name;
+        typeSelect.appendChild(option);
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'custom-attribute-remove';
+    removeBtn.title = 'Remove attribute';
+    removeBtn.textContent = '×';
+    removeBtn.onclick = () => row.remove();
+
+    columnSelect.onchange = () => {
+        const header = columnSelect.selectedOptions[0]?.textContent || '';
+        if (!labelInput.value.trim() || labelInput.dataset.autoLabel === labelInput.value) {
+            labelInput.value = columnSelect.value === '' ? '' : header;
+            labelInput.dataset.autoLabel = labelInput.value;
+        }
+        if (columnSelect.value !== '') {
+            typeSelect.value = guessAttributeType(rows.map(dataRow => dataRow?.[columnSelect.value]));
+        }
+    };
+
+    if (attribute.column !== undefined && attribute.column !== null) {
+        columnSelect.value = attribute.column;
+    }
+    labelInput.value = attribute.label || '';
+    typeSelect.value = ATTRIBUTE_TYPES[attribute.type] ? attribute.type : 'text';
+
+    row.append(columnSelect, labelInput, typeSelect, removeBtn);
+    container.appendChild(row);
+}
+
+/**
+ * Replaces the editor's rows with the given attribute definitions.
+ * @param {HTMLElement} container - The editor's row container.
+ * @param {Array<string>} headers - The file's column headers.
+ * @param {Array<Object>} [attributes] - The definitions to show.
+ * @param {Object} [options] - See `addCustomAttributeRow`.
+ */
+export function renderCustomAttributeEditor(container, headers, attributes = [], options = {}) {
+    if (!container) return;
+    container.innerHTML = '';
+    attributes.forEach(attribute => addCustomAttributeRow(container, headers, attribute, options));
+}
+
+/**
+ * Reads the attribute definitions from the editor. Rows without a column are ignored.
+ * @param {HTMLElement} container - The editor's row container.
+ * @returns {Array<{key: string, label: string, type: string, column: string}>}
+ */
+export function readCustomAttributeEditor(container) {
+    if (!container) return [];
+
+    const definitions = [];
+    container.querySelectorAll('.custom-attribute-row').forEach(row => {
+        const columnSelect = row.querySelector('.custom-attribute-column');
+        if (!columnSelect.value) return;
+
+        const label = row.querySelector('.custom-attribute-label').value.trim()
+            || columnSelect.selectedOptions[0]?.textContent
+            || columnSelect.value;
+        definitions.push({
+            key: createAttributeKey(label, definitions.map(definition => definition.key)),
+            label,
+            type: row.querySelector('.custom-attribute-type').value,
+            column: columnSelect.value
+        });
+    });
+
+    return definitions;
+}
+
+// Expose functions to global window object for non-module scripts
+window.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
+window.createAttributeKey = createAttributeKey;
+window.parseNumber = parseNumber;
+window.parseDecimal = parseDecimal;
+window.parseAttributeValue = parseAttributeValue;
+window.guessAttributeType = guessAttributeType;
+window.extractCustomAttributes = extractCustomAttributes;
+window.formatAttributeValue = formatAttributeValue;
+window.describeCustomAttributes = describeCustomAttributes;
+window.buildAttributeTooltip = buildAttributeTooltip;
+window.matchesCustomAttributes = matchesCustomAttributes;
+window.summarizeCustomAttribute = summarizeCustomAttribute;
+window.summarizeCustomAttributes = summarizeCustomAttributes;
+window.addCustomAttributeRow = addCustomAttributeRow;
+window.renderCustomAttributeEditor = renderCustomAttributeEditor;
+window.readCustomAttributeEditor = readCustomAttributeEditor;
@@ -130,13 +130,65 @@ export function exportToCSV(project, employees, options = {}) {
   return new Blob([csvOutput], { type: 'text/csv;charset=utf-8' });
 }
 
+/**
+ * Embed the images of an SVG, such as avatar photos, as data URLs
+ * Exported files must not depend on links, and browsers do not load linked
+ * images when they draw an SVG for the PNG export. Images that cannot be
+ * fetched are removed, so their cards fall back to avatar initials.
+ * @param {string} svgContent - SVG content
+ * @returns {Promise<string>} SVG content with embedded images
+ */
+export async function embedSvgImages(svgContent) {
+  const doc = new DOMParser().parseFromString(svgContent, 'image/svg+xml');
+  const images = Array.from(doc.querySelectorAll('image')).filter(image => {
+    const href = image.getAttribute('href') || image.getAttribute('xlink:href') || '';
+    return !href.startsWith('data:');
+  });
+  if (images.length === 0) return svgContent;
+  
+  // Many cards share a photo, so each URL is fetched once
+  const dataUrls = new Map();
+  const toDataUrl = async url => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  };
+  
+  await Promise.all(images.map(async image => {
+    const href = image.getAttribute('href') || image.getAttribute('xlink:href');
+    if (!dataUrls.has(href)) {
+      dataUrls.set(href, toDataUrl(href).catch(error => {
+        console.warn(`Could not embed image ${href}:`, error);
+        return null;
+      }));
+    }
+    const dataUrl = await dataUrls.get(href);
+    if (dataUrl) {
+      image.removeAttribute('xlink:href');
+      image.setAttribute('href', dataUrl);
+    } else {
+      image.remove();
+    }
+  }));
+  
+  return new XMLSerializer().serializeToString(doc);
+}
+
 /**
  * Export data to SVG format
  * @param {string} svgContent - SVG content
  * @param {Object} options - Export options
- * @returns {Blob} SVG file blob
+ * @returns {Promise<Blob>} SVG file blob
  */
-export function exportToSVG(svgContent, options = {}) {
+export async function exportToSVG(svgContent, options = {}) {
+  svgContent = await embedSvgImages(svgContent);
+  
   // Add XML declaration if not present
   if (!svgContent.startsWith('<?xml')) {
     svgContent = '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' + svgContent;
@@ -151,7 +203,9 @@ export function exportToSVG(svgContent, options = {}) {
  * @param {Object} options - Export options
  * @returns {Promise<Blob>} PNG file blob
  */
-export function exportToPNG(svgContent, options = {}) {
+export async function exportToPNG(svgContent, options = {}) {
+  svgContent = await embedSvgImages(svgContent);
+  
   return new Promise((resolve, reject) => {
     try {
       // Create SVG data URL
@@ -207,6 +261,7 @@ export function exportToPNG(svgContent, options = {}) {
 export async function exportToPDF(svgContent, project, options = {}) {
   // This function requires jsPDF and svg2pdf libraries
   // For this implementation, we'll use a simpler approach with HTML and print-to-PDF
+  svgContent = await embedSvgImages(svgContent);
   
   return new Promise((resolve, reject) => {
     try {
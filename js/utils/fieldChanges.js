@@ -0,0 +1,160 @@
+/**
+ * @file Field changes: the attributes of an employee that differ between the baseline
+ * and the target. Comparison mode uses them to show promotions, FTE reductions,
+ * location transfers, job family and level changes and changes to custom attributes,
+ * next to the added, removed and moved employees.
+ *
+ * A field change has the shape `{field, label, before, after}`, where `before` and
+ * `after` are display texts; '' stands for a blank value. Custom attributes are
+ * addressed as `attr:<key>`.
+ */
+
+import { formatAttributeValue, describeCustomAttributes, escapeHtml, parseNumber, parseDecimal } from './customAttributes.js';
+import { getPositionStatusLabel } from './positions.js';
+
+console.log('[OrgChart] fieldChanges loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** Prefix of the field keys of custom attributes. */
+const ATTRIBUTE_FIELD_PREFIX = 'attr:';
+
+/** Built-in fields compared between versions, and how a record's value is read and displayed. */
+export const COMPARED_FIELDS = {
+    title: { label: 'Title', value: emp => toText(emp.title) },
+    fte: { label: 'FTE', value: emp => toNumber(emp.fte, parseDecimal) },
+    location: { label: 'Location', value: emp => toText(emp.location) },
+    jobFamily: { label: 'Job Family', value: emp => toText(emp.jobFamily) },
+    managementLevel: { label: 'Management Level', value: emp => toText(emp.managementLevel) },
+    positionStatus: {
+        label: 'Position Status',
+        value: emp => emp.positionStatus || 'filled',
+        display: value => getPositionStatusLabel(value)
+    }
+};
+
+/* ===========================================
+   COMPARISON
+=========================================== */
+
+/**
+ * Compares the fields of one employee in two versions of the organization.
+ * Blank values are equal to each other, text is compared without surrounding spaces
+ * and FTE and number attributes by value, so "1" and "1.0" FTE are the same.
+ * @param {Object} before - The baseline record.
+ * @param {Object} after - The target record.
+ * @param {Array<Object>} [definitions] - The custom attribute definitions; without them
+ *   the keys of both records' `additionalData` are compared.
+ * @returns {Array<{field: string, label: string, before: string, after: string}>} One entry per changed field.
+ */
+export function diffEmployeeFields(before, after, definitions = []) {
+    const changes = [];
+
+    Object.entries(COMPARED_FIELDS).forEach(([field, definition]) => {
+        const oldValue = normalizeValue(definition.value(before));
+        const newValue = normalizeValue(definition.value(after));
+        if (oldValue === newValue) return;
+
+        const display = value => value === null ? '' : (definition.display ? definition.display(value) : formatValue(value));
+        changes.push({ field, label: definition.label, before: display(oldValue), after: display(newValue) });
+    });
+
+    listComparedAttributes(before, after, definitions).forEach(attribute => {
+        const parse = attribute.type === 'number' ? toNumber : toText;
+        const read = emp => normalizeValue(parse(emp.additionalData ? emp.additionalData[attribute.key] : null));
+        const oldValue = read(before);
+        const newValue = read(after);
+        if (oldValue === newValue) return;
+
+        changes.push({
+            field: `${ATTRIBUTE_FIELD_PREFIX}${attribute.key}`,
+            label: attribute.label,
+            before: oldValue === null ? '' : formatAttributeValue(oldValue, attribute.type),
+            after: newValue === null ? '' : formatAttributeValue(newValue, attribute.type)
+        });
+    });
+
+    return changes;
+}
+
+/**
+ * Describes a field change for notes and lists, e.g. "Title: Developer → Lead Developer".
+ * @param {{label: string, before: string, after: string}} change - The field change.
+ * @returns {string}
+ */
+export function formatFieldChange(change) {
+    return `${change.label}: ${change.before || '—'} → ${change.after || '—'}`;
+}
+
+/**
+ * Summarizes the changed fields of an employee for a card, e.g. "Changed: Title, FTE".
+ * @param {Array<{label: string}>} changes - The field changes.
+ * @returns {string} The summary, or '' without changes.
+ */
+export function summarizeFieldChanges(changes) {
+    if (!changes || !changes.length) return '';
+    return `Changed: ${changes.map(change => change.label).join(', ')}`;
+}
+
+/**
+ * Builds the tooltip HTML listing an employee's field changes with their before and after values.
+ * @param {Array<Object>} changes - The field changes.
+ * @returns {string} Escaped HTML, or an empty string without changes.
+ */
+export function buildFieldChangeTooltip(changes) {
+    if (!changes || !changes.length) return '';
+    return ['<strong>Changes</strong>', ...changes.map(change => escapeHtml(formatFieldChange(change)))].join('<br>');
+}
+
+/* ===========================================
+   HELPERS
+=========================================== */
+
+/**
+ * The custom attributes compared: the definitions, or else the keys found in either record.
+ */
+function listComparedAttributes(before, after, definitions) {
+    if (definitions.length) return definitions;
+
+    const keys = new Set([
+        ...describeCustomAttributes(before).map(attribute => attribute.key),
+        ...describeCustomAttributes(after).map(attribute => attribute.key)
+    ]);
+    return Array.from(keys, key => ({ key, label: key, type: 'text' }));
+}
+
+/**
+ * Brings a value into a comparable form: null for blanks, numbers as numbers, text trimmed.
+ */
+function normalizeValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+}
+
+function toText(value) {
+    return value === null || value === undefined ? null : String(value);
+}
+
+/** Reads a number; text that is not numeric is kept, so changes to it still show. */
+function toNumber(value, parse = parseNumber) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const number = parse(value);
+    return number === null ? String(value).trim() : number;
+}
+
+function formatValue(value) {
+    return typeof value === 'number'
+        ? value.toLocaleString(undefined, { maximumFractionDigits: 2 })
+        : String(value);
+}
+
+// Expose functions to global window object for non-module scripts
+window.COMPARED_FIELDS = COMPARED_FIELDS;
+window.diffEmployeeFields = diffEmployeeFields;
+window.formatFieldChange = formatFieldChange;
+window.summarizeFieldChanges = summarizeFieldChanges;
+window.buildFieldChangeTooltip = buildFieldChangeTooltip;
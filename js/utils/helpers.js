@@ -7,7 +7,7 @@
  * @param {string|number} id The ID to normalize.
  * @returns {string} The normalized ID.
  */
-function normalizeId(id) {
+export function normalizeId(id) {
     if (id === null || id === undefined) return '';
     return String(id).trim().toLowerCase();
 }
@@ -17,7 +17,7 @@ function normalizeId(id) {
  * @param {*} value The value to check.
  * @returns {boolean} True if the value is considered blank or empty.
  */
-function isBlankOrEmpty(value) {
+export function isBlankOrEmpty(value) {
     return value === null || value === undefined || String(value).trim() === '';
 }
 
@@ -30,7 +30,7 @@ function isBlankOrEmpty(value) {
  * @param {number} [maxLines=2] The maximum number of lines to render.
  * @param {number} [startY=0] The initial y-coordinate for the first line of text.
  */
-function wrapSVGText(textElement, text, width, maxLines = 2, startY = 0) {
+export function wrapSVGText(textElement, text, width, maxLines = 2, startY = 0) {
     if (!text) return;
     textElement.text(null);
     const words = text.toString().split(/\s+/);
@@ -56,6 +56,39 @@ function wrapSVGText(textElement, text, width, maxLines = 2, startY = 0) {
     }
 }
 
+/**
+ * Displays a short-lived toast notification at the bottom of the screen.
+ * @param {string} message - The message to display in the toast.
+ */
+export function showToast(message) {
+    if (!message) return;
+    
+    // Remove any existing toasts
+    document.querySelectorAll('.toast').forEach(el => el.remove());
+    
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    
+    // Trigger show animation
+    requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+            toast.classList.add('show');
+        });
+    });
+    
+    // Auto-remove after delay
+    setTimeout(() => {
+        toast.classList.remove('show');
+        setTimeout(() => {
+            if (toast.parentNode) {
+                document.body.removeChild(toast);
+            }
+        }, 300);
+    }, 3000);
+}
+
 // Expose functions to global window object
 window.normalizeId = normalizeId;
 window.isBlankOrEmpty = isBlankOrEmpty;
@@ -0,0 +1,261 @@
+/**
+ * @file Identity matching: pairs the employees of the baseline and the target whose IDs
+ * differ, e.g. because the target file was built by hand with names instead of IDs or
+ * the IDs were regenerated. Without it every such person counts as both an exit and a
+ * new hire. Employees without an ID match are compared by name, with job title,
+ * manager, location and job family as further evidence, and paired by their score.
+ *
+ * A review row has the shape `{baseline, candidates, proposedId}`: the baseline record,
+ * the target records that may be the same person as `{record, score}` (best first) and
+ * the ID of the proposed match, or null. A match has the shape `{baselineId, targetId}`.
+ */
+
+import { normalizeId } from './helpers.js';
+import { isOpenPosition } from './positions.js';
+
+console.log('[OrgChart] identityMatching loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** Weights of the compared fields in a match score. Fields blank on either side are left out. */
+export const MATCH_WEIGHTS = {
+    name: 0.6,
+    title: 0.15,
+    manager: 0.1,
+    location: 0.075,
+    jobFamily: 0.075
+};
+
+/** Lowest score at which a match is proposed. */
+export const MATCH_THRESHOLD = 0.75;
+
+/** Lowest score at which a target employee is offered as an alternative in the review. */
+const CANDIDATE_THRESHOLD = 0.4;
+
+/** Lowest name similarity at which two employees are compared at all. */
+const NAME_THRESHOLD = 0.5;
+
+/** Largest number of alternatives offered per employee. */
+const MAX_CANDIDATES = 5;
+
+/* ===========================================
+   MATCHING
+=========================================== */
+
+/**
+ * Proposes matches for the employees whose IDs are only found in one of the versions.
+ * Each target employee is proposed for at most one baseline employee, best scores first.
+ * Open positions are not matched: a vacant seat has no identity to carry over.
+ * @param {Array<Object>} baselineData - The baseline records.
+ * @param {Array<Object>} targetData - The target records.
+ * @returns {Array<{baseline: Object, candidates: Array<{record: Object, score: number}>, proposedId: ?string}>}
+ *   One row per unmatched baseline employee with at least one candidate, in baseline order.
+ */
+export function proposeIdentityMatches(baselineData, targetData) {
+    const baselineIds = new Set(baselineData.map(emp => toId(emp.id)));
+    const targetIds = new Set(targetData.map(emp => toId(emp.id)));
+    const isMatchable = emp => !isOpenPosition(emp) && normalizeName(emp.name) !== '';
+
+    const baselineOnly = baselineData.filter(emp => !targetIds.has(toId(emp.id)) && isMatchable(emp));
+    const targetOnly = targetData.filter(emp => !baselineIds.has(toId(emp.id)) && isMatchable(emp));
+    if (!baselineOnly.length || !targetOnly.length) return [];
+
+    const baselineProfiles = buildProfiles(baselineOnly, baselineData);
+    const targetProfiles = buildProfiles(targetOnly, targetData);
+
+    // Only people with a name part starting alike are compared, which keeps large uploads fast
+    const targetsByKey = new Map();
+    targetProfiles.forEach(profile => {
+        profile.keys.forEach(key => {
+            if (!targetsByKey.has(key)) targetsByKey.set(key, []);
+            targetsByKey.get(key).push(profile);
+        });
+    });
+
+    const rows = [];
+    const pairs = [];
+    baselineProfiles.forEach(baselineProfile => {
+        const compared = new Set();
+        const candidates = [];
+        baselineProfile.keys.forEach(key => {
+            (targetsByKey.get(key) || []).forEach(targetProfile => {
+                if (compared.has(targetProfile)) return;
+                compared.add(targetProfile);
+
+                const score = scoreMatch(baselineProfile, targetProfile);
+                if (score >= CANDIDATE_THRESHOLD) candidates.push({ record: targetProfile.record, score });
+            });
+        });
+        if (!candidates.length) return;
+
+        candidates.sort((a, b) => b.score - a.score);
+        const row = { baseline: baselineProfile.record, candidates: candidates.slice(0, MAX_CANDIDATES), proposedId: null };
+        rows.push(row);
+        candidates
+            .filter(candidate => candidate.score >= MATCH_THRESHOLD)
+            .forEach(candidate => pairs.push({ row, targetId: toId(candidate.record.id), score: candidate.score }));
+    });
+
+    // Greedy one-to-one assignment, the most certain matches first
+    const assignedTargets = new Set();
+    pairs.sort((a, b) => b.score - a.score).forEach(pair => {
+        if (pair.row.proposedId !== null || assignedTargets.has(pair.targetId)) return;
+        pair.row.proposedId = pair.targetId;
+        assignedTargets.add(pair.targetId);
+    });
+
+    return rows;
+}
+
+/**
+ * Gives matched target employees the ID they have in the baseline, so the comparison
+ * sees them as the same person. Manager and dotted-line manager references to them are
+ * updated as well. Matches of an ID that the target already uses are ignored.
+ * @param {Array<Object>} targetData - The target records.
+ * @param {Array<{baselineId: string, targetId: string}>} matches - The accepted matches.
+ * @returns {Array<Object>} The target records, copied where an ID changed.
+ */
+export function applyIdentityMatches(targetData, matches) {
+    const usedIds = new Set(targetData.map(emp => toId(emp.id)));
+    const idMap = new Map();
+    matches.forEach(({ baselineId, targetId }) => {
+        const from = toId(targetId);
+        const to = toId(baselineId);
+        if (!from || !to || from === to || idMap.has(from) || usedIds.has(to)) return;
+        idMap.set(from, to);
+        usedIds.add(to);
+    });
+    if (idMap.size === 0) return targetData;
+
+    const remap = id => idMap.get(toId(id)) ?? id;
+    return targetData.map(emp => ({
+        ...emp,
+        id: remap(emp.id),
+        ...(emp.managerId !== undefined ? { managerId: remap(emp.managerId) } : {}),
+        ...(emp.manager !== undefined ? { manager: remap(emp.manager) } : {}),
+        ...(Array.isArray(emp.dottedLineManagerIds) ? { dottedLineManagerIds: emp.dottedLineManagerIds.map(remap) } : {})
+    }));
+}
+
+/**
+ * Lists the proposed matches of review rows.
+ * @param {Array<{baseline: Object, proposedId: ?string}>} rows - The review rows.
+ * @returns {Array<{baselineId: string, targetId: string}>}
+ */
+export function getProposedMatches(rows) {
+    return rows
+        .filter(row => row.proposedId !== null)
+        .map(row => ({ baselineId: toId(row.baseline.id), targetId: row.proposedId }));
+}
+
+/* ===========================================
+   SCORING
+=========================================== */
+
+/**
+ * Prepares the compared fields of records, with each manager's name read from the same version.
+ * Hand-built files may reference managers by name; a manager ID that matches no employee is taken as a name.
+ */
+function buildProfiles(records, allRecords) {
+    const namesById = new Map(allRecords.map(emp => [toId(emp.id), emp.name]));
+    return records.map(record => {
+        const managerId = toId(record.managerId ?? record.manager);
+        const name = normalizeName(record.name);
+        return {
+            record,
+            name,
+            // The first two letters of each name part
+            keys: Array.from(new Set(name.split(' ').filter(word => word.length > 1).map(word => word.slice(0, 2)))),
+            fields: {
+                title: normalizeText(record.title),
+                manager: normalizeName(namesById.get(managerId) ?? managerId),
+                location: normalizeText(record.location),
+                jobFamily: normalizeText(record.jobFamily)
+            }
+        };
+    });
+}
+
+/**
+ * Scores how likely two employees are the same person, from 0 to 1: the weighted
+ * similarity of the fields filled on both sides. Names that differ too much score 0.
+ */
+function scoreMatch(a, b) {
+    const nameSimilarity = similarity(a.name, b.name);
+    if (nameSimilarity < NAME_THRESHOLD) return 0;
+
+    let score = MATCH_WEIGHTS.name * nameSimilarity;
+    let weight = MATCH_WEIGHTS.name;
+    Object.keys(a.fields).forEach(field => {
+        if (!a.fields[field] || !b.fields[field]) return;
+        score += MATCH_WEIGHTS[field] * similarity(a.fields[field], b.fields[field]);
+        weight += MATCH_WEIGHTS[field];
+    });
+    return score / weight;
+}
+
+/**
+ * Similarity of two texts from 0 to 1: the Dice coefficient of their letter pairs,
+ * with the words in alphabetical order so that "Smith John" equals "John Smith".
+ */
+function similarity(a, b) {
+    if (a === b) return 1;
+    const pairsA = letterPairs(sortWords(a));
+    const pairsB = letterPairs(sortWords(b));
+    if (!pairsA.length || !pairsB.length) return 0;
+
+    const counts = new Map();
+    pairsA.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+    let shared = 0;
+    pairsB.forEach(pair => {
+        const count = counts.get(pair) || 0;
+        if (count > 0) {
+            shared++;
+            counts.set(pair, count - 1);
+        }
+    });
+    return (2 * shared) / (pairsA.length + pairsB.length);
+}
+
+/* ===========================================
+   HELPERS
+=========================================== */
+
+function toId(id) {
+    return String(id ?? '').trim();
+}
+
+/**
+ * Normalizes a name for matching: "Last, First" turned into "first last", lowercased,
+ * without accents and punctuation.
+ */
+function normalizeName(value) {
+    const parts = String(value ?? '').split(',').map(part => part.trim()).filter(Boolean);
+    const name = parts.length === 2 ? `${parts[1]} ${parts[0]}` : parts.join(' ');
+    return normalizeText(name);
+}
+
+function normalizeText(value) {
+    return normalizeId(value)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function sortWords(text) {
+    return text.split(' ').sort().join(' ');
+}
+
+function letterPairs(text) {
+    const pairs = [];
+    for (let i = 0; i < text.length - 1; i++) pairs.push(text.slice(i, i + 2));
+    return pairs;
+}
+
+// Expose functions to global window object for non-module scripts
+window.proposeIdentityMatches = proposeIdentityMatches;
+window.applyIdentityMatches = applyIdentityMatches;
+window.getProposedMatches = getProposedMatches;
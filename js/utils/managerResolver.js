@@ -0,0 +1,215 @@
+/**
+ * @file Resolves the manager column of an upload to employee IDs.
+ * HR exports reference managers in different ways: by employee ID, by full
+ * name or by e-mail address. This module detects which one a file uses and
+ * translates every reference into the ID of the matching employee, reporting
+ * references that match more than one person. Dotted-line (matrix) manager
+ * columns may list several managers per cell and are resolved the same way.
+ */
+
+import { normalizeId } from './helpers.js';
+
+console.log('[OrgChart] managerResolver loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** Row key under which the resolved manager ID is stored on object rows. */
+export const RESOLVED_MANAGER_KEY = '__resolvedManagerId';
+
+/** Row key under which the resolved dotted-line manager IDs are stored on object rows. */
+export const RESOLVED_DOTTED_LINE_KEY = '__resolvedDottedLineManagerIds';
+
+/** Separates several manager references in one cell, e.g. "E102; E230". */
+const REFERENCE_LIST_SEPARATOR = /[;|\n]+/;
+
+/** Supported ways of referencing a manager. */
+export const MANAGER_REFERENCE_TYPES = {
+    id: 'Employee ID',
+    name: 'Employee Name',
+    email: 'Email Address'
+};
+
+/* ===========================================
+   KEY NORMALIZATION
+=========================================== */
+
+/**
+ * Normalizes a name for matching: trimmed, lowercased, single spaces, and
+ * "Last, First" turned into "first last".
+ * @param {*} value - The raw name.
+ * @returns {string} The normalized name.
+ */
+function normalizeName(value) {
+    const name = normalizeId(value).replace(/\s+/g, ' ');
+    const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+    return parts.length === 2 ? `${parts[1]} ${parts[0]}` : name;
+}
+
+const NORMALIZERS = {
+    id: normalizeId,
+    name: normalizeName,
+    email: normalizeId
+};
+
+/* ===========================================
+   PUBLIC API
+=========================================== */
+
+/**
+ * Builds a lookup from normalized reference key to the IDs of employees with that key.
+ * @param {Array} rows - The data rows.
+ * @param {Object} accessors - Functions reading values from a row.
+ * @param {'id'|'name'|'email'} referenceType - The kind of key to index by.
+ * @returns {Map<string, Array<{id: string, rowIndex: number}>>}
+ */
+function buildReferenceIndex(rows, accessors, referenceType) {
+    const normalize = NORMALIZERS[referenceType];
+    const read = { id: accessors.getId, name: accessors.getName, email: accessors.getEmail }[referenceType];
+    const index = new Map();
+
+    if (!read) return index;
+
+    rows.forEach((row, rowIndex) => {
+        const key = normalize(read(row));
+        const id = String(accessors.getId(row) ?? '').trim();
+        if (!key || !id) return;
+
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push({ id, rowIndex });
+    });
+
+    return index;
+}
+
+/**
+ * Guesses how the manager column references managers by checking which
+ * employee attribute the most manager values match.
+ * @param {Array} rows - The data rows.
+ * @param {Object} accessors - `{getId, getName, getEmail, getManager}`; getEmail may be omitted.
+ * @returns {'id'|'name'|'email'} The most likely reference type (defaults to 'id').
+ */
+export function detectManagerReferenceType(rows, accessors) {
+    const managerValues = rows
+        .map(row => accessors.getManager(row))
+        .filter(value => normalizeId(value) !== '');
+
+    if (!managerValues.length) return 'id';
+
+    let bestType = 'id';
+    let bestMatches = 0;
+
+    Object.keys(MANAGER_REFERENCE_TYPES).forEach(type => {
+        const index = buildReferenceIndex(rows, accessors, type);
+        const matches = managerValues.filter(value => index.has(NORMALIZERS[type](value))).length;
+        if (matches > bestMatches) {
+            bestType = type;
+            bestMatches = matches;
+        }
+    });
+
+    return bestType;
+}
+
+/**
+ * Translates every row's manager reference into the ID of the referenced employee.
+ *
+ * The result has one entry per row:
+ *  - `status: 'root'`       – blank manager, `managerId` is ''
+ *  - `status: 'resolved'`   – exactly one match, `managerId` is that employee's ID
+ *  - `status: 'unresolved'` – no match, `managerId` keeps the raw value so validation can report it
+ *  - `status: 'ambiguous'`  – several matches, `managerId` keeps the raw value and `candidates` lists them
+ *
+ * @param {Array} rows - The data rows.
+ * @param {Object} accessors - `{getId, getName, getEmail, getManager}`; getEmail may be omitted.
+ * @param {'id'|'name'|'email'} referenceType - How the manager column references managers.
+ * @returns {{resolutions: Array<{managerId: string, status: string, candidates: Array}>, errors: Array<{type:string,message:string,details:string}>}}
+ */
+export function resolveManagerReferences(rows, accessors, referenceType = 'id') {
+    const normalize = NORMALIZERS[referenceType] || normalizeId;
+    const index = buildReferenceIndex(rows, accessors, referenceType);
+    const errors = [];
+
+    const resolutions = rows.map((row, rowIndex) => {
+        const rawValue = String(accessors.getManager(row) ?? '').trim();
+        if (rawValue === '') {
+            return { managerId: '', status: 'root', candidates: [] };
+        }
+
+        const candidates = index.get(normalize(rawValue)) || [];
+
+        if (candidates.length === 1) {
+            return { managerId: candidates[0].id, status: 'resolved', candidates };
+        }
+
+        if (candidates.length > 1) {
+            errors.push({
+                type: 'Ambiguous Manager Reference',
+                message: `The manager "${rawValue}" matches ${candidates.length} employees. Use a unique ${MANAGER_REFERENCE_TYPES[referenceType].toLowerCase()} or map the manager by ID.`,
+                details: `Row ${rowIndex + 2}: Employee "${accessors.getName(row) ?? accessors.getId(row)}" – candidates: ${candidates.map(c => `${c.id} (row ${c.rowIndex + 2})`).join(', ')}`
+            });
+            return { managerId: rawValue, status: 'ambiguous', candidates };
+        }
+
+        return { managerId: rawValue, status: 'unresolved', candidates };
+    });
+
+    return { resolutions, errors };
+}
+
+/**
+ * Splits a cell listing one or more manager references.
+ * Commas are not separators because names may be written as "Last, First".
+ * @param {*} value - The raw cell value, or an array of references.
+ * @returns {Array<string>} The trimmed, non-empty references.
+ */
+export function splitManagerReferences(value) {
+    const parts = Array.isArray(value) ? value : String(value ?? '').split(REFERENCE_LIST_SEPARATOR);
+    return parts.map(part => String(part ?? '').trim()).filter(Boolean);
+}
+
+/**
+ * Translates every row's list of manager references (e.g. dotted-line managers)
+ * into employee IDs.
+ *
+ * The result has one entry per row with the IDs that matched exactly one employee
+ * (without duplicates), the references that matched nobody and the references that
+ * matched several employees.
+ *
+ * @param {Array} rows - The data rows.
+ * @param {Object} accessors - `{getId, getName, getEmail}`; getEmail may be omitted.
+ * @param {'id'|'name'|'email'} referenceType - How the cells reference managers.
+ * @param {function(*): *} getReferences - Reads the reference list of a row.
+ * @returns {Array<{managerIds: Array<string>, unresolved: Array<string>, ambiguous: Array<{reference: string, candidates: Array}>}>}
+ */
+export function resolveManagerReferenceList(rows, accessors, referenceType, getReferences) {
+    const normalize = NORMALIZERS[referenceType] || normalizeId;
+    const index = buildReferenceIndex(rows, accessors, referenceType);
+
+    return rows.map(row => {
+        const result = { managerIds: [], unresolved: [], ambiguous: [] };
+
+        splitManagerReferences(getReferences(row)).forEach(reference => {
+            const candidates = index.get(normalize(reference)) || [];
+            if (candidates.length === 1) {
+                if (!result.managerIds.includes(candidates[0].id)) result.managerIds.push(candidates[0].id);
+            } else if (candidates.length > 1) {
+                result.ambiguous.push({ reference, candidates });
+            } else {
+                result.unresolved.push(reference);
+            }
+        });
+
+        return result;
+    });
+}
+
+// Expose functions to global window object for non-module scripts
+window.RESOLVED_MANAGER_KEY = RESOLVED_MANAGER_KEY;
+window.RESOLVED_DOTTED_LINE_KEY = RESOLVED_DOTTED_LINE_KEY;
+window.MANAGER_REFERENCE_TYPES = MANAGER_REFERENCE_TYPES;
+window.detectManagerReferenceType = detectManagerReferenceType;
+window.resolveManagerReferences = resolveManagerReferences;
+window.splitManagerReferences = splitManagerReferences;
+window.resolveManagerReferenceList = resolveManagerReferenceList;
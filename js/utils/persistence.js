@@ -242,11 +242,15 @@ export async function saveEmployeeData(projectId, employees) {
       employee_id: emp.id,
       name: emp.name,
       manager_id: emp.managerId,
+      dotted_line_manager_ids: emp.dottedLineManagerIds || [],
       title: emp.title,
       fte: emp.fte,
+      position_status: emp.positionStatus || 'filled',
       location: emp.location,
       job_family: emp.jobFamily,
-      management_level: emp.managementLevel
+      management_level: emp.managementLevel,
+      photo_url: emp.photoUrl || null,
+      additional_data: emp.additionalData || {}
     }));
     
     const { error: insertError } = await supabase
@@ -0,0 +1,246 @@
+/**
+ * @file Photos: pictures of employees for the avatars on the node cards.
+ * Photos come from a mapped photo URL column or from a zip archive of images named by
+ * employee ID (e.g. `E1042.jpg`). Archive images are scaled down to avatar size, kept as
+ * data URLs and stored per project in the browser's IndexedDB, so they are available again
+ * after a reload and are embedded when the chart is exported.
+ */
+
+console.log('[OrgChart] photos loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** Width and height, in pixels, that archive images are scaled down to. */
+export const PHOTO_SIZE = 96;
+
+/** File extensions of images read from an archive. */
+const IMAGE_EXTENSIONS = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+/**
+ * IndexedDB database and object store of the imported photos. Photos are keyed by
+ * `[projectId, photoKey]`, so employee IDs of different projects do not collide.
+ */
+const PHOTO_DATABASE = 'org-chart-photos';
+const PHOTO_DATABASE_VERSION = 2;
+const PHOTO_STORE = 'photos';
+
+/* ===========================================
+   LOOKUP
+=========================================== */
+
+/**
+ * Key of an employee ID in a photo collection. IDs are compared without case, so
+ * `e1042.JPG` matches employee `E1042`.
+ * @param {*} id - The employee ID or file name without extension.
+ * @returns {string}
+ */
+export function getPhotoKey(id) {
+    return String(id ?? '').trim().toLowerCase();
+}
+
+/**
+ * Whether a photo URL may be shown: web addresses, relative paths and image data URLs.
+ * Other schemes, e.g. `javascript:`, are rejected.
+ * @param {string} url - The URL.
+ * @returns {boolean}
+ */
+export function isSafePhotoUrl(url) {
+    const value = String(url ?? '').trim();
+    if (!value) return false;
+    if (/^data:image\/(png|jpe?g|gif|webp|svg\+xml);/i.test(value)) return true;
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || /^https?$/i.test(scheme[1]);
+}
+
+/**
+ * Finds the photo of a node: its mapped photo URL, or else an imported photo named by its ID.
+ * @param {Object} node - The chart node.
+ * @param {?Object} [photos] - Imported photos by photo key.
+ * @returns {?string} The photo URL, or null.
+ */
+export function getPhotoUrl(node, photos = null) {
+    if (isSafePhotoUrl(node.photoUrl)) return String(node.photoUrl).trim();
+    const imported = photos ? photos[getPhotoKey(node.id)] : null;
+    return imported || null;
+}
+
+/* ===========================================
+   ARCHIVE IMPORT
+=========================================== */
+
+/**
+ * Reads a zip archive of employee photos. Files are matched to employees by their name
+ * without extension; folders inside the archive are ignored.
+ * @param {File|Blob} file - The zip archive.
+ * @returns {Promise<{photos: Object<string, string>, skipped: Array<string>}>} Data URLs by
+ *   photo key, and the names of files that are not images or could not be read.
+ */
+export async function readPhotoArchive(file) {
+    if (!window.XLSX || !window.XLSX.CFB) {
+        throw new Error('The spreadsheet library is not loaded, so zip archives cannot be read.');
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    // SheetJS reads xlsx files, which are zip archives, so its container reader handles any zip
+    const archive = window.XLSX.CFB.read(bytes, { type: 'array' });
+
+    const photos = {};
+    const skipped = [];
+    for (let i = 0; i < archive.FileIndex.length; i++) {
+        const entry = archive.FileIndex[i];
+        if (entry.type !== 2 || !entry.content || !entry.content.length) continue;
+
+        const fileName = archive.FullPaths[i].split('/').pop();
+        // Skip files macOS adds to archives
+        if (!fileName || fileName.startsWith('.') || archive.FullPaths[i].includes('__MACOSX/')) continue;
+
+        const match = fileName.match(/^(.+)\.([a-z0-9]+)$/i);
+        const type = match ? IMAGE_EXTENSIONS[match[2].toLowerCase()] : null;
+        if (!type) {
+            skipped.push(fileName);
+            continue;
+        }
+
+        try {
+            photos[getPhotoKey(match[1])] = await scalePhoto(new Blob([entry.content], { type }));
+        } catch (error) {
+            console.warn(`Could not read photo ${fileName}:`, error);
+            skipped.push(fileName);
+        }
+    }
+    return { photos, skipped };
+}
+
+/**
+ * Crops an image to a centred square and scales it down to `PHOTO_SIZE`.
+ * @param {Blob} blob - The image.
+ * @returns {Promise<string>} A JPEG data URL.
+ */
+async function scalePhoto(blob) {
+    const image = await createImageBitmap(blob);
+    const side = Math.min(image.width, image.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = PHOTO_SIZE;
+    canvas.height = PHOTO_SIZE;
+
+    const context = canvas.getContext('2d');
+    // Transparent PNGs get a white background instead of JPEG's black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, PHOTO_SIZE, PHOTO_SIZE);
+    context.drawImage(image, (image.width - side) / 2, (image.height - side) / 2, side, side, 0, 0, PHOTO_SIZE, PHOTO_SIZE);
+    image.close();
+    return canvas.toDataURL('image/jpeg', 0.85);
+}
+
+/* ===========================================
+   STORAGE
+=========================================== */
+
+function openPhotoDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(PHOTO_DATABASE, PHOTO_DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+            // Version 1 kept the photos of all projects together; they cannot be told apart
+            if (request.result.objectStoreNames.contains(PHOTO_STORE)) {
+                request.result.deleteObjectStore(PHOTO_STORE);
+            }
+            request.result.createObjectStore(PHOTO_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs one transaction on the photo store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {Function} work - Called with the object store; its request's result is resolved.
+ * @returns {Promise<*>}
+ */
+async function withPhotoStore(mode, work) {
+    const database = await openPhotoDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = database.transaction(PHOTO_STORE, mode);
+            const request = work(transaction.objectStore(PHOTO_STORE));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        database.close();
+    }
+}
+
+/**
+ * Key range of all photos of a project. Array keys sort after strings, so `[projectId, []]`
+ * comes after every `[projectId, photoKey]`.
+ */
+function getProjectRange(projectId) {
+    return IDBKeyRange.bound([String(projectId)], [String(projectId), []]);
+}
+
+/**
+ * Adds photos of a project to the browser's store, replacing earlier photos of the same employees.
+ * @param {string} projectId - The project the photos belong to.
+ * @param {Object<string, string>} photos - Data URLs by photo key.
+ * @returns {Promise<void>}
+ */
+export function storePhotos(projectId, photos) {
+    return withPhotoStore('readwrite', store => {
+        Object.entries(photos).forEach(([key, url]) => store.put(url, [String(projectId), key]));
+        return null;
+    });
+}
+
+/**
+ * Loads the photos of a project from the browser's store.
+ * @param {string} projectId - The project.
+ * @returns {Promise<Object<string, string>>} Data URLs by photo key; empty if nothing is stored
+ *   or IndexedDB is not available.
+ */
+export async function loadStoredPhotos(projectId) {
+    if (typeof indexedDB === 'undefined' || !projectId) return {};
+
+    try {
+        const photos = {};
+        await withPhotoStore('readonly', store => {
+            const request = store.openCursor(getProjectRange(projectId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                photos[cursor.key[1]] = cursor.value;
+                cursor.continue();
+            };
+            return null;
+        });
+        return photos;
+    } catch (error) {
+        console.warn('Could not load the stored photos:', error);
+        return {};
+    }
+}
+
+/**
+ * Removes the photos of a project from the browser's store.
+ * @param {string} projectId - The project.
+ * @returns {Promise<void>}
+ */
+export function clearStoredPhotos(projectId) {
+    return withPhotoStore('readwrite', store => store.delete(getProjectRange(projectId)));
+}
+
+// Expose functions to global window object for non-module scripts
+window.getPhotoUrl = getPhotoUrl;
+window.isSafePhotoUrl = isSafePhotoUrl;
+window.readPhotoArchive = readPhotoArchive;
+window.storePhotos = storePhotos;
+window.loadStoredPhotos = loadStoredPhotos;
+window.clearStoredPhotos = clearStoredPhotos;
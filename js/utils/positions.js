@@ -0,0 +1,141 @@
+/**
+ * @file Positions: seats in the org chart that may or may not be held by a person.
+ * Workforce plans contain vacant seats, to-be-hired (TBH) requisitions and positions
+ * being closed next to filled ones. This module reads the status column of an upload,
+ * labels open positions and summarizes filled versus open seats for statistics.
+ *
+ * Every employee record carries a `positionStatus` of 'filled', 'vacant', 'tbh' or 'closing'.
+ */
+
+import { parseDecimal } from './customAttributes.js';
+
+console.log('[OrgChart] positions loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** Position statuses, their display names and whether the seat still needs a person. */
+export const POSITION_STATUSES = {
+    filled: { label: 'Filled', open: false },
+    vacant: { label: 'Vacant', open: true },
+    tbh: { label: 'To Be Hired', open: true },
+    closing: { label: 'Closing', open: false }
+};
+
+/** Cell values recognized for each status (lowercase, compared without punctuation). */
+const STATUS_ALIASES = {
+    filled: ['filled', 'active', 'occupied', 'assigned', 'employee', 'besetzt', 'aktiv'],
+    vacant: ['vacant', 'vacancy', 'open', 'open position', 'empty', 'unfilled', 'offen', 'vakant', 'unbesetzt'],
+    tbh: ['tbh', 'to be hired', 'requisition', 'req', 'open req', 'open requisition', 'hiring', 'planned', 'new hire', 'geplant'],
+    closing: ['closing', 'to be closed', 'closed', 'being closed', 'eliminated', 'to be eliminated', 'abolished', 'entfällt']
+};
+
+/* ===========================================
+   PARSING
+=========================================== */
+
+/**
+ * Reads a position status cell.
+ * @param {*} raw - The cell value.
+ * @returns {?string} The status key; 'filled' for blank cells, null for unrecognized values.
+ */
+export function parsePositionStatus(raw) {
+    const value = String(raw ?? '').trim().toLowerCase().replace(/[._\-/]+/g, ' ').replace(/\s+/g, ' ');
+    if (!value) return 'filled';
+    if (POSITION_STATUSES[value]) return value;
+
+    const match = Object.entries(STATUS_ALIASES).find(([, aliases]) => aliases.includes(value));
+    return match ? match[0] : null;
+}
+
+/**
+ * Whether a record is an open seat (vacant or to be hired).
+ * @param {Object} employee - An employee record.
+ * @returns {boolean}
+ */
+export function isOpenPosition(employee) {
+    return Boolean(POSITION_STATUSES[employee?.positionStatus]?.open);
+}
+
+/**
+ * Display name of a status.
+ * @param {string} status - The status key.
+ * @returns {string}
+ */
+export function getPositionStatusLabel(status) {
+    return POSITION_STATUSES[status]?.label || POSITION_STATUSES.filled.label;
+}
+
+/**
+ * Name shown for a position without a person, e.g. "Vacant – Sales Manager".
+ * @param {string} status - The status key.
+ * @param {string} [title] - The position's job title.
+ * @returns {string}
+ */
+export function getOpenPositionName(status, title) {
+    const label = getPositionStatusLabel(status);
+    return title ? `${label} – ${title}` : label;
+}
+
+/* ===========================================
+   STATISTICS
+=========================================== */
+
+/**
+ * Reads the FTE of a record, defaulting to 1.
+ * @param {Object} employee - An employee record.
+ * @returns {number}
+ */
+function getFte(employee) {
+    const fte = parseDecimal(employee?.fte);
+    return fte === null ? 1 : fte;
+}
+
+/**
+ * Counts filled, open and closing positions.
+ * Headcount only includes filled and closing seats, which are held by a person.
+ * @param {Array<Object>} employees - Employee records.
+ * @returns {{filled: number, open: number, closing: number, vacant: number, tbh: number, openFte: number, headcount: number}}
+ */
+export function summarizePositions(employees) {
+    const summary = { filled: 0, open: 0, closing: 0, vacant: 0, tbh: 0, openFte: 0, headcount: 0 };
+
+    (employees || []).forEach(employee => {
+        const status = POSITION_STATUSES[employee?.positionStatus] ? employee.positionStatus : 'filled';
+        summary[status]++;
+        if (POSITION_STATUSES[status].open) {
+            summary.open++;
+            summary.openFte += getFte(employee);
+        } else {
+            summary.headcount++;
+        }
+    });
+
+    summary.openFte = Math.round(summary.openFte * 100) / 100;
+    return summary;
+}
+
+/**
+ * Formats a position summary, e.g. "12 filled / 3 open / 1.5 open FTE".
+ * @param {Object} summary - A summary from `summarizePositions`.
+ * @returns {string}
+ */
+export function formatPositionSummary(summary) {
+    const parts = [
+        `${summary.filled} filled`,
+        `${summary.open} open`,
+        `${summary.openFte.toLocaleString(undefined, { maximumFractionDigits: 2 })} open FTE`
+    ];
+    if (summary.closing > 0) parts.push(`${summary.closing} closing`);
+    return parts.join(' / ');
+}
+
+// Expose functions to global window object for non-module scripts
+window.POSITION_STATUSES = POSITION_STATUSES;
+window.parsePositionStatus = parsePositionStatus;
+window.isOpenPosition = isOpenPosition;
+window.getPositionStatusLabel = getPositionStatusLabel;
+window.getOpenPositionName = getOpenPositionName;
+window.summarizePositions = summarizePositions;
+window.formatPositionSummary = formatPositionSummary;
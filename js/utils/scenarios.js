@@ -0,0 +1,187 @@
+/**
+ * @file Scenario metrics: the key figures of planned versions of the organization,
+ * compared with the same baseline. Reorganizations are often planned as several
+ * scenarios (e.g. Scenario A, B and C); the comparison matrix shows their headcount,
+ * FTE, layers, spans of control and moves next to each other.
+ *
+ * A scenario has the shape `{id, name, data}`: a generated ID, the name shown in the
+ * switcher and the employee records. The baseline is not a scenario; in lists it is
+ * addressed by `BASELINE_SCENARIO_ID`.
+ */
+
+import { isOpenPosition, summarizePositions } from './positions.js';
+import { parseDecimal } from './customAttributes.js';
+
+console.log('[OrgChart] scenarios loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** ID addressing the baseline in lists of scenarios. */
+export const BASELINE_SCENARIO_ID = 'baseline';
+
+/**
+ * Figures shown in the comparison matrix and how they are read from the metrics of a
+ * version. `changes` marks figures that only exist in comparison with the baseline.
+ */
+export const SCENARIO_METRICS = {
+    headcount: { label: 'Headcount', digits: 0 },
+    fte: { label: 'FTE', digits: 1 },
+    openPositions: { label: 'Open Positions', digits: 0 },
+    layers: { label: 'Layers', digits: 0 },
+    managers: { label: 'Managers', digits: 0 },
+    averageSpan: { label: 'Average Span', digits: 1 },
+    maxSpan: { label: 'Largest Span', digits: 0 },
+    added: { label: 'New', digits: 0, changes: true },
+    removed: { label: 'Exits', digits: 0, changes: true },
+    moved: { label: 'Moves', digits: 0, changes: true }
+};
+
+/* ===========================================
+   METRICS
+=========================================== */
+
+/**
+ * Calculates the key figures of one version of the organization.
+ * Headcount and FTE leave out open positions; layers and spans follow the reporting
+ * lines of all positions, open ones included, since they shape the structure.
+ * @param {Array<Object>} data - The employee records.
+ * @returns {{headcount: number, fte: number, openPositions: number, layers: number,
+ *   managers: number, averageSpan: number, maxSpan: number}}
+ */
+export function calculateScenarioMetrics(data) {
+    const records = data || [];
+    const positions = summarizePositions(records);
+    const fte = records
+        .filter(emp => !isOpenPosition(emp))
+        .reduce((sum, emp) => sum + getFte(emp), 0);
+
+    const ids = new Set(records.map(emp => toId(emp.id)));
+    const managerIds = new Map(records.map(emp => {
+        const managerId = toId(getManagerId(emp));
+        // Managers outside the data make the employee a top-level one
+        return [toId(emp.id), ids.has(managerId) ? managerId : ''];
+    }));
+
+    const reportCounts = new Map();
+    managerIds.forEach(managerId => {
+        if (managerId) reportCounts.set(managerId, (reportCounts.get(managerId) || 0) + 1);
+    });
+    const spans = Array.from(reportCounts.values());
+
+    return {
+        headcount: positions.headcount,
+        fte: Math.round(fte * 100) / 100,
+        openPositions: positions.open,
+        layers: calculateLayers(managerIds),
+        managers: spans.length,
+        averageSpan: spans.length ? spans.reduce((sum, span) => sum + span, 0) / spans.length : 0,
+        maxSpan: spans.length ? Math.max(...spans) : 0
+    };
+}
+
+/**
+ * Counts the employees that are new, leave or move to another manager in a scenario.
+ * @param {Array<Object>} baselineData - The baseline records.
+ * @param {Array<Object>} scenarioData - The scenario records.
+ * @returns {{added: number, removed: number, moved: number}}
+ */
+export function countScenarioChanges(baselineData, scenarioData) {
+    const baselineManagers = new Map((baselineData || []).map(emp => [toId(emp.id), toId(getManagerId(emp))]));
+    const scenarioIds = new Set();
+    let added = 0;
+    let moved = 0;
+
+    (scenarioData || []).forEach(emp => {
+        const id = toId(emp.id);
+        scenarioIds.add(id);
+        if (!baselineManagers.has(id)) {
+            added++;
+        } else if (baselineManagers.get(id) !== toId(getManagerId(emp))) {
+            moved++;
+        }
+    });
+
+    const removed = Array.from(baselineManagers.keys()).filter(id => !scenarioIds.has(id)).length;
+    return { added, removed, moved };
+}
+
+/**
+ * Builds the comparison matrix: one column for the baseline and one per scenario,
+ * each with its figures and, for scenarios, the differences from the baseline.
+ * @param {Array<Object>} baselineData - The baseline records.
+ * @param {Array<{id: string, name: string, data: Array<Object>}>} scenarios - The scenarios.
+ * @returns {Array<{id: string, name: string, metrics: Object, deltas: ?Object}>}
+ *   `deltas` holds the differences of the figures from the baseline; null for the baseline.
+ */
+export function buildScenarioMatrix(baselineData, scenarios) {
+    const baselineMetrics = calculateScenarioMetrics(baselineData);
+    const columns = [{ id: BASELINE_SCENARIO_ID, name: 'Baseline', metrics: baselineMetrics, deltas: null }];
+
+    (scenarios || []).forEach(scenario => {
+        const metrics = { ...calculateScenarioMetrics(scenario.data), ...countScenarioChanges(baselineData, scenario.data) };
+        const deltas = {};
+        Object.keys(baselineMetrics).forEach(key => {
+            deltas[key] = metrics[key] - baselineMetrics[key];
+        });
+        columns.push({ id: scenario.id, name: scenario.name, metrics, deltas });
+    });
+
+    return columns;
+}
+
+/**
+ * Formats a figure of the matrix, e.g. "4.3".
+ * @param {string} key - The key in `SCENARIO_METRICS`.
+ * @param {number} value - The value.
+ * @returns {string}
+ */
+export function formatScenarioMetric(key, value) {
+    const digits = SCENARIO_METRICS[key] ? SCENARIO_METRICS[key].digits : 0;
+    return value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/* ===========================================
+   HELPERS
+=========================================== */
+
+/**
+ * Counts the reporting levels: top-level employees are on the first layer.
+ * Reporting cycles end the count instead of looping.
+ */
+function calculateLayers(managerIds) {
+    const depths = new Map();
+    const depthOf = id => {
+        if (depths.has(id)) return depths.get(id);
+        depths.set(id, 1); // Guards against cycles while the chain is followed
+        const managerId = managerIds.get(id);
+        const depth = managerId && managerId !== id ? depthOf(managerId) + 1 : 1;
+        depths.set(id, depth);
+        return depth;
+    };
+
+    let layers = 0;
+    managerIds.forEach((managerId, id) => {
+        layers = Math.max(layers, depthOf(id));
+    });
+    return layers;
+}
+
+function getManagerId(emp) {
+    return emp.managerId ?? emp.manager ?? '';
+}
+
+function getFte(emp) {
+    const fte = parseDecimal(emp.fte);
+    return fte === null ? 1 : fte;
+}
+
+function toId(id) {
+    return String(id ?? '').trim();
+}
+
+// Expose functions to global window object for non-module scripts
+window.calculateScenarioMetrics = calculateScenarioMetrics;
+window.countScenarioChanges = countScenarioChanges;
+window.buildScenarioMatrix = buildScenarioMatrix;
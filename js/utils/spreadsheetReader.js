@@ -0,0 +1,471 @@
+/**
+ * @file Reads uploaded roster files into plain row arrays. Supports Excel/ODS
+ * workbooks (every sheet is returned so the caller can offer a sheet picker)
+ * as well as CSV/TSV text exports with delimiter and encoding detection.
+ * Also locates the header row and trailing summary rows of messy HR exports.
+ */
+
+console.log('[OrgChart] spreadsheetReader loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
+/** Value for the `accept` attribute of roster file inputs. */
+export const SPREADSHEET_ACCEPT = '.xlsx,.xls,.xlsm,.ods,.csv,.tsv,.txt';
+
+const WORKBOOK_EXTENSIONS = ['xlsx', 'xls', 'xlsm', 'ods'];
+const TEXT_EXTENSIONS = ['csv', 'tsv', 'tab', 'txt'];
+const WORKBOOK_MIME_TYPES = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel',
+    'application/vnd.ms-excel.sheet.macroEnabled.12',
+    'application/vnd.oasis.opendocument.spreadsheet'
+];
+const TEXT_MIME_TYPES = ['text/csv', 'text/tab-separated-values', 'text/plain', 'application/csv'];
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+const DELIMITER_SAMPLE_LINES = 20;
+const HEADER_SCAN_ROWS = 20;
+const MAX_TRAILING_SUMMARY_ROWS = 5;
+const SUMMARY_ROW_PATTERN = /^(grand\s+)?(sub\s*)?(total|totals|sum|summe|gesamt|count|anzahl)\b/i;
+/** Headers of the columns that identify an employee; a row with one of them filled is no footer. */
+const IDENTITY_HEADER_PATTERN = /\b(id|name|employee|worker|person|personnel)\b/i;
+const MANAGER_HEADER_PATTERN = /manager|supervisor|reports to/i;
+
+/* ===========================================
+   FILE TYPE DETECTION
+=========================================== */
+
+/**
+ * Determines how a file should be parsed based on its extension, falling back to its MIME type.
+ * @param {File} file - The selected file.
+ * @returns {'workbook'|'text'|null} The parser to use, or null if the file type is not supported.
+ */
+export function getSpreadsheetFileKind(file) {
+    if (!file) return null;
+
+    const extension = (file.name || '').split('.').pop().toLowerCase();
+    if (WORKBOOK_EXTENSIONS.includes(extension)) return 'workbook';
+    if (TEXT_EXTENSIONS.includes(extension)) return 'text';
+
+    if (WORKBOOK_MIME_TYPES.includes(file.type)) return 'workbook';
+    if (TEXT_MIME_TYPES.includes(file.type)) return 'text';
+
+    return null;
+}
+
+/* ===========================================
+   TEXT DECODING & DELIMITER DETECTION
+=========================================== */
+
+/**
+ * Decodes a text file buffer. Honours UTF-8/UTF-16 byte order marks, otherwise tries strict
+ * UTF-8 and falls back to Windows-1252, which is what Excel writes for "CSV (Comma delimited)".
+ * @param {ArrayBuffer} buffer - The raw file contents.
+ * @returns {{text: string, encoding: string}} The decoded text and the encoding that was used.
+ */
+export function decodeTextBuffer(buffer) {
+    const bytes = new Uint8Array(buffer);
+
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+    }
+
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+    } catch (error) {
+        return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+    }
+}
+
+/**
+ * Counts occurrences of a delimiter in a line, ignoring anything inside double quotes.
+ * @param {string} line - A single line of text.
+ * @param {string} delimiter - The delimiter character.
+ * @returns {number} The number of delimiters found outside quoted fields.
+ */
+function countDelimiter(line, delimiter) {
+    let count = 0;
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') {
+            inQuotes = !inQuotes;
+        } else if (ch === delimiter && !inQuotes) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Detects the field delimiter of a CSV/TSV export. The winning delimiter is the one that
+ * splits the most sample lines into the same number of columns; ties go to the wider split.
+ * @param {string} text - The decoded file contents.
+ * @returns {string} The detected delimiter (defaults to a comma).
+ */
+export function detectDelimiter(text) {
+    const lines = text
+        .split(/\r\n|\n|\r/)
+        .filter(line => line.trim() !== '')
+        .slice(0, DELIMITER_SAMPLE_LINES);
+
+    let bestDelimiter = ',';
+    let bestConsistency = 0;
+    let bestColumns = 0;
+
+    CANDIDATE_DELIMITERS.forEach(delimiter => {
+        const frequency = new Map();
+        lines.forEach(line => {
+            const count = countDelimiter(line, delimiter);
+            if (count > 0) {
+                frequency.set(count, (frequency.get(count) || 0) + 1);
+            }
+        });
+
+        frequency.forEach((occurrences, columns) => {
+            const consistency = occurrences / lines.length;
+            if (consistency > bestConsistency || (consistency === bestConsistency && columns > bestColumns)) {
+                bestDelimiter = delimiter;
+                bestConsistency = consistency;
+                bestColumns = columns;
+            }
+        });
+    });
+
+    return bestDelimiter;
+}
+
+/**
+ * Parses delimited text into rows of cells. Handles quoted fields, escaped quotes ("")
+ * and line breaks inside quotes. Fully blank lines are dropped and rows are padded to equal width.
+ * @param {string} text - The decoded file contents.
+ * @param {string} delimiter - The field delimiter.
+ * @returns {Array<Array<string>>} The parsed rows.
+ */
+export function parseDelimitedText(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonBlankRows = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    const width = nonBlankRows.reduce((max, r) => Math.max(max, r.length), 0);
+    return nonBlankRows.map(r => r.concat(new Array(width - r.length).fill('')));
+}
+
+/* ===========================================
+   FILE READING
+=========================================== */
+
+/**
+ * Reads a File into an ArrayBuffer.
+ * @param {File} file - The file to read.
+ * @returns {Promise<ArrayBuffer>} The file contents.
+ */
+function readAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error || new Error('Error reading file'));
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+/**
+ * Reads an uploaded roster file and returns every sheet it contains as an array of rows.
+ * Text files produce a single sheet named after the file.
+ * @param {File} file - The selected file.
+ * @returns {Promise<{kind: string, sheets: Array<{name: string, rows: Array<Array<*>>}>, encoding: (string|null), delimiter: (string|null)}>}
+ */
+export async function readSpreadsheetFile(file) {
+    const kind = getSpreadsheetFileKind(file);
+    if (!kind) {
+        throw new Error('Unsupported file type. Please upload an Excel, CSV or TSV file.');
+    }
+
+    const buffer = await readAsArrayBuffer(file);
+
+    if (kind === 'text') {
+        const { text, encoding } = decodeTextBuffer(buffer);
+        const delimiter = detectDelimiter(text);
+        console.log('[SpreadsheetReader] Parsed text file', { encoding, delimiter: JSON.stringify(delimiter) });
+        return {
+            kind,
+            sheets: [{ name: file.name, rows: parseDelimitedText(text, delimiter) }],
+            encoding,
+            delimiter
+        };
+    }
+
+    const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+    const sheets = workbook.SheetNames.map(name => ({
+        name,
+        rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '', blankrows: false })
+    }));
+
+    return { kind, sheets, encoding: null, delimiter: null };
+}
+
+/* ===========================================
+   HEADER & SUMMARY ROW DETECTION
+=========================================== */
+
+/**
+ * Returns the non-empty cells of a row.
+ * @param {Array<*>} row - A sheet row.
+ * @returns {Array<string>} The trimmed, non-empty cell values.
+ */
+function filledCells(row) {
+    return (row || [])
+        .map(cell => String(cell ?? '').trim())
+        .filter(cell => cell !== '');
+}
+
+/**
+ * Finds the columns whose header names an employee's ID or name, leaving out manager columns.
+ * @param {Array<*>} headerRow - The header row.
+ * @returns {Array<number>} The column indexes.
+ */
+function findIdentityColumns(headerRow) {
+    return (headerRow || []).reduce((columns, header, index) => {
+        const label = String(header ?? '').trim();
+        if (IDENTITY_HEADER_PATTERN.test(label) && !MANAGER_HEADER_PATTERN.test(label)) columns.push(index);
+        return columns;
+    }, []);
+}
+
+/**
+ * Detects which row holds the column headers. Title and metadata rows above the
+ * table ("Headcount report", "Exported: 01.03.2024") fill only a few cells, so the
+ * header is the first row that spans most of the table and consists of unique,
+ * non-numeric labels.
+ * @param {Array<Array<*>>} rows - The sheet rows.
+ * @returns {number} The zero-based index of the header row (0 if nothing better is found).
+ */
+export function detectHeaderRowIndex(rows) {
+    if (!rows?.length) return 0;
+
+    const sample = rows.slice(0, HEADER_SCAN_ROWS);
+    const tableWidth = sample.reduce((max, row) => Math.max(max, filledCells(row).length), 0);
+    const minFilled = Math.max(2, Math.ceil(tableWidth * 0.6));
+
+    const index = sample.findIndex(row => {
+        const cells = filledCells(row);
+        if (cells.length < minFilled) return false;
+
+        const allLabels = cells.every(cell => isNaN(Number(cell)));
+        const allUnique = new Set(cells.map(cell => cell.toLowerCase())).size === cells.length;
+        return allLabels && allUnique;
+    });
+
+    return index === -1 ? 0 : index;
+}
+
+/**
+ * Counts the summary rows at the end of a table, such as "Total" or "Grand total"
+ * lines and footers that fill only a small fraction of the columns.
+ * Only the first filled cell of a row can mark it as a total, so an employee titled
+ * "Total Rewards Manager" is kept, and sparse rows that still have an employee's
+ * name or ID are data, not footers.
+ * @param {Array<Array<*>>} rows - The sheet rows.
+ * @param {number} [headerRowIndex=0] - The index of the header row.
+ * @returns {number} The number of trailing rows to skip.
+ */
+export function detectTrailingSummaryRows(rows, headerRowIndex = 0) {
+    if (!rows?.length) return 0;
+
+    const headerWidth = filledCells(rows[headerRowIndex]).length;
+    const identityColumns = findIdentityColumns(rows[headerRowIndex]);
+    const firstDataRow = headerRowIndex + 1;
+    let count = 0;
+
+    for (let i = rows.length - 1; i > firstDataRow && count < MAX_TRAILING_SUMMARY_ROWS; i--) {
+        const cells = filledCells(rows[i]);
+        const isTotalRow = cells.length > 0 && SUMMARY_ROW_PATTERN.test(cells[0]);
+        const hasIdentity = identityColumns.some(column => String(rows[i]?.[column] ?? '').trim() !== '');
+        const isSparseRow = headerWidth >= 4 && cells.length <= Math.floor(headerWidth * 0.3) && !hasIdentity;
+
+        if (!isTotalRow && !isSparseRow) break;
+        count++;
+    }
+
+    return count;
+}
+
+/**
+ * Splits sheet rows into headers and data rows using the given header row and trailing rows to skip.
+ * Header labels are trimmed; blank headers become "Column N" so they can still be mapped.
+ * @param {Array<Array<*>>} rows - The sheet rows.
+ * @param {Object} [options]
+ * @param {number} [options.headerRowIndex=0] - The index of the header row.
+ * @param {number} [options.trailingRows=0] - The number of summary rows to drop from the end.
+ * @returns {{headers: Array<string>, dataRows: Array<Array<*>>}}
+ */
+export function extractTable(rows, { headerRowIndex = 0, trailingRows = 0 } = {}) {
+    const headers = (rows[headerRowIndex] || []).map((header, i) => {
+        const label = String(header ?? '').trim();
+        return label || `Column ${i + 1}`;
+    });
+    const dataRows = rows.slice(headerRowIndex + 1, rows.length - trailingRows);
+    return { headers, dataRows };
+}
+
+/* ===========================================
+   SHEET SELECTION HELPERS
+=========================================== */
+
+/**
+ * Picks the sheet most likely to hold the roster: the one with the most rows.
+ * @param {Array<{name: string, rows: Array}>} sheets - The sheets returned by `readSpreadsheetFile`.
+ * @returns {number} The index of the suggested sheet.
+ */
+export function pickDefaultSheetIndex(sheets) {
+    let bestIndex = 0;
+    sheets.forEach((sheet, index) => {
+        if (sheet.rows.length > sheets[bestIndex].rows.length) {
+            bestIndex = index;
+        }
+    });
+    return bestIndex;
+}
+
+/**
+ * Builds a short description of a sheet's size for the sheet picker.
+ * @param {{rows: Array<Array>}} sheet - The sheet to describe.
+ * @returns {string} e.g. "248 rows · 9 columns".
+ */
+export function describeSheet(sheet) {
+    const columns = sheet.rows.reduce((max, row) => Math.max(max, row.length), 0);
+    return `${sheet.rows.length} rows · ${columns} columns`;
+}
+
+/**
+ * Builds the options of a header-row dropdown from the first rows of a sheet.
+ * @param {HTMLSelectElement} select - The dropdown to populate.
+ * @param {Array<Array<*>>} rows - The sheet rows.
+ */
+export function populateHeaderRowSelect(select, rows) {
+    if (!select) return;
+    select.innerHTML = '';
+
+    rows.slice(0, HEADER_SCAN_ROWS).forEach((row, index) => {
+        const option = document.createElement('option');
+        const label = filledCells(row).slice(0, 4).join(', ');
+        option.value = index;
+        option.textContent = `Row ${index + 1}: ${label.length > 60 ? label.slice(0, 57) + '...' : label}`;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Renders a preview table of a sheet into a container. Rows above the header row and
+ * trailing summary rows are shown greyed out so the user can check what will be imported.
+ * @param {HTMLElement} container - The element that will hold the table.
+ * @param {Array<Array<*>>} rows - The sheet rows.
+ * @param {Object} [options]
+ * @param {number} [options.headerRowIndex=0] - The index of the header row.
+ * @param {number} [options.trailingRows=0] - The number of summary rows skipped at the end.
+ * @param {number} [options.dataRowsShown=5] - The number of data rows to show below the header.
+ */
+export function renderSheetPreview(container, rows, { headerRowIndex = 0, trailingRows = 0, dataRowsShown = 5 } = {}) {
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (!rows?.length) {
+        container.textContent = 'This sheet is empty.';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'sheet-preview-table';
+    const tbody = document.createElement('tbody');
+
+    const appendRow = (row, index) => {
+        const tr = document.createElement('tr');
+        if (index < headerRowIndex || index >= rows.length - trailingRows) {
+            tr.className = 'skipped-row';
+        } else if (index === headerRowIndex) {
+            tr.className = 'header-row';
+        }
+
+        const rowNumber = document.createElement('th');
+        rowNumber.textContent = index + 1;
+        tr.appendChild(rowNumber);
+
+        row.forEach(cell => {
+            const td = document.createElement('td');
+            td.textContent = cell ?? '';
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    };
+
+    const topRowCount = Math.min(rows.length, headerRowIndex + 1 + dataRowsShown);
+    rows.slice(0, topRowCount).forEach(appendRow);
+
+    const trailingStart = Math.max(topRowCount, rows.length - trailingRows);
+    if (trailingStart < rows.length) {
+        if (trailingStart > topRowCount) {
+            const gap = document.createElement('tr');
+            gap.className = 'gap-row';
+            gap.innerHTML = '<th>…</th>';
+            tbody.appendChild(gap);
+        }
+        rows.slice(trailingStart).forEach((row, offset) => appendRow(row, trailingStart + offset));
+    }
+
+    table.appendChild(tbody);
+    container.appendChild(table);
+}
+
+// Expose functions to global window object for non-module scripts
+window.SPREADSHEET_ACCEPT = SPREADSHEET_ACCEPT;
+window.getSpreadsheetFileKind = getSpreadsheetFileKind;
+window.readSpreadsheetFile = readSpreadsheetFile;
+window.pickDefaultSheetIndex = pickDefaultSheetIndex;
+window.describeSheet = describeSheet;
+window.renderSheetPreview = renderSheetPreview;
+window.populateHeaderRowSelect = populateHeaderRowSelect;
+window.detectHeaderRowIndex = detectHeaderRowIndex;
+window.detectTrailingSummaryRows = detectTrailingSummaryRows;
+window.extractTable = extractTable;
@@ -1,154 +1,565 @@
 /**
- * Validation utilities for org chart data
+ * @file Validation pipeline for uploaded org data.
+ * - One set of rules shared by the upload page, the upload stepper and the import summary,
+ *   so all three report the same problems in the same shape.
+ * - Rules are registered with a stable code and a severity, and report issues that
+ *   reference the offending spreadsheet row and column.
  */
 
+import { normalizeId, isBlankOrEmpty } from './helpers.js';
+import {
+  detectManagerReferenceType, resolveManagerReferences, resolveManagerReferenceList, MANAGER_REFERENCE_TYPES
+} from './managerResolver.js';
+import { parsePositionStatus, isOpenPosition, POSITION_STATUSES } from './positions.js';
+import { parseDecimal } from './customAttributes.js';
+
+console.log('[OrgChart] validation loaded');
+
+/* ===========================================
+   CONSTANTS
+=========================================== */
+
 /**
- * Validate org chart data based on column mapping
- * @param {Array} rawData - Raw data rows from Excel
- * @param {Object} columnMapping - Mapping of org chart fields to Excel columns
- * @returns {Object} Validation results
+ * Rows may carry their spreadsheet row number under this key. It takes precedence over
+ * `firstRowNumber`, so rows keep their numbers when rows above them are removed.
  */
-export function validateOrgChartData(rawData, columnMapping) {
-  const results = {
-    totalRows: 0,
-    validRows: 0,
-    errors: [],
-    warnings: [],
-    stats: {}
-  };
+export const ROW_NUMBER_KEY = '__rowNumber';
 
-  if (!rawData || !Array.isArray(rawData)) {
-    results.errors.push('No data found to validate');
-    return results;
-  }
+/** Issue severities. Errors block the import, warnings are informational. */
+export const SEVERITY = {
+  error: 'error',
+  warning: 'warning'
+};
 
-  results.totalRows = rawData.length;
+/* ===========================================
+   RULE REGISTRY
+=========================================== */
 
-  // Track unique IDs and managers
-  const uniqueIds = new Set();
-  const uniqueManagers = new Set();
-  const orphanedEmployees = [];
-  const circularRefs = [];
-  const employeeMap = new Map();
+const rules = [];
 
-  // Process each row
-  rawData.forEach((row, index) => {
-    const employee = parseEmployeeFromRow(row, columnMapping, index + 1);
+/**
+ * Registers a validation rule. Rules run in registration order.
+ *
+ * @param {Object} rule
+ * @param {string} rule.code - Stable identifier, e.g. 'DUPLICATE_ID'
+ * @param {'error'|'warning'} rule.severity - Severity of every issue the rule reports
+ * @param {string} rule.type - Human-readable issue title, e.g. 'Duplicate Employee ID'
+ * @param {function(Object, function(Object)): void} rule.check - Receives the validation
+ *   context and a `report({message, details, row, rows, column, value})` callback; `rows`
+ *   lists every spreadsheet row involved when the issue spans several rows
+ */
+export function registerValidationRule(rule) {
+  const index = rules.findIndex(existing => existing.code === rule.code);
+  if (index === -1) {
+    rules.push(rule);
+  } else {
+    rules[index] = rule;
+  }
+}
 
-    // Check for duplicate IDs
-    if (employee.id) {
-      if (uniqueIds.has(employee.id)) {
-        results.errors.push(`Duplicate employee ID "${employee.id}" found in row ${employee.rowNumber}`);
-      } else {
-        uniqueIds.add(employee.id);
-        employeeMap.set(employee.id, employee);
-      }
-    } else {
-      results.errors.push(`Missing employee ID in row ${employee.rowNumber}`);
-    }
+/**
+ * Lists the registered rules.
+ * @returns {Array<{code:string,severity:string,type:string}>}
+ */
+export function getValidationRules() {
+  return rules.map(({ code, severity, type }) => ({ code, severity, type }));
+}
 
-    // Check for missing name
-    if (!employee.name || employee.name.trim() === '') {
-      results.errors.push(`Missing employee name in row ${employee.rowNumber}`);
-    }
+/* ===========================================
+   PUBLIC API
+=========================================== */
 
-    // Check for self-referencing manager
-    if (employee.id && employee.managerId && employee.id === employee.managerId) {
-      results.errors.push(`Employee "${employee.name}" (${employee.id}) reports to themselves in row ${employee.rowNumber}`);
-    }
+/**
+ * Validates uploaded rows with every registered rule.
+ *
+ * Rows may be objects keyed by header (upload page) or arrays of cells (stepper,
+ * import summary); the mapping addresses cells accordingly by header name or column index.
+ * Manager references are resolved to employee IDs first, so files that reference
+ * managers by name or e-mail are validated the same way as files using IDs.
+ *
+ * @param {Array<Object|Array>} rows - The data rows, without the header row
+ * @param {Object} mapping - Column of each field
+ * @param {string|number} mapping.id - Employee ID column (may be the name column)
+ * @param {string|number} mapping.name - Employee name column
+ * @param {string|number} [mapping.email] - Employee e-mail column
+ * @param {string|number} mapping.manager - Manager reference column
+ * @param {string} [mapping.managerReferenceType='auto'] - 'auto', 'id', 'name' or 'email'
+ * @param {string|number} [mapping.dottedLineManager] - Dotted-line manager column; cells may list
+ *   several managers separated by ";", referenced the same way as the line manager
+ * @param {string|number} [mapping.fte] - FTE column
+ * @param {string|number} [mapping.positionStatus] - Position status column; vacant and
+ *   to-be-hired positions may leave the name (and ID) blank
+ * @param {Object} [options]
+ * @param {Array<string>} [options.headers] - Header labels, used to name columns addressed by index
+ * @param {number} [options.firstRowNumber=2] - Spreadsheet row number of the first data row;
+ *   rows with a `ROW_NUMBER_KEY` use their own number instead
+ * @returns {{
+ *   issues: Array<{code:string,severity:string,type:string,message:string,details:string,row:?number,rows:Array<number>,column:?string,value:*}>,
+ *   errors: Array<Object>,
+ *   warnings: Array<Object>,
+ *   referenceType: string,
+ *   resolutions: Array<{managerId:string,status:string,candidates:Array}>,
+ *   dottedLineResolutions: Array<{managerIds:Array<string>,unresolved:Array<string>,ambiguous:Array}>,
+ *   totalRows: number,
+ *   validRows: number,
+ *   stats: Object
+ * }}
+ */
+export function validateOrgData(rows, mapping, options = {}) {
+  const context = buildValidationContext(rows || [], mapping, options);
+  const issues = [];
+
+  rules.forEach(rule => {
+    rule.check(context, issue => {
+      issues.push({
+        code: rule.code,
+        severity: rule.severity,
+        type: rule.type,
+        message: issue.message,
+        details: issue.details || (issue.row ? `Row ${issue.row}` : ''),
+        row: issue.row ?? null,
+        rows: issue.rows || (issue.row ? [issue.row] : []),
+        column: issue.column ?? null,
+        value: issue.value ?? null
+      });
+    });
+  });
 
-    // Track manager IDs
-    if (employee.managerId) {
-      uniqueManagers.add(employee.managerId);
-    }
+  return {
+    issues,
+    errors: issues.filter(issue => issue.severity === SEVERITY.error),
+    warnings: issues.filter(issue => issue.severity === SEVERITY.warning),
+    referenceType: context.referenceType,
+    resolutions: context.resolutions,
+    dottedLineResolutions: context.dottedLineResolutions,
+    totalRows: context.records.length,
+    validRows: context.records.filter(record => (record.id && record.name) || isOpenPosition(record)).length,
+    stats: calculateStats(context)
+  };
+}
 
-    // Validate FTE if present
-    if (employee.fte !== undefined && employee.fte !== null) {
-      const fte = parseFloat(employee.fte);
-      if (isNaN(fte) || fte < 0 || fte > 2) {
-        results.warnings.push(`Invalid FTE value "${employee.fte}" in row ${employee.rowNumber} (should be 0-2)`);
-      }
-    }
+/**
+ * Formats an issue as a single line, e.g. for plain-text lists and CSV exports.
+ * @param {Object} issue - An issue from `validateOrgData`.
+ * @returns {string}
+ */
+export function formatValidationIssue(issue) {
+  const location = [
+    issue.row ? `Row ${issue.row}` : '',
+    issue.column ? `column "${issue.column}"` : ''
+  ].filter(Boolean).join(', ');
+  return `${location ? `${location}: ` : ''}${issue.type} – ${issue.message}`;
+}
 
-    // Count valid rows
-    if (employee.id && employee.name) {
-      results.validRows++;
-    }
+/**
+ * Detect cycles in the worker -> manager graph using DFS.
+ * @param {Array<{id:string,managerId:string}>} records - Employees with resolved manager IDs
+ * @returns {Array<Array<string>>} Each cycle as a list of employee IDs
+ */
+export function detectCycles(records) {
+  const adjList = new Map();
+  const allNodes = new Map();
+
+  // Collect nodes (normalized ID -> display ID)
+  records.forEach(record => {
+    const workerId = normalizeId(record.id);
+    if (workerId && !allNodes.has(workerId)) allNodes.set(workerId, record.id);
   });
 
-  // Check for orphaned employees (managers that don't exist as employees)
-  uniqueManagers.forEach(managerId => {
-    if (!uniqueIds.has(managerId)) {
-      orphanedEmployees.push(managerId);
+  // Build adjacency: worker -> manager (only if manager exists among workers)
+  records.forEach(record => {
+    const workerId = normalizeId(record.id);
+    const managerId = normalizeId(record.managerId);
+    if (workerId && managerId && workerId !== managerId && allNodes.has(managerId)) {
+      if (!adjList.has(workerId)) adjList.set(workerId, []);
+      adjList.get(workerId).push(managerId);
     }
   });
 
-  if (orphanedEmployees.length > 0) {
-    results.warnings.push(`Found ${orphanedEmployees.length} manager IDs that don't exist as employees: ${orphanedEmployees.slice(0, 5).join(', ')}${orphanedEmployees.length > 5 ? '...' : ''}`);
-  }
+  const cycles = [];
+  const visited = new Set();
 
-  // Check for circular references
-  employeeMap.forEach((employee, id) => {
-    const visited = new Set();
-    let currentId = employee.managerId;
-    
-    while (currentId) {
-      if (visited.has(currentId)) {
-        circularRefs.push(id);
-        results.errors.push(`Circular reference detected for employee "${employee.name}" (${id})`);
-        break;
-      }
-      
-      visited.add(currentId);
-      const manager = employeeMap.get(currentId);
-      if (!manager) break;
-      currentId = manager.managerId;
+  for (const node of allNodes.keys()) {
+    if (!visited.has(node)) {
+      findCycleUtil(node, visited, new Set(), [], adjList, cycles);
     }
-  });
+  }
 
-  // Calculate stats
-  results.stats = {
-    totalEmployees: uniqueIds.size,
-    uniqueManagers: uniqueManagers.size,
-    hierarchyLevels: calculateHierarchyLevels(employeeMap),
-    orphanedManagers: orphanedEmployees.length,
-    averageTeamSize: calculateAverageTeamSize(employeeMap),
-    circularReferences: circularRefs.length
-  };
+  // Deduplicate cycles by sorted signature
+  const uniqueCycles = [];
+  const seen = new Set();
+  cycles.forEach(cycle => {
+    const key = [...cycle].sort().join(',');
+    if (!seen.has(key)) { seen.add(key); uniqueCycles.push(cycle.map(id => allNodes.get(id))); }
+  });
 
-  return results;
+  return uniqueCycles;
 }
 
+/* ===========================================
+   CONTEXT
+=========================================== */
+
 /**
- * Parse employee data from a row based on column mapping
- * @param {Array} row - Data row
- * @param {Object} columnMapping - Column mapping
- * @param {number} rowNumber - Row number for error reporting
- * @returns {Object} Parsed employee data
+ * Reads the mapped fields of every row and resolves manager references once,
+ * so that rules only deal with plain employee records.
  */
-function parseEmployeeFromRow(row, columnMapping, rowNumber) {
-  const employee = {
-    rowNumber,
-    id: null,
-    name: null,
-    managerId: null,
-    title: null,
-    department: null,
-    location: null,
-    fte: null,
-    costCenter: null,
-    jobFamily: null,
-    managementLevel: null
+function buildValidationContext(rows, mapping, options) {
+  const headers = options.headers || [];
+  const firstRowNumber = options.firstRowNumber ?? 2;
+  const hasColumn = column => column !== undefined && column !== null && column !== '';
+  const read = (row, column) => (hasColumn(column) && row ? row[column] : undefined);
+  // Array rows address cells by column index, object rows by header name
+  const usesColumnIndex = Array.isArray(rows[0]);
+  const columnLabel = column => {
+    if (!hasColumn(column)) return null;
+    return usesColumnIndex
+      ? String(headers[Number(column)] ?? `Column ${Number(column) + 1}`)
+      : String(column);
+  };
+
+  const accessors = {
+    getId: row => read(row, mapping.id),
+    getName: row => read(row, mapping.name),
+    getEmail: hasColumn(mapping.email) ? row => read(row, mapping.email) : null,
+    getManager: row => read(row, mapping.manager)
+  };
+
+  const referenceType = mapping.managerReferenceType && mapping.managerReferenceType !== 'auto'
+    ? mapping.managerReferenceType
+    : detectManagerReferenceType(rows, accessors);
+  const { resolutions } = resolveManagerReferences(rows, accessors, referenceType);
+  const dottedLineResolutions = resolveManagerReferenceList(
+    rows, accessors, referenceType, row => read(row, mapping.dottedLineManager)
+  );
+
+  const records = rows.map((row, index) => {
+    const id = String(accessors.getId(row) ?? '').trim();
+    const managerId = resolutions[index].managerId;
+    // The employee and their line manager are not dotted-line managers
+    const dottedLine = dottedLineResolutions[index];
+    const excluded = dottedLine.managerIds.filter(candidate => candidate === id || candidate === managerId);
+    dottedLine.managerIds = dottedLine.managerIds.filter(candidate => !excluded.includes(candidate));
+
+    return {
+      index,
+      row: row?.[ROW_NUMBER_KEY] ?? index + firstRowNumber,
+      id,
+      name: String(accessors.getName(row) ?? '').trim(),
+      managerReference: String(accessors.getManager(row) ?? '').trim(),
+      managerId,
+      resolution: resolutions[index],
+      dottedLine,
+      excludedDottedLineIds: excluded,
+      fte: read(row, mapping.fte),
+      positionStatusValue: String(read(row, mapping.positionStatus) ?? '').trim(),
+      // Unknown statuses count as filled; INVALID_POSITION_STATUS reports them
+      positionStatus: parsePositionStatus(read(row, mapping.positionStatus)) || 'filled'
+    };
+  });
+
+  return {
+    rows,
+    records,
+    firstRowNumber,
+    referenceType,
+    resolutions,
+    dottedLineResolutions,
+    hasSeparateIdColumn: hasColumn(mapping.id) && mapping.id !== mapping.name,
+    hasFteColumn: hasColumn(mapping.fte),
+    hasPositionStatusColumn: hasColumn(mapping.positionStatus),
+    columns: {
+      id: columnLabel(mapping.id),
+      name: columnLabel(mapping.name),
+      manager: columnLabel(mapping.manager),
+      dottedLineManager: columnLabel(mapping.dottedLineManager),
+      fte: columnLabel(mapping.fte),
+      positionStatus: columnLabel(mapping.positionStatus)
+    }
   };
+}
+
+/* ===========================================
+   RULES
+=========================================== */
+
+registerValidationRule({
+  code: 'MISSING_NAME',
+  severity: SEVERITY.error,
+  type: 'Missing Employee Name',
+  check(context, report) {
+    context.records.forEach(record => {
+      // Open positions have no person yet and are named after their status
+      if (isBlankOrEmpty(record.name) && !isOpenPosition(record)) {
+        report({
+          message: 'An employee is missing their name, which is required.',
+          row: record.row,
+          column: context.columns.name
+        });
+      }
+    });
+  }
+});
+
+registerValidationRule({
+  code: 'MISSING_ID',
+  severity: SEVERITY.error,
+  type: 'Missing Employee ID',
+  check(context, report) {
+    // Without a separate ID column the name is the ID and MISSING_NAME already covers it
+    if (!context.hasSeparateIdColumn) return;
+    context.records.forEach(record => {
+      // Open positions without an ID get a generated one on import
+      if (isBlankOrEmpty(record.id) && !isOpenPosition(record)) {
+        report({
+          message: 'An employee is missing their unique ID, which is required.',
+          row: record.row,
+          column: context.columns.id
+        });
+      }
+    });
+  }
+});
+
+registerValidationRule({
+  code: 'DUPLICATE_ID',
+  severity: SEVERITY.error,
+  type: 'Duplicate Employee ID',
+  check(context, report) {
+    const firstRows = new Map();
+    context.records.forEach(record => {
+      const id = normalizeId(record.id);
+      if (!id) return;
+      if (firstRows.has(id)) {
+        report({
+          message: `The employee ID "${record.id}" is used more than once. All IDs must be unique.`,
+          details: `Row ${record.row} is a duplicate of row ${firstRows.get(id)}`,
+          row: record.row,
+          rows: [firstRows.get(id), record.row],
+          column: context.columns.id,
+          value: record.id
+        });
+      } else {
+        firstRows.set(id, record.row);
+      }
+    });
+  }
+});
+
+registerValidationRule({
+  code: 'SELF_REFERENCE',
+  severity: SEVERITY.error,
+  type: 'Self-Reference Error',
+  check(context, report) {
+    context.records.forEach(record => {
+      if (record.id && record.managerId && normalizeId(record.id) === normalizeId(record.managerId)) {
+        report({
+          message: `Employee "${record.name || record.id}" cannot be their own manager.`,
+          row: record.row,
+          column: context.columns.manager,
+          value: record.managerReference
+        });
+      }
+    });
+  }
+});
+
+registerValidationRule({
+  code: 'AMBIGUOUS_MANAGER',
+  severity: SEVERITY.error,
+  type: 'Ambiguous Manager Reference',
+  check(context, report) {
+    const referenceLabel = MANAGER_REFERENCE_TYPES[context.referenceType].toLowerCase();
+    context.records.forEach(record => {
+      const { status, candidates } = record.resolution;
+      if (status !== 'ambiguous') return;
+      report({
+        message: `The manager "${record.managerReference}" matches ${candidates.length} employees. Use a unique ${referenceLabel} or map the manager by ID.`,
+        details: `Row ${record.row}: Employee "${record.name || record.id}" – candidates: ${candidates.map(c => `${c.id} (row ${context.records[c.rowIndex].row})`).join(', ')}`,
+        row: record.row,
+        column: context.columns.manager,
+        value: record.managerReference
+      });
+    });
+  }
+});
+
+registerValidationRule({
+  code: 'UNKNOWN_MANAGER',
+  severity: SEVERITY.error,
+  type: 'Manager Does Not Exist',
+  check(context, report) {
+    const referenceLabel = MANAGER_REFERENCE_TYPES[context.referenceType].toLowerCase();
+    context.records.forEach(record => {
+      if (record.resolution.status !== 'unresolved') return;
+      report({
+        message: `A manager listed for an employee does not match the ${referenceLabel} of any employee in the file.`,
+        details: `Row ${record.row}: Manager "${record.managerReference}" for Employee "${record.name || record.id}" is not a valid employee.`,
+        row: record.row,
+        column: context.columns.manager,
+        value: record.managerReference
+      });
+    });
+  }
+});
+
+// Several tops are valid (holdings, boards, contractor pools); the chart groups them
+// under a virtual top node. Re-register the rule as an error to enforce a single CEO.
+registerValidationRule({
+  code: 'MULTIPLE_ROOTS',
+  severity: SEVERITY.warning,
+  type: 'Multiple Top-Level Employees',
+  check(context, report) {
+    const roots = context.records.filter(record => record.resolution.status === 'root');
+    if (roots.length > 1) {
+      report({
+        message: `${roots.length} employees have no manager. They are shown side by side as separate top-level units.`,
+        details: `Found ${roots.length} top-level employees: ${roots.map(record => record.id || record.name).join(', ')}`,
+        rows: roots.map(record => record.row),
+        column: context.columns.manager
+      });
+    }
+  }
+});
+
+registerValidationRule({
+  code: 'NO_ROOT',
+  severity: SEVERITY.error,
+  type: 'No CEO Found',
+  check(context, report) {
+    const hasRoot = context.records.some(record => record.resolution.status === 'root');
+    if (!hasRoot && context.records.length > 0) {
+      report({
+        message: 'No employee was found without a manager. Your organization must have at least one top-level person (CEO).',
+        details: 'Please ensure at least one employee has a blank manager field.',
+        column: context.columns.manager
+      });
+    }
+  }
+});
+
+registerValidationRule({
+  code: 'CIRCULAR_REFERENCE',
+  severity: SEVERITY.error,
+  type: 'Circular Reference Found',
+  check(context, report) {
+    const rowById = new Map(context.records.map(record => [normalizeId(record.id), record.row]));
+    detectCycles(context.records).forEach(cycle => {
+      report({
+        message: 'A circular reporting structure (a loop) was detected.',
+        details: `Cycle path: ${cycle.join(' → ')} → ${cycle[0]}`,
+        row: rowById.get(normalizeId(cycle[0])) ?? null,
+        rows: cycle.map(id => rowById.get(normalizeId(id))).filter(Boolean),
+        column: context.columns.manager
+      });
+    });
+  }
+});
+
+registerValidationRule({
+  code: 'INVALID_FTE',
+  severity: SEVERITY.warning,
+  type: 'Invalid FTE Value',
+  check(context, report) {
+    if (!context.hasFteColumn) return;
+    context.records.forEach(record => {
+      if (isBlankOrEmpty(record.fte)) return;
+      const fte = parseDecimal(record.fte);
+      if (fte === null || fte < 0 || fte > 2) {
+        report({
+          message: `The FTE value "${record.fte}" should be a number between 0 and 2.`,
+          row: record.row,
+          column: context.columns.fte,
+          value: record.fte
+        });
+      }
+    });
+  }
+});
+
+registerValidationRule({
+  code: 'INVALID_DOTTED_LINE_MANAGER',
+  severity: SEVERITY.warning,
+  type: 'Dotted-Line Manager Ignored',
+  check(context, report) {
+    const referenceLabel = MANAGER_REFERENCE_TYPES[context.referenceType].toLowerCase();
+    context.records.forEach(record => {
+      const employee = record.name || record.id;
+      const column = context.columns.dottedLineManager;
+
+      record.dottedLine.unresolved.forEach(reference => {
+        report({
+          message: `The dotted-line manager "${reference}" does not match the ${referenceLabel} of any employee and is ignored.`,
+          details: `Row ${record.row}: Employee "${employee}"`,
+          row: record.row,
+          column,
+          value: reference
+        });
+      });
+      record.dottedLine.ambiguous.forEach(({ reference, candidates }) => {
+        report({
+          message: `The dotted-line manager "${reference}" matches ${candidates.length} employees and is ignored.`,
+          details: `Row ${record.row}: Employee "${employee}" – candidates: ${candidates.map(c => `${c.id} (row ${context.records[c.rowIndex].row})`).join(', ')}`,
+          row: record.row,
+          column,
+          value: reference
+        });
+      });
+      if (record.excludedDottedLineIds.length > 0) {
+        report({
+          message: `Employee "${employee}" lists themselves or their line manager as dotted-line manager. This entry is ignored.`,
+          row: record.row,
+          column,
+          value: record.excludedDottedLineIds.join('; ')
+        });
+      }
+    });
+  }
+});
+
+registerValidationRule({
+  code: 'INVALID_POSITION_STATUS',
+  severity: SEVERITY.warning,
+  type: 'Unknown Position Status',
+  check(context, report) {
+    if (!context.hasPositionStatusColumn) return;
+    const known = Object.values(POSITION_STATUSES).map(status => status.label).join(', ');
+    context.records.forEach(record => {
+      if (isBlankOrEmpty(record.positionStatusValue) || parsePositionStatus(record.positionStatusValue)) return;
+      report({
+        message: `The position status "${record.positionStatusValue}" is not recognized and is treated as filled. Use one of: ${known}.`,
+        row: record.row,
+        column: context.columns.positionStatus,
+        value: record.positionStatusValue
+      });
+    });
+  }
+});
+
+/* ===========================================
+   STATISTICS
+=========================================== */
 
-  // Map columns based on mapping config
-  Object.entries(columnMapping).forEach(([field, columnName]) => {
-    if (columnName && row[columnName] !== undefined) {
-      employee[field] = row[columnName];
+function calculateStats(context) {
+  const employeeMap = new Map();
+  context.records.forEach(record => {
+    const id = normalizeId(record.id);
+    if (id && !employeeMap.has(id)) {
+      employeeMap.set(id, { id, managerId: normalizeId(record.managerId) });
     }
   });
 
-  return employee;
+  const managerIds = new Set(context.records.map(record => normalizeId(record.managerId)).filter(Boolean));
+  const orphanedManagers = [...managerIds].filter(id => !employeeMap.has(id));
+
+  return {
+    totalEmployees: employeeMap.size,
+    uniqueManagers: managerIds.size,
+    hierarchyLevels: calculateHierarchyLevels(employeeMap),
+    orphanedManagers: orphanedManagers.length,
+    averageTeamSize: calculateAverageTeamSize(employeeMap),
+    circularReferences: detectCycles(context.records).length
+  };
 }
 
 /**
@@ -220,6 +631,33 @@ function calculateAverageTeamSize(employeeMap) {
   return Math.round((totalDirectReports / managerCounts.size) * 10) / 10;
 }
 
+/* ===========================================
+   INTERNAL HELPERS
+=========================================== */
+
+function findCycleUtil(node, visited, stack, path, adjList, cycles) {
+  visited.add(node);
+  stack.add(node);
+  path.push(node);
+
+  const neighbors = adjList.get(node) || [];
+  for (const neighbor of neighbors) {
+    if (stack.has(neighbor)) {
+      const cycle = path.slice(path.indexOf(neighbor));
+      cycles.push(cycle);
+    } else if (!visited.has(neighbor)) {
+      findCycleUtil(neighbor, visited, stack, path, adjList, cycles);
+    }
+  }
+
+  stack.delete(node);
+  path.pop();
+}
+
+/* ===========================================
+   CHART DATA
+=========================================== */
+
 /**
  * Transform raw data into hierarchical structure for visualization
  * @param {Array} rawData - Raw data rows
@@ -298,3 +736,11 @@ function getValueFromRow(row, columnName) {
   if (!columnName) return null;
   return row[columnName];
 }
+
+// Expose functions to global window object for non-module scripts
+window.VALIDATION_SEVERITY = SEVERITY;
+window.registerValidationRule = registerValidationRule;
+window.getValidationRules = getValidationRules;
+window.validateOrgData = validateOrgData;
+window.formatValidationIssue = formatValidationIssue;
+window.ROW_NUMBER_KEY = ROW_NUMBER_KEY;